@@ -24,8 +24,20 @@ const Patterns = requireDir(PATHS.PATTERNS);
 const Training = {
     Propagation: requireDir(PATHS.PROPAGATION), 
     SGD:requireDir(PATHS.SGD),
+    Genetic: requireDir(PATHS.GENETIC),
+    SOM: requireDir(PATHS.SOM),
     LevenbergMarquardt: require(PATHS.TRAINING + 'levenbergMarquardt.js'),
     NeuralSimulatedAnnealing: require(PATHS.TRAINING + 'neuralSimulatedAnnealing.js'),
+    NeuralGeneticAlgorithm: require(PATHS.TRAINING + 'neuralGeneticAlgorithm.js'),
+    NeuralPSO: require(PATHS.TRAINING + 'neuralPSO.js'),
+    NEAT: require(PATHS.NEAT + 'trainNEAT.js'),
+    RBFLeastSquares: require(PATHS.TRAINING + 'rbfLeastSquares.js'),
+    SVMTrain: require(PATHS.SVM + 'training/svmTrain.js'),
+    SVMSearchTrain: require(PATHS.SVM + 'training/svmSearchTrain.js'),
+};
+const ML = {
+    SVM: require(PATHS.SVM + 'svm.js'),
+    SimulatedAnnealing: require(PATHS.ML + 'simulatedAnnealing.js')
 };
 const Strategies = requireDir(PATHS.STRATEGIES);
 const MathUtils = requireDir(PATHS.MATH_UTILS);
@@ -43,6 +55,7 @@ module.exports = {
     Neural,
     Patterns,
     Training,
+    ML,
     Strategies,
     MathUtils,
     ErrorCalculation,
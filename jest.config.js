@@ -4,5 +4,7 @@ module.exports = {
     globals: {
         "PATHS": PATHS
     },
+    setupTestFrameworkScriptFile: "<rootDir>/tests/setup.js",
+    testPathIgnorePatterns: ["/node_modules/", "<rootDir>/tests/setup.js"],
     testRegex: "(/tests/.*|(\\.|/)(specs))\\.js$"
 };
\ No newline at end of file
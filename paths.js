@@ -12,11 +12,14 @@ module.exports = (function () {
     const NEURAL = SRC + 'neural/';
     const FREEFORM = NEURAL + 'freeform/';
     const FREEFORM_PROPAGATION = FREEFORM + 'training/propagation/';
+    const NEAT = NEURAL + 'neat/';
     const PATTERNS = SRC + 'patterns/';
     const TRAINING = SRC + 'neural/training/';
     const PROPAGATION = TRAINING + 'propagation/';
     const SGD = TRAINING + 'sgd/';
+    const GENETIC = TRAINING + 'genetic/';
     const STRATEGIES = TRAINING + 'strategy/';
+    const SOM = TRAINING + 'som/';
     const MATH_UTILS = SRC + 'mathUtils/';
     const MATRICES = SRC + 'mathUtils/matrices/';
     const HESSIAN = MATH_UTILS + 'matrices/hessian/';
@@ -28,7 +31,9 @@ module.exports = (function () {
     const DATA_MAPPERS = PREPROCESSING + 'dataMappers/';
     const RANDOMIZERS = MATH_UTILS + 'randomizers/';
     const GENERATORS = MATH_UTILS + 'generators/';
+    const RBF = MATH_UTILS + 'rbf/';
     const ML = SRC + 'ml/';
+    const SVM = ML + 'svm/';
 
     const TESTS = BASE + '/tests/';
     const TEST_HELPERS = TESTS + 'helpers/';
@@ -49,11 +54,14 @@ module.exports = (function () {
         NEURAL,
         FREEFORM,
         FREEFORM_PROPAGATION,
+        NEAT,
         PATTERNS,
         TRAINING,
         PROPAGATION,
         SGD,
+        GENETIC,
         STRATEGIES,
+        SOM,
         MATH_UTILS,
         MATRICES,
         HESSIAN,
@@ -65,6 +73,8 @@ module.exports = (function () {
         DATA_MAPPERS,
         RANDOMIZERS,
         GENERATORS,
-        ML
+        RBF,
+        ML,
+        SVM
     };
 })();
\ No newline at end of file
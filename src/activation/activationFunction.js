@@ -1,3 +1,7 @@
+const _ = require('lodash');
+const requireAll = require('require-all');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+
 class ActivationFunction {
     constructor(type) {
         this.type = type;
@@ -32,6 +36,32 @@ class ActivationFunction {
         return new ActivationFunction();
     }
 
+    /**
+     * @return {Array} The names of the parameters of this activation function, in the order
+     * used by the Java implementation.
+     */
+    getParamNames() {
+        return [];
+    }
+
+    /**
+     * Create an activation function from its type, for example
+     * "ActivationSigmoid".
+     *
+     * @param type {String} The type of the activation function.
+     * @return {ActivationFunction} A new activation function, with its default parameters.
+     */
+    static fromType(type) {
+        const functions = requireAll(PATHS.ACTIVATION_FUNCTIONS);
+        const ActivationClass = _.find(_.values(functions), (cls) => new cls().type === type);
+
+        if (ActivationClass == null) {
+            throw new EncogError("Unknown activation function: " + type);
+        }
+
+        return new ActivationClass();
+    }
+
     toJSON() {
         return this.type;
     }
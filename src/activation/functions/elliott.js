@@ -38,6 +38,13 @@ class ActivationElliott extends ActivationFunction {
         return this.slope / (2.0 * (1.0 + Math.abs(b * this.slope)) * (1 + Math.abs(b * this.slope)));
     }
 
+    /**
+     * @inheritDoc
+     */
+    getParamNames() {
+        return ['slope'];
+    }
+
     /**
      * @return {ActivationElliott} The object cloned;
      */
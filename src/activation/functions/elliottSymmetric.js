@@ -38,6 +38,13 @@ class ActivationElliottSymmetric extends ActivationFunction {
         return this.slope / (d * d);
     }
 
+    /**
+     * @inheritDoc
+     */
+    getParamNames() {
+        return ['slope'];
+    }
+
     /**
      * @return {ActivationElliottSymmetric} The object cloned;
      */
@@ -56,6 +56,13 @@ class ActivationRamp extends ActivationFunction {
         return 1.0;
     }
 
+    /**
+     * @inheritDoc
+     */
+    getParamNames() {
+        return ['highThreshold', 'lowThreshold', 'high', 'low'];
+    }
+
     /**
      * @return {ActivationRamp} The object cloned;
      */
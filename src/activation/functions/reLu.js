@@ -46,6 +46,13 @@ class ActivationReLU extends ActivationFunction {
         return 1.0;
     }
 
+    /**
+     * @inheritDoc
+     */
+    getParamNames() {
+        return ['lowThreshold', 'low'];
+    }
+
     /**
      * @return {ActivationReLU} The object cloned;
      */
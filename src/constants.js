@@ -11,5 +11,16 @@ module.exports = {
     /**
      * Default point at which two doubles are equal.
      */
-    DEFAULT_DOUBLE_EQUAL: 0.0000000000001
+    DEFAULT_DOUBLE_EQUAL: 0.0000000000001,
+
+    /**
+     * The weight of the running statistics of a batch normalized layer when
+     * they are updated with the statistics of a batch.
+     */
+    BATCH_NORMALIZATION_MOMENTUM: 0.9,
+
+    /**
+     * Added to the variance of a batch normalized layer to avoid a division by zero.
+     */
+    BATCH_NORMALIZATION_EPSILON: 1e-5
 };
\ No newline at end of file
@@ -12,6 +12,10 @@
  */
 class MersenneTwisterGenerateRandom {
 
+    /**
+     * @param seed {number}
+     *            The seed, the current time is used if none is given.
+     */
     constructor(seed) {
         this.N = 624;
         this.M = 397;
@@ -25,30 +29,31 @@ class MersenneTwisterGenerateRandom {
         this.mti = null;
         this.mag01 = [];
 
-        if (!seed) {
+        if (seed == null) {
             seed = Date.now();
         }
         this.setSeed(seed);
     }
 
     /**
-     * @param seed {float}
+     * @param seed {number}
+     *            The seed, only the lower 32 bits are used.
      */
     setSeed(seed) {
-        let mag01 = [];
+        this.mag01[0] = 0x0;
+        this.mag01[1] = this.MATRIX_A;
 
-        mag01[0] = 0x0;
-        mag01[1] = this.MATRIX_A;
-
-        this.stateVector[0] = parseInt(seed, 10);
+        this.stateVector[0] = seed >>> 0;
         for (this.mti = 1; this.mti < this.N; this.mti++) {
-            this.stateVector[this.mti] = (1812433253 * (this.stateVector[this.mti - 1] ^ (this.stateVector[this.mti - 1] >>> 30)) + this.mti);
+            const previous = this.stateVector[this.mti - 1];
+            this.stateVector[this.mti] = (Math.imul(1812433253, previous ^ (previous >>> 30)) + this.mti) >>> 0;
         }
     }
 
     /**
      * @param bits {number}
-     * @returns {float}
+     *            The number of random bits, between 1 and 32.
+     * @returns {number} An unsigned integer made of the requested number of random bits.
      */
     next(bits) {
         let y;
@@ -76,14 +81,14 @@ class MersenneTwisterGenerateRandom {
         y ^= (y << 15) & this.TEMPERING_MASK_C;
         y ^= (y >>> 18);
 
-        return y >>> (32 - bits);
+        return (y >>> 0) >>> (32 - bits);
     }
 
     /**
-     * @returns {number}
+     * @returns {number} A random number between 0 (inclusive) and 1 (exclusive).
      */
     nextDouble() {
-        return parseFloat(((this.next(26) << 27) + this.next(27)) / (1.0 << 53));
+        return (this.next(26) * 134217728 + this.next(27)) / 9007199254740992;
     }
 
     /**
@@ -101,10 +106,34 @@ class MersenneTwisterGenerateRandom {
     }
 
     /**
-     * @returns {number}
+     * Generate a normally distributed number, with the polar method of Marsaglia.
+     *
+     * @returns {number} A random number of mean 0 and standard deviation 1.
      */
-    nextInt() {
-        return parseint(this.nextDouble(), 10);
+    nextGaussian() {
+        let x;
+        let y;
+        let s;
+
+        do {
+            x = 2 * this.nextDouble() - 1;
+            y = 2 * this.nextDouble() - 1;
+            s = x * x + y * y;
+        } while (s >= 1 || s === 0);
+
+        return x * Math.sqrt(-2 * Math.log(s) / s);
+    }
+
+    /**
+     * @param max {number}
+     *            The upper bound, a random 32 bits unsigned integer is returned if none is given.
+     * @returns {number} A random integer between 0 (inclusive) and max (exclusive).
+     */
+    nextInt(max) {
+        if (max == null) {
+            return this.next(32);
+        }
+        return Math.floor(this.nextDouble() * max);
     }
 }
 
@@ -0,0 +1,61 @@
+const MersenneTwisterGenerateRandom = require(PATHS.GENERATORS + 'mersenneTwister');
+
+let instance = null;
+
+/**
+ * Creates the random number generators used by Encog: randomizers, dropout,
+ * shuffling, simulated annealing...
+ *
+ * By default every generator gets its own random seed. Once a seed is set, the
+ * generators are seeded from a generator built with that seed, so running the
+ * same code twice after setting the same seed gives the same results.
+ */
+class RandomFactory {
+    constructor() {
+        if (instance) {
+            return instance;
+        }
+
+        instance = this;
+        this.setSeed(null);
+    }
+
+    /**
+     * Set the seed used to create the generators.
+     *
+     * @param seed {number}
+     *            The seed, null to use a random seed for each generator.
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.seedGenerator = seed == null ? null : new MersenneTwisterGenerateRandom(seed);
+    }
+
+    /**
+     * @return {number} The seed, null if none was set.
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * @return {number} The seed for a new generator.
+     */
+    nextSeed() {
+        if (this.seedGenerator == null) {
+            return Math.floor(Math.random() * 0x100000000);
+        }
+        return this.seedGenerator.nextInt();
+    }
+
+    /**
+     * Create a random number generator.
+     *
+     * @return {MersenneTwisterGenerateRandom}
+     */
+    factor() {
+        return new MersenneTwisterGenerateRandom(this.nextSeed());
+    }
+}
+
+module.exports = new RandomFactory();
\ No newline at end of file
@@ -49,7 +49,7 @@ class ChainRuleWorker {
         ArrayUtils.fill(this.totDeriv, 0);
         ArrayUtils.fill(this.gradients, 0);
 
-        let derivative = ArrayUtils.newFloatArray[this.weightCount];
+        const derivative = ArrayUtils.newFloatArray(this.weightCount);
 
         // Loop over every training element
         for (let i = this.low; i <= this.high; i++) {
@@ -77,7 +77,7 @@ class ChainRuleWorker {
         this.error += e * e;
 
         for (let i = 0; i < this.actual.length; i++) {
-            if (i == outputNeuron) {
+            if (i === outputNeuron) {
                 this.layerDelta[i] = this.flat.activationFunctions[0].derivativeFunction(this.layerSums[i], this.layerOutput[i]);
             } else {
                 this.layerDelta[i] = 0;
@@ -103,49 +103,45 @@ class ChainRuleWorker {
     }
 
     /**
-     * Calculate a layer.
+     * Process one level.
      *
-     * @param currentLayer {Number}
-     *            The layer to calculate.
+     * @param currentLevel {Number}
+     *            The level.
+     * @param derivative {Array}
+     *            The derivatives of the output with respect to each weight.
      */
-    computeLayer(currentLayer) {
-
-        const inputIndex = this.layerIndex[currentLayer];
-        const outputIndex = this.layerIndex[currentLayer - 1];
-        const inputSize = this.layerCounts[currentLayer];
-        const outputSize = this.layerFeedCounts[currentLayer - 1];
-        let dropoutRate;
-        if (this.layerDropoutRates.length > currentLayer - 1) {
-            dropoutRate = this.layerDropoutRates[currentLayer - 1];
-        } else {
-            dropoutRate = 0;
-        }
-
-        let index = this.weightIndex[currentLayer - 1];
-
-        const limitX = outputIndex + outputSize;
-        const limitY = inputIndex + inputSize;
-
-        // weight values
-        for (let x = outputIndex; x < limitX; x++) {
+    processLevel(currentLevel, derivative) {
+        const fromLayerIndex = this.layerIndex[currentLevel + 1];
+        const toLayerIndex = this.layerIndex[currentLevel];
+        const fromLayerSize = this.layerCounts[currentLevel + 1];
+        const toLayerSize = this.layerFeedCounts[currentLevel];
+
+        const index = this.weightIndex[currentLevel];
+        const activation = this.flat.activationFunctions[currentLevel + 1];
+
+        // handle weights
+        let yi = fromLayerIndex;
+        for (let y = 0; y < fromLayerSize; y++) {
+            const output = this.layerOutput[yi];
             let sum = 0;
-            for (let y = inputIndex; y < limitY; y++) {
-                sum += this.weights[index++] * this.layerOutput[y] * (1 - dropoutRate);
+
+            let wi = index + y;
+            const loopEnd = toLayerIndex + toLayerSize;
+            for (let xi = toLayerIndex; xi < loopEnd; xi++, wi += fromLayerSize) {
+                derivative[wi] += output * this.layerDelta[xi];
+                sum += this.weights[wi] * this.layerDelta[xi];
             }
-            this.layerSums[x] = sum;
-            this.layerOutput[x] = sum;
+            this.layerDelta[yi] = sum * activation.derivativeFunction(this.layerSums[yi], this.layerOutput[yi]);
+            yi++;
         }
-
-        this.activationFunctions[currentLayer - 1].activationFunction(
-            this.layerOutput, outputIndex, outputSize);
-
-        // update context values
-        const offset = this.contextTargetOffset[currentLayer];
-
-        ArrayUtils.arrayCopy(this.layerOutput, outputIndex,
-            this.layerOutput, offset, this.contextTargetSize[currentLayer]);
     }
 
+    /**
+     * @return {Array} The gradients.
+     */
+    getGradients() {
+        return this.gradients;
+    }
 }
 
 module.exports = ChainRuleWorker;
\ No newline at end of file
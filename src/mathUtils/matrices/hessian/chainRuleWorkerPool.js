@@ -0,0 +1,160 @@
+if (typeof PATHS === 'undefined') {
+    // loaded as the entry point of a worker thread
+    global.PATHS = require('../../../../paths.js');
+}
+
+const WorkerPool = require(PATHS.UTILS + 'workerPool');
+
+const TASK_NAME = 'chainRule';
+
+/**
+ * Calculates the Hessian of a HessianCR with several worker threads. Each
+ * thread receives only its own slice of the training set and runs a
+ * ChainRuleWorker over it, for every output neuron. The partial Hessians, gradients and errors are
+ * written to shared buffers, one part per thread, and summed into the owner
+ * once all the threads are done.
+ */
+class ChainRuleWorkerPool {
+    /**
+     * Start the worker threads.
+     *
+     * @param owner {HessianCR}
+     *            The Hessian that owns the pool.
+     * @param threadCount {number}
+     *            The number of threads to use.
+     */
+    constructor(owner, threadCount) {
+        const GradientWorkerPool = require(PATHS.TRAINING + 'gradientWorkerPool');
+        const trainingSize = owner.input.length;
+
+        this.owner = owner;
+        this.flat = owner.flat;
+        this.input = owner.input;
+        this.threadCount = Math.max(1, Math.min(threadCount, trainingSize));
+        this.weightCount = this.flat.weights.length;
+        this.weights = WorkerPool.newSharedFloatArray(this.weightCount);
+        this.gradients = WorkerPool.newSharedFloatArray(this.weightCount * this.threadCount);
+        this.hessian = WorkerPool.newSharedFloatArray(this.weightCount * this.weightCount * this.threadCount);
+        this.errors = WorkerPool.newSharedFloatArray(this.threadCount);
+
+        const network = GradientWorkerPool.packNetwork(this.flat);
+        const sliceSize = Math.floor(trainingSize / this.threadCount);
+        const workerData = [];
+        let low = 0;
+
+        for (let i = 0; i < this.threadCount; i++) {
+            const high = (i === this.threadCount - 1) ? trainingSize - 1 : low + sliceSize - 1;
+
+            workerData.push({
+                index: i,
+                network: network,
+                weights: this.weights.buffer,
+                gradients: this.gradients.buffer,
+                hessian: this.hessian.buffer,
+                errors: this.errors.buffer,
+                input: owner.input.slice(low, high + 1),
+                output: owner.output.slice(low, high + 1),
+                low: 0,
+                high: high - low
+            });
+            low = high + 1;
+        }
+
+        this.pool = new WorkerPool(TASK_NAME, __filename, workerData);
+    }
+
+    /**
+     * Calculate the Hessian and the gradients with the current weights of the
+     * network. They are added to the ones of the owner.
+     *
+     * @return {number} The sum of the squared errors.
+     */
+    run() {
+        const weights = this.flat.weights;
+        for (let i = 0; i < this.weightCount; i++) {
+            this.weights[i] = weights[i];
+        }
+
+        this.pool.run();
+
+        const matrix = this.owner.hessianMatrix.getData();
+        let error = 0;
+
+        for (let t = 0; t < this.threadCount; t++) {
+            const gradientOffset = t * this.weightCount;
+            const hessianOffset = gradientOffset * this.weightCount;
+
+            error += this.errors[t];
+            for (let i = 0; i < this.weightCount; i++) {
+                this.owner.gradients[i] += this.gradients[gradientOffset + i];
+
+                const row = matrix[i];
+                const rowOffset = hessianOffset + i * this.weightCount;
+                for (let j = 0; j < this.weightCount; j++) {
+                    row[j] += this.hessian[rowOffset + j];
+                }
+            }
+        }
+
+        return error;
+    }
+
+    /**
+     * Stop the worker threads.
+     */
+    terminate() {
+        this.pool.terminate();
+    }
+
+    /**
+     * Entry point of the worker threads.
+     */
+    static serve() {
+        let task;
+
+        try {
+            const GradientWorkerPool = require(PATHS.TRAINING + 'gradientWorkerPool');
+            const ChainRuleWorker = require(PATHS.HESSIAN + 'chainRuleWorker');
+            const data = WorkerPool.getWorkerData();
+            const flat = GradientWorkerPool.unpackNetwork(data.network, data.weights);
+            const weightCount = flat.weights.length;
+            const gradients = new Float64Array(data.gradients, data.index * weightCount * 8, weightCount);
+            const hessian = new Float64Array(data.hessian, data.index * weightCount * weightCount * 8, weightCount * weightCount);
+            const errors = new Float64Array(data.errors);
+            const worker = new ChainRuleWorker(flat, data.input, data.output, data.low, data.high);
+
+            task = () => {
+                let error = 0;
+                gradients.fill(0);
+                hessian.fill(0);
+
+                for (let outputNeuron = 0; outputNeuron < flat.outputCount; outputNeuron++) {
+                    worker.outputNeuron = outputNeuron;
+                    worker.run();
+
+                    error += worker.error;
+                    const workerGradients = worker.getGradients();
+                    const matrix = worker.hessianMatrix.getData();
+                    for (let i = 0; i < weightCount; i++) {
+                        gradients[i] += workerGradients[i];
+                        for (let j = 0; j < weightCount; j++) {
+                            hessian[i * weightCount + j] += matrix[i][j];
+                        }
+                    }
+                }
+
+                errors[data.index] = error;
+            };
+        } catch (ex) {
+            task = ex;
+        }
+
+        WorkerPool.serve(task);
+    }
+}
+
+if (WorkerPool.isWorker(TASK_NAME)) {
+    ChainRuleWorkerPool.serve();
+}
+
+module.exports = ChainRuleWorkerPool;
\ No newline at end of file
@@ -1,10 +1,24 @@
 const BasicHessian = require(PATHS.HESSIAN + 'basic');
 const ChainRuleWorker = require(PATHS.HESSIAN + 'chainRuleWorker');
-const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const ChainRuleWorkerPool = require(PATHS.HESSIAN + 'chainRuleWorkerPool');
+const WorkerPool = require(PATHS.UTILS + 'workerPool');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
 /**
  * Calculate the Hessian matrix using the chain rule method.
  */
 class HessianCR extends BasicHessian {
+    constructor() {
+        super();
+
+        /**
+         * The number of worker threads used to calculate the Hessian. One
+         * calculates it on the main thread.
+         */
+        this.threadCount = 1;
+        this.threadPool = null;
+    }
+
     /**
      * Init the class.
      * @param network {BasicNetwork}
@@ -13,7 +27,10 @@ class HessianCR extends BasicHessian {
      */
     init(network, input, output) {
         super.init(network, input, output);
-        const weightCount = network.getFlat().weights.length;
+
+        if (this.threadPool != null && (this.threadPool.flat !== this.flat || this.threadPool.input !== input)) {
+            this.terminate();
+        }
 
         this.workers = [];
         this.workers.push(
@@ -26,6 +43,41 @@ class HessianCR extends BasicHessian {
         );
     }
 
+    /**
+     * Set the number of worker threads used to calculate the Hessian. The
+     * training set is split across the threads, networks with context are
+     * always calculated on the main thread.
+     *
+     * @param threadCount {number}
+     *            The number of threads, 1 to calculate on the main thread.
+     */
+    setThreadCount(threadCount) {
+        if (threadCount < 1) {
+            throw new EncogError("The thread count must be at least 1.");
+        }
+
+        if (threadCount !== this.threadCount) {
+            this.terminate();
+        }
+        this.threadCount = threadCount;
+    }
+
+    /**
+     * @return {number} The number of worker threads.
+     */
+    getThreadCount() {
+        return this.threadCount;
+    }
+
+    /**
+     * Stop the worker threads, if any.
+     */
+    terminate() {
+        if (this.threadPool != null) {
+            this.threadPool.terminate();
+            this.threadPool = null;
+        }
+    }
 
     /**
      * Compute the Hessian.
@@ -33,25 +85,39 @@ class HessianCR extends BasicHessian {
     compute() {
         this.clear();
         let e = 0;
-        const weightCount = this.network.getFlat().weights.length;
 
-        for (let outputNeuron = 0; outputNeuron < this.network.outputCount; outputNeuron++) {
-
-            // handle context
-            if (this.flat.hasContext) {
-                this.workers[0].network.clearContext();
+        if (this.threadPool == null && this.threadCount > 1 && !this.flat.hasContext) {
+            if (WorkerPool.isAvailable()) {
+                this.threadPool = new ChainRuleWorkerPool(this, this.threadCount);
+            } else {
+                EncogLog.warn("Worker threads are not available, calculating the Hessian with a single thread.");
             }
+        }
+
+        if (this.threadPool != null) {
+            e = this.threadPool.run();
+        } else {
+            const weightCount = this.flat.weights.length;
+
+            for (let outputNeuron = 0; outputNeuron < this.flat.outputCount; outputNeuron++) {
+
+                // handle context
+                if (this.flat.hasContext) {
+                    this.workers[0].flat.clearContext();
+                }
 
-            this.workers[0].outputNeuron = outputNeuron;
-            this.workers[0].run();
+                this.workers[0].outputNeuron = outputNeuron;
+                this.workers[0].run();
 
-            // aggregate workers
-            for (worker of this.workers) {
-                e += worker.error;
-                for (let i = 0; i < weightCount; i++) {
-                    this.gradients[i] += worker.getGradients()[i];
+                // aggregate workers
+                for (let worker of this.workers) {
+                    e += worker.error;
+                    const gradients = worker.getGradients();
+                    for (let i = 0; i < weightCount; i++) {
+                        this.gradients[i] += gradients[i];
+                    }
+                    this.hessianMatrix.add(worker.hessianMatrix);
                 }
-                this.hessianMatrix.add(worker.hessianMatrix);
             }
         }
 
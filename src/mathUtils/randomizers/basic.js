@@ -1,4 +1,5 @@
 const MersenneTwisterGenerateRandom = require(PATHS.GENERATORS + 'mersenneTwister');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
 /**
  * Provides basic functionality that most randomizers will need.
  *
@@ -8,7 +9,31 @@ const MersenneTwisterGenerateRandom = require(PATHS.GENERATORS + 'mersenneTwiste
 class BasicRandomizer {
 
     constructor() {
-        this.random = new MersenneTwisterGenerateRandom();
+        this.random = RandomFactory.factor();
+    }
+
+    /**
+     * @return {MersenneTwisterGenerateRandom} The random number generator.
+     */
+    getRandom() {
+        return this.random;
+    }
+
+    /**
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     */
+    setRandom(random) {
+        this.random = random;
+    }
+
+    /**
+     * Seed the random number generator of this randomizer.
+     *
+     * @param seed {number}
+     */
+    setSeed(seed) {
+        this.random = new MersenneTwisterGenerateRandom(seed);
     }
 
     /**
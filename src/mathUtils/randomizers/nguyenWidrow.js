@@ -1,4 +1,12 @@
 const BasicRandomizer = require(PATHS.RANDOMIZERS + 'basic');
+
+const SUPPORTED_ACTIVATION_FUNCTIONS = [
+    'ActivationTANH',
+    'ActivationSigmoid',
+    'ActivationElliott',
+    'ActivationElliottSymmetric'
+];
+
 /**
  * Implementation of <i>Nguyen-Widrow</i> weight initialization. This is the
  * default weight initialization used by Encog, as it generally provides the
@@ -29,8 +37,8 @@ class NguyenWidrowRandomizer extends BasicRandomizer {
         let fromCount = network.getLayerNeuronCount(fromLayer);
         let fromCountTotalCount = network.getLayerTotalNeuronCount(fromLayer);
         const af = network.getActivation(toLayer);
-        let low = this.calculateRange(af, Number.MIN_SAFE_INTEGER);
-        let high = this.calculateRange(af, Number.MAX_SAFE_INTEGER);
+        let low = NguyenWidrowRandomizer.calculateRange(af, Number.MIN_SAFE_INTEGER);
+        let high = NguyenWidrowRandomizer.calculateRange(af, Number.MAX_SAFE_INTEGER);
 
         let b = 0.7 * Math.pow(toCount, (1.0 / fromCount)) / (high - low);
 
@@ -46,6 +54,17 @@ class NguyenWidrowRandomizer extends BasicRandomizer {
         }
     }
 
+    /**
+     * The range of the activation function is used to scale the weights, only
+     * bounded activation functions are supported.
+     *
+     * @param af {ActivationFunction}
+     * @returns {Boolean} True if the activation function can be used with this randomizer.
+     */
+    static isSupported(af) {
+        return af != null && SUPPORTED_ACTIVATION_FUNCTIONS.indexOf(af.constructor.name) !== -1;
+    }
+
     /**
      * @param af {ActivationFunction}
      * @param r {float}
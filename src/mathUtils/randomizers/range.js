@@ -55,7 +55,7 @@ class RangeRandomizer extends BasicRandomizer {
             max = this.max;
         }
         const range = max - min;
-        return (range * Math.random()) + min;
+        return (range * this.random.nextDouble()) + min;
     }
 }
 
@@ -0,0 +1,124 @@
+const requireAll = require('require-all');
+const _ = require('lodash');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+
+/**
+ * Basic radial basis function. A RBF has a center for every dimension, a peak
+ * (the value at the center) and a width.
+ */
+class BasicRBF {
+    /**
+     * @param dimensions {number}
+     *            The number of dimensions.
+     * @param peak {number}
+     *            The peak.
+     * @param width {number}
+     *            The width.
+     */
+    constructor(dimensions = 1, peak = 1, width = 1) {
+        this.centers = ArrayUtils.newFloatArray(dimensions);
+        this.peak = peak;
+        this.width = width;
+        this.type = 'BasicRBF';
+    }
+
+    /**
+     * Create a RBF from its type, for example "Gaussian".
+     *
+     * @param type {String} The type of the RBF.
+     * @param dimensions {number} The number of dimensions.
+     * @return {BasicRBF} A new RBF, centered on 0, with a peak and width of 1.
+     */
+    static fromType(type, dimensions = 1) {
+        const functions = requireAll(PATHS.RBF);
+        const RBFClass = _.find(_.values(functions), (cls) => new cls().type === type);
+
+        if (RBFClass == null || RBFClass === BasicRBF) {
+            throw new EncogError("Unknown radial basis function: " + type);
+        }
+
+        return new RBFClass(dimensions);
+    }
+
+    /**
+     * Calculate the RBF.
+     *
+     * @param x {Array}
+     *            The point, one value per dimension.
+     * @return {number} The value of the RBF at the point.
+     */
+    calculate(x) {
+    }
+
+    /**
+     * @param x {Array}
+     * @return {number} The squared distance between the point and the center.
+     */
+    squaredDistance(x) {
+        let distance = 0;
+        for (let i = 0; i < this.centers.length; i++) {
+            distance += Math.pow(x[i] - this.centers[i], 2);
+        }
+        return distance;
+    }
+
+    /**
+     * @return {Array} The centers.
+     */
+    getCenters() {
+        return this.centers;
+    }
+
+    /**
+     * @param centers {Array}
+     */
+    setCenters(centers) {
+        this.centers = centers;
+    }
+
+    /**
+     * @param dimension {number}
+     * @return {number} The center of the dimension.
+     */
+    getCenter(dimension) {
+        return this.centers[dimension];
+    }
+
+    /**
+     * @return {number} The number of dimensions.
+     */
+    getDimensions() {
+        return this.centers.length;
+    }
+
+    /**
+     * @return {number} The peak.
+     */
+    getPeak() {
+        return this.peak;
+    }
+
+    /**
+     * @param peak {number}
+     */
+    setPeak(peak) {
+        this.peak = peak;
+    }
+
+    /**
+     * @return {number} The width.
+     */
+    getWidth() {
+        return this.width;
+    }
+
+    /**
+     * @param width {number}
+     */
+    setWidth(width) {
+        this.width = width;
+    }
+}
+
+module.exports = BasicRBF;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const BasicRBF = require(PATHS.RBF + 'basicRBF');
+
+/**
+ * The Gaussian function is a Radial Basis Function that describes a typical
+ * "bell curve", or "normal distribution".
+ *
+ * The Gaussian function requires paramaters that specify the width (over all
+ * dimensions), as well as the centers of each dimension. So a 3d Gaussian
+ * would have a single width parameter, but 3 center parameters.
+ */
+class GaussianFunction extends BasicRBF {
+    constructor(dimensions = 1, peak = 1, width = 1) {
+        super(dimensions, peak, width);
+        this.type = 'Gaussian';
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculate(x) {
+        return this.peak * Math.exp(-this.squaredDistance(x) / (2 * this.width * this.width));
+    }
+}
+
+module.exports = GaussianFunction;
\ No newline at end of file
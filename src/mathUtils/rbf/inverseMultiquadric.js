@@ -0,0 +1,22 @@
+const BasicRBF = require(PATHS.RBF + 'basicRBF');
+
+/**
+ * Inverse multiquadric Radial Basis Function, 1 / sqrt(distance^2 + width^2).
+ * It is highest at the center and decreases with the distance, more slowly
+ * than the Gaussian.
+ */
+class InverseMultiquadricFunction extends BasicRBF {
+    constructor(dimensions = 1, peak = 1, width = 1) {
+        super(dimensions, peak, width);
+        this.type = 'InverseMultiquadric';
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculate(x) {
+        return this.peak / Math.sqrt(this.squaredDistance(x) + this.width * this.width);
+    }
+}
+
+module.exports = InverseMultiquadricFunction;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const BasicRBF = require(PATHS.RBF + 'basicRBF');
+
+/**
+ * The Mexican Hat, or Ricker wavelet, Radial Basis Function. It is positive
+ * near the center and negative further away, so it rewards the neighbors of
+ * the center and pushes away the ones just outside of its width.
+ */
+class MexicanHatFunction extends BasicRBF {
+    constructor(dimensions = 1, peak = 1, width = 1) {
+        super(dimensions, peak, width);
+        this.type = 'MexicanHat';
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculate(x) {
+        const norm = this.squaredDistance(x) / (this.width * this.width);
+        return this.peak * (1 - norm) * Math.exp(-norm / 2);
+    }
+}
+
+module.exports = MexicanHatFunction;
\ No newline at end of file
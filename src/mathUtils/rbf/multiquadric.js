@@ -0,0 +1,21 @@
+const BasicRBF = require(PATHS.RBF + 'basicRBF');
+
+/**
+ * Multiquadric Radial Basis Function. Unlike the other RBFs it grows with the
+ * distance to the center, sqrt(distance^2 + width^2).
+ */
+class MultiquadricFunction extends BasicRBF {
+    constructor(dimensions = 1, peak = 1, width = 1) {
+        super(dimensions, peak, width);
+        this.type = 'Multiquadric';
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculate(x) {
+        return this.peak * Math.sqrt(this.squaredDistance(x) + this.width * this.width);
+    }
+}
+
+module.exports = MultiquadricFunction;
\ No newline at end of file
@@ -1,3 +1,8 @@
+const _ = require('lodash');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const EncogMath = require(PATHS.MATH_UTILS + 'encogMath');
+
 /**
  * The default degree.
  */
@@ -33,6 +38,47 @@ const DEFAULT_EPS = 1e-3;
  */
 const DEFAULT_P = 0.1;
 
+const SVM_TYPES = {
+    /**
+     * Support vector classification, uses the C parameter to penalise errors.
+     */
+    C_SVC: 'C_SVC',
+
+    /**
+     * Support vector classification, uses the NU parameter to bound the
+     * fraction of margin errors and support vectors.
+     */
+    NU_SVC: 'NU_SVC',
+
+    /**
+     * Support vector regression, errors smaller than the P (epsilon) parameter
+     * are not penalised.
+     */
+    EPSILON_SVR: 'EPSILON_SVR'
+};
+
+const KERNEL_TYPES = {
+    /**
+     * u'*v
+     */
+    LINEAR: 'LINEAR',
+
+    /**
+     * (gamma*u'*v + coef0)^degree
+     */
+    POLY: 'POLY',
+
+    /**
+     * exp(-gamma*|u-v|^2)
+     */
+    RBF: 'RBF',
+
+    /**
+     * tanh(gamma*u'*v + coef0)
+     */
+    SIGMOID: 'SIGMOID'
+};
+
 /**
  * This is a network that is backed by one or more Support Vector Machines
  * (SVM). It is designed to function very similarly to an Encog neural network,
@@ -53,7 +99,327 @@ const DEFAULT_P = 0.1;
  */
 
 class SVM {
+    /**
+     * Construct a SVM network.
+     *
+     * @param inputCount {number}
+     *            The input count.
+     * @param outputCount {number}
+     *            The output count, one SVM is created for each output.
+     * @param svmType {String}
+     *            The type of SVM, one of SVM.getSVMTypes().
+     * @param kernelType {String}
+     *            The kernel type, one of SVM.getKernelTypes().
+     */
+    constructor(inputCount, outputCount = 1, svmType = SVM_TYPES.C_SVC, kernelType = KERNEL_TYPES.RBF) {
+        if (!_.includes(SVM_TYPES, svmType)) {
+            throw new EncogError("Unknown SVM type: " + svmType);
+        }
+
+        if (!_.includes(KERNEL_TYPES, kernelType)) {
+            throw new EncogError("Unknown kernel type: " + kernelType);
+        }
+
+        this.inputCount = inputCount;
+        this.outputCount = outputCount;
+
+        /**
+         * The parameters used to train each of the SVMs.
+         */
+        this.params = {
+            svmType: svmType,
+            kernelType: kernelType,
+            degree: DEFAULT_DEGREE,
+            coef0: DEFAULT_COEF0,
+            nu: DEFAULT_NU,
+            cacheSize: DEFAULT_CACHE_SIZE,
+            C: DEFAULT_C,
+            eps: DEFAULT_EPS,
+            p: DEFAULT_P,
+            gamma: inputCount > 0 ? 1.0 / inputCount : 0
+        };
+
+        /**
+         * The trained models, one for each output. Null until trained.
+         */
+        this.models = _.fill(Array(outputCount), null);
+    }
+
+    /**
+     * @returns {Object}
+     */
+    static getSVMTypes() {
+        return SVM_TYPES;
+    }
+
+    /**
+     * @returns {Object}
+     */
+    static getKernelTypes() {
+        return KERNEL_TYPES;
+    }
+
+    /**
+     * @return {number} The input count.
+     */
+    getInputCount() {
+        return this.inputCount;
+    }
+
+    /**
+     * @return {number} The output count.
+     */
+    getOutputCount() {
+        return this.outputCount;
+    }
+
+    /**
+     * @return {Object} The SVM parameters.
+     */
+    getParams() {
+        return this.params;
+    }
+
+    /**
+     * @return {Array} The trained models, one per output.
+     */
+    getModels() {
+        return this.models;
+    }
+
+    /**
+     * @return {boolean} True if this is a regression SVM.
+     */
+    isRegression() {
+        return this.params.svmType === SVM_TYPES.EPSILON_SVR;
+    }
+
+    /**
+     * Evaluate the kernel function for two vectors.
+     *
+     * @param x {Array}
+     *            The first vector.
+     * @param y {Array}
+     *            The second vector.
+     * @return {number} The kernel value.
+     */
+    kernel(x, y) {
+        const params = this.params;
+
+        switch (params.kernelType) {
+            case KERNEL_TYPES.LINEAR:
+                return SVM.dot(x, y);
+            case KERNEL_TYPES.POLY:
+                return Math.pow(params.gamma * SVM.dot(x, y) + params.coef0, params.degree);
+            case KERNEL_TYPES.RBF: {
+                let sum = 0;
+                for (let i = 0; i < x.length; i++) {
+                    const d = x[i] - y[i];
+                    sum += d * d;
+                }
+                return Math.exp(-params.gamma * sum);
+            }
+            case KERNEL_TYPES.SIGMOID:
+                return Math.tanh(params.gamma * SVM.dot(x, y) + params.coef0);
+            default:
+                throw new EncogError("Unknown kernel type: " + params.kernelType);
+        }
+    }
+
+    /**
+     * @param x {Array}
+     * @param y {Array}
+     * @return {number} The dot product of the two vectors.
+     */
+    static dot(x, y) {
+        let sum = 0;
+        for (let i = 0; i < x.length; i++) {
+            sum += x[i] * y[i];
+        }
+        return sum;
+    }
+
+    /**
+     * Calculate the decision values of one of the SVMs. Regression models
+     * produce a single value, classification models produce one value for
+     * every pair of classes.
+     *
+     * @param outputIndex {number}
+     *            The output (SVM) to use.
+     * @param input {Array}
+     *            The input.
+     * @return {Array} The decision values.
+     */
+    decisionValues(outputIndex, input) {
+        const model = this.models[outputIndex];
+
+        if (model == null) {
+            throw new EncogError("The SVM for output #" + outputIndex + " has not been trained.");
+        }
+
+        const kvalue = model.supportVectors.map((sv) => this.kernel(input, sv));
+
+        if (model.labels == null) {
+            let sum = 0;
+            for (let i = 0; i < kvalue.length; i++) {
+                sum += model.coefficients[0][i] * kvalue[i];
+            }
+            return [sum - model.rho[0]];
+        }
+
+        const classCount = model.labels.length;
+        const start = ArrayUtils.newIntArray(classCount);
+        for (let i = 1; i < classCount; i++) {
+            start[i] = start[i - 1] + model.svCount[i - 1];
+        }
+
+        const values = [];
+        let p = 0;
+        for (let i = 0; i < classCount; i++) {
+            for (let j = i + 1; j < classCount; j++) {
+                let sum = 0;
+                const si = start[i];
+                const sj = start[j];
+                const coef1 = model.coefficients[j - 1];
+                const coef2 = model.coefficients[i];
+
+                for (let k = 0; k < model.svCount[i]; k++) {
+                    sum += coef1[si + k] * kvalue[si + k];
+                }
+                for (let k = 0; k < model.svCount[j]; k++) {
+                    sum += coef2[sj + k] * kvalue[sj + k];
+                }
+                values.push(sum - model.rho[p]);
+                p++;
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Predict a single output. For regression this is the estimated value,
+     * for classification this is the label that won the one-vs-one vote.
+     *
+     * @param outputIndex {number}
+     *            The output (SVM) to use.
+     * @param input {Array}
+     *            The input.
+     * @return {number} The prediction.
+     */
+    predict(outputIndex, input) {
+        const model = this.models[outputIndex];
+        const values = this.decisionValues(outputIndex, input);
+
+        if (model.labels == null) {
+            return values[0];
+        }
+
+        const classCount = model.labels.length;
+        const votes = ArrayUtils.newIntArray(classCount);
+        let p = 0;
+        for (let i = 0; i < classCount; i++) {
+            for (let j = i + 1; j < classCount; j++) {
+                if (values[p] > 0) {
+                    votes[i]++;
+                } else {
+                    votes[j]++;
+                }
+                p++;
+            }
+        }
+
+        return model.labels[EncogMath.maxIndex(votes)];
+    }
+
+    /**
+     * Compute the output for the given input, one value per SVM.
+     *
+     * @param input {Array}
+     *            The input.
+     * @return {Array}
+     *            The output.
+     */
+    compute(input) {
+        if (input.length !== this.inputCount) {
+            throw new EncogError("Input size " + input.length + " does not match the SVM input count " + this.inputCount + ".");
+        }
+
+        const output = [];
+        for (let i = 0; i < this.outputCount; i++) {
+            output.push(this.predict(i, input));
+        }
+        return output;
+    }
+
+    /**
+     * Classify the input. With a single output this is the predicted label.
+     * With several outputs (one-of-n encoding) this is the index of the output
+     * whose SVM is the most confident about the highest label.
+     *
+     * @param input {Array} The input data to classify.
+     * @return {number} The group that the data was classified into.
+     */
+    classify(input) {
+        if (this.outputCount === 1) {
+            return this.compute(input)[0];
+        }
+        return this.winner(input);
+    }
+
+    /**
+     * Determine the winning output for the specified input.
+     *
+     * @param input {Array}
+     *            The input patter to present to the SVM.
+     * @return {number} The winning output.
+     */
+    winner(input) {
+        const scores = [];
+
+        for (let i = 0; i < this.outputCount; i++) {
+            const model = this.models[i];
+
+            if (model.labels == null || model.labels.length !== 2) {
+                scores.push(this.predict(i, input));
+            } else {
+                // a positive decision value votes for the first label
+                const value = this.decisionValues(i, input)[0];
+                scores.push(model.labels[0] > model.labels[1] ? value : -value);
+            }
+        }
+
+        return EncogMath.maxIndex(scores);
+    }
+
+    /**
+     * SVMs have no context, provided for compatibility with BasicNetwork.
+     */
+    clearContext() {
+    }
+
+    /**
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            type: 'SVM',
+            inputCount: this.inputCount,
+            outputCount: this.outputCount,
+            params: this.params,
+            models: this.models
+        };
+    }
 
+    /**
+     * @param obj {Object}
+     */
+    fromJSON(obj) {
+        this.inputCount = obj.inputCount;
+        this.outputCount = obj.outputCount;
+        this.params = _.clone(obj.params);
+        this.models = _.cloneDeep(obj.models);
+    }
 }
 
 module.exports = SVM;
\ No newline at end of file
@@ -0,0 +1,545 @@
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+
+/**
+ * Used when the quadratic coefficient of a working pair is not positive.
+ */
+const TAU = 1e-12;
+
+const LOWER_BOUND = 0;
+const UPPER_BOUND = 1;
+const FREE = 2;
+
+/**
+ * The kernel matrix Q of the dual problem, Q[i][j] = y[i] * y[j] * K(i, j).
+ * Rows are calculated on demand and cached, the cache is dropped once it grows
+ * beyond the configured size (in megabytes).
+ */
+class KernelMatrix {
+    /**
+     * @param svm {SVM}
+     *            The SVM that provides the kernel.
+     * @param x {Array}
+     *            The training vectors.
+     * @param index {Array}
+     *            Maps every variable of the problem to a training vector.
+     * @param sign {Array}
+     *            The sign (y) of every variable of the problem.
+     * @param cacheSize {number}
+     *            The cache size in megabytes.
+     */
+    constructor(svm, x, index, sign, cacheSize) {
+        this.svm = svm;
+        this.x = x;
+        this.index = index;
+        this.sign = sign;
+        this.cache = {};
+        this.cachedRows = 0;
+        this.maxRows = Math.max(2, Math.floor(cacheSize * 1024 * 1024 / (8 * index.length)));
+
+        this.diagonal = index.map((i) => this.svm.kernel(x[i], x[i]));
+    }
+
+    /**
+     * @param i {number}
+     * @return {Array} The i-th row of Q.
+     */
+    getRow(i) {
+        let row = this.cache[i];
+
+        if (row == null) {
+            if (this.cachedRows >= this.maxRows) {
+                this.cache = {};
+                this.cachedRows = 0;
+            }
+
+            const len = this.index.length;
+            const xi = this.x[this.index[i]];
+            row = ArrayUtils.newFloatArray(len);
+
+            for (let j = 0; j < len; j++) {
+                row[j] = this.sign[i] * this.sign[j] * this.svm.kernel(xi, this.x[this.index[j]]);
+            }
+
+            this.cache[i] = row;
+            this.cachedRows++;
+        }
+
+        return row;
+    }
+}
+
+/**
+ * Sequential minimal optimization (SMO) solver, based on the decomposition
+ * method used by LIBSVM (Fan, Chen and Lin, 2005). Solves:
+ *
+ * min 0.5(\alpha^T Q \alpha) + p^T \alpha
+ *
+ * y^T \alpha = \delta
+ * y_i = +1 or -1
+ * 0 <= alpha_i <= Cp for y_i = 1
+ * 0 <= alpha_i <= Cn for y_i = -1
+ *
+ * The working set is chosen with second order information. When isNu is set
+ * the two equality constraints of nu-SVC are honoured by only pairing variables
+ * of the same class.
+ */
+class SMOSolver {
+    /**
+     * @param Q {KernelMatrix}
+     *            The kernel matrix.
+     * @param p {Array}
+     *            The linear term.
+     * @param y {Array}
+     *            The sign of every variable.
+     * @param alpha {Array}
+     *            The initial (feasible) alpha values, updated in place.
+     * @param Cp {number}
+     *            Upper bound of the positive variables.
+     * @param Cn {number}
+     *            Upper bound of the negative variables.
+     * @param eps {number}
+     *            Stopping tolerance.
+     * @param isNu {boolean}
+     *            Solve the nu formulation.
+     */
+    constructor(Q, p, y, alpha, Cp, Cn, eps, isNu = false) {
+        this.Q = Q;
+        this.QD = Q.diagonal;
+        this.p = p;
+        this.y = y;
+        this.alpha = alpha;
+        this.Cp = Cp;
+        this.Cn = Cn;
+        this.eps = eps;
+        this.isNu = isNu;
+        this.length = alpha.length;
+    }
+
+    /**
+     * Create the kernel matrix for a classification problem.
+     *
+     * @param svm {SVM}
+     * @param x {Array}
+     * @param y {Array}
+     * @return {KernelMatrix}
+     */
+    static createSVCMatrix(svm, x, y) {
+        return new KernelMatrix(svm, x, x.map((v, i) => i), y, svm.params.cacheSize);
+    }
+
+    /**
+     * Create the kernel matrix for a regression problem. Each training vector
+     * is used twice, once for alpha and once for alpha*.
+     *
+     * @param svm {SVM}
+     * @param x {Array}
+     * @return {KernelMatrix}
+     */
+    static createSVRMatrix(svm, x) {
+        const index = [];
+        const sign = [];
+
+        for (let k = 0; k < x.length; k++) {
+            index.push(k);
+            sign.push(1);
+        }
+        for (let k = 0; k < x.length; k++) {
+            index.push(k);
+            sign.push(-1);
+        }
+
+        return new KernelMatrix(svm, x, index, sign, svm.params.cacheSize);
+    }
+
+    /**
+     * @param i {number}
+     * @return {number} The upper bound of the i-th variable.
+     */
+    getC(i) {
+        return this.y[i] > 0 ? this.Cp : this.Cn;
+    }
+
+    /**
+     * @param i {number}
+     */
+    updateAlphaStatus(i) {
+        if (this.alpha[i] >= this.getC(i)) {
+            this.alphaStatus[i] = UPPER_BOUND;
+        } else if (this.alpha[i] <= 0) {
+            this.alphaStatus[i] = LOWER_BOUND;
+        } else {
+            this.alphaStatus[i] = FREE;
+        }
+    }
+
+    /**
+     * @param i {number}
+     * @return {boolean}
+     */
+    isUpperBound(i) {
+        return this.alphaStatus[i] === UPPER_BOUND;
+    }
+
+    /**
+     * @param i {number}
+     * @return {boolean}
+     */
+    isLowerBound(i) {
+        return this.alphaStatus[i] === LOWER_BOUND;
+    }
+
+    /**
+     * Solve the problem.
+     *
+     * @return {Object} The solution: alpha, rho, obj and (for nu) r.
+     */
+    solve() {
+        const l = this.length;
+        this.alphaStatus = ArrayUtils.newIntArray(l);
+        for (let i = 0; i < l; i++) {
+            this.updateAlphaStatus(i);
+        }
+
+        // initialize the gradient
+        this.G = this.p.slice();
+        for (let i = 0; i < l; i++) {
+            if (!this.isLowerBound(i)) {
+                const Qi = this.Q.getRow(i);
+                for (let j = 0; j < l; j++) {
+                    this.G[j] += this.alpha[i] * Qi[j];
+                }
+            }
+        }
+
+        const maxIterations = Math.max(10000000, 100 * l);
+        let iteration = 0;
+
+        while (iteration < maxIterations) {
+            const pair = this.isNu ? this.selectWorkingSetNu() : this.selectWorkingSet();
+            if (pair == null) {
+                break;
+            }
+            iteration++;
+            this.optimizePair(pair[0], pair[1]);
+        }
+
+        const result = {alpha: this.alpha, iterations: iteration};
+        if (this.isNu) {
+            this.calculateRhoNu(result);
+        } else {
+            result.rho = this.calculateRho();
+        }
+
+        let obj = 0;
+        for (let i = 0; i < l; i++) {
+            obj += this.alpha[i] * (this.G[i] + this.p[i]);
+        }
+        result.obj = obj / 2;
+
+        return result;
+    }
+
+    /**
+     * Analytically solve the two variable sub-problem and update the gradient.
+     *
+     * @param i {number}
+     * @param j {number}
+     */
+    optimizePair(i, j) {
+        const alpha = this.alpha;
+        const G = this.G;
+        const Qi = this.Q.getRow(i);
+        const Qj = this.Q.getRow(j);
+        const Ci = this.getC(i);
+        const Cj = this.getC(j);
+        const oldAlphaI = alpha[i];
+        const oldAlphaJ = alpha[j];
+
+        if (this.y[i] !== this.y[j]) {
+            let quadCoef = this.QD[i] + this.QD[j] + 2 * Qi[j];
+            if (quadCoef <= 0) {
+                quadCoef = TAU;
+            }
+            const delta = (-G[i] - G[j]) / quadCoef;
+            const diff = alpha[i] - alpha[j];
+            alpha[i] += delta;
+            alpha[j] += delta;
+
+            if (diff > 0) {
+                if (alpha[j] < 0) {
+                    alpha[j] = 0;
+                    alpha[i] = diff;
+                }
+            } else if (alpha[i] < 0) {
+                alpha[i] = 0;
+                alpha[j] = -diff;
+            }
+
+            if (diff > Ci - Cj) {
+                if (alpha[i] > Ci) {
+                    alpha[i] = Ci;
+                    alpha[j] = Ci - diff;
+                }
+            } else if (alpha[j] > Cj) {
+                alpha[j] = Cj;
+                alpha[i] = Cj + diff;
+            }
+        } else {
+            let quadCoef = this.QD[i] + this.QD[j] - 2 * Qi[j];
+            if (quadCoef <= 0) {
+                quadCoef = TAU;
+            }
+            const delta = (G[i] - G[j]) / quadCoef;
+            const sum = alpha[i] + alpha[j];
+            alpha[i] -= delta;
+            alpha[j] += delta;
+
+            if (sum > Ci) {
+                if (alpha[i] > Ci) {
+                    alpha[i] = Ci;
+                    alpha[j] = sum - Ci;
+                }
+            } else if (alpha[j] < 0) {
+                alpha[j] = 0;
+                alpha[i] = sum;
+            }
+
+            if (sum > Cj) {
+                if (alpha[j] > Cj) {
+                    alpha[j] = Cj;
+                    alpha[i] = sum - Cj;
+                }
+            } else if (alpha[i] < 0) {
+                alpha[i] = 0;
+                alpha[j] = sum;
+            }
+        }
+
+        // update the gradient
+        const deltaAlphaI = alpha[i] - oldAlphaI;
+        const deltaAlphaJ = alpha[j] - oldAlphaJ;
+        for (let k = 0; k < this.length; k++) {
+            G[k] += Qi[k] * deltaAlphaI + Qj[k] * deltaAlphaJ;
+        }
+
+        this.updateAlphaStatus(i);
+        this.updateAlphaStatus(j);
+    }
+
+    /**
+     * @param gradDiff {number}
+     * @param quadCoef {number}
+     * @return {number} The (negative) decrease of the objective.
+     */
+    static objectiveDiff(gradDiff, quadCoef) {
+        return -(gradDiff * gradDiff) / (quadCoef > 0 ? quadCoef : TAU);
+    }
+
+    /**
+     * Select the maximal violating pair, using second order information for
+     * the second variable.
+     *
+     * @return {Array|null} The pair [i, j], or null if optimal.
+     */
+    selectWorkingSet() {
+        const G = this.G;
+        const y = this.y;
+        let gMax = -Infinity;
+        let gMax2 = -Infinity;
+        let gMaxIndex = -1;
+        let gMinIndex = -1;
+        let objDiffMin = Infinity;
+
+        for (let t = 0; t < this.length; t++) {
+            if (y[t] > 0) {
+                if (!this.isUpperBound(t) && -G[t] >= gMax) {
+                    gMax = -G[t];
+                    gMaxIndex = t;
+                }
+            } else if (!this.isLowerBound(t) && G[t] >= gMax) {
+                gMax = G[t];
+                gMaxIndex = t;
+            }
+        }
+
+        const i = gMaxIndex;
+        const Qi = i !== -1 ? this.Q.getRow(i) : null;
+
+        for (let j = 0; j < this.length; j++) {
+            if (y[j] > 0) {
+                if (!this.isLowerBound(j)) {
+                    const gradDiff = gMax + G[j];
+                    if (G[j] >= gMax2) {
+                        gMax2 = G[j];
+                    }
+                    if (gradDiff > 0) {
+                        const objDiff = SMOSolver.objectiveDiff(gradDiff, this.QD[i] + this.QD[j] - 2 * y[i] * Qi[j]);
+                        if (objDiff <= objDiffMin) {
+                            gMinIndex = j;
+                            objDiffMin = objDiff;
+                        }
+                    }
+                }
+            } else if (!this.isUpperBound(j)) {
+                const gradDiff = gMax - G[j];
+                if (-G[j] >= gMax2) {
+                    gMax2 = -G[j];
+                }
+                if (gradDiff > 0) {
+                    const objDiff = SMOSolver.objectiveDiff(gradDiff, this.QD[i] + this.QD[j] + 2 * y[i] * Qi[j]);
+                    if (objDiff <= objDiffMin) {
+                        gMinIndex = j;
+                        objDiffMin = objDiff;
+                    }
+                }
+            }
+        }
+
+        if (gMax + gMax2 < this.eps || gMinIndex === -1) {
+            return null;
+        }
+
+        return [gMaxIndex, gMinIndex];
+    }
+
+    /**
+     * Select the working set for the nu formulation, both variables always
+     * belong to the same class.
+     *
+     * @return {Array|null} The pair [i, j], or null if optimal.
+     */
+    selectWorkingSetNu() {
+        const G = this.G;
+        const y = this.y;
+        let gMaxP = -Infinity;
+        let gMaxP2 = -Infinity;
+        let gMaxPIndex = -1;
+        let gMaxN = -Infinity;
+        let gMaxN2 = -Infinity;
+        let gMaxNIndex = -1;
+        let gMinIndex = -1;
+        let objDiffMin = Infinity;
+
+        for (let t = 0; t < this.length; t++) {
+            if (y[t] > 0) {
+                if (!this.isUpperBound(t) && -G[t] >= gMaxP) {
+                    gMaxP = -G[t];
+                    gMaxPIndex = t;
+                }
+            } else if (!this.isLowerBound(t) && G[t] >= gMaxN) {
+                gMaxN = G[t];
+                gMaxNIndex = t;
+            }
+        }
+
+        const ip = gMaxPIndex;
+        const iN = gMaxNIndex;
+        const Qip = ip !== -1 ? this.Q.getRow(ip) : null;
+        const Qin = iN !== -1 ? this.Q.getRow(iN) : null;
+
+        for (let j = 0; j < this.length; j++) {
+            if (y[j] > 0) {
+                if (!this.isLowerBound(j)) {
+                    const gradDiff = gMaxP + G[j];
+                    if (G[j] >= gMaxP2) {
+                        gMaxP2 = G[j];
+                    }
+                    if (gradDiff > 0) {
+                        const objDiff = SMOSolver.objectiveDiff(gradDiff, this.QD[ip] + this.QD[j] - 2 * Qip[j]);
+                        if (objDiff <= objDiffMin) {
+                            gMinIndex = j;
+                            objDiffMin = objDiff;
+                        }
+                    }
+                }
+            } else if (!this.isUpperBound(j)) {
+                const gradDiff = gMaxN - G[j];
+                if (-G[j] >= gMaxN2) {
+                    gMaxN2 = -G[j];
+                }
+                if (gradDiff > 0) {
+                    const objDiff = SMOSolver.objectiveDiff(gradDiff, this.QD[iN] + this.QD[j] - 2 * Qin[j]);
+                    if (objDiff <= objDiffMin) {
+                        gMinIndex = j;
+                        objDiffMin = objDiff;
+                    }
+                }
+            }
+        }
+
+        if (Math.max(gMaxP + gMaxP2, gMaxN + gMaxN2) < this.eps || gMinIndex === -1) {
+            return null;
+        }
+
+        return [y[gMinIndex] > 0 ? gMaxPIndex : gMaxNIndex, gMinIndex];
+    }
+
+    /**
+     * @return {number} The bias term (rho) of the decision function.
+     */
+    calculateRho() {
+        let freeCount = 0;
+        let ub = Infinity;
+        let lb = -Infinity;
+        let sumFree = 0;
+
+        for (let i = 0; i < this.length; i++) {
+            const yG = this.y[i] * this.G[i];
+
+            if (this.isUpperBound(i)) {
+                if (this.y[i] < 0) {
+                    ub = Math.min(ub, yG);
+                } else {
+                    lb = Math.max(lb, yG);
+                }
+            } else if (this.isLowerBound(i)) {
+                if (this.y[i] > 0) {
+                    ub = Math.min(ub, yG);
+                } else {
+                    lb = Math.max(lb, yG);
+                }
+            } else {
+                freeCount++;
+                sumFree += yG;
+            }
+        }
+
+        return freeCount > 0 ? sumFree / freeCount : (ub + lb) / 2;
+    }
+
+    /**
+     * Calculate rho and r for the nu formulation.
+     *
+     * @param result {Object} Receives rho and r.
+     */
+    calculateRhoNu(result) {
+        const r = [];
+
+        for (let sign of [1, -1]) {
+            let freeCount = 0;
+            let ub = Infinity;
+            let lb = -Infinity;
+            let sumFree = 0;
+
+            for (let i = 0; i < this.length; i++) {
+                if (this.y[i] === sign) {
+                    if (this.isUpperBound(i)) {
+                        lb = Math.max(lb, this.G[i]);
+                    } else if (this.isLowerBound(i)) {
+                        ub = Math.min(ub, this.G[i]);
+                    } else {
+                        freeCount++;
+                        sumFree += this.G[i];
+                    }
+                }
+            }
+
+            r.push(freeCount > 0 ? sumFree / freeCount : (ub + lb) / 2);
+        }
+
+        result.r = (r[0] + r[1]) / 2;
+        result.rho = (r[0] - r[1]) / 2;
+    }
+}
+
+module.exports = SMOSolver;
\ No newline at end of file
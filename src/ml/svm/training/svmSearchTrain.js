@@ -0,0 +1,284 @@
+const BasicTraining = require(PATHS.TRAINING + 'basic');
+const SVMTrain = require(PATHS.SVM + 'training/svmTrain');
+const SVM = require(PATHS.SVM + 'svm');
+const CalculateRegressionError = require(PATHS.ERROR_CALCULATION + 'calculateRegression');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+const _ = require('lodash');
+
+/**
+ * The default number of cross validation folds.
+ */
+const DEFAULT_FOLDS = 5;
+
+/**
+ * The default C range, as base 2 exponents (2^-5 ... 2^15).
+ */
+const DEFAULT_CONST_BEGIN = -5;
+const DEFAULT_CONST_END = 15;
+const DEFAULT_CONST_STEP = 2;
+
+/**
+ * The default gamma range, as base 2 exponents (2^-15 ... 2^3).
+ */
+const DEFAULT_GAMMA_BEGIN = -15;
+const DEFAULT_GAMMA_END = 3;
+const DEFAULT_GAMMA_STEP = 2;
+
+/**
+ * Provides training for Support Vector Machine networks by searching for the
+ * best C and gamma values. Both parameters are swept over log-scaled (base 2)
+ * grids, every pair is scored with k-fold cross validation and the SVM is then
+ * trained on the complete training set with the best pair.
+ *
+ * Each call to iteration evaluates one pair of the grid, once the grid is
+ * exhausted the final SVM is trained. Calling finishTraining before that stops
+ * the search and trains the SVM with the best pair found so far.
+ */
+class SVMSearchTrain extends BasicTraining {
+    /**
+     * Construct a search trainer.
+     *
+     * @param svm {SVM}
+     *            The network to train.
+     * @param input {Array}
+     *            The input training set.
+     * @param output {Array}
+     *            The ideal output, one column per SVM.
+     * @param folds {number}
+     *            The number of cross validation folds.
+     */
+    constructor(svm, input, output, folds = DEFAULT_FOLDS) {
+        super();
+
+        if (input.length !== output.length) {
+            throw new EncogError("Input and output training sets must have the same size.");
+        }
+
+        this.network = svm;
+        this.input = input;
+        this.output = output;
+        this.iterationCount = 0;
+        this.error = null;
+        this.trainingDone = false;
+
+        this.setFolds(folds);
+        this.setConstRange(DEFAULT_CONST_BEGIN, DEFAULT_CONST_END, DEFAULT_CONST_STEP);
+        this.setGammaRange(DEFAULT_GAMMA_BEGIN, DEFAULT_GAMMA_END, DEFAULT_GAMMA_STEP);
+    }
+
+    /**
+     * @param folds {number} The number of cross validation folds.
+     */
+    setFolds(folds) {
+        if (folds < 2 || folds > this.input.length) {
+            throw new EncogError("The number of folds must be between 2 and the training set size (" + this.input.length + ").");
+        }
+        this.folds = folds;
+    }
+
+    /**
+     * @return {number} The number of cross validation folds.
+     */
+    getFolds() {
+        return this.folds;
+    }
+
+    /**
+     * Set the C values to search, C = 2^begin, 2^(begin + step) ... 2^end.
+     *
+     * @param begin {number}
+     * @param end {number}
+     * @param step {number}
+     */
+    setConstRange(begin, end, step) {
+        this.constValues = SVMSearchTrain.createGrid(begin, end, step);
+        this.reset();
+    }
+
+    /**
+     * Set the gamma values to search, gamma = 2^begin, 2^(begin + step) ... 2^end.
+     *
+     * @param begin {number}
+     * @param end {number}
+     * @param step {number}
+     */
+    setGammaRange(begin, end, step) {
+        this.gammaValues = SVMSearchTrain.createGrid(begin, end, step);
+        this.reset();
+    }
+
+    /**
+     * @param begin {number}
+     * @param end {number}
+     * @param step {number}
+     * @return {Array} The values 2^begin ... 2^end.
+     */
+    static createGrid(begin, end, step) {
+        if (step <= 0 || end < begin) {
+            throw new EncogError("Invalid search range: " + begin + " to " + end + " step " + step);
+        }
+
+        const values = [];
+        for (let exponent = begin; exponent <= end; exponent += step) {
+            values.push(Math.pow(2, exponent));
+        }
+        return values;
+    }
+
+    /**
+     * Restart the search.
+     */
+    reset() {
+        this.gridIndex = 0;
+        this.bestC = null;
+        this.bestGamma = null;
+        this.bestError = Infinity;
+        this.trainingDone = false;
+    }
+
+    /**
+     * @return {number} The number of C/gamma pairs in the grid.
+     */
+    getGridSize() {
+        return this.constValues.length * this.gammaValues.length;
+    }
+
+    /**
+     * @return {number} The best C found so far.
+     */
+    getBestC() {
+        return this.bestC;
+    }
+
+    /**
+     * @return {number} The best gamma found so far.
+     */
+    getBestGamma() {
+        return this.bestGamma;
+    }
+
+    /**
+     * @return {SVM} The SVM being trained.
+     */
+    getMethod() {
+        return this.network;
+    }
+
+    /**
+     * @return {boolean} True, once the search is done and the SVM was trained.
+     */
+    isTrainingDone() {
+        return this.trainingDone;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    canContinue() {
+        return false;
+    }
+
+    /**
+     * Evaluate the next C/gamma pair of the grid.
+     */
+    iteration() {
+        if (this.trainingDone) {
+            return;
+        }
+
+        this.preIteration();
+
+        const C = this.constValues[Math.floor(this.gridIndex / this.gammaValues.length)];
+        const gamma = this.gammaValues[this.gridIndex % this.gammaValues.length];
+        const error = this.crossValidate(C, gamma);
+
+        EncogLog.debug("SVM search C=" + C + " gamma=" + gamma + " error=" + error);
+
+        if (error < this.bestError) {
+            this.bestError = error;
+            this.bestC = C;
+            this.bestGamma = gamma;
+        }
+
+        this.error = this.bestError;
+        this.gridIndex++;
+
+        if (this.gridIndex >= this.getGridSize()) {
+            this.finishTraining();
+        }
+
+        this.postIteration();
+    }
+
+    /**
+     * Stop the search and train the SVM on the full training set using the
+     * best C and gamma found.
+     */
+    finishTraining() {
+        if (this.trainingDone) {
+            return;
+        }
+
+        super.finishTraining();
+
+        if (this.bestC == null) {
+            throw new EncogError("No C/gamma pair has been evaluated, call iteration first.");
+        }
+
+        this.network.params.C = this.bestC;
+        this.network.params.gamma = this.bestGamma;
+
+        const train = new SVMTrain(this.network, this.input, this.output);
+        train.iteration();
+
+        this.trainingDone = true;
+    }
+
+    /**
+     * Calculate the k-fold cross validation error of a C/gamma pair. Training
+     * elements are assigned to the folds in turn.
+     *
+     * @param C {number}
+     * @param gamma {number}
+     * @return {number} The mean validation error over all the folds.
+     */
+    crossValidate(C, gamma) {
+        const svm = new SVM(this.network.getInputCount(), this.network.getOutputCount(),
+            this.network.params.svmType, this.network.params.kernelType);
+
+        svm.params = _.clone(this.network.params);
+        svm.params.C = C;
+        svm.params.gamma = gamma;
+
+        let totalError = 0;
+
+        for (let fold = 0; fold < this.folds; fold++) {
+            const trainInput = [];
+            const trainOutput = [];
+            const validationInput = [];
+            const validationOutput = [];
+
+            for (let i = 0; i < this.input.length; i++) {
+                if (i % this.folds === fold) {
+                    validationInput.push(this.input[i]);
+                    validationOutput.push(this.output[i]);
+                } else {
+                    trainInput.push(this.input[i]);
+                    trainOutput.push(this.output[i]);
+                }
+            }
+
+            for (let i = 0; i < svm.getOutputCount(); i++) {
+                svm.models[i] = SVMTrain.trainModel(svm, trainInput, trainOutput.map((row) => row[i]));
+            }
+
+            totalError += CalculateRegressionError.calculateError(svm, validationInput, validationOutput,
+                this.getErrorCalculationMode());
+        }
+
+        return totalError / this.folds;
+    }
+}
+
+module.exports = SVMSearchTrain;
\ No newline at end of file
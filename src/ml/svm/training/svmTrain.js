@@ -0,0 +1,319 @@
+const BasicTraining = require(PATHS.TRAINING + 'basic');
+const SMOSolver = require(PATHS.SVM + 'training/smo');
+const SVM = require(PATHS.SVM + 'svm');
+const CalculateRegressionError = require(PATHS.ERROR_CALCULATION + 'calculateRegression');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const _ = require('lodash');
+
+const SVM_TYPES = SVM.getSVMTypes();
+
+/**
+ * Provides training for Support Vector Machine networks. Each output of the
+ * SVM is trained as an independent problem with sequential minimal
+ * optimization (SMO). Classification problems with more than two classes are
+ * handled with the one-vs-one approach.
+ *
+ * The training is done in a single iteration, calling iteration again will
+ * simply train the SVM again.
+ */
+class SVMTrain extends BasicTraining {
+    /**
+     * Construct a trainer for an SVM network.
+     *
+     * @param svm {SVM}
+     *            The network to train.
+     * @param input {Array}
+     *            The input training set.
+     * @param output {Array}
+     *            The ideal output, one column per SVM.
+     */
+    constructor(svm, input, output) {
+        super();
+
+        if (input.length !== output.length) {
+            throw new EncogError("Input and output training sets must have the same size.");
+        }
+
+        this.network = svm;
+        this.input = input;
+        this.output = output;
+        this.iterationCount = 0;
+        this.error = null;
+        this.trainingDone = false;
+    }
+
+    /**
+     * @param C {number} The C (cost) parameter.
+     */
+    setC(C) {
+        if (C <= 0) {
+            throw new EncogError("SVM training cannot use a C value less than zero.");
+        }
+        this.network.params.C = C;
+    }
+
+    /**
+     * @return {number} The C (cost) parameter.
+     */
+    getC() {
+        return this.network.params.C;
+    }
+
+    /**
+     * @param gamma {number} The gamma parameter of the kernel.
+     */
+    setGamma(gamma) {
+        if (gamma <= 0) {
+            throw new EncogError("SVM training cannot use a gamma value less than zero.");
+        }
+        this.network.params.gamma = gamma;
+    }
+
+    /**
+     * @return {number} The gamma parameter of the kernel.
+     */
+    getGamma() {
+        return this.network.params.gamma;
+    }
+
+    /**
+     * @return {SVM} The SVM being trained.
+     */
+    getMethod() {
+        return this.network;
+    }
+
+    /**
+     * @return {boolean} True, once the SVM has been trained.
+     */
+    isTrainingDone() {
+        return this.trainingDone;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    canContinue() {
+        return false;
+    }
+
+    /**
+     * Train every SVM of the network, one per output.
+     */
+    iteration() {
+        this.preIteration();
+
+        for (let i = 0; i < this.network.getOutputCount(); i++) {
+            const ideal = this.output.map((row) => row[i]);
+            this.network.models[i] = SVMTrain.trainModel(this.network, this.input, ideal);
+        }
+
+        this.error = CalculateRegressionError.calculateError(this.network, this.input, this.output,
+            this.getErrorCalculationMode());
+        this.trainingDone = true;
+
+        this.postIteration();
+    }
+
+    /**
+     * Train one model.
+     *
+     * @param svm {SVM}
+     *            The SVM that holds the parameters and kernel.
+     * @param x {Array}
+     *            The training vectors.
+     * @param y {Array}
+     *            The ideal value of every training vector.
+     * @return {Object} The trained model.
+     */
+    static trainModel(svm, x, y) {
+        if (svm.isRegression()) {
+            const solution = SVMTrain.solveEpsilonSVR(svm, x, y);
+            const model = {labels: null, svCount: null, supportVectors: [], coefficients: [[]], rho: [solution.rho]};
+
+            for (let i = 0; i < x.length; i++) {
+                if (solution.alpha[i] !== 0) {
+                    model.supportVectors.push(x[i]);
+                    model.coefficients[0].push(solution.alpha[i]);
+                }
+            }
+
+            return model;
+        }
+
+        return SVMTrain.trainClassifier(svm, x, y);
+    }
+
+    /**
+     * Train a one-vs-one classifier.
+     *
+     * @param svm {SVM}
+     * @param x {Array}
+     * @param y {Array}
+     * @return {Object} The trained model.
+     */
+    static trainClassifier(svm, x, y) {
+        const labels = _.sortBy(_.uniq(y));
+        const classCount = labels.length;
+
+        if (classCount < 2) {
+            throw new EncogError("SVM classification needs at least two classes, found: " + labels);
+        }
+
+        // group the training vectors by class
+        const groups = labels.map((label) => _.filter(x, (v, i) => y[i] === label));
+        const pairs = [];
+        const nonZero = groups.map((group) => ArrayUtils.newBooleanArray(group.length));
+
+        for (let i = 0; i < classCount; i++) {
+            for (let j = i + 1; j < classCount; j++) {
+                const subX = groups[i].concat(groups[j]);
+                const subY = ArrayUtils.newIntArray(groups[i].length, 1).concat(ArrayUtils.newIntArray(groups[j].length, -1));
+                const solution = SVMTrain.solveClassification(svm, subX, subY);
+
+                for (let k = 0; k < groups[i].length; k++) {
+                    if (Math.abs(solution.alpha[k]) > 0) {
+                        nonZero[i][k] = true;
+                    }
+                }
+                for (let k = 0; k < groups[j].length; k++) {
+                    if (Math.abs(solution.alpha[groups[i].length + k]) > 0) {
+                        nonZero[j][k] = true;
+                    }
+                }
+
+                pairs.push(solution);
+            }
+        }
+
+        const model = {labels: labels, svCount: [], supportVectors: [], coefficients: [], rho: pairs.map((pair) => pair.rho)};
+        const nonZeroStart = [];
+
+        for (let i = 0; i < classCount; i++) {
+            nonZeroStart.push(model.supportVectors.length);
+            for (let k = 0; k < groups[i].length; k++) {
+                if (nonZero[i][k]) {
+                    model.supportVectors.push(groups[i][k]);
+                }
+            }
+            model.svCount.push(model.supportVectors.length - nonZeroStart[i]);
+        }
+
+        for (let i = 0; i < classCount - 1; i++) {
+            model.coefficients.push(ArrayUtils.newFloatArray(model.supportVectors.length));
+        }
+
+        let p = 0;
+        for (let i = 0; i < classCount; i++) {
+            for (let j = i + 1; j < classCount; j++) {
+                let q = nonZeroStart[i];
+                for (let k = 0; k < groups[i].length; k++) {
+                    if (nonZero[i][k]) {
+                        model.coefficients[j - 1][q++] = pairs[p].alpha[k];
+                    }
+                }
+
+                q = nonZeroStart[j];
+                for (let k = 0; k < groups[j].length; k++) {
+                    if (nonZero[j][k]) {
+                        model.coefficients[i][q++] = pairs[p].alpha[groups[i].length + k];
+                    }
+                }
+                p++;
+            }
+        }
+
+        return model;
+    }
+
+    /**
+     * Solve a two class problem, labels are +1 and -1.
+     *
+     * @param svm {SVM}
+     * @param x {Array}
+     * @param y {Array}
+     * @return {Object} The signed alphas (alpha * y) and rho.
+     */
+    static solveClassification(svm, x, y) {
+        const params = svm.params;
+        const l = x.length;
+        const Q = SMOSolver.createSVCMatrix(svm, x, y);
+
+        if (params.svmType === SVM_TYPES.NU_SVC) {
+            const positiveCount = _.filter(y, (v) => v > 0).length;
+            const negativeCount = l - positiveCount;
+
+            if (params.nu * l / 2 > Math.min(positiveCount, negativeCount)) {
+                throw new EncogError("The specified nu (" + params.nu + ") is infeasible for this training set.");
+            }
+
+            let sumPositive = params.nu * l / 2;
+            let sumNegative = params.nu * l / 2;
+            const alpha = y.map((v) => {
+                let value;
+                if (v > 0) {
+                    value = Math.min(1.0, sumPositive);
+                    sumPositive -= value;
+                } else {
+                    value = Math.min(1.0, sumNegative);
+                    sumNegative -= value;
+                }
+                return value;
+            });
+
+            const solver = new SMOSolver(Q, ArrayUtils.newFloatArray(l), y, alpha, 1.0, 1.0, params.eps, true);
+            const solution = solver.solve();
+
+            return {
+                alpha: solution.alpha.map((a, i) => a * y[i] / solution.r),
+                rho: solution.rho / solution.r
+            };
+        }
+
+        const solver = new SMOSolver(Q, ArrayUtils.newFloatArray(l, -1), y, ArrayUtils.newFloatArray(l), params.C, params.C, params.eps);
+        const solution = solver.solve();
+
+        return {
+            alpha: solution.alpha.map((a, i) => a * y[i]),
+            rho: solution.rho
+        };
+    }
+
+    /**
+     * Solve an epsilon support vector regression problem.
+     *
+     * @param svm {SVM}
+     * @param x {Array}
+     * @param y {Array}
+     * @return {Object} The coefficients (alpha - alpha*) and rho.
+     */
+    static solveEpsilonSVR(svm, x, y) {
+        const params = svm.params;
+        const l = x.length;
+        const linearTerm = [];
+        const sign = [];
+
+        for (let i = 0; i < l; i++) {
+            linearTerm.push(params.p - y[i]);
+            sign.push(1);
+        }
+        for (let i = 0; i < l; i++) {
+            linearTerm.push(params.p + y[i]);
+            sign.push(-1);
+        }
+
+        const Q = SMOSolver.createSVRMatrix(svm, x);
+        const solver = new SMOSolver(Q, linearTerm, sign, ArrayUtils.newFloatArray(2 * l), params.C, params.C, params.eps);
+        const solution = solver.solve();
+        const alpha = [];
+
+        for (let i = 0; i < l; i++) {
+            alpha.push(solution.alpha[i] - solution.alpha[i + l]);
+        }
+
+        return {alpha: alpha, rho: solution.rho};
+    }
+}
+
+module.exports = SVMTrain;
\ No newline at end of file
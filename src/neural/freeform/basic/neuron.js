@@ -143,6 +143,20 @@ class BasicFreeformNeuron extends FreeformNeuron {
     updateContext() {
         // nothing to do for a non-context neuron
     }
+
+    /**
+     * {@inheritDoc}
+     */
+    clearContext() {
+        // nothing to do for a non-context neuron
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    getGateCount() {
+        return 1;
+    }
 }
 
 module.exports = BasicFreeformNeuron;
\ No newline at end of file
@@ -35,6 +35,13 @@ class FreeformContextNeuron extends BasicFreeformNeuron {
     updateContext() {
         this.setActivation(this.contextSource.getActivation());
     }
+
+    /**
+     * {@inheritDoc}
+     */
+    clearContext() {
+        this.setActivation(0);
+    }
 }
 
 module.exports = FreeformContextNeuron;
\ No newline at end of file
@@ -82,6 +82,18 @@ class FreeformNeuron {
      */
     updateContext(){}
 
+    /**
+     * Clear the context value of this neuron, such as the previous output of
+     * a context neuron or the state of a gated neuron.
+     */
+    clearContext(){}
+
+    /**
+     * @return {Number} The number of input connections created for every source
+     *         neuron, one per gate for gated neurons.
+     */
+    getGateCount(){}
+
     /**
      * Add to the specified temp value.
      * @param i {Number} The index.
@@ -5,6 +5,10 @@ const BasicActivationSummation = require(PATHS.FREEFORM + 'basic/activationSumma
 const BasicFreeformConnection = require(PATHS.FREEFORM + 'basic/connection');
 const BasicFreeformLayer = require(PATHS.FREEFORM + 'basic/layer');
 const FreeformContextNeuron = require(PATHS.FREEFORM + 'contextNeuron');
+const FreeformLSTMNeuron = require(PATHS.FREEFORM + 'recurrent/lstmNeuron');
+const FreeformGRUNeuron = require(PATHS.FREEFORM + 'recurrent/gruNeuron');
+const FreeformGatedNeuron = require(PATHS.FREEFORM + 'recurrent/gatedNeuron');
+const ActivationFunction = require(PATHS.SRC + 'activation/activationFunction');
 const ErrorUtil = require(PATHS.UTILS + 'error');
 const RangeRandomizer = require(PATHS.RANDOMIZERS + 'range');
 const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
@@ -87,6 +91,10 @@ class FreeformNetwork {
                 "The BasicNetwork must have at least two layers to be converted.");
         }
 
+        if (network.getFlat().hasBatchNormalization()) {
+            throw new FreeformNetworkError("Batch normalization is not supported by freeform networks.");
+        }
+
         this.__loadBasicNetwork(network);
     }
 
@@ -101,13 +109,12 @@ class FreeformNetwork {
     }
 
     /**
-     * Clear any data from any context layers.
+     * Clear any data from any context layers and the state of the gated
+     * (LSTM, GRU) neurons.
      */
     clearContext() {
         this.performNeuronTask((neuron)=> {
-            if (neuron.constructor.name === 'FreeformContextNeuron') {
-                neuron.setActivation(0);
-            }
+            neuron.clearContext();
         });
     }
 
@@ -120,6 +127,23 @@ class FreeformNetwork {
      *            The output.
      */
     compute(input) {
+        const result = this.calculateOutput(input);
+
+        this.updateContext();
+
+        return result;
+    }
+
+    /**
+     * Compute the output for this network, without updating the context. The
+     * neurons keep the values of this step until the context is updated.
+     *
+     * @param input {Array}
+     *            The input.
+     * @return {Array}
+     *            The output.
+     */
+    calculateOutput(input) {
         // Allocate result
         const result = ArrayUtils.newFloatArray(this.outputLayer.size());
 
@@ -135,13 +159,13 @@ class FreeformNetwork {
             result[i] = outputNeuron.getActivation();
         }
 
-        this.updateContext();
-
         return result;
     }
 
     /**
-     * Connect two layers.
+     * Connect two layers. The neurons of a gated (LSTM, GRU) target layer get
+     * one connection per gate from every source neuron and keep their own
+     * activation functions.
      *
      * @param source {FreeformLayer}
      *            The source layer.
@@ -180,13 +204,30 @@ class FreeformNetwork {
 
             // connect the source neurons to the target neuron
             for (let sourceNeuron of source.getNeurons()) {
-                const connection = new BasicFreeformConnection(sourceNeuron, targetNeuron);
-                sourceNeuron.addOutput(connection);
-                targetNeuron.addInput(connection);
+                this.connectNeurons(sourceNeuron, targetNeuron, isRecurrent);
             }
         }
     }
 
+    /**
+     * Connect two neurons, with one connection per gate of the target neuron.
+     *
+     * @param sourceNeuron {FreeformNeuron}
+     *            The source neuron.
+     * @param targetNeuron {FreeformNeuron}
+     *            The target neuron.
+     * @param isRecurrent {Boolean}
+     *            True, if this is a recurrent connection.
+     */
+    connectNeurons(sourceNeuron, targetNeuron, isRecurrent = false) {
+        for (let gate = 0; gate < targetNeuron.getGateCount(); gate++) {
+            const connection = new BasicFreeformConnection(sourceNeuron, targetNeuron);
+            connection.setRecurrent(isRecurrent);
+            sourceNeuron.addOutput(connection);
+            targetNeuron.addInput(connection, gate);
+        }
+    }
+
 
     /**
      * Connect layers from a BasicNetwork. Used internally only.
@@ -302,6 +343,63 @@ class FreeformNetwork {
         return result;
     }
 
+    /**
+     * Create a layer of long short-term memory (LSTM) cells. The previous
+     * outputs of the cells are fed back to the gates of every cell.
+     *
+     * @param neuronCount {Number} The cell count.
+     * @param gateActivation {ActivationFunction} The activation function of the gates.
+     * @param theActivationFunction {ActivationFunction} The activation function of the cell input and output.
+     * @return {FreeformLayer} The newly created layer.
+     */
+    createLSTMLayer(neuronCount, gateActivation, theActivationFunction) {
+        return this.__createGatedLayer(neuronCount,
+            () => new FreeformLSTMNeuron(gateActivation, theActivationFunction));
+    }
+
+    /**
+     * Create a layer of gated recurrent units (GRU). The previous outputs of
+     * the units are fed back to the gates of every unit.
+     *
+     * @param neuronCount {Number} The unit count.
+     * @param gateActivation {ActivationFunction} The activation function of the gates.
+     * @param theActivationFunction {ActivationFunction} The activation function of the candidate.
+     * @return {FreeformLayer} The newly created layer.
+     */
+    createGRULayer(neuronCount, gateActivation, theActivationFunction) {
+        return this.__createGatedLayer(neuronCount,
+            () => new FreeformGRUNeuron(gateActivation, theActivationFunction));
+    }
+
+    /**
+     * Create a layer of gated neurons, with the recurrent connections from
+     * their previous outputs.
+     *
+     * @param neuronCount {Number} The neuron count.
+     * @param createNeuron {Function} Creates a gated neuron.
+     * @return {FreeformLayer} The newly created layer.
+     */
+    __createGatedLayer(neuronCount, createNeuron) {
+        if (neuronCount < 1) {
+            throw new FreeformNetworkError("Layer must have at least one neuron.");
+        }
+
+        const result = new BasicFreeformLayer();
+        const context = new BasicFreeformLayer();
+
+        for (let i = 0; i < neuronCount; i++) {
+            const neuron = createNeuron();
+            const contextNeuron = new FreeformContextNeuron(neuron);
+            contextNeuron.setActivation(0);
+            result.add(neuron);
+            context.add(contextNeuron);
+        }
+
+        this.connectLayers(context, result, null, 0, true);
+
+        return result;
+    }
+
     /**
      * Create the output layer.
      *
@@ -583,6 +681,140 @@ class FreeformNetwork {
     calculateError(input, output) {
         return ErrorUtil.calculateRegressionError(this, input, output);
     }
+
+    /**
+     * The network is saved as a graph: the neurons, then the connections
+     * between them, which refer to the neurons by their index.
+     *
+     * @returns {Object}
+     */
+    toJSON() {
+        const neurons = this.inputLayer.getNeurons().slice();
+        this.performNeuronTask((neuron) => {
+            if (neurons.indexOf(neuron) === -1) {
+                neurons.push(neuron);
+            }
+        });
+
+        const connections = [];
+        for (let neuron of neurons) {
+            if (neuron.getInputSummation() != null) {
+                for (let connection of neuron.getInputSummation().list()) {
+                    connections.push({
+                        source: neurons.indexOf(connection.getSource()),
+                        target: neurons.indexOf(neuron),
+                        weight: connection.getWeight(),
+                        recurrent: connection.isRecurrent(),
+                        gate: FreeformNetwork.__getGate(neuron, connection)
+                    });
+                }
+            }
+        }
+
+        return {
+            type: 'FreeformNetwork',
+            neurons: neurons.map((neuron) => {
+                const summation = neuron.getInputSummation();
+                const contextSource = neuron instanceof FreeformContextNeuron ? neuron.getContextSource() : null;
+
+                return {
+                    type: neuron.constructor.name,
+                    bias: !!neuron.isBias(),
+                    activation: neuron.getActivation(),
+                    activationFunction: summation == null ? null : Object.assign({}, summation.getActivationFunction()),
+                    gateActivation: neuron instanceof FreeformGatedNeuron ? Object.assign({}, neuron.gateActivation) : null,
+                    contextSource: contextSource == null ? null : neurons.indexOf(contextSource)
+                };
+            }),
+            connections: connections,
+            inputLayer: this.inputLayer.getNeurons().map((neuron) => neurons.indexOf(neuron)),
+            outputLayer: this.outputLayer.getNeurons().map((neuron) => neurons.indexOf(neuron))
+        };
+    }
+
+    /**
+     * @param obj {Object}
+     */
+    fromJSON(obj) {
+        const neurons = obj.neurons.map((params) => FreeformNetwork.__neuronFromJSON(params));
+
+        obj.neurons.forEach((params, i) => {
+            if (params.contextSource != null) {
+                neurons[i].setContextSource(neurons[params.contextSource]);
+            }
+        });
+
+        for (let params of obj.connections) {
+            const connection = new BasicFreeformConnection(neurons[params.source], neurons[params.target]);
+            connection.setWeight(params.weight);
+            connection.setRecurrent(params.recurrent);
+            neurons[params.source].addOutput(connection);
+            neurons[params.target].addInput(connection, params.gate);
+        }
+
+        this.inputLayer = new BasicFreeformLayer();
+        obj.inputLayer.forEach((index) => this.inputLayer.add(neurons[index]));
+        this.outputLayer = new BasicFreeformLayer();
+        obj.outputLayer.forEach((index) => this.outputLayer.add(neurons[index]));
+    }
+
+    /**
+     * @param neuron {FreeformNeuron} The target neuron of the connection.
+     * @param connection {FreeformConnection} An input connection of the neuron.
+     * @return {Number} The gate fed by the connection, 0 for the neurons without gates.
+     */
+    static __getGate(neuron, connection) {
+        for (let gate = 1; gate < neuron.getGateCount(); gate++) {
+            if (neuron.getInputSummation().getGate(gate).indexOf(connection) !== -1) {
+                return gate;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Create a neuron, without its connections, from its JSON object.
+     *
+     * @param params {Object} The neuron JSON object.
+     * @return {FreeformNeuron} The neuron.
+     */
+    static __neuronFromJSON(params) {
+        const toActivationFunction = (activationParams) =>
+            Object.assign(ActivationFunction.fromType(activationParams.type), activationParams);
+        let neuron;
+
+        switch (params.type) {
+            case 'BasicFreeformNeuron':
+                if (params.activationFunction == null) {
+                    neuron = new BasicFreeformNeuron(null);
+                } else {
+                    neuron = new BasicFreeformNeuron(
+                        new BasicActivationSummation(toActivationFunction(params.activationFunction)));
+                }
+                break;
+            case 'FreeformContextNeuron':
+                neuron = new FreeformContextNeuron(null);
+                break;
+            case 'FreeformLSTMNeuron':
+                neuron = new FreeformLSTMNeuron(
+                    toActivationFunction(params.gateActivation), toActivationFunction(params.activationFunction));
+                break;
+            case 'FreeformGRUNeuron':
+                neuron = new FreeformGRUNeuron(
+                    toActivationFunction(params.gateActivation), toActivationFunction(params.activationFunction));
+                break;
+
+            default:
+                throw new FreeformNetworkError("Unknown neuron type: " + params.type);
+        }
+
+        neuron.setBias(params.bias);
+        if (params.activation != null) {
+            neuron.setActivation(params.activation);
+        }
+
+        return neuron;
+    }
 }
 
 module.exports = FreeformNetwork;
\ No newline at end of file
@@ -0,0 +1,89 @@
+const BasicFreeformNeuron = require(PATHS.FREEFORM + 'basic/neuron');
+const FreeformGatedSummation = require(PATHS.FREEFORM + 'recurrent/gatedSummation');
+
+/**
+ * The base class of the gated recurrent neurons (LSTM, GRU). A gated neuron
+ * keeps an internal state between the steps of a sequence, the state of the
+ * previous step is only replaced when the context is updated, so the neuron
+ * can be calculated several times during a step. The state is reset by
+ * clearContext.
+ *
+ * To train a gated neuron, the propagation records its state at every step
+ * and asks the neuron for the deltas of its gates.
+ */
+class FreeformGatedNeuron extends BasicFreeformNeuron {
+
+    /**
+     * @param gateCount {Number} The number of gates.
+     * @param theActivationFunction {ActivationFunction} The activation function of the neuron output.
+     */
+    constructor(gateCount, theActivationFunction) {
+        super(new FreeformGatedSummation(gateCount, theActivationFunction));
+        this.activation = 0;
+        this.previousActivation = 0;
+    }
+
+    /**
+     * Apply an activation function to a single value.
+     * @param activationFunction {ActivationFunction} The activation function.
+     * @param value {Number} The value.
+     * @return {Number} The activated value.
+     */
+    static activate(activationFunction, value) {
+        const result = [value];
+        activationFunction.activationFunction(result, 0, 1);
+        return result[0];
+    }
+
+    /**
+     * {@inheritDoc}
+     * @param gate {Number} The gate fed by the connection.
+     */
+    addInput(connection, gate = 0) {
+        this.inputSummation.add(connection, gate);
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    getGateCount() {
+        return this.inputSummation.getGateCount();
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    clearContext() {
+        this.activation = 0;
+        this.previousActivation = 0;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    updateContext() {
+        this.previousActivation = this.activation;
+    }
+
+    /**
+     * @return {Object} The state of the current step, used to train the neuron.
+     */
+    getState() {
+    }
+
+    /**
+     * Calculate the deltas of the gate sums of a step, from the delta of the
+     * neuron output. The deltas are the negative gradients of the error.
+     *
+     * @param state {Object} The state of the step.
+     * @param delta {Number} The delta of the output of the step.
+     * @param carry {Object} The delta carried from the next step, null for the last step.
+     * @return {Object} The deltas of the non recurrent inputs of every gate (input), of the
+     *                  recurrent inputs of every gate (recurrent) and the delta carried to the
+     *                  previous step (carry).
+     */
+    calculateGateDeltas(state, delta, carry) {
+    }
+}
+
+module.exports = FreeformGatedNeuron;
\ No newline at end of file
@@ -0,0 +1,120 @@
+const InputSummation = require(PATHS.FREEFORM + 'interfaces/inputSummation');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+
+/**
+ * The input summation of a gated neuron (LSTM, GRU). Every input connection
+ * feeds one gate of the neuron, the inputs of each gate are summed separately.
+ * The sums of the recurrent connections, the connections from the previous
+ * output of the layer, are kept apart from the other inputs, some gates use
+ * them differently. The gates themselves are applied by the neuron.
+ */
+class FreeformGatedSummation extends InputSummation {
+
+    /**
+     * @param gateCount {Number} The number of gates.
+     * @param theActivationFunction {ActivationFunction} The activation function of the neuron output.
+     */
+    constructor(gateCount, theActivationFunction) {
+        super();
+        this.inputs = [];
+        this.gates = [];
+        for (let i = 0; i < gateCount; i++) {
+            this.gates.push([]);
+        }
+        this.activationFunction = theActivationFunction;
+        this.inputSums = ArrayUtils.newFloatArray(gateCount);
+        this.recurrentSums = ArrayUtils.newFloatArray(gateCount);
+        this.sum = 0;
+    }
+
+    /**
+     * @inheritDoc
+     * @param gate {Number} The gate fed by the connection.
+     */
+    add(connection, gate = 0) {
+        this.inputs.push(connection);
+        this.gates[gate].push(connection);
+    }
+
+    /**
+     * Sum the inputs of every gate.
+     * @return {Number} The sum of all the inputs.
+     */
+    calculate() {
+        this.sum = 0;
+
+        for (let gate = 0; gate < this.gates.length; gate++) {
+            this.inputSums[gate] = 0;
+            this.recurrentSums[gate] = 0;
+
+            for (let connection of this.gates[gate]) {
+                connection.getSource().performCalculation();
+                const value = connection.getWeight() * connection.getSource().getActivation();
+
+                if (connection.isRecurrent()) {
+                    this.recurrentSums[gate] += value;
+                } else {
+                    this.inputSums[gate] += value;
+                }
+            }
+
+            this.sum += this.inputSums[gate] + this.recurrentSums[gate];
+        }
+
+        return this.sum;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getActivationFunction() {
+        return this.activationFunction;
+    }
+
+    /**
+     * @return {Number} The number of gates.
+     */
+    getGateCount() {
+        return this.gates.length;
+    }
+
+    /**
+     * @param gate {Number} The gate.
+     * @return {Array} The input connections of the gate.
+     */
+    getGate(gate) {
+        return this.gates[gate];
+    }
+
+    /**
+     * @param gate {Number} The gate.
+     * @return {Number} The sum of the non recurrent inputs of the gate.
+     */
+    getInputSum(gate) {
+        return this.inputSums[gate];
+    }
+
+    /**
+     * @param gate {Number} The gate.
+     * @return {Number} The sum of the recurrent inputs of the gate.
+     */
+    getRecurrentSum(gate) {
+        return this.recurrentSums[gate];
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getSum() {
+        return this.sum;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    list() {
+        return this.inputs;
+    }
+}
+
+module.exports = FreeformGatedSummation;
\ No newline at end of file
@@ -0,0 +1,102 @@
+const FreeformGatedNeuron = require(PATHS.FREEFORM + 'recurrent/gatedNeuron');
+const ActivationSigmoid = require(PATHS.ACTIVATION_FUNCTIONS + 'sigmoid');
+const ActivationTANH = require(PATHS.ACTIVATION_FUNCTIONS + 'tanh');
+
+const GATES = {
+    UPDATE: 0,
+    RESET: 1,
+    CANDIDATE: 2
+};
+
+/**
+ * A gated recurrent unit (GRU). The output is a mix of the previous output
+ * and of a candidate output, chosen by the update gate. The reset gate scales
+ * the recurrent inputs of the candidate:
+ *
+ * candidate = activation(inputs + reset * recurrent inputs)
+ * output = (1 - update) * candidate + update * previous output
+ *
+ * Every input of the unit feeds the three gates (UPDATE, RESET and CANDIDATE),
+ * each one through its own connection.
+ */
+class FreeformGRUNeuron extends FreeformGatedNeuron {
+
+    /**
+     * @param gateActivation {ActivationFunction} The activation function of the gates.
+     * @param theActivationFunction {ActivationFunction} The activation function of the candidate.
+     */
+    constructor(gateActivation = new ActivationSigmoid(), theActivationFunction = new ActivationTANH()) {
+        super(Object.keys(GATES).length, theActivationFunction);
+        this.gateActivation = gateActivation;
+        this.gateSums = [0, 0, 0];
+        this.gateValues = [0, 0, 0];
+    }
+
+    /**
+     * @returns {Object} The gates, the indexes of the connection gates.
+     */
+    static getGates() {
+        return GATES;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    performCalculation() {
+        const summation = this.getInputSummation();
+        summation.calculate();
+
+        for (let gate of [GATES.UPDATE, GATES.RESET]) {
+            this.gateSums[gate] = summation.getInputSum(gate) + summation.getRecurrentSum(gate);
+            this.gateValues[gate] = FreeformGatedNeuron.activate(this.gateActivation, this.gateSums[gate]);
+        }
+
+        this.gateSums[GATES.CANDIDATE] = summation.getInputSum(GATES.CANDIDATE)
+            + this.gateValues[GATES.RESET] * summation.getRecurrentSum(GATES.CANDIDATE);
+        this.gateValues[GATES.CANDIDATE] = FreeformGatedNeuron.activate(
+            summation.getActivationFunction(), this.gateSums[GATES.CANDIDATE]);
+
+        const update = this.gateValues[GATES.UPDATE];
+        this.activation = (1 - update) * this.gateValues[GATES.CANDIDATE] + update * this.previousActivation;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    getState() {
+        return {
+            sums: this.gateSums.slice(),
+            gates: this.gateValues.slice(),
+            recurrentCandidateSum: this.getInputSummation().getRecurrentSum(GATES.CANDIDATE),
+            previousActivation: this.previousActivation
+        };
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    calculateGateDeltas(state, delta, carry) {
+        const activationFunction = this.getInputSummation().getActivationFunction();
+        const sums = state.sums;
+        const gates = state.gates;
+        const outputDelta = delta + (carry == null ? 0 : carry);
+        const input = [0, 0, 0];
+        const recurrent = [0, 0, 0];
+
+        input[GATES.CANDIDATE] = outputDelta * (1 - gates[GATES.UPDATE])
+            * activationFunction.derivativeFunction(sums[GATES.CANDIDATE], gates[GATES.CANDIDATE]);
+        recurrent[GATES.CANDIDATE] = input[GATES.CANDIDATE] * gates[GATES.RESET];
+
+        input[GATES.UPDATE] = outputDelta * (state.previousActivation - gates[GATES.CANDIDATE])
+            * this.gateActivation.derivativeFunction(sums[GATES.UPDATE], gates[GATES.UPDATE]);
+        recurrent[GATES.UPDATE] = input[GATES.UPDATE];
+
+        input[GATES.RESET] = input[GATES.CANDIDATE] * state.recurrentCandidateSum
+            * this.gateActivation.derivativeFunction(sums[GATES.RESET], gates[GATES.RESET]);
+        recurrent[GATES.RESET] = input[GATES.RESET];
+
+        return {input, recurrent, carry: outputDelta * gates[GATES.UPDATE]};
+    }
+}
+
+module.exports = FreeformGRUNeuron;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const FreeformGatedNeuron = require(PATHS.FREEFORM + 'recurrent/gatedNeuron');
+const ActivationSigmoid = require(PATHS.ACTIVATION_FUNCTIONS + 'sigmoid');
+const ActivationTANH = require(PATHS.ACTIVATION_FUNCTIONS + 'tanh');
+
+const GATES = {
+    INPUT: 0,
+    FORGET: 1,
+    CELL: 2,
+    OUTPUT: 3
+};
+
+/**
+ * A long short-term memory (LSTM) cell. The cell state is updated with the
+ * input, forget and output gates:
+ *
+ * c = forget * previous c + input * cellInput
+ * output = outputGate * activation(c)
+ *
+ * Every input of the cell feeds the four gates (INPUT, FORGET, CELL and
+ * OUTPUT), each one through its own connection.
+ */
+class FreeformLSTMNeuron extends FreeformGatedNeuron {
+
+    /**
+     * @param gateActivation {ActivationFunction} The activation function of the gates.
+     * @param theActivationFunction {ActivationFunction} The activation function of the cell input and output.
+     */
+    constructor(gateActivation = new ActivationSigmoid(), theActivationFunction = new ActivationTANH()) {
+        super(Object.keys(GATES).length, theActivationFunction);
+        this.gateActivation = gateActivation;
+        this.gateSums = [0, 0, 0, 0];
+        this.gateValues = [0, 0, 0, 0];
+        this.cellState = 0;
+        this.previousCellState = 0;
+        this.cellOutput = 0;
+    }
+
+    /**
+     * @returns {Object} The gates, the indexes of the connection gates.
+     */
+    static getGates() {
+        return GATES;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    performCalculation() {
+        const summation = this.getInputSummation();
+        const activationFunction = summation.getActivationFunction();
+        summation.calculate();
+
+        for (let gate = 0; gate < this.gateValues.length; gate++) {
+            this.gateSums[gate] = summation.getInputSum(gate) + summation.getRecurrentSum(gate);
+            this.gateValues[gate] = FreeformGatedNeuron.activate(
+                gate === GATES.CELL ? activationFunction : this.gateActivation, this.gateSums[gate]);
+        }
+
+        this.cellState = this.gateValues[GATES.FORGET] * this.previousCellState
+            + this.gateValues[GATES.INPUT] * this.gateValues[GATES.CELL];
+        this.cellOutput = FreeformGatedNeuron.activate(activationFunction, this.cellState);
+        this.activation = this.gateValues[GATES.OUTPUT] * this.cellOutput;
+    }
+
+    /**
+     * @return {Number} The cell state.
+     */
+    getCellState() {
+        return this.cellState;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    clearContext() {
+        super.clearContext();
+        this.cellState = 0;
+        this.previousCellState = 0;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    updateContext() {
+        super.updateContext();
+        this.previousCellState = this.cellState;
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    getState() {
+        return {
+            sums: this.gateSums.slice(),
+            gates: this.gateValues.slice(),
+            cellState: this.cellState,
+            previousCellState: this.previousCellState,
+            cellOutput: this.cellOutput
+        };
+    }
+
+    /**
+     * {@inheritDoc}
+     */
+    calculateGateDeltas(state, delta, carry) {
+        const activationFunction = this.getInputSummation().getActivationFunction();
+        const sums = state.sums;
+        const gates = state.gates;
+        const deltas = [0, 0, 0, 0];
+
+        const cellDelta = delta * gates[GATES.OUTPUT]
+            * activationFunction.derivativeFunction(state.cellState, state.cellOutput)
+            + (carry == null ? 0 : carry);
+
+        deltas[GATES.INPUT] = cellDelta * gates[GATES.CELL]
+            * this.gateActivation.derivativeFunction(sums[GATES.INPUT], gates[GATES.INPUT]);
+        deltas[GATES.FORGET] = cellDelta * state.previousCellState
+            * this.gateActivation.derivativeFunction(sums[GATES.FORGET], gates[GATES.FORGET]);
+        deltas[GATES.CELL] = cellDelta * gates[GATES.INPUT]
+            * activationFunction.derivativeFunction(sums[GATES.CELL], gates[GATES.CELL]);
+        deltas[GATES.OUTPUT] = delta * state.cellOutput
+            * this.gateActivation.derivativeFunction(sums[GATES.OUTPUT], gates[GATES.OUTPUT]);
+
+        return {input: deltas, recurrent: deltas, carry: cellDelta * gates[GATES.FORGET]};
+    }
+}
+
+module.exports = FreeformLSTMNeuron;
\ No newline at end of file
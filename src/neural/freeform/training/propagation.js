@@ -1,24 +1,41 @@
 const BasicTraining = require(PATHS.TRAINING + 'basic');
 const ErrorCalculation = require(PATHS.ERROR_CALCULATION + 'errorCalculation');
+const SequenceDataSet = require(PATHS.NEURAL + 'sequenceDataSet');
+const FreeformContextNeuron = require(PATHS.FREEFORM + 'contextNeuron');
+const FreeformGatedNeuron = require(PATHS.FREEFORM + 'recurrent/gatedNeuron');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
 
 /**
  * Provides basic propagation functions to other trainers.
+ *
+ * When the training data is a SequenceDataSet, the network is trained
+ * through time: every sequence is processed from a cleared context, and the
+ * error of each step is propagated back through the context neurons and the
+ * state of the gated (LSTM, GRU) neurons to the beginning of the sequence.
+ * This is how the recurrent networks are trained.
  */
 class FreeformPropagationTraining extends BasicTraining {
 
     /**
      * Construct the trainer.
      * @param theNetwork {FreeformNetwork} The network to train.
-     * @param theInput {Array} The training data.
-     * @param theOutput {Array} The training data.
+     * @param theInput {Array|SequenceDataSet} The training data, or the training sequences.
+     * @param theOutput {Array} The training data, null for training sequences.
      */
     constructor(theNetwork, theInput, theOutput) {
         super();
         this.FLAT_SPOT_CONST = 0.1;
 
         this.network = theNetwork;
+        this.sequences = null;
         this.input = theInput;
         this.output = theOutput;
+        if (theInput instanceof SequenceDataSet) {
+            this.sequences = theInput;
+            this.input = theInput.getInput();
+            this.output = theInput.getOutput();
+        }
+        this.sortedNeurons = null;
         this.batchSize = 0;
         this.fixFlatSopt = true;
         this.visited = [];
@@ -98,6 +115,7 @@ class FreeformPropagationTraining extends BasicTraining {
      * {@inheritDoc}
      */
     finishTraining() {
+        super.finishTraining();
         this.network.tempTrainingClear();
     }
 
@@ -138,7 +156,9 @@ class FreeformPropagationTraining extends BasicTraining {
             this.iterationCount++;
             this.network.clearContext();
 
-            if (this.batchSize == 0) {
+            if (this.sequences != null) {
+                this.processSequences();
+            } else if (this.batchSize == 0) {
                 this.processPureBatch();
             } else {
                 this.processBatches();
@@ -152,7 +172,7 @@ class FreeformPropagationTraining extends BasicTraining {
      * Process training for pure batch mode (one single batch).
      */
     processPureBatch() {
-        const errorCalc = new ErrorCalculation();
+        const errorCalc = new ErrorCalculation(this.getErrorCalculationMode());
         this.visited = [];
         let input;
         let ideal;
@@ -187,7 +207,7 @@ class FreeformPropagationTraining extends BasicTraining {
      */
     processBatches() {
         let lastLearn = 0;
-        const errorCalc = new ErrorCalculation();
+        const errorCalc = new ErrorCalculation(this.getErrorCalculationMode());
         this.visited = [];
         let input;
         let ideal;
@@ -226,6 +246,159 @@ class FreeformPropagationTraining extends BasicTraining {
         this.setError(errorCalc.calculate());
     }
 
+    /**
+     * Process training sequences, the weights are learned after every batch of
+     * sequences (all the sequences when the batch size is 0).
+     */
+    processSequences() {
+        const errorCalc = new ErrorCalculation(this.getErrorCalculationMode());
+        let lastLearn = 0;
+
+        for (let sequence of this.sequences.getSequences()) {
+            this.processSequence(sequence, errorCalc);
+
+            lastLearn++;
+            if (this.batchSize > 0 && lastLearn >= this.batchSize) {
+                lastLearn = 0;
+                this.learn();
+            }
+        }
+
+        // Handle any remaining data.
+        if (lastLearn > 0) {
+            this.learn();
+        }
+
+        // Set the overall error.
+        this.setError(errorCalc.calculate());
+    }
+
+    /**
+     * Calculate the gradients of one sequence (backpropagation through time).
+     * The gradients are added to the connections.
+     *
+     * @param sequence {Object} The sequence, with the input and output of every step.
+     * @param errorCalc {ErrorCalculation} The error calculation to update.
+     */
+    processSequence(sequence, errorCalc) {
+        const neurons = this.getSortedNeurons();
+        const index = new Map();
+        const steps = [];
+
+        neurons.forEach((neuron, i) => {
+            index.set(neuron, i);
+        });
+
+        // forward, remember the values of every neuron at every step
+        this.network.clearContext();
+        for (let t = 0; t < sequence.input.length; t++) {
+            const actual = this.network.calculateOutput(sequence.input[t]);
+            errorCalc.updateError(actual, sequence.output[t], 1);
+
+            steps.push({
+                actual,
+                activations: neurons.map((neuron) => neuron.getActivation()),
+                sums: neurons.map((neuron) => neuron.getSum()),
+                states: neurons.map((neuron) => (neuron instanceof FreeformGatedNeuron ? neuron.getState() : null))
+            });
+            this.network.updateContext();
+        }
+
+        // backward, from the last step to the first one
+        const deltas = steps.map(() => ArrayUtils.newFloatArray(neurons.length));
+        const carry = neurons.map(() => null);
+        const outputNeurons = this.network.getOutputLayer().getNeurons();
+
+        for (let t = steps.length - 1; t >= 0; t--) {
+            const step = steps[t];
+            const delta = deltas[t];
+
+            for (let i = 0; i < this.network.getOutputCount(); i++) {
+                delta[index.get(outputNeurons[i])] += sequence.output[t][i] - step.actual[i];
+            }
+
+            // the neurons are sorted from the inputs to the outputs
+            for (let k = neurons.length - 1; k >= 0; k--) {
+                const neuron = neurons[k];
+                const summation = neuron.getInputSummation();
+
+                if (neuron instanceof FreeformContextNeuron) {
+                    // the context is the value of its source at the previous step
+                    if (t > 0 && index.has(neuron.getContextSource())) {
+                        deltas[t - 1][index.get(neuron.getContextSource())] += delta[k];
+                    }
+                } else if (neuron instanceof FreeformGatedNeuron) {
+                    const gateDeltas = neuron.calculateGateDeltas(step.states[k], delta[k], carry[k]);
+                    carry[k] = gateDeltas.carry;
+
+                    for (let gate = 0; gate < summation.getGateCount(); gate++) {
+                        for (let connection of summation.getGate(gate)) {
+                            const gateDelta = connection.isRecurrent() ? gateDeltas.recurrent[gate] : gateDeltas.input[gate];
+                            this.calculateConnectionGradient(connection, gateDelta, step, delta, index);
+                        }
+                    }
+                } else if (summation != null) {
+                    const activationFunction = summation.getActivationFunction();
+                    let deriv = activationFunction.derivativeFunction(step.sums[k], step.activations[k]);
+                    if (this.fixFlatSopt && (activationFunction.constructor.name === 'ActivationSigmoid')) {
+                        deriv += this.FLAT_SPOT_CONST;
+                    }
+
+                    for (let connection of summation.list()) {
+                        this.calculateConnectionGradient(connection, delta[k] * deriv, step, delta, index);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Add the gradient of a connection for one step, and propagate the delta
+     * of its target to its source.
+     *
+     * @param connection {FreeformConnection} The connection.
+     * @param targetDelta {Number} The delta of the target sum.
+     * @param step {Object} The values of the neurons at this step.
+     * @param delta {Array} The deltas of the neuron outputs at this step.
+     * @param index {Map} The index of every neuron.
+     */
+    calculateConnectionGradient(connection, targetDelta, step, delta, index) {
+        const source = index.get(connection.getSource());
+        connection.addTempTraining(0, targetDelta * step.activations[source]);
+        delta[source] += targetDelta * connection.getWeight();
+    }
+
+    /**
+     * @return {Array} The neurons of the network, every neuron after the neurons
+     *         that feed it.
+     */
+    getSortedNeurons() {
+        if (this.sortedNeurons == null) {
+            const visited = new Set();
+            const result = [];
+            const visit = (neuron) => {
+                if (visited.has(neuron)) {
+                    return;
+                }
+                visited.add(neuron);
+
+                if (neuron.getInputSummation() != null) {
+                    for (let connection of neuron.getInputSummation().list()) {
+                        visit(connection.getSource());
+                    }
+                }
+                result.push(neuron);
+            };
+
+            for (let neuron of this.network.getOutputLayer().getNeurons()) {
+                visit(neuron);
+            }
+            this.sortedNeurons = result;
+        }
+
+        return this.sortedNeurons;
+    }
+
     /**
      * Learn for the entire network.
      */
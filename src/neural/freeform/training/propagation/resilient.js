@@ -45,7 +45,7 @@ class FreeformResilientPropagation extends FreeformPropagationTraining {
         if (change > 0) {
             let delta = connection.getTempTraining(CONFIGS.TEMP_UPDATE) * RPROPConst.POSITIVE_ETA;
             delta = Math.min(delta, this.maxStep);
-            weightChange = EncogMath.sign(connection.getTempTraining(FreeformResilientPropagation.TEMP_GRADIENT)) * delta;
+            weightChange = EncogMath.sign(connection.getTempTraining(CONFIGS.TEMP_GRADIENT)) * delta;
             connection.setTempTraining(CONFIGS.TEMP_UPDATE, delta);
             connection.setTempTraining(CONFIGS.TEMP_LAST_GRADIENT, connection.getTempTraining(CONFIGS.TEMP_GRADIENT));
         } else if (change < 0) {
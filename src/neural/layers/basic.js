@@ -20,12 +20,14 @@ class BasicLayer extends FlatLayer {
      *            The bias activation.
      * @param dropoutRate {number}
      *              The dropout rate for this layer
+     * @param batchNormalization {boolean}
+     *              True to normalize the sums of this layer before the activation.
      */
-    constructor(activation, hasBias, neuronCount, dropoutRate = 0) {
+    constructor(activation, hasBias, neuronCount, dropoutRate = 0, batchNormalization = false) {
         if (arguments.length === 1) {
             super(new ActivationSigmoid(), arguments[0], 1.0);
         } else {
-            super(activation, neuronCount, hasBias ? 1.0 : 0.0, dropoutRate);
+            super(activation, neuronCount, hasBias ? 1.0 : 0.0, dropoutRate, batchNormalization);
         }
         this.network = null;
     }
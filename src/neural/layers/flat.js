@@ -14,13 +14,23 @@ class FlatLayer {
      *            The bias activation.
      * @param dropoutRate {Number}
      *              The dropout rate for this layer
+     * @param batchNormalization {Boolean}
+     *              True to normalize the sums of this layer before the activation.
      */
-    constructor(activation, count, biasActivation = 0, dropoutRate = 0) {
+    constructor(activation, count, biasActivation = 0, dropoutRate = 0, batchNormalization = false) {
         this.activation = activation;
         this.count = count;
         this.biasActivation = biasActivation;
         this.contextFedBy = null;
         this.dropoutRate = dropoutRate;
+        this.batchNormalization = batchNormalization;
+    }
+
+    /**
+     * @return {Boolean} True if the sums of this layer are batch normalized.
+     */
+    hasBatchNormalization() {
+        return this.batchNormalization;
     }
 
     /**
@@ -0,0 +1,55 @@
+const NEATGenome = require(PATHS.NEAT + 'genome');
+
+/**
+ * The probability for a gene that is disabled in one of the parents to be
+ * disabled in the child.
+ */
+const DISABLED_GENE_RATE = 0.75;
+
+/**
+ * NEAT crossover. The link genes of the two parents are aligned by innovation
+ * id. The child inherits the structure of the fitter parent: its disjoint and
+ * excess genes, and the matching genes, whose weight is randomly taken from
+ * either parent.
+ */
+class NEATCrossover {
+    /**
+     * @param fitter {NEATGenome}
+     *            The parent with the best score.
+     * @param other {NEATGenome}
+     *            The other parent.
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     * @return {NEATGenome} The child.
+     */
+    crossover(fitter, other, random) {
+        const otherLinks = {};
+        for (let link of other.getLinks()) {
+            otherLinks[link.getInnovationId()] = link;
+        }
+
+        const links = fitter.getLinks().map((fitterLink) => {
+            const otherLink = otherLinks[fitterLink.getInnovationId()];
+
+            if (!otherLink) {
+                return fitterLink.clone();
+            }
+
+            const child = random.nextBoolean() ? fitterLink.clone() : otherLink.clone();
+            if (!fitterLink.isEnabled() || !otherLink.isEnabled()) {
+                child.setEnabled(random.nextDouble() >= DISABLED_GENE_RATE);
+            }
+            return child;
+        });
+
+        const child = new NEATGenome(
+            fitter.getNeurons().map((neuron) => neuron.clone()),
+            links,
+            fitter.getInputCount(),
+            fitter.getOutputCount());
+        child.sortGenes();
+        return child;
+    }
+}
+
+module.exports = NEATCrossover;
\ No newline at end of file
@@ -0,0 +1,207 @@
+const NEATNeuronGene = require(PATHS.NEAT + 'neuronGene');
+const NEATLinkGene = require(PATHS.NEAT + 'linkGene');
+
+const NEURON_TYPES = NEATNeuronGene.getNeuronTypes();
+
+/**
+ * Implements a NEAT genome. This is a "blueprint" for creating a neural
+ * network, a NEATNetwork.
+ *
+ * The neurons are sorted by id: the input neurons come first, followed by the
+ * bias neuron, the output neurons and the hidden neurons. The links are sorted
+ * by innovation id. The links are always feedforward, they never create a
+ * cycle.
+ */
+class NEATGenome {
+    /**
+     * @param neurons {Array}
+     *            The neuron genes.
+     * @param links {Array}
+     *            The link genes.
+     * @param inputCount {number}
+     *            The input count.
+     * @param outputCount {number}
+     *            The output count.
+     */
+    constructor(neurons = [], links = [], inputCount = 0, outputCount = 0) {
+        this.neurons = neurons;
+        this.links = links;
+        this.inputCount = inputCount;
+        this.outputCount = outputCount;
+        this.score = null;
+        this.species = null;
+        this.network = null;
+    }
+
+    /**
+     * Create a genome with the input and bias neurons fully connected to the
+     * output neurons, with random weights.
+     *
+     * @param population {NEATPopulation}
+     *            The population the genome belongs to.
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     * @return {NEATGenome}
+     */
+    static createInitial(population, random) {
+        const inputCount = population.getInputCount();
+        const outputCount = population.getOutputCount();
+        const neurons = [];
+        const links = [];
+
+        for (let i = 0; i < inputCount; i++) {
+            neurons.push(new NEATNeuronGene(NEURON_TYPES.INPUT, i));
+        }
+        neurons.push(new NEATNeuronGene(NEURON_TYPES.BIAS, inputCount));
+        for (let i = 0; i < outputCount; i++) {
+            neurons.push(new NEATNeuronGene(NEURON_TYPES.OUTPUT, inputCount + 1 + i));
+        }
+
+        for (let from = 0; from <= inputCount; from++) {
+            for (let to = inputCount + 1; to <= inputCount + outputCount; to++) {
+                links.push(new NEATLinkGene(from, to, true,
+                    population.getInnovations().findLinkInnovation(from, to),
+                    population.randomWeight(random)));
+            }
+        }
+
+        const genome = new NEATGenome(neurons, links, inputCount, outputCount);
+        genome.sortGenes();
+        return genome;
+    }
+
+    /**
+     * Sort the neurons by id and the links by innovation id.
+     */
+    sortGenes() {
+        this.neurons.sort((a, b) => a.getId() - b.getId());
+        this.links.sort((a, b) => a.getInnovationId() - b.getInnovationId());
+    }
+
+    /**
+     * @param id {number}
+     * @return {NEATNeuronGene} The neuron with the id, null if there is none.
+     */
+    findNeuron(id) {
+        return this.neurons.find((neuron) => neuron.getId() === id) || null;
+    }
+
+    /**
+     * @param fromNeuronId {number}
+     * @param toNeuronId {number}
+     * @return {Boolean} True if the genome has a link, enabled or not, between the two neurons.
+     */
+    hasLink(fromNeuronId, toNeuronId) {
+        return this.links.some((link) => link.getFromNeuronId() === fromNeuronId && link.getToNeuronId() === toNeuronId);
+    }
+
+    /**
+     * @param fromNeuronId {number}
+     * @param toNeuronId {number}
+     * @return {Boolean} True if a link from the first neuron to the second one would create a cycle.
+     */
+    createsCycle(fromNeuronId, toNeuronId) {
+        const visited = new Set();
+        const stack = [toNeuronId];
+
+        while (stack.length > 0) {
+            const id = stack.pop();
+
+            if (id === fromNeuronId) {
+                return true;
+            }
+            if (!visited.has(id)) {
+                visited.add(id);
+                for (let link of this.links) {
+                    if (link.getFromNeuronId() === id) {
+                        stack.push(link.getToNeuronId());
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @return {Array} The neuron genes.
+     */
+    getNeurons() {
+        return this.neurons;
+    }
+
+    /**
+     * @return {Array} The link genes.
+     */
+    getLinks() {
+        return this.links;
+    }
+
+    /**
+     * @return {number} The input count.
+     */
+    getInputCount() {
+        return this.inputCount;
+    }
+
+    /**
+     * @return {number} The output count.
+     */
+    getOutputCount() {
+        return this.outputCount;
+    }
+
+    /**
+     * @return {number} The score, null if the genome was not scored yet.
+     */
+    getScore() {
+        return this.score;
+    }
+
+    /**
+     * @param score {number}
+     */
+    setScore(score) {
+        this.score = score;
+    }
+
+    /**
+     * @return {NEATSpecies} The species of the genome.
+     */
+    getSpecies() {
+        return this.species;
+    }
+
+    /**
+     * @param species {NEATSpecies}
+     */
+    setSpecies(species) {
+        this.species = species;
+    }
+
+    /**
+     * @return {NEATNetwork} The network decoded from this genome, once it was scored.
+     */
+    getNetwork() {
+        return this.network;
+    }
+
+    /**
+     * @param network {NEATNetwork}
+     */
+    setNetwork(network) {
+        this.network = network;
+    }
+
+    /**
+     * @return {NEATGenome} A copy of the genes of this genome, the score is not copied.
+     */
+    clone() {
+        return new NEATGenome(
+            this.neurons.map((neuron) => neuron.clone()),
+            this.links.map((link) => link.clone()),
+            this.inputCount,
+            this.outputCount);
+    }
+}
+
+module.exports = NEATGenome;
\ No newline at end of file
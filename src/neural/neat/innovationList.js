@@ -0,0 +1,65 @@
+/**
+ * Tracks the innovations of a NEAT population. When two genomes get the same
+ * structural mutation, the new genes get the same innovation ids, so that they
+ * can be matched by crossover and speciation.
+ *
+ * A new link is identified by the neurons it connects. A new neuron is
+ * identified by the link it splits, it gets the same neuron id and its two
+ * links the same innovation ids in every genome.
+ */
+class NEATInnovationList {
+    /**
+     * @param neuronCount {number}
+     *            The number of neurons of the initial genomes (input, bias and output).
+     */
+    constructor(neuronCount) {
+        this.nextNeuronId = neuronCount;
+        this.nextInnovationId = 0;
+        this.links = {};
+        this.splits = {};
+    }
+
+    /**
+     * @param fromNeuronId {number}
+     * @param toNeuronId {number}
+     * @return {number} The innovation id of the link between the two neurons.
+     */
+    findLinkInnovation(fromNeuronId, toNeuronId) {
+        const key = fromNeuronId + ':' + toNeuronId;
+
+        if (!this.links.hasOwnProperty(key)) {
+            this.links[key] = this.nextInnovationId++;
+        }
+        return this.links[key];
+    }
+
+    /**
+     * @param link {NEATLinkGene}
+     *            The link that is split.
+     * @return {Object} The innovation of the split: the id of the new neuron
+     *         (neuronId) and the innovation ids of the links to it (inInnovationId)
+     *         and from it (outInnovationId).
+     */
+    findSplitInnovation(link) {
+        const key = link.getInnovationId();
+
+        if (!this.splits.hasOwnProperty(key)) {
+            const neuronId = this.nextNeuronId++;
+            this.splits[key] = {
+                neuronId: neuronId,
+                inInnovationId: this.findLinkInnovation(link.getFromNeuronId(), neuronId),
+                outInnovationId: this.findLinkInnovation(neuronId, link.getToNeuronId())
+            };
+        }
+        return this.splits[key];
+    }
+
+    /**
+     * @return {number} The number of link innovations.
+     */
+    getInnovationCount() {
+        return this.nextInnovationId;
+    }
+}
+
+module.exports = NEATInnovationList;
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Implements a NEAT link gene. A link gene connects two neurons, it is
+ * identified by the innovation that created it, so that the same link can be
+ * matched in different genomes.
+ */
+class NEATLinkGene {
+    /**
+     * @param fromNeuronId {number}
+     *            The source neuron.
+     * @param toNeuronId {number}
+     *            The target neuron.
+     * @param enabled {Boolean}
+     *            Is this link enabled.
+     * @param innovationId {number}
+     *            The innovation id.
+     * @param weight {number}
+     *            The weight.
+     */
+    constructor(fromNeuronId, toNeuronId, enabled, innovationId, weight) {
+        this.fromNeuronId = fromNeuronId;
+        this.toNeuronId = toNeuronId;
+        this.enabled = enabled;
+        this.innovationId = innovationId;
+        this.weight = weight;
+    }
+
+    /**
+     * @return {number} The source neuron.
+     */
+    getFromNeuronId() {
+        return this.fromNeuronId;
+    }
+
+    /**
+     * @return {number} The target neuron.
+     */
+    getToNeuronId() {
+        return this.toNeuronId;
+    }
+
+    /**
+     * @return {number} The innovation id.
+     */
+    getInnovationId() {
+        return this.innovationId;
+    }
+
+    /**
+     * @return {number} The weight.
+     */
+    getWeight() {
+        return this.weight;
+    }
+
+    /**
+     * @param weight {number}
+     */
+    setWeight(weight) {
+        this.weight = weight;
+    }
+
+    /**
+     * @return {Boolean} True if this link is enabled.
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * @param enabled {Boolean}
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * @return {NEATLinkGene} A copy of this gene.
+     */
+    clone() {
+        return new NEATLinkGene(this.fromNeuronId, this.toNeuronId, this.enabled, this.innovationId, this.weight);
+    }
+}
+
+module.exports = NEATLinkGene;
\ No newline at end of file
@@ -0,0 +1,52 @@
+const NEATNeuronGene = require(PATHS.NEAT + 'neuronGene');
+const NEATLinkGene = require(PATHS.NEAT + 'linkGene');
+
+const NEURON_TYPES = NEATNeuronGene.getNeuronTypes();
+
+/**
+ * Add a link between two neurons of a NEAT genome that are not connected yet.
+ * The links go from an input, the bias or a hidden neuron to a hidden or an
+ * output neuron, and they never create a cycle, so that the network remains
+ * feedforward.
+ */
+class NEATMutateAddLink {
+    /**
+     * @param maxAttempts {number}
+     *            The number of random neuron pairs tried before giving up.
+     */
+    constructor(maxAttempts = 20) {
+        this.maxAttempts = maxAttempts;
+    }
+
+    /**
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     * @param genome {NEATGenome}
+     *            The genome to mutate.
+     * @param population {NEATPopulation}
+     *            The population, which tracks the innovations.
+     * @return {Boolean} True if a link was added.
+     */
+    mutate(random, genome, population) {
+        const sources = genome.getNeurons().filter((neuron) => neuron.getNeuronType() !== NEURON_TYPES.OUTPUT);
+        const targets = genome.getNeurons().filter((neuron) =>
+            neuron.getNeuronType() === NEURON_TYPES.HIDDEN || neuron.getNeuronType() === NEURON_TYPES.OUTPUT);
+
+        for (let attempt = 0; attempt < this.maxAttempts; attempt++) {
+            const from = sources[random.nextInt(sources.length)].getId();
+            const to = targets[random.nextInt(targets.length)].getId();
+
+            if (from !== to && !genome.hasLink(from, to) && !genome.createsCycle(from, to)) {
+                genome.getLinks().push(new NEATLinkGene(from, to, true,
+                    population.getInnovations().findLinkInnovation(from, to),
+                    population.randomWeight(random)));
+                genome.sortGenes();
+                return true;
+            }
+        }
+
+        return false;
+    }
+}
+
+module.exports = NEATMutateAddLink;
\ No newline at end of file
@@ -0,0 +1,46 @@
+const NEATNeuronGene = require(PATHS.NEAT + 'neuronGene');
+const NEATLinkGene = require(PATHS.NEAT + 'linkGene');
+
+/**
+ * Add a hidden neuron to a NEAT genome. A random enabled link is split: it is
+ * disabled and replaced by a link to the new neuron, whose weight is 1, and a
+ * link from the new neuron, with the weight of the old link.
+ */
+class NEATMutateAddNode {
+    /**
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     * @param genome {NEATGenome}
+     *            The genome to mutate.
+     * @param population {NEATPopulation}
+     *            The population, which tracks the innovations.
+     * @return {Boolean} True if a neuron was added.
+     */
+    mutate(random, genome, population) {
+        const candidates = genome.getLinks().filter((link) => link.isEnabled());
+
+        if (candidates.length === 0) {
+            return false;
+        }
+
+        const link = candidates[random.nextInt(candidates.length)];
+        const innovation = population.getInnovations().findSplitInnovation(link);
+
+        // the same link was already split in this genome
+        if (genome.findNeuron(innovation.neuronId) !== null) {
+            return false;
+        }
+
+        link.setEnabled(false);
+        genome.getNeurons().push(new NEATNeuronGene(NEATNeuronGene.getNeuronTypes().HIDDEN, innovation.neuronId));
+        genome.getLinks().push(new NEATLinkGene(link.getFromNeuronId(), innovation.neuronId, true,
+            innovation.inInnovationId, 1));
+        genome.getLinks().push(new NEATLinkGene(innovation.neuronId, link.getToNeuronId(), true,
+            innovation.outInnovationId, link.getWeight()));
+        genome.sortGenes();
+
+        return true;
+    }
+}
+
+module.exports = NEATMutateAddNode;
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Mutate the weights of a NEAT genome. Every link is either perturbed by a
+ * uniform random amount or, more rarely, replaced by a new random weight. The
+ * weights are kept within the weight range of the population.
+ */
+class NEATMutateWeights {
+    /**
+     * @param perturbAmount {number}
+     *            The largest perturbation of a weight.
+     * @param replaceRate {number}
+     *            The probability for a weight to be replaced instead of perturbed.
+     */
+    constructor(perturbAmount = 0.5, replaceRate = 0.1) {
+        this.perturbAmount = perturbAmount;
+        this.replaceRate = replaceRate;
+    }
+
+    /**
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     * @param genome {NEATGenome}
+     *            The genome to mutate.
+     * @param population {NEATPopulation}
+     *            The population, which defines the weight range.
+     * @return {Boolean} True, the weights are always mutated.
+     */
+    mutate(random, genome, population) {
+        for (let link of genome.getLinks()) {
+            if (random.nextDouble() < this.replaceRate) {
+                link.setWeight(population.randomWeight(random));
+            } else {
+                const delta = (random.nextDouble() * 2 - 1) * this.perturbAmount;
+                link.setWeight(population.clampWeight(link.getWeight() + delta));
+            }
+        }
+
+        return true;
+    }
+}
+
+module.exports = NEATMutateWeights;
\ No newline at end of file
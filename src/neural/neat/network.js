@@ -0,0 +1,76 @@
+const FreeformNetwork = require(PATHS.FREEFORM + 'network');
+const BasicFreeformNeuron = require(PATHS.FREEFORM + 'basic/neuron');
+const BasicActivationSummation = require(PATHS.FREEFORM + 'basic/activationSummation');
+const BasicFreeformConnection = require(PATHS.FREEFORM + 'basic/connection');
+const BasicFreeformLayer = require(PATHS.FREEFORM + 'basic/layer');
+const NEATNeuronGene = require(PATHS.NEAT + 'neuronGene');
+
+const NEURON_TYPES = NEATNeuronGene.getNeuronTypes();
+
+/**
+ * The phenotype of a NEAT genome, a freeform network. Every input, hidden and
+ * output neuron of the genome is a freeform neuron and every enabled link a
+ * freeform connection. The input layer holds the input neurons and the bias
+ * neuron, the output layer the output neurons.
+ */
+class NEATNetwork extends FreeformNetwork {
+    /**
+     * @param genome {NEATGenome}
+     *            The genome to decode.
+     * @param activationFunction {ActivationFunction}
+     *            The activation function of the hidden and output neurons.
+     */
+    constructor(genome, activationFunction) {
+        super();
+
+        this.genome = genome;
+        this.inputLayer = new BasicFreeformLayer();
+        this.outputLayer = new BasicFreeformLayer();
+
+        const neurons = {};
+        for (let gene of genome.getNeurons()) {
+            let neuron;
+
+            switch (gene.getNeuronType()) {
+                case NEURON_TYPES.INPUT:
+                    neuron = new BasicFreeformNeuron(null);
+                    this.inputLayer.add(neuron);
+                    break;
+                case NEURON_TYPES.BIAS:
+                    neuron = new BasicFreeformNeuron(null);
+                    neuron.setBias(true);
+                    neuron.setActivation(1);
+                    this.inputLayer.add(neuron);
+                    break;
+                case NEURON_TYPES.OUTPUT:
+                    neuron = new BasicFreeformNeuron(new BasicActivationSummation(activationFunction));
+                    this.outputLayer.add(neuron);
+                    break;
+                default:
+                    neuron = new BasicFreeformNeuron(new BasicActivationSummation(activationFunction));
+            }
+            neurons[gene.getId()] = neuron;
+        }
+
+        for (let link of genome.getLinks()) {
+            if (link.isEnabled()) {
+                const source = neurons[link.getFromNeuronId()];
+                const target = neurons[link.getToNeuronId()];
+                const connection = new BasicFreeformConnection(source, target);
+
+                connection.setWeight(link.getWeight());
+                source.addOutput(connection);
+                target.addInput(connection);
+            }
+        }
+    }
+
+    /**
+     * @return {NEATGenome} The genome this network was decoded from.
+     */
+    getGenome() {
+        return this.genome;
+    }
+}
+
+module.exports = NEATNetwork;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const NEURON_TYPES = {
+    INPUT: 'input',
+    BIAS: 'bias',
+    HIDDEN: 'hidden',
+    OUTPUT: 'output'
+};
+
+/**
+ * Implements a NEAT neuron gene. A neuron gene only holds the id and the type
+ * of the neuron, the connections are held by the link genes.
+ */
+class NEATNeuronGene {
+    /**
+     * @param type {String}
+     *            The neuron type, see getNeuronTypes.
+     * @param id {number}
+     *            The neuron id.
+     */
+    constructor(type, id) {
+        this.type = type;
+        this.id = id;
+    }
+
+    /**
+     * @returns {Object} The neuron types.
+     */
+    static getNeuronTypes() {
+        return NEURON_TYPES;
+    }
+
+    /**
+     * @return {number} The neuron id.
+     */
+    getId() {
+        return this.id;
+    }
+
+    /**
+     * @return {String} The neuron type.
+     */
+    getNeuronType() {
+        return this.type;
+    }
+
+    /**
+     * @return {NEATNeuronGene} A copy of this gene.
+     */
+    clone() {
+        return new NEATNeuronGene(this.type, this.id);
+    }
+}
+
+module.exports = NEATNeuronGene;
\ No newline at end of file
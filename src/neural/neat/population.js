@@ -0,0 +1,192 @@
+const NEATGenome = require(PATHS.NEAT + 'genome');
+const NEATInnovationList = require(PATHS.NEAT + 'innovationList');
+const ActivationSteepenedSigmoid = require(PATHS.ACTIVATION_FUNCTIONS + 'steepenedSigmoid');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
+const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+
+/**
+ * A population of NEAT genomes, with the innovations they share and the
+ * parameters of the evolution. The genomes start with no hidden neuron, the
+ * structure grows through add-node and add-link mutations.
+ */
+class NEATPopulation {
+    /**
+     * @param inputCount {number}
+     *            The input count.
+     * @param outputCount {number}
+     *            The output count.
+     * @param populationSize {number}
+     *            The number of genomes.
+     */
+    constructor(inputCount, outputCount, populationSize = 150) {
+        if (inputCount < 1 || outputCount < 1) {
+            throw new NeuralNetworkError("A NEAT population needs at least one input and one output.");
+        }
+
+        this.inputCount = inputCount;
+        this.outputCount = outputCount;
+        this.populationSize = populationSize;
+        this.activationFunction = new ActivationSteepenedSigmoid();
+
+        /**
+         * The weights are kept between -weightRange and weightRange.
+         */
+        this.weightRange = 5;
+        /**
+         * Two genomes whose compatibility distance is below the threshold belong to the same species.
+         */
+        this.compatibilityThreshold = 3;
+        /**
+         * The weight of the excess genes in the compatibility distance.
+         */
+        this.excessCoefficient = 1;
+        /**
+         * The weight of the disjoint genes in the compatibility distance.
+         */
+        this.disjointCoefficient = 1;
+        /**
+         * The weight of the mean weight difference of the matching genes in the compatibility distance.
+         */
+        this.matchedCoefficient = 0.4;
+        /**
+         * The ratio of the best genomes of every species that can be parents.
+         */
+        this.survivalRate = 0.2;
+        /**
+         * The probability for a child to be the crossover of two parents, instead of a copy of one.
+         */
+        this.crossoverRate = 0.75;
+        /**
+         * The probability of an add-node mutation.
+         */
+        this.addNodeRate = 0.03;
+        /**
+         * The probability of an add-link mutation.
+         */
+        this.addLinkRate = 0.05;
+        /**
+         * The probability of a weight mutation.
+         */
+        this.weightMutationRate = 0.8;
+        /**
+         * The species whose best score did not improve for this number of generations get no offspring.
+         */
+        this.maxGensNoImprovement = 15;
+
+        this.genomes = [];
+        this.species = [];
+        this.innovations = null;
+    }
+
+    /**
+     * Create the initial genomes, the inputs and the bias being fully connected to the outputs.
+     *
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     */
+    reset(random = RandomFactory.factor()) {
+        this.innovations = new NEATInnovationList(this.inputCount + this.outputCount + 1);
+        this.species = [];
+        this.genomes = [];
+
+        for (let i = 0; i < this.populationSize; i++) {
+            this.genomes.push(NEATGenome.createInitial(this, random));
+        }
+    }
+
+    /**
+     * @param random {MersenneTwisterGenerateRandom}
+     * @return {number} A random weight, between -weightRange and weightRange.
+     */
+    randomWeight(random) {
+        return (random.nextDouble() * 2 - 1) * this.weightRange;
+    }
+
+    /**
+     * @param weight {number}
+     * @return {number} The weight, clamped between -weightRange and weightRange.
+     */
+    clampWeight(weight) {
+        return Math.max(-this.weightRange, Math.min(this.weightRange, weight));
+    }
+
+    /**
+     * @return {number} The input count.
+     */
+    getInputCount() {
+        return this.inputCount;
+    }
+
+    /**
+     * @return {number} The output count.
+     */
+    getOutputCount() {
+        return this.outputCount;
+    }
+
+    /**
+     * @return {number} The number of genomes.
+     */
+    getPopulationSize() {
+        return this.populationSize;
+    }
+
+    /**
+     * @return {Array} The genomes of the current generation.
+     */
+    getGenomes() {
+        return this.genomes;
+    }
+
+    /**
+     * @param genomes {Array}
+     */
+    setGenomes(genomes) {
+        this.genomes = genomes;
+    }
+
+    /**
+     * @return {Array} The species of the current generation.
+     */
+    getSpecies() {
+        return this.species;
+    }
+
+    /**
+     * @return {NEATInnovationList} The innovations.
+     */
+    getInnovations() {
+        return this.innovations;
+    }
+
+    /**
+     * @return {ActivationFunction} The activation function of the hidden and output neurons.
+     */
+    getActivationFunction() {
+        return this.activationFunction;
+    }
+
+    /**
+     * @param activationFunction {ActivationFunction}
+     *            The activation function of the hidden and output neurons.
+     */
+    setActivationFunction(activationFunction) {
+        this.activationFunction = activationFunction;
+    }
+
+    /**
+     * @return {number} The compatibility threshold.
+     */
+    getCompatibilityThreshold() {
+        return this.compatibilityThreshold;
+    }
+
+    /**
+     * @param compatibilityThreshold {number}
+     */
+    setCompatibilityThreshold(compatibilityThreshold) {
+        this.compatibilityThreshold = compatibilityThreshold;
+    }
+}
+
+module.exports = NEATPopulation;
\ No newline at end of file
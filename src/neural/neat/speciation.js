@@ -0,0 +1,139 @@
+const _ = require('lodash');
+const NEATSpecies = require(PATHS.NEAT + 'species');
+
+/**
+ * Genomes with fewer genes than this are not normalized by their size in the
+ * compatibility distance.
+ */
+const NORMALIZATION_THRESHOLD = 20;
+
+/**
+ * Divides the genomes of a NEAT population into species, using the
+ * compatibility distance of Stanley and Miikkulainen:
+ *
+ * distance = c1 * E / N + c2 * D / N + c3 * W
+ *
+ * E and D are the number of excess and disjoint genes, W is the mean weight
+ * difference of the matching genes and N is the number of genes of the larger
+ * genome.
+ */
+class NEATSpeciation {
+    /**
+     * @param population {NEATPopulation}
+     *            The population whose genomes are divided into species.
+     */
+    constructor(population) {
+        this.population = population;
+        this.nextSpeciesId = 0;
+    }
+
+    /**
+     * @param genome1 {NEATGenome}
+     * @param genome2 {NEATGenome}
+     * @return {number} The compatibility distance of the two genomes.
+     */
+    getCompatibilityScore(genome1, genome2) {
+        const links1 = genome1.getLinks();
+        const links2 = genome2.getLinks();
+        let i1 = 0;
+        let i2 = 0;
+        let disjoint = 0;
+        let matched = 0;
+        let weightDifference = 0;
+
+        while (i1 < links1.length && i2 < links2.length) {
+            const id1 = links1[i1].getInnovationId();
+            const id2 = links2[i2].getInnovationId();
+
+            if (id1 === id2) {
+                weightDifference += Math.abs(links1[i1].getWeight() - links2[i2].getWeight());
+                matched++;
+                i1++;
+                i2++;
+            } else if (id1 < id2) {
+                disjoint++;
+                i1++;
+            } else {
+                disjoint++;
+                i2++;
+            }
+        }
+
+        const excess = (links1.length - i1) + (links2.length - i2);
+        let size = Math.max(links1.length, links2.length);
+        if (size < NORMALIZATION_THRESHOLD) {
+            size = 1;
+        }
+
+        let result = (this.population.excessCoefficient * excess / size)
+            + (this.population.disjointCoefficient * disjoint / size);
+        if (matched > 0) {
+            result += this.population.matchedCoefficient * weightDifference / matched;
+        }
+        return result;
+    }
+
+    /**
+     * Divide the genomes into species. A genome joins the first species whose
+     * leader is compatible with it, or creates a new species. The species
+     * left without genome are removed.
+     *
+     * @param genomes {Array}
+     *            The scored genomes.
+     * @param minimize {Boolean}
+     *            True if the best genomes have the lowest scores.
+     */
+    speciate(genomes, minimize = true) {
+        const speciesList = this.population.getSpecies();
+
+        for (let species of speciesList) {
+            species.members = [];
+        }
+
+        for (let genome of genomes) {
+            let target = speciesList.find((species) =>
+                this.getCompatibilityScore(genome, species.getLeader()) < this.population.getCompatibilityThreshold());
+
+            if (!target) {
+                target = new NEATSpecies(this.nextSpeciesId++, genome);
+                speciesList.push(target);
+            }
+            target.add(genome);
+        }
+
+        _.remove(speciesList, (species) => species.getMembers().length === 0);
+
+        for (let species of speciesList) {
+            const members = species.getMembers();
+            members.sort((a, b) => NEATSpeciation.compareScores(a.getScore(), b.getScore(), minimize));
+            species.setLeader(members[0]);
+            species.age++;
+
+            if (species.bestScore === null
+                || NEATSpeciation.compareScores(members[0].getScore(), species.bestScore, minimize) < 0) {
+                species.bestScore = members[0].getScore();
+                species.gensNoImprovement = 0;
+            } else {
+                species.gensNoImprovement++;
+            }
+        }
+    }
+
+    /**
+     * @param a {number}
+     * @param b {number}
+     * @param minimize {Boolean}
+     * @return {number} A negative number if the first score is better, a positive one if it is worse, 0 otherwise.
+     */
+    static compareScores(a, b, minimize) {
+        if (a === b) {
+            return 0;
+        }
+        if (minimize) {
+            return a < b ? -1 : 1;
+        }
+        return a > b ? -1 : 1;
+    }
+}
+
+module.exports = NEATSpeciation;
\ No newline at end of file
@@ -0,0 +1,80 @@
+/**
+ * A NEAT species, a group of genomes that are compatible with each other. The
+ * genomes of a species compete with each other, so that new structures get the
+ * time to optimize their weights before competing with the whole population.
+ */
+class NEATSpecies {
+    /**
+     * @param id {number}
+     *            The species id.
+     * @param leader {NEATGenome}
+     *            The first genome of the species.
+     */
+    constructor(id, leader) {
+        this.id = id;
+        this.leader = leader;
+        this.members = [];
+        this.bestScore = null;
+        this.gensNoImprovement = 0;
+        this.age = 0;
+    }
+
+    /**
+     * @param genome {NEATGenome}
+     */
+    add(genome) {
+        genome.setSpecies(this);
+        this.members.push(genome);
+    }
+
+    /**
+     * @return {number} The species id.
+     */
+    getId() {
+        return this.id;
+    }
+
+    /**
+     * @return {NEATGenome} The leader, the best genome of the species, used to compare new genomes.
+     */
+    getLeader() {
+        return this.leader;
+    }
+
+    /**
+     * @param leader {NEATGenome}
+     */
+    setLeader(leader) {
+        this.leader = leader;
+    }
+
+    /**
+     * @return {Array} The genomes of the species.
+     */
+    getMembers() {
+        return this.members;
+    }
+
+    /**
+     * @return {number} The best score of the species, over all its generations.
+     */
+    getBestScore() {
+        return this.bestScore;
+    }
+
+    /**
+     * @return {number} The number of generations without improvement of the best score.
+     */
+    getGensNoImprovement() {
+        return this.gensNoImprovement;
+    }
+
+    /**
+     * @return {number} The number of generations of the species.
+     */
+    getAge() {
+        return this.age;
+    }
+}
+
+module.exports = NEATSpecies;
\ No newline at end of file
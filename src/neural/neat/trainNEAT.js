@@ -0,0 +1,275 @@
+const _ = require('lodash');
+const BasicTraining = require(PATHS.TRAINING + 'basic');
+const NEATNetwork = require(PATHS.NEAT + 'network');
+const NEATSpeciation = require(PATHS.NEAT + 'speciation');
+const NEATCrossover = require(PATHS.NEAT + 'crossover');
+const NEATMutateAddNode = require(PATHS.NEAT + 'mutate/addNode');
+const NEATMutateAddLink = require(PATHS.NEAT + 'mutate/addLink');
+const NEATMutateWeights = require(PATHS.NEAT + 'mutate/weights');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+
+/**
+ * Train a NEAT population (NeuroEvolution of Augmenting Topologies). Every
+ * iteration is a generation: the genomes are decoded into NEATNetworks, scored
+ * with a CalculateScore and divided into species. Each species gets a number
+ * of offspring proportional to the mean fitness of its genomes (explicit
+ * fitness sharing); the species that stop improving get none. The best genome
+ * of every species is kept as is, the other offspring are created by
+ * crossover and mutation of its best genomes.
+ *
+ * Use a TrainingSetScore to train against a training set, or your own
+ * CalculateScore to score the networks any way that you like.
+ */
+class TrainNEAT extends BasicTraining {
+    /**
+     * @param population {NEATPopulation}
+     *            The population to evolve, it is reset if it has no genome.
+     * @param calculateScore {CalculateScore}
+     *            Used to calculate the score of the networks.
+     */
+    constructor(population, calculateScore) {
+        super();
+
+        this.population = population;
+        this.calculateScore = calculateScore;
+        this.random = RandomFactory.factor();
+        this.speciation = new NEATSpeciation(population);
+        this.crossover = new NEATCrossover();
+        this.mutateAddNode = new NEATMutateAddNode();
+        this.mutateAddLink = new NEATMutateAddLink();
+        this.mutateWeights = new NEATMutateWeights();
+        this.bestGenome = null;
+        this.iterationCount = 0;
+
+        if (population.getGenomes().length === 0) {
+            population.reset(this.random);
+        }
+    }
+
+    /**
+     * Evolve one generation.
+     */
+    iteration() {
+        EncogLog.info("Performing NEAT iteration.");
+
+        this.preIteration();
+
+        if (this.bestGenome === null) {
+            this.scoreGenomes(this.population.getGenomes());
+            this.speciation.speciate(this.population.getGenomes(), this.shouldMinimize());
+        }
+
+        const genomes = this.breed();
+        this.scoreGenomes(genomes);
+        this.population.setGenomes(genomes);
+        this.speciation.speciate(genomes, this.shouldMinimize());
+
+        this.setError(this.bestGenome.getScore());
+        this.postIteration();
+    }
+
+    /**
+     * Decode and score the genomes, and keep track of the best one.
+     *
+     * @param genomes {Array}
+     */
+    scoreGenomes(genomes) {
+        const worstScore = this.shouldMinimize() ? Infinity : -Infinity;
+
+        for (let genome of genomes) {
+            const network = new NEATNetwork(genome, this.population.getActivationFunction());
+            const score = this.calculateScore.calculateScore(network);
+
+            genome.setNetwork(network);
+            genome.setScore(_.isFinite(score) ? score : worstScore);
+
+            if (this.bestGenome === null || this.isBetter(genome.getScore(), this.bestGenome.getScore())) {
+                this.bestGenome = genome;
+            }
+        }
+    }
+
+    /**
+     * @return {Array} The genomes of the next generation.
+     */
+    breed() {
+        const bestSpecies = this.getBestSpecies();
+        const species = this.population.getSpecies().filter((s) =>
+            s.getGensNoImprovement() <= this.population.maxGensNoImprovement
+            || s === bestSpecies);
+        const offspringCounts = this.calculateOffspringCounts(species.length > 0 ? species : this.population.getSpecies());
+        const genomes = [];
+
+        offspringCounts.forEach((item) => {
+            const members = item.species.getMembers();
+            const parentCount = Math.max(1, Math.ceil(members.length * this.population.survivalRate));
+
+            if (item.count > 0) {
+                genomes.push(members[0].clone());
+            }
+            for (let i = 1; i < item.count; i++) {
+                genomes.push(this.createChild(members.slice(0, parentCount)));
+            }
+        });
+
+        return genomes;
+    }
+
+    /**
+     * The best genome found so far is carried over as a clone, so its species
+     * is the one whose leader has the best score, not the one holding it.
+     *
+     * @return {NEATSpecies} The species of the best genome of the population.
+     */
+    getBestSpecies() {
+        let bestSpecies = null;
+
+        for (let species of this.population.getSpecies()) {
+            if (bestSpecies === null || this.isBetter(species.getLeader().getScore(), bestSpecies.getLeader().getScore())) {
+                bestSpecies = species;
+            }
+        }
+
+        return bestSpecies;
+    }
+
+    /**
+     * Share the population size between the species, proportionally to the
+     * mean fitness of their genomes. The remainder goes to the species with
+     * the largest fractional shares.
+     *
+     * @param species {Array}
+     * @return {Array} The species with their number of offspring.
+     */
+    calculateOffspringCounts(species) {
+        const fitness = this.calculateFitness();
+        const means = species.map((s) => _.sumBy(s.getMembers(), (genome) => fitness.get(genome)) / s.getMembers().length);
+        const total = _.sum(means);
+        const size = this.population.getPopulationSize();
+        const shares = means.map((mean) => (total > 0 ? size * mean / total : size / species.length));
+        const result = species.map((s, i) => ({species: s, count: Math.floor(shares[i]), fraction: shares[i] % 1}));
+
+        let remaining = size - _.sumBy(result, 'count');
+        for (let item of _.orderBy(result, ['fraction'], ['desc'])) {
+            if (remaining <= 0) {
+                break;
+            }
+            item.count++;
+            remaining--;
+        }
+
+        return result;
+    }
+
+    /**
+     * The fitness is positive and higher for better genomes. When the score
+     * is minimized, the fitness is 1 / (1 + score), otherwise the score is
+     * shifted so that the worst genome has a fitness of 0.
+     *
+     * @return {Map} The fitness of every genome.
+     */
+    calculateFitness() {
+        const genomes = this.population.getGenomes();
+        const scores = genomes.map((genome) => genome.getScore()).filter((score) => _.isFinite(score));
+        const minScore = scores.length > 0 ? _.min(scores) : 0;
+        const fitness = new Map();
+
+        for (let genome of genomes) {
+            const score = genome.getScore();
+            let value = 0;
+
+            if (_.isFinite(score)) {
+                if (this.shouldMinimize()) {
+                    value = 1 / (1 + score - Math.min(0, minScore));
+                } else {
+                    value = score - minScore;
+                }
+            }
+            fitness.set(genome, value);
+        }
+
+        return fitness;
+    }
+
+    /**
+     * Create a child, by crossover of two parents or copy of one, and mutate it.
+     *
+     * @param parents {Array}
+     *            The parents, sorted from the best.
+     * @return {NEATGenome} The child.
+     */
+    createChild(parents) {
+        const mother = parents[this.random.nextInt(parents.length)];
+        let child;
+
+        if (parents.length > 1 && this.random.nextDouble() < this.population.crossoverRate) {
+            const father = parents[this.random.nextInt(parents.length)];
+
+            if (this.isBetter(father.getScore(), mother.getScore())) {
+                child = this.crossover.crossover(father, mother, this.random);
+            } else {
+                child = this.crossover.crossover(mother, father, this.random);
+            }
+        } else {
+            child = mother.clone();
+        }
+
+        const r = this.random.nextDouble();
+        if (r < this.population.addNodeRate) {
+            this.mutateAddNode.mutate(this.random, child, this.population);
+        } else if (r < this.population.addNodeRate + this.population.addLinkRate) {
+            this.mutateAddLink.mutate(this.random, child, this.population);
+        } else if (this.random.nextDouble() < this.population.weightMutationRate) {
+            this.mutateWeights.mutate(this.random, child, this.population);
+        }
+
+        return child;
+    }
+
+    /**
+     * @param a {number}
+     * @param b {number}
+     * @return {Boolean} True if the first score is better than the second one.
+     */
+    isBetter(a, b) {
+        return NEATSpeciation.compareScores(a, b, this.shouldMinimize()) < 0;
+    }
+
+    /**
+     * @return {Boolean} True if the score is minimized.
+     */
+    shouldMinimize() {
+        return this.calculateScore.shouldMinimize();
+    }
+
+    /**
+     * @inheritDoc
+     */
+    canContinue() {
+        return false;
+    }
+
+    /**
+     * @return {NEATNetwork} The network of the best genome found so far.
+     */
+    getMethod() {
+        return this.bestGenome === null ? null : this.bestGenome.getNetwork();
+    }
+
+    /**
+     * @return {NEATGenome} The best genome found so far.
+     */
+    getBestGenome() {
+        return this.bestGenome;
+    }
+
+    /**
+     * @return {NEATPopulation} The population.
+     */
+    getPopulation() {
+        return this.population;
+    }
+}
+
+module.exports = TrainNEAT;
\ No newline at end of file
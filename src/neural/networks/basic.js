@@ -4,8 +4,7 @@ const NguyenWidrowRandomizer = require(PATHS.RANDOMIZERS + 'nguyenWidrow');
 const RangeRandomizer = require(PATHS.RANDOMIZERS + 'range');
 const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
 const BasicLayer = require(PATHS.LAYERS + 'basic');
-const requireAll = require('require-all');
-const ActivationFunctions = requireAll(PATHS.ACTIVATION_FUNCTIONS);
+const ActivationFunction = require(PATHS.SRC + 'activation/activationFunction');
 const ErrorUtil = require(PATHS.UTILS + 'error');
 
 /**
@@ -330,14 +329,13 @@ class BasicNetwork {
      */
     fromJSON(obj) {
         let activationFunc;
-        let funcName;
         this.structure = new NeuralStructure(this);
         const that = this;
 
         _.eachRight(obj.layerFeedCounts, function (neuronCount, index) {
-            funcName = _.toLower(_.trimStart(obj.activationFunctions[index], 'Activation'));
-            activationFunc = new ActivationFunctions[funcName]();
-            that.addLayer(new BasicLayer(activationFunc, obj.biasActivation[index], neuronCount))
+            activationFunc = ActivationFunction.fromType(obj.activationFunctions[index]);
+            const batchNormalization = !!obj.layerBatchNormalization && obj.layerBatchNormalization[index];
+            that.addLayer(new BasicLayer(activationFunc, obj.biasActivation[index], neuronCount, 0, batchNormalization));
         });
         this.randomize();
         this.getFlat().fromJSON(obj);
@@ -7,6 +7,7 @@ const _ = require('lodash');
 const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
 const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
 const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
 
 /**
  * Implements a flat (vector based) neural network in the Encog Engine. This is
@@ -180,12 +181,86 @@ class FlatNetwork {
         // update context values
         const offset = this.contextTargetOffset[0];
 
-        ArrayUtils.arrayCopy(this.layerOutput, 0, this.layerOutput, offset, this.contextTargetOffset[0]);
+        ArrayUtils.arrayCopy(this.layerOutput, 0, this.layerOutput, offset, this.contextTargetSize[0]);
         ArrayUtils.arrayCopy(this.layerOutput, 0, output, 0, this.outputCount);
 
         return output;
     }
 
+    /**
+     * Calculate the outputs of a batch of records. In training mode the batch
+     * normalized layers use the mean and the variance of the sums of the batch,
+     * and the running statistics are updated with them. Otherwise this is the
+     * same as calling compute for each record.
+     *
+     * @param {Array} input
+     *            The records.
+     * @returns {Array}
+     *            The output of each record.
+     */
+    computeBatch(input) {
+        if (!this.training || !this.hasBatchNormalization() || input.length === 0) {
+            return input.map((record) => this.compute(record));
+        }
+
+        const sourceIndex = this.layerOutput.length - this.layerCounts[this.layerCounts.length - 1];
+        const current = this.getRecordArrays();
+        const records = input.map((record) => {
+            const arrays = {
+                layerOutput: current.layerOutput.slice(),
+                layerSums: current.layerSums.slice(),
+                layerNormalized: current.layerNormalized.slice()
+            };
+            ArrayUtils.arrayCopy(record, 0, arrays.layerOutput, sourceIndex, this.inputCount);
+            return arrays;
+        });
+
+        for (let i = this.layerIndex.length - 1; i > 0; i--) {
+            for (let arrays of records) {
+                this.setRecordArrays(arrays);
+                this.computeLayerSums(i);
+            }
+
+            if (this.layerBatchNormalization[i - 1]) {
+                this.updateBatchStatistics(i - 1, records);
+            }
+
+            for (let arrays of records) {
+                this.setRecordArrays(arrays);
+                this.activateLayer(i);
+            }
+        }
+
+        this.setRecordArrays(current);
+
+        return records.map((arrays) => {
+            const output = ArrayUtils.newFloatArray(this.outputCount);
+            ArrayUtils.arrayCopy(arrays.layerOutput, 0, output, 0, this.outputCount);
+            return output;
+        });
+    }
+
+    /**
+     * @return {Object} The arrays holding the state of the record being calculated.
+     */
+    getRecordArrays() {
+        return {
+            layerOutput: this.layerOutput,
+            layerSums: this.layerSums,
+            layerNormalized: this.layerNormalized
+        };
+    }
+
+    /**
+     * @param arrays {Object}
+     *            The arrays holding the state of the record to calculate.
+     */
+    setRecordArrays(arrays) {
+        this.layerOutput = arrays.layerOutput;
+        this.layerSums = arrays.layerSums;
+        this.layerNormalized = arrays.layerNormalized;
+    }
+
     /**
      * Calculate a layer.
      *
@@ -193,17 +268,21 @@ class FlatNetwork {
      *            The layer to calculate.
      */
     computeLayer(currentLayer) {
+        this.computeLayerSums(currentLayer);
+        this.activateLayer(currentLayer);
+    }
+
+    /**
+     * Calculate the weighted sums of a layer.
+     *
+     * @param {number} currentLayer
+     *            The layer to calculate.
+     */
+    computeLayerSums(currentLayer) {
         const inputIndex = this.layerIndex[currentLayer];
         const outputIndex = this.layerIndex[currentLayer - 1];
         const inputSize = this.layerCounts[currentLayer];
         const outputSize = this.layerFeedCounts[currentLayer - 1];
-        let dropoutRate;
-
-        if (this.layerDropoutRates.length > currentLayer - 1) {
-            dropoutRate = this.layerDropoutRates[currentLayer - 1];
-        } else {
-            dropoutRate = 0;
-        }
 
         let index = this.weightIndex[currentLayer - 1];
 
@@ -221,18 +300,120 @@ class FlatNetwork {
             this.layerSums[x] = sum;
             this.layerOutput[x] = sum;
         }
+    }
 
-        this.activationFunctions[currentLayer - 1].activationFunction(this.layerOutput, outputIndex, outputSize);
+    /**
+     * Normalize, if requested, and activate the sums of a layer.
+     *
+     * @param {number} currentLayer
+     *            The layer to calculate.
+     */
+    activateLayer(currentLayer) {
+        const inputIndex = this.layerIndex[currentLayer];
 
-        // update context values
+        if (this.layerBatchNormalization[currentLayer - 1]) {
+            this.normalizeLayer(currentLayer - 1);
+        }
+
+        this.activationFunctions[currentLayer - 1].activationFunction(
+            this.layerOutput, this.layerIndex[currentLayer - 1], this.layerFeedCounts[currentLayer - 1]);
+
+        // update context values, the input layer of this calculation is not used anymore in this step
         ArrayUtils.arrayCopy(
-            this.layerOutput, outputIndex,
+            this.layerOutput, inputIndex,
             this.layerOutput,
             this.contextTargetOffset[currentLayer],
             this.contextTargetSize[currentLayer]
         );
     }
 
+    /**
+     * Normalize the sums of a layer, then scale them by gamma and shift them by
+     * beta. The statistics of the last batch are used in training mode, the
+     * running statistics otherwise.
+     *
+     * @param {number} layer
+     *            The layer to normalize.
+     */
+    normalizeLayer(layer) {
+        const start = this.layerIndex[layer];
+        const count = this.layerFeedCounts[layer];
+        const gammaIndex = this.batchNormalizationIndex[layer];
+        const betaIndex = gammaIndex + count;
+        let mean = this.runningMean;
+        let variance = this.runningVariance;
+
+        if (this.training) {
+            mean = this.batchMean;
+            variance = this.batchVariance;
+        }
+
+        for (let i = 0; i < count; i++) {
+            const x = start + i;
+            this.layerNormalized[x] = (this.layerSums[x] - mean[x])
+                / Math.sqrt(variance[x] + PATHS.CONSTANTS.BATCH_NORMALIZATION_EPSILON);
+            this.layerSums[x] = (this.weights[gammaIndex + i] * this.layerNormalized[x]) + this.weights[betaIndex + i];
+            this.layerOutput[x] = this.layerSums[x];
+        }
+    }
+
+    /**
+     * Calculate the mean and the variance of the sums of a layer over a batch,
+     * and update the running statistics with them.
+     *
+     * @param {number} layer
+     *            The layer.
+     * @param {Array} records
+     *            The arrays holding the state of each record of the batch.
+     */
+    updateBatchStatistics(layer, records) {
+        const start = this.layerIndex[layer];
+        const end = start + this.layerFeedCounts[layer];
+        const momentum = PATHS.CONSTANTS.BATCH_NORMALIZATION_MOMENTUM;
+
+        for (let x = start; x < end; x++) {
+            let mean = 0;
+            let variance = 0;
+
+            for (let arrays of records) {
+                mean += arrays.layerSums[x];
+            }
+            mean /= records.length;
+
+            for (let arrays of records) {
+                variance += Math.pow(arrays.layerSums[x] - mean, 2);
+            }
+            variance /= records.length;
+
+            this.batchMean[x] = mean;
+            this.batchVariance[x] = variance;
+            this.runningMean[x] = (momentum * this.runningMean[x]) + ((1 - momentum) * mean);
+            this.runningVariance[x] = (momentum * this.runningVariance[x]) + ((1 - momentum) * variance);
+        }
+    }
+
+    /**
+     * @return {Boolean} True if at least one layer is batch normalized.
+     */
+    hasBatchNormalization() {
+        return _.includes(this.layerBatchNormalization, true);
+    }
+
+    /**
+     * @return {Boolean} True in training mode, the batch normalized layers then use the statistics of the last batch.
+     */
+    isTraining() {
+        return this.training;
+    }
+
+    /**
+     * @param training {Boolean}
+     *            True for the training mode, false for the inference mode.
+     */
+    setTraining(training) {
+        this.training = training;
+    }
+
     /**
      * @return {number} The neuron count.
      */
@@ -275,6 +456,8 @@ class FlatNetwork {
         this.contextTargetOffset = ArrayUtils.newIntArray(layerCount);
         this.contextTargetSize = ArrayUtils.newIntArray(layerCount);
         this.biasActivation = ArrayUtils.newIntArray(layerCount);
+        this.layerBatchNormalization = [];
+        this.batchNormalizationIndex = ArrayUtils.newIntArray(layerCount);
 
         let index = 0;
         let neuronCount = 0;
@@ -294,6 +477,7 @@ class FlatNetwork {
             this.layerFeedCounts[index] = layer.getCount();
             this.layerContextCount[index] = layer.getContextCount();
             this.activationFunctions[index] = layer.activation;
+            this.layerBatchNormalization[index] = !!layer.batchNormalization;
             if (dropout) {
                 this.layerDropoutRates[index] = layer.dropoutRate;
             }
@@ -332,13 +516,56 @@ class FlatNetwork {
         this.beginTraining = 0;
         this.endTraining = this.layerCounts.length - 1;
 
-        this.weights = ArrayUtils.newFloatArray(weightCount);
+        if (this.layerBatchNormalization[layerCount - 1]) {
+            throw new NeuralNetworkError("The input layer can not be batch normalized.");
+        }
+
+        if (this.hasContext && this.hasBatchNormalization()) {
+            throw new NeuralNetworkError("Batch normalization is not supported by networks with context layers.");
+        }
+
+        // the gamma and the beta of the batch normalized layers follow the weights
+        let parameterCount = weightCount;
+        for (let i = 0; i < layerCount; i++) {
+            if (this.layerBatchNormalization[i]) {
+                this.batchNormalizationIndex[i] = parameterCount;
+                parameterCount += 2 * this.layerFeedCounts[i];
+            }
+        }
+
+        this.weights = ArrayUtils.newFloatArray(parameterCount);
         this.layerOutput = ArrayUtils.newFloatArray(neuronCount);
         this.layerSums = ArrayUtils.newFloatArray(neuronCount);
+        this.layerNormalized = ArrayUtils.newFloatArray(neuronCount);
+        this.runningMean = ArrayUtils.newFloatArray(neuronCount);
+        this.runningVariance = ArrayUtils.newFloatArray(neuronCount, 1);
+        this.batchMean = ArrayUtils.newFloatArray(neuronCount);
+        this.batchVariance = ArrayUtils.newFloatArray(neuronCount, 1);
+        this.training = false;
+
+        for (let i = 0; i < layerCount; i++) {
+            if (this.layerBatchNormalization[i]) {
+                ArrayUtils.fill(this.weights, this.batchNormalizationIndex[i],
+                    this.batchNormalizationIndex[i] + this.layerFeedCounts[i], 1);
+            }
+        }
 
         this.clearContext();
     }
 
+    /**
+     * @return {Number} The number of connection weights, the gamma and the beta of the batch normalized layers follow them.
+     */
+    getConnectionWeightCount() {
+        let result = this.weights.length;
+        for (let i = 0; i < this.layerFeedCounts.length; i++) {
+            if (this.layerBatchNormalization[i]) {
+                result -= 2 * this.layerFeedCounts[i];
+            }
+        }
+        return result;
+    }
+
     /**
      * Perform a simple randomization of the weights of the neural network
      * between -1 and 1.
@@ -362,8 +589,10 @@ class FlatNetwork {
      *            The network low.
      */
     _randomize(hi, lo) {
-        for (let i = 0; i < this.weights.length; i++) {
-            this.setWeight((Math.random() * (hi - lo)) + lo, i);
+        const random = RandomFactory.factor();
+        const weightCount = this.getConnectionWeightCount();
+        for (let i = 0; i < weightCount; i++) {
+            this.setWeight((random.nextDouble() * (hi - lo)) + lo, i);
         }
     }
 
@@ -466,6 +695,14 @@ class FlatNetwork {
         result.weightIndex = this.weightIndex;
         result.weights = this.weights;
         result.layerDropoutRates = _.clone(this.layerDropoutRates);
+        result.layerBatchNormalization = _.clone(this.layerBatchNormalization);
+        result.batchNormalizationIndex = _.clone(this.batchNormalizationIndex);
+        result.layerNormalized = _.clone(this.layerNormalized);
+        result.runningMean = this.runningMean;
+        result.runningVariance = this.runningVariance;
+        result.batchMean = _.clone(this.batchMean);
+        result.batchVariance = _.clone(this.batchVariance);
+        result.training = this.training;
 
         result.activationFunctions = [];
         for (let i = 0; i < this.activationFunctions.length; i++) {
@@ -633,10 +870,17 @@ class FlatNetwork {
             layerOutput: this.layerOutput,
             outputCount: this.outputCount,
             weightIndex: this.weightIndex,
-            weights: this.weights,
+            weights: Array.from(this.weights),
             biasActivation: this.biasActivation,
         };
 
+        if (this.hasBatchNormalization()) {
+            result.layerBatchNormalization = this.layerBatchNormalization;
+            result.batchNormalizationIndex = this.batchNormalizationIndex;
+            result.runningMean = this.runningMean;
+            result.runningVariance = this.runningVariance;
+        }
+
         result.activationFunctions = [];
         for (let i = 0; i < this.activationFunctions.length; i += 1) {
             result.activationFunctions.push(this.activationFunctions[i].type);
@@ -658,6 +902,13 @@ class FlatNetwork {
         this.layerContextCount = obj.layerContextCount;
         this.contextTargetSize = obj.contextTargetSize;
         this.contextTargetOffset = obj.contextTargetOffset;
+
+        if (obj.layerBatchNormalization) {
+            this.layerBatchNormalization = obj.layerBatchNormalization;
+            this.batchNormalizationIndex = obj.batchNormalizationIndex;
+            this.runningMean = obj.runningMean;
+            this.runningVariance = obj.runningVariance;
+        }
     }
 }
 
@@ -0,0 +1,303 @@
+const BasicRBF = require(PATHS.RBF + 'basicRBF');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const RangeRandomizer = require(PATHS.RANDOMIZERS + 'range');
+const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+
+/**
+ * RBF neural network. The input is fed to a layer of radial basis functions
+ * (Gaussian, multiquadric or inverse multiquadric), the output is a linear
+ * combination of the RBF values plus a bias.
+ *
+ * The centers and widths of the RBFs are set first, randomly, on a grid or by
+ * k-means, then the output weights are solved with RBFLeastSquaresTraining.
+ */
+class RBFNetwork {
+    /**
+     * @param inputCount {number}
+     *            The input count.
+     * @param hiddenCount {number}
+     *            The hidden count, the number of RBFs.
+     * @param outputCount {number}
+     *            The output count.
+     * @param type {String}
+     *            The type of RBF to use, "Gaussian", "Multiquadric" or "InverseMultiquadric".
+     */
+    constructor(inputCount = 1, hiddenCount = 1, outputCount = 1, type = 'Gaussian') {
+        this.inputCount = inputCount;
+        this.outputCount = outputCount;
+        this.rbfType = type;
+        this.rbfs = [];
+
+        for (let i = 0; i < hiddenCount; i++) {
+            this.rbfs.push(BasicRBF.fromType(type, inputCount));
+        }
+
+        /**
+         * The output weights, one row per RBF and a last row for the bias.
+         */
+        this.outputWeights = [];
+        for (let i = 0; i <= hiddenCount; i++) {
+            this.outputWeights.push(ArrayUtils.newFloatArray(outputCount));
+        }
+    }
+
+    /**
+     * Calculate the value of every RBF.
+     *
+     * @param input {Array}
+     *            The input.
+     * @return {Array} The RBF values, followed by 1 for the bias.
+     */
+    computeHidden(input) {
+        if (input.length !== this.inputCount) {
+            throw new NeuralNetworkError("RBF network with " + this.inputCount
+                + " inputs, cannot compute an input of size " + input.length);
+        }
+
+        const hidden = this.rbfs.map((rbf) => rbf.calculate(input));
+        hidden.push(1);
+        return hidden;
+    }
+
+    /**
+     * Compute the output for the given input.
+     *
+     * @param input {Array}
+     *            The input.
+     * @return {Array} The output.
+     */
+    compute(input) {
+        const hidden = this.computeHidden(input);
+        const output = ArrayUtils.newFloatArray(this.outputCount);
+
+        for (let i = 0; i < hidden.length; i++) {
+            for (let j = 0; j < this.outputCount; j++) {
+                output[j] += hidden[i] * this.outputWeights[i][j];
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Set the RBF centers randomly, between min and max on every dimension.
+     * The widths are set from the distance between the centers.
+     *
+     * @param min {number}
+     *            The minimum center position.
+     * @param max {number}
+     *            The maximum center position.
+     */
+    randomizeRBFCentersAndWidths(min = -1, max = 1) {
+        const randomizer = new RangeRandomizer(min, max);
+
+        for (let rbf of this.rbfs) {
+            rbf.setCenters(rbf.getCenters().map(() => randomizer.nextDouble()));
+        }
+        this.setRBFWidthsFromCenters();
+    }
+
+    /**
+     * Set the RBF centers on a grid, equally spaced between min and max on
+     * every dimension. The number of RBFs must be the number of points per
+     * dimension to the power of the input count. The width of the RBFs is the
+     * space between two points.
+     *
+     * @param min {number}
+     *            The minimum center position.
+     * @param max {number}
+     *            The maximum center position.
+     */
+    setRBFCentersAndWidthsEqualSpacing(min = -1, max = 1) {
+        const pointsPerDimension = Math.round(Math.pow(this.getHiddenCount(), 1 / this.inputCount));
+
+        if (Math.pow(pointsPerDimension, this.inputCount) !== this.getHiddenCount()) {
+            throw new NeuralNetworkError("The RBF count must be a perfect power of the input count, "
+                + "points per dimension ^ " + this.inputCount + ", but " + this.getHiddenCount() + " is not.");
+        }
+
+        const spacing = pointsPerDimension > 1 ? (max - min) / (pointsPerDimension - 1) : max - min;
+
+        this.rbfs.forEach((rbf, index) => {
+            const centers = [];
+            let position = index;
+
+            for (let dimension = 0; dimension < this.inputCount; dimension++) {
+                const point = pointsPerDimension > 1 ? position % pointsPerDimension : 0.5;
+                centers.push(min + point * spacing);
+                position = Math.floor(position / pointsPerDimension);
+            }
+
+            rbf.setCenters(centers);
+            rbf.setWidth(spacing);
+        });
+    }
+
+    /**
+     * Set the RBF centers to the centroids of the k-means clusters of the
+     * input. The clusters are initialized with distinct random records. The
+     * widths are set from the distance between the centers.
+     *
+     * @param input {Array}
+     *            The training input.
+     * @param maxIterations {number}
+     *            The maximum number of k-means iterations.
+     */
+    setRBFCentersByKMeans(input, maxIterations = 100) {
+        const k = this.getHiddenCount();
+
+        if (input.length < k) {
+            throw new NeuralNetworkError("At least " + k + " records are needed to find " + k + " centers.");
+        }
+
+        const centroids = ArrayUtils.shuffle(input).slice(0, k).map((record) => Array.from(record));
+        const assignments = new Array(input.length).fill(-1);
+        let changed = true;
+
+        for (let iteration = 0; iteration < maxIterations && changed; iteration++) {
+            changed = false;
+
+            input.forEach((record, i) => {
+                const cluster = RBFNetwork.closest(centroids, record);
+                if (cluster !== assignments[i]) {
+                    assignments[i] = cluster;
+                    changed = true;
+                }
+            });
+
+            centroids.forEach((centroid, cluster) => {
+                const members = input.filter((record, i) => assignments[i] === cluster);
+
+                if (members.length > 0) {
+                    for (let d = 0; d < this.inputCount; d++) {
+                        centroid[d] = members.reduce((sum, record) => sum + record[d], 0) / members.length;
+                    }
+                }
+            });
+        }
+
+        this.rbfs.forEach((rbf, i) => rbf.setCenters(centroids[i]));
+        this.setRBFWidthsFromCenters();
+    }
+
+    /**
+     * @param points {Array}
+     * @param x {Array}
+     * @return {number} The index of the point closest to x.
+     */
+    static closest(points, x) {
+        let best = 0;
+        let bestDistance = Infinity;
+
+        points.forEach((point, i) => {
+            const distance = point.reduce((sum, value, d) => sum + Math.pow(value - x[d], 2), 0);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Set the width of every RBF to dmax / sqrt(2 * k), dmax being the largest
+     * distance between two centers and k the number of RBFs.
+     */
+    setRBFWidthsFromCenters() {
+        let maxDistance = 0;
+
+        for (let i = 0; i < this.rbfs.length; i++) {
+            for (let j = i + 1; j < this.rbfs.length; j++) {
+                maxDistance = Math.max(maxDistance, Math.sqrt(this.rbfs[i].squaredDistance(this.rbfs[j].getCenters())));
+            }
+        }
+
+        const width = maxDistance > 0 ? maxDistance / Math.sqrt(2 * this.rbfs.length) : 1;
+        for (let rbf of this.rbfs) {
+            rbf.setWidth(width);
+        }
+    }
+
+    /**
+     * RBF networks have no context, this does nothing.
+     */
+    clearContext() {
+    }
+
+    /**
+     * @return {number} The input count.
+     */
+    getInputCount() {
+        return this.inputCount;
+    }
+
+    /**
+     * @return {number} The number of RBFs.
+     */
+    getHiddenCount() {
+        return this.rbfs.length;
+    }
+
+    /**
+     * @return {number} The output count.
+     */
+    getOutputCount() {
+        return this.outputCount;
+    }
+
+    /**
+     * @return {Array} The RBFs.
+     */
+    getRBFs() {
+        return this.rbfs;
+    }
+
+    /**
+     * @return {Array} The output weights, one row per RBF and a last row for the bias.
+     */
+    getOutputWeights() {
+        return this.outputWeights;
+    }
+
+    /**
+     * @param outputWeights {Array}
+     *            The output weights, one row per RBF and a last row for the bias.
+     */
+    setOutputWeights(outputWeights) {
+        this.outputWeights = outputWeights;
+    }
+
+    /**
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            type: 'RBFNetwork',
+            inputCount: this.inputCount,
+            outputCount: this.outputCount,
+            rbfType: this.rbfType,
+            rbfs: this.rbfs.map((rbf) => {
+                return {centers: Array.from(rbf.getCenters()), peak: rbf.getPeak(), width: rbf.getWidth()};
+            }),
+            outputWeights: this.outputWeights.map((row) => Array.from(row))
+        };
+    }
+
+    /**
+     * @param obj {Object}
+     */
+    fromJSON(obj) {
+        this.inputCount = obj.inputCount;
+        this.outputCount = obj.outputCount;
+        this.rbfType = obj.rbfType;
+        this.rbfs = obj.rbfs.map((params) => {
+            const rbf = BasicRBF.fromType(obj.rbfType, obj.inputCount);
+            rbf.setCenters(params.centers);
+            rbf.setPeak(params.peak);
+            rbf.setWidth(params.width);
+            return rbf;
+        });
+        this.outputWeights = obj.outputWeights;
+    }
+}
+
+module.exports = RBFNetwork;
\ No newline at end of file
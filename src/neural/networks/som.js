@@ -0,0 +1,176 @@
+const Matrix = require(PATHS.MATRICES + 'matrix');
+const RangeRandomizer = require(PATHS.RANDOMIZERS + 'range');
+const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+
+/**
+ * A self organizing map (SOM) neural network, also known as a Kohonen network.
+ * A SOM clusters its input: every output neuron has a weight vector, the
+ * winner of an input is the output neuron whose weights are the closest to the
+ * input. It is trained with BasicTrainSOM.
+ *
+ * The weights are a matrix with one row per output neuron and one column per
+ * input neuron.
+ */
+class SOMNetwork {
+    /**
+     * @param inputCount {number}
+     *            The number of input neurons.
+     * @param outputCount {number}
+     *            The number of output neurons.
+     */
+    constructor(inputCount = 1, outputCount = 1) {
+        this.inputCount = inputCount;
+        this.outputCount = outputCount;
+        this.weights = new Matrix(outputCount, inputCount);
+    }
+
+    /**
+     * Randomize the weights between -1 and 1.
+     */
+    reset() {
+        const randomizer = new RangeRandomizer(-1, 1);
+
+        for (let row = 0; row < this.outputCount; row++) {
+            for (let col = 0; col < this.inputCount; col++) {
+                this.weights.set(row, col, randomizer.nextDouble());
+            }
+        }
+    }
+
+    /**
+     * Calculate the distance between the input and every output neuron.
+     *
+     * @param input {Array}
+     *            The input.
+     * @return {Array} The euclidean distance between the input and the weights of every output neuron.
+     */
+    compute(input) {
+        if (input.length !== this.inputCount) {
+            throw new NeuralNetworkError("SOM with " + this.inputCount
+                + " inputs, cannot compute an input of size " + input.length);
+        }
+
+        const distances = [];
+        for (let outputNeuron = 0; outputNeuron < this.outputCount; outputNeuron++) {
+            distances.push(this.calculateDistance(outputNeuron, input));
+        }
+        return distances;
+    }
+
+    /**
+     * @param outputNeuron {number}
+     *            The output neuron.
+     * @param input {Array}
+     *            The input.
+     * @return {number} The euclidean distance between the input and the weights of the output neuron.
+     */
+    calculateDistance(outputNeuron, input) {
+        const weights = this.weights.getData()[outputNeuron];
+        let distance = 0;
+
+        for (let i = 0; i < input.length; i++) {
+            distance += Math.pow(input[i] - weights[i], 2);
+        }
+        return Math.sqrt(distance);
+    }
+
+    /**
+     * Determine the winner for the specified input. This is the output neuron
+     * whose weights are the closest to the input.
+     *
+     * @param input {Array}
+     *            The input.
+     * @return {number} The winning neuron.
+     */
+    winner(input) {
+        const distances = this.compute(input);
+        let winner = 0;
+
+        for (let i = 1; i < distances.length; i++) {
+            if (distances[i] < distances[winner]) {
+                winner = i;
+            }
+        }
+        return winner;
+    }
+
+    /**
+     * Classify the input into one of the output clusters.
+     *
+     * @param input {Array}
+     *            The input.
+     * @return {number} The cluster it was clasified into.
+     */
+    classify(input) {
+        return this.winner(input);
+    }
+
+    /**
+     * Calculate the error of the SOM, the worst distance between an input and
+     * its winner.
+     *
+     * @param input {Array}
+     *            The input data.
+     * @return {number} The error.
+     */
+    calculateError(input) {
+        let worstDistance = 0;
+
+        for (let record of input) {
+            worstDistance = Math.max(worstDistance, this.calculateDistance(this.winner(record), record));
+        }
+        return worstDistance;
+    }
+
+    /**
+     * @return {number} The input neuron count.
+     */
+    getInputCount() {
+        return this.inputCount;
+    }
+
+    /**
+     * @return {number} The output neuron count.
+     */
+    getOutputCount() {
+        return this.outputCount;
+    }
+
+    /**
+     * @return {Matrix} The weights, one row per output neuron.
+     */
+    getWeights() {
+        return this.weights;
+    }
+
+    /**
+     * @param weights {Matrix}
+     *            The weights, one row per output neuron.
+     */
+    setWeights(weights) {
+        this.weights = weights;
+    }
+
+    /**
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            type: 'SOMNetwork',
+            inputCount: this.inputCount,
+            outputCount: this.outputCount,
+            weights: this.weights.getData()
+        };
+    }
+
+    /**
+     * @param obj {Object}
+     */
+    fromJSON(obj) {
+        this.inputCount = obj.inputCount;
+        this.outputCount = obj.outputCount;
+        this.weights = new Matrix(obj.weights);
+    }
+}
+
+module.exports = SOMNetwork;
\ No newline at end of file
@@ -0,0 +1,108 @@
+const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+
+/**
+ * A training set made of sequences. The records of a sequence are presented
+ * to a recurrent network in order, the context of the network is cleared at
+ * the beginning of every sequence.
+ */
+class SequenceDataSet {
+    /**
+     * @param input {Array}
+     *            The input of a first sequence, optional.
+     * @param output {Array}
+     *            The ideal output of the first sequence.
+     */
+    constructor(input = null, output = null) {
+        this.sequences = [];
+
+        if (input != null) {
+            this.addSequence(input, output);
+        }
+    }
+
+    /**
+     * Cut a long series into sequences of the same length. The last sequence
+     * holds the remaining records, it may be shorter.
+     *
+     * @param input {Array}
+     *            The input of the series.
+     * @param output {Array}
+     *            The ideal output of the series.
+     * @param sequenceLength {number}
+     *            The number of records of every sequence.
+     * @return {SequenceDataSet}
+     */
+    static fromSeries(input, output, sequenceLength) {
+        if (sequenceLength < 1) {
+            throw new NeuralNetworkError("The sequence length must be at least 1.");
+        }
+
+        const result = new SequenceDataSet();
+        for (let i = 0; i < input.length; i += sequenceLength) {
+            result.addSequence(input.slice(i, i + sequenceLength), output.slice(i, i + sequenceLength));
+        }
+        return result;
+    }
+
+    /**
+     * @param input {Array}
+     *            The input of every step of the sequence.
+     * @param output {Array}
+     *            The ideal output of every step of the sequence.
+     */
+    addSequence(input, output) {
+        if (output == null || input.length !== output.length) {
+            throw new NeuralNetworkError("The input and the ideal output of a sequence must have the same length.");
+        }
+        if (input.length === 0) {
+            throw new NeuralNetworkError("A sequence must have at least one record.");
+        }
+
+        this.sequences.push({input: input, output: output});
+    }
+
+    /**
+     * @param index {number}
+     * @return {Object} The sequence, its input and its ideal output.
+     */
+    getSequence(index) {
+        return this.sequences[index];
+    }
+
+    /**
+     * @return {Array} The sequences, objects with an input and an output.
+     */
+    getSequences() {
+        return this.sequences;
+    }
+
+    /**
+     * @return {number} The number of sequences.
+     */
+    getSequenceCount() {
+        return this.sequences.length;
+    }
+
+    /**
+     * @return {number} The number of records of all the sequences.
+     */
+    getRecordCount() {
+        return this.sequences.reduce((count, sequence) => count + sequence.input.length, 0);
+    }
+
+    /**
+     * @return {Array} The input of all the sequences, one after the other.
+     */
+    getInput() {
+        return [].concat(...this.sequences.map((sequence) => sequence.input));
+    }
+
+    /**
+     * @return {Array} The ideal output of all the sequences, one after the other.
+     */
+    getOutput() {
+        return [].concat(...this.sequences.map((sequence) => sequence.output));
+    }
+}
+
+module.exports = SequenceDataSet;
\ No newline at end of file
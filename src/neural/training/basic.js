@@ -1,3 +1,5 @@
+const ErrorCalculation = require(PATHS.ERROR_CALCULATION + 'errorCalculation');
+
 /**
  * An abstract class that implements basic training for most training
  * algorithms. Specifically training strategies can be added to enhance the
@@ -9,6 +11,12 @@
 class BasicTraining {
     constructor() {
         this.strategies = [];
+
+        /**
+         * The error calculation mode used to report the training error, null
+         * to use the default mode of ErrorCalculation.
+         */
+        this.errorCalculationMode = null;
     }
 
     /**
@@ -33,6 +41,9 @@ class BasicTraining {
      * training techniques.
      */
     finishTraining() {
+        for (let strategy of this.strategies) {
+            strategy.finishTraining();
+        }
     }
 
     /**
@@ -97,6 +108,49 @@ class BasicTraining {
         this.error = error;
     }
 
+    /**
+     * @return {String} The error calculation mode used to report the training error.
+     */
+    getErrorCalculationMode() {
+        if (this.errorCalculationMode == null) {
+            return ErrorCalculation.getDefaultMode();
+        }
+        return this.errorCalculationMode;
+    }
+
+    /**
+     * Set the error calculation mode used to report the training error, see
+     * ErrorCalculation.getErrorCalculationModes.
+     *
+     * @param mode {String}
+     *            The error calculation mode, null to use the default mode.
+     */
+    setErrorCalculationMode(mode) {
+        if (mode != null) {
+            ErrorCalculation.validateMode(mode);
+        }
+        this.errorCalculationMode = mode;
+    }
+
+    /**
+     * @return {Boolean} True if one of the strategies ended the training.
+     */
+    isTrainingDone() {
+        for (let strategy of this.strategies) {
+            if (strategy.shouldStop()) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @return {BasicNetwork} The method (network) being trained.
+     */
+    getMethod() {
+        return this.network;
+    }
+
     /**
      * @return {TrainingImplementationType} The training implementation type.
      */
@@ -0,0 +1,32 @@
+const Crossover = require('./crossover');
+
+/**
+ * Blend crossover (BLX-alpha). Every gene of the child is drawn uniformly from
+ * the interval between the genes of the parents, extended on both sides by
+ * alpha times its length. This lets the child explore values that neither
+ * parent has, which suits real valued genes such as weights.
+ */
+class BlendCrossover extends Crossover {
+    /**
+     * @param alpha {number}
+     *            The extension of the interval, 0 for an arithmetic crossover.
+     */
+    constructor(alpha = 0.5) {
+        super();
+        this.alpha = alpha;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    crossover(mother, father, random) {
+        return mother.map((gene, i) => {
+            const low = Math.min(gene, father[i]);
+            const range = Math.abs(gene - father[i]);
+
+            return low - this.alpha * range + random.nextDouble() * range * (1 + 2 * this.alpha);
+        });
+    }
+}
+
+module.exports = BlendCrossover;
\ No newline at end of file
@@ -0,0 +1,20 @@
+/**
+ * A crossover operator of the genetic algorithm. It combines the genes (the
+ * weights) of two parents into a child. The genes are a plain Array or a typed
+ * array, like the weights of a network, and the child has the type of the mother.
+ */
+class Crossover {
+    /**
+     * @param mother {Array|Float64Array|Float32Array}
+     *            The genes of the first parent.
+     * @param father {Array|Float64Array|Float32Array}
+     *            The genes of the second parent.
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     * @return {Array|Float64Array|Float32Array} The genes of the child.
+     */
+    crossover(mother, father, random) {
+    }
+}
+
+module.exports = Crossover;
\ No newline at end of file
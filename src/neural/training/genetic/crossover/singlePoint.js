@@ -0,0 +1,23 @@
+const Crossover = require('./crossover');
+
+/**
+ * Single point crossover. The child takes the genes of the mother before a
+ * random cut point and the genes of the father after it.
+ */
+class SinglePointCrossover extends Crossover {
+    /**
+     * @inheritDoc
+     */
+    crossover(mother, father, random) {
+        const cut = random.nextInt(mother.length + 1);
+        const child = mother.slice();
+
+        for (let i = cut; i < child.length; i++) {
+            child[i] = father[i];
+        }
+
+        return child;
+    }
+}
+
+module.exports = SinglePointCrossover;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const Crossover = require('./crossover');
+
+/**
+ * Two point crossover. The child takes the genes of the father between two
+ * random cut points and the genes of the mother elsewhere.
+ */
+class TwoPointCrossover extends Crossover {
+    /**
+     * @inheritDoc
+     */
+    crossover(mother, father, random) {
+        const cut1 = random.nextInt(mother.length + 1);
+        const cut2 = random.nextInt(mother.length + 1);
+        const start = Math.min(cut1, cut2);
+        const end = Math.max(cut1, cut2);
+        const child = mother.slice();
+
+        for (let i = start; i < end; i++) {
+            child[i] = father[i];
+        }
+
+        return child;
+    }
+}
+
+module.exports = TwoPointCrossover;
\ No newline at end of file
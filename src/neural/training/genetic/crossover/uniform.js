@@ -0,0 +1,16 @@
+const Crossover = require('./crossover');
+
+/**
+ * Uniform crossover. Every gene of the child is taken from either parent with
+ * the same probability.
+ */
+class UniformCrossover extends Crossover {
+    /**
+     * @inheritDoc
+     */
+    crossover(mother, father, random) {
+        return mother.map((gene, i) => (random.nextBoolean() ? gene : father[i]));
+    }
+}
+
+module.exports = UniformCrossover;
\ No newline at end of file
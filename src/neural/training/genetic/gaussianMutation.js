@@ -0,0 +1,45 @@
+/**
+ * Gaussian mutation. Every gene is perturbed by a normally distributed amount.
+ */
+class GaussianMutation {
+    /**
+     * @param standardDeviation {number}
+     *            The standard deviation of the perturbation.
+     * @param geneRate {number}
+     *            The probability for every gene to be perturbed.
+     */
+    constructor(standardDeviation = 0.1, geneRate = 1) {
+        this.standardDeviation = standardDeviation;
+        this.geneRate = geneRate;
+    }
+
+    /**
+     * @param genes {Array}
+     *            The genes to mutate, they are modified.
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     */
+    mutate(genes, random) {
+        for (let i = 0; i < genes.length; i++) {
+            if (random.nextDouble() < this.geneRate) {
+                genes[i] += random.nextGaussian() * this.standardDeviation;
+            }
+        }
+    }
+
+    /**
+     * @return {number} The standard deviation of the perturbation.
+     */
+    getStandardDeviation() {
+        return this.standardDeviation;
+    }
+
+    /**
+     * @param standardDeviation {number}
+     */
+    setStandardDeviation(standardDeviation) {
+        this.standardDeviation = standardDeviation;
+    }
+}
+
+module.exports = GaussianMutation;
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Tournament selection. A number of genomes are picked at random, the best of
+ * them wins the tournament. The more rounds, the stronger the selection
+ * pressure.
+ */
+class TournamentSelection {
+    /**
+     * @param rounds {number}
+     *            The number of genomes that take part in a tournament.
+     */
+    constructor(rounds = 4) {
+        this.rounds = rounds;
+    }
+
+    /**
+     * @param genomes {Array}
+     *            The scored genomes, objects with a score.
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator.
+     * @param minimize {Boolean}
+     *            True if the best genomes have the lowest scores.
+     * @return {Object} The genome that won the tournament.
+     */
+    select(genomes, random, minimize) {
+        let best = genomes[random.nextInt(genomes.length)];
+
+        for (let i = 1; i < this.rounds; i++) {
+            const genome = genomes[random.nextInt(genomes.length)];
+
+            if (minimize ? genome.score < best.score : genome.score > best.score) {
+                best = genome;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * @return {number} The number of genomes that take part in a tournament.
+     */
+    getRounds() {
+        return this.rounds;
+    }
+
+    /**
+     * @param rounds {number}
+     */
+    setRounds(rounds) {
+        this.rounds = rounds;
+    }
+}
+
+module.exports = TournamentSelection;
\ No newline at end of file
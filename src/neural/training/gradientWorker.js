@@ -1,5 +1,7 @@
 const ErrorCalculation = require(PATHS.ERROR_CALCULATION + 'errorCalculation');
 const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
+const _ = require('lodash');
 
 /**
  * Worker class for the mulithreaded training of flat networks.
@@ -48,7 +50,12 @@ class GradientWorker {
         this.layerSums = this.network.layerSums;
         this.layerFeedCounts = this.network.layerFeedCounts;
 
-        this.errorCalculation = new ErrorCalculation();
+        this.errorCalculation = new ErrorCalculation(theOwner.getErrorCalculationMode());
+
+        /**
+         * Used to pick the neurons that are dropped out.
+         */
+        this.dropoutRandom = RandomFactory.factor();
     }
 
 
@@ -64,8 +71,79 @@ class GradientWorker {
         this.actual = this.network.compute(input);
 
         this.errorCalculation.updateError(this.actual, output);
+        this.calculateOutputDelta(output);
+
+        // Propagate backwards (chain rule from calculus).
+        for (let i = this.network.beginTraining; i < this.network.endTraining; i++) {
+            this.processLevel(i);
+        }
+    }
+
+    /**
+     * Process a batch of training set elements, for networks with batch
+     * normalized layers. The mean and the variance of those layers depend on
+     * every element of the batch, so each level is propagated for the whole
+     * batch before moving to the next one.
+     *
+     * @param input {Array}
+     *          the input data of the batch
+     * @param output {Array}
+     *          the output data of the batch
+     */
+    processBatch(input, output) {
+        const current = {layerOutput: this.layerOutput, layerSums: this.layerSums, layerDelta: this.layerDelta};
+        const states = [];
+
+        this.network.setTraining(true);
+        this.network.computeBatch(input);
+
+        for (let i = 0; i < input.length; i++) {
+            this.actual = this.network.compute(input[i]);
+            this.errorCalculation.updateError(this.actual, output[i]);
+
+            const arrays = this.network.getRecordArrays();
+            const state = {
+                layerOutput: arrays.layerOutput.slice(),
+                layerSums: arrays.layerSums.slice(),
+                layerNormalized: arrays.layerNormalized.slice(),
+                layerDelta: ArrayUtils.newFloatArray(arrays.layerOutput.length)
+            };
+            this.setState(state);
+            this.calculateOutputDelta(output[i]);
+            states.push(state);
+        }
+
+        for (let i = this.network.beginTraining; i < this.network.endTraining; i++) {
+            if (this.network.layerBatchNormalization[i]) {
+                this.processBatchNormalization(i, states);
+            }
+
+            for (let state of states) {
+                this.setState(state);
+                this.processLevel(i);
+            }
+        }
+
+        this.setState(current);
+    }
+
+    /**
+     * @param state {Object}
+     *            The outputs, sums and deltas of the element to process.
+     */
+    setState(state) {
+        this.layerOutput = state.layerOutput;
+        this.layerSums = state.layerSums;
+        this.layerDelta = state.layerDelta;
+    }
 
-        // Calculate error for the output layer.
+    /**
+     * Calculate the deltas of the output layer for the last computed element.
+     *
+     * @param output {Array}
+     *          the output data information
+     */
+    calculateOutputDelta(output) {
         this.errorFunction.calculateError(
             this.network.activationFunctions[0],
             this.layerSums,
@@ -85,10 +163,43 @@ class GradientWorker {
                 this.layerDelta[i] += (lp[0] * this.owner.l1) + (lp[1] * this.owner.l2);
             }
         }
+    }
 
-        // Propagate backwards (chain rule from calculus).
-        for (let i = this.network.beginTraining; i < this.network.endTraining; i++) {
-            this.processLevel(i);
+    /**
+     * Propagate the deltas of a batch normalized layer back through the
+     * normalization, and calculate the gradients of its gamma and beta.
+     *
+     * @param layer {number}
+     *            The batch normalized layer.
+     * @param states {Array}
+     *            The outputs, sums and deltas of each element of the batch.
+     */
+    processBatchNormalization(layer, states) {
+        const start = this.layerIndex[layer];
+        const count = this.layerFeedCounts[layer];
+        const gammaIndex = this.network.batchNormalizationIndex[layer];
+        const betaIndex = gammaIndex + count;
+
+        for (let i = 0; i < count; i++) {
+            const x = start + i;
+            let deltaSum = 0;
+            let normalizedDeltaSum = 0;
+
+            for (let state of states) {
+                deltaSum += state.layerDelta[x];
+                normalizedDeltaSum += state.layerDelta[x] * state.layerNormalized[x];
+            }
+
+            this.gradients[gammaIndex + i] += normalizedDeltaSum;
+            this.gradients[betaIndex + i] += deltaSum;
+
+            const scale = this.weights[gammaIndex + i]
+                / Math.sqrt(this.network.batchVariance[x] + PATHS.CONSTANTS.BATCH_NORMALIZATION_EPSILON);
+
+            for (let state of states) {
+                const mean = (deltaSum + (state.layerNormalized[x] * normalizedDeltaSum)) / states.length;
+                state.layerDelta[x] = scale * (state.layerDelta[x] - mean);
+            }
         }
     }
 
@@ -121,7 +232,7 @@ class GradientWorker {
 
             let wi = index + y;
             let loopEnd = toLayerIndex + toLayerSize;
-            if (dropoutRate === 0) {
+            if (dropoutRate === 0 || this.dropoutRandom.nextDouble() > dropoutRate) {
                 for (let xi = toLayerIndex; xi < loopEnd; xi++, wi += fromLayerSize) {
                     this.gradients[wi] += output * this.layerDelta[xi];
                     sum += this.weights[wi] * this.layerDelta[xi];
@@ -163,13 +274,12 @@ class GradientWorker {
 
     /**
      * Perform the gradient calculation for the specified index range.
-     * @param index {number}
      */
-    run(index = 1) {
+    run() {
         this.errorCalculation.reset();
 
-        if (arguments.length === 0) {
-            this.process(this.input[index], this.output[index]);
+        if (this.network.hasBatchNormalization()) {
+            this.processBatch(this.input.slice(this.low, this.high + 1), this.output.slice(this.low, this.high + 1));
         } else {
             for (let i = this.low; i <= this.high; i++) {
                 this.process(this.input[i], this.output[i]);
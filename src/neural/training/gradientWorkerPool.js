@@ -0,0 +1,221 @@
+if (typeof PATHS === 'undefined') {
+    // loaded as the entry point of a worker thread
+    global.PATHS = require('../../../paths.js');
+}
+
+const WorkerPool = require(PATHS.UTILS + 'workerPool');
+
+const TASK_NAME = 'gradient';
+
+/**
+ * The FlatNetwork fields a worker needs to rebuild the network.
+ */
+const NETWORK_FIELDS = [
+    'inputCount', 'outputCount', 'layerCounts', 'layerIndex', 'layerOutput', 'layerSums',
+    'layerFeedCounts', 'contextTargetOffset', 'contextTargetSize', 'layerContextCount',
+    'biasActivation', 'weightIndex', 'layerDropoutRates', 'layerBatchNormalization', 'beginTraining', 'endTraining'
+];
+
+/**
+ * The ErrorCalculation fields accumulated by each thread, they are added up to
+ * calculate the error of the whole training set in any mode.
+ */
+const ERROR_FIELDS = ['globalError', 'setSize', 'recordCount', 'sum', 'min', 'max', 'logLoss', 'hotLogLoss'];
+
+/**
+ * Calculates the gradients of a propagation trainer with several worker
+ * threads. The training set is split in one slice per thread and each thread
+ * runs a GradientWorker over its slice. The weights are shared with the
+ * threads through a SharedArrayBuffer, each thread writes its gradients to
+ * its own part of another shared buffer, and they are summed into the trainer
+ * once all the threads are done.
+ */
+class GradientWorkerPool {
+    /**
+     * Start the worker threads.
+     *
+     * @param owner {Propagation}
+     *            The trainer that owns the pool.
+     * @param threadCount {number}
+     *            The number of threads to use.
+     */
+    constructor(owner, threadCount) {
+        const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
+        const flat = owner.currentFlatNetwork;
+        const trainingSize = owner.input.length;
+
+        this.owner = owner;
+        this.threadCount = Math.max(1, Math.min(threadCount, trainingSize));
+        this.weightCount = flat.weights.length;
+        this.weights = WorkerPool.newSharedFloatArray(this.weightCount);
+        this.gradients = WorkerPool.newSharedFloatArray(this.weightCount * this.threadCount);
+        this.errors = WorkerPool.newSharedFloatArray(ERROR_FIELDS.length * this.threadCount);
+        this.errorCalculation = null;
+
+        const network = GradientWorkerPool.packNetwork(flat);
+        const sliceSize = Math.floor(trainingSize / this.threadCount);
+        const workerData = [];
+        let low = 0;
+
+        for (let i = 0; i < this.threadCount; i++) {
+            const high = (i === this.threadCount - 1) ? trainingSize : low + sliceSize;
+
+            workerData.push({
+                index: i,
+                network: network,
+                weights: this.weights.buffer,
+                gradients: this.gradients.buffer,
+                errors: this.errors.buffer,
+                input: owner.input.slice(low, high),
+                output: owner.output.slice(low, high),
+                flatSpot: owner.flatSpot,
+                errorFunction: owner.ef.constructor.name,
+                randomSeed: RandomFactory.nextSeed(),
+                l1: owner.l1,
+                l2: owner.l2
+            });
+            low = high;
+        }
+
+        this.pool = new WorkerPool(TASK_NAME, __filename, workerData);
+    }
+
+    /**
+     * Calculate the gradients with the current weights of the network. The
+     * gradients are reported to the owner.
+     *
+     * @return {number} The error of the whole training set.
+     */
+    run() {
+        const ErrorCalculation = require(PATHS.ERROR_CALCULATION + 'errorCalculation');
+        const weights = this.owner.currentFlatNetwork.weights;
+        for (let i = 0; i < this.weightCount; i++) {
+            this.weights[i] = weights[i];
+        }
+
+        this.pool.run();
+
+        const errorCalculation = new ErrorCalculation(this.owner.getErrorCalculationMode());
+        const threadError = new ErrorCalculation();
+        for (let i = 0; i < this.threadCount; i++) {
+            const gradients = this.gradients.subarray(i * this.weightCount, (i + 1) * this.weightCount);
+
+            ERROR_FIELDS.forEach((field, j) => {
+                threadError[field] = this.errors[i * ERROR_FIELDS.length + j];
+            });
+            errorCalculation.add(threadError);
+            this.owner.report(gradients, 0, null);
+        }
+
+        this.errorCalculation = errorCalculation;
+        return errorCalculation.calculate();
+    }
+
+    /**
+     * @return {ErrorCalculation} The errors of the last run, added up over all the threads.
+     */
+    getErrorCalculation() {
+        return this.errorCalculation;
+    }
+
+    /**
+     * Stop the worker threads.
+     */
+    terminate() {
+        this.pool.terminate();
+    }
+
+    /**
+     * Convert a flat network to plain data that can be sent to a worker thread.
+     *
+     * @param flat {FlatNetwork}
+     * @return {Object}
+     */
+    static packNetwork(flat) {
+        const network = {};
+        for (let field of NETWORK_FIELDS) {
+            network[field] = flat[field];
+        }
+        network.activationFunctions = flat.activationFunctions.map((af) => Object.assign({}, af));
+        return network;
+    }
+
+    /**
+     * Rebuild, inside a worker thread, a flat network packed with packNetwork.
+     *
+     * @param network {Object}
+     *            The packed network.
+     * @param weights {SharedArrayBuffer}
+     *            The shared buffer that holds the weights.
+     * @return {FlatNetwork}
+     */
+    static unpackNetwork(network, weights) {
+        const FlatNetwork = require(PATHS.NETWORKS + 'flat');
+        const ActivationFunction = require(PATHS.SRC + 'activation/activationFunction');
+        const flat = new FlatNetwork();
+
+        for (let field of NETWORK_FIELDS) {
+            flat[field] = network[field];
+        }
+        flat.activationFunctions = network.activationFunctions.map((params) =>
+            Object.assign(ActivationFunction.fromType(params.type), params));
+        flat.weights = new Float64Array(weights);
+        return flat;
+    }
+
+    /**
+     * Entry point of the worker threads.
+     */
+    static serve() {
+        let task;
+
+        try {
+            const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
+            const ErrorCalculation = require(PATHS.ERROR_CALCULATION + 'errorCalculation');
+            const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+            const GradientWorker = require(PATHS.TRAINING + 'gradientWorker');
+            const ErrorFunctions = require('require-all')(PATHS.ERROR_FUNCTIONS);
+            const data = WorkerPool.getWorkerData();
+            const flat = GradientWorkerPool.unpackNetwork(data.network, data.weights);
+
+            RandomFactory.setSeed(data.randomSeed);
+
+            const ErrorFunctionClass = Object.values(ErrorFunctions).find((cls) => cls.name === data.errorFunction);
+            if (ErrorFunctionClass == null) {
+                throw new EncogError("Unknown error function: " + data.errorFunction);
+            }
+
+            const weightCount = flat.weights.length;
+            const gradients = new Float64Array(data.gradients, data.index * weightCount * 8, weightCount);
+            const errors = new Float64Array(data.errors);
+            const owner = {
+                l1: data.l1,
+                l2: data.l2,
+                getErrorCalculationMode: () => ErrorCalculation.getDefaultMode(),
+                report: (workerGradients) => {
+                    gradients.set(workerGradients);
+                }
+            };
+
+            const worker = new GradientWorker(flat, owner, data.input, data.output, 0, data.input.length - 1,
+                data.flatSpot, new ErrorFunctionClass());
+
+            task = () => {
+                worker.run();
+                ERROR_FIELDS.forEach((field, j) => {
+                    errors[data.index * ERROR_FIELDS.length + j] = worker.errorCalculation[field];
+                });
+            };
+        } catch (ex) {
+            task = ex;
+        }
+
+        WorkerPool.serve(task);
+    }
+}
+
+if (WorkerPool.isWorker(TASK_NAME)) {
+    GradientWorkerPool.serve();
+}
+
+module.exports = GradientWorkerPool;
\ No newline at end of file
@@ -70,6 +70,31 @@ class LevenbergMarquardtTraining extends BasicTraining {
         this.hessian = new HessionCR();
     }
 
+    /**
+     * Set the number of worker threads used to calculate the Hessian.
+     *
+     * @param threadCount {number}
+     *            The number of threads, 1 to calculate on the main thread.
+     */
+    setThreadCount(threadCount) {
+        this.hessian.setThreadCount(threadCount);
+    }
+
+    /**
+     * @return {number} The number of worker threads.
+     */
+    getThreadCount() {
+        return this.hessian.getThreadCount();
+    }
+
+    /**
+     * @inheritDoc
+     */
+    finishTraining() {
+        super.finishTraining();
+        this.hessian.terminate();
+    }
+
     _saveDiagonal() {
         const h = this.hessian.hessianMatrix;
         for (let i = 0; i < this.weightCount; i++) {
@@ -125,7 +150,7 @@ class LevenbergMarquardtTraining extends BasicTraining {
             singular = uMatrix.isNonSingular();
 
             if (singular) {
-                this.deltas = mathjs.lusolve(lup, this.hessian.gradients).resize([1, this.weights.length]).toArray()[0];
+                this.deltas = mathjs.flatten(mathjs.lusolve(lup, this.hessian.gradients)).toArray();
                 this.updateWeights();
                 currentError = this._calculateError();
             }
@@ -0,0 +1,276 @@
+const BasicTraining = require(PATHS.TRAINING + 'basic');
+const TournamentSelection = require(PATHS.GENETIC + 'tournamentSelection');
+const GaussianMutation = require(PATHS.GENETIC + 'gaussianMutation');
+const BlendCrossover = require(PATHS.GENETIC + 'crossover/blend');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+
+/**
+ * Implements a genetic algorithm that evolves the weights of a neural network.
+ * Every genome of the population is a weight vector of the network. Like the
+ * simulated annealing trainer, it does not need gradients: the genomes are
+ * ranked with a CalculateScore.
+ *
+ * Every iteration is a generation. The best genomes (the elite) are copied to
+ * the next generation as they are. The other genomes are children of parents
+ * chosen by tournament selection: they are created by crossover, or copied
+ * from one parent, and then mutated.
+ *
+ * Use a TrainingSetScore to train against a training set, or your own
+ * CalculateScore, for example to score the network on a simulation.
+ */
+class NeuralGeneticAlgorithm extends BasicTraining {
+    /**
+     * @param network {BasicNetwork}
+     *            The network to train, its weights are the first genome.
+     * @param calculateScore {CalculateScore}
+     *            Used to calculate the score of the genomes.
+     * @param populationSize {number}
+     *            The number of genomes.
+     */
+    constructor(network, calculateScore, populationSize = 50) {
+        super();
+
+        if (populationSize < 2) {
+            throw new EncogError("The population must have at least two genomes.");
+        }
+
+        this.network = network;
+        this.calculateScore = calculateScore;
+        this.populationSize = populationSize;
+        this.random = RandomFactory.factor();
+        this.selection = new TournamentSelection();
+        this.crossover = new BlendCrossover();
+        this.mutation = new GaussianMutation();
+
+        /**
+         * The ratio of the best genomes copied as they are to the next generation.
+         */
+        this.eliteRate = 0.1;
+        /**
+         * The probability for a child to be created by crossover, instead of copied from one parent.
+         */
+        this.crossoverRate = 0.9;
+        /**
+         * The probability for a child to be mutated.
+         */
+        this.mutationRate = 0.3;
+
+        this.population = [];
+        this.iterationCount = 0;
+    }
+
+    /**
+     * Evolve one generation.
+     */
+    iteration() {
+        EncogLog.info("Performing Genetic Algorithm iteration.");
+
+        this.preIteration();
+
+        if (this.population.length === 0) {
+            this.createPopulation();
+        }
+
+        const next = this.population.slice(0, this.getEliteCount());
+        while (next.length < this.populationSize) {
+            next.push(this.scoreGenome(this.createChild()));
+        }
+
+        this.population = this.sortGenomes(next);
+        this.network.getFlat().decodeNetwork(this.population[0].genes);
+        this.error = this.population[0].score;
+
+        this.postIteration();
+    }
+
+    /**
+     * Create the first generation. The first genome holds the current weights
+     * of the network, the others are randomized by the network.
+     */
+    createPopulation() {
+        const genomes = [this.scoreGenome(this.network.getFlat().encodeNetwork().slice())];
+
+        while (genomes.length < this.populationSize) {
+            this.network.getRandomizer().randomize(this.network);
+            genomes.push(this.scoreGenome(this.network.getFlat().encodeNetwork().slice()));
+        }
+
+        this.population = this.sortGenomes(genomes);
+    }
+
+    /**
+     * @return {Array} The genes of a new child.
+     */
+    createChild() {
+        const minimize = this.calculateScore.shouldMinimize();
+        const mother = this.selection.select(this.population, this.random, minimize);
+        let genes;
+
+        if (this.random.nextDouble() < this.crossoverRate) {
+            const father = this.selection.select(this.population, this.random, minimize);
+            genes = this.crossover.crossover(mother.genes, father.genes, this.random);
+        } else {
+            genes = mother.genes.slice();
+        }
+
+        if (this.random.nextDouble() < this.mutationRate) {
+            this.mutation.mutate(genes, this.random);
+        }
+
+        return genes;
+    }
+
+    /**
+     * @param genes {Array}
+     *            The weights of the network.
+     * @return {Object} The genome: the genes and their score.
+     */
+    scoreGenome(genes) {
+        this.network.getFlat().decodeNetwork(genes);
+        let score = this.calculateScore.calculateScore(this.network);
+
+        if (!Number.isFinite(score)) {
+            score = this.calculateScore.shouldMinimize() ? Infinity : -Infinity;
+        }
+
+        return {genes: genes, score: score};
+    }
+
+    /**
+     * @param genomes {Array}
+     * @return {Array} The genomes, sorted from the best.
+     */
+    sortGenomes(genomes) {
+        const direction = this.calculateScore.shouldMinimize() ? 1 : -1;
+
+        // compare rather than subtract, the scores may be infinite
+        return genomes.sort((a, b) => {
+            if (a.score < b.score) {
+                return -direction;
+            }
+            if (a.score > b.score) {
+                return direction;
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * @inheritDoc
+     */
+    canContinue() {
+        return false;
+    }
+
+    /**
+     * @return {Array} The genomes of the current generation, sorted from the best.
+     */
+    getPopulation() {
+        return this.population;
+    }
+
+    /**
+     * @return {number} The number of genomes.
+     */
+    getPopulationSize() {
+        return this.populationSize;
+    }
+
+    /**
+     * @return {number} The number of genomes copied as they are to the next generation.
+     */
+    getEliteCount() {
+        return Math.min(this.populationSize - 1, Math.round(this.populationSize * this.eliteRate));
+    }
+
+    /**
+     * @return {number} The ratio of the best genomes copied as they are to the next generation.
+     */
+    getEliteRate() {
+        return this.eliteRate;
+    }
+
+    /**
+     * @param eliteRate {number}
+     *            The ratio of the best genomes copied as they are to the next generation, 0 for no elitism.
+     */
+    setEliteRate(eliteRate) {
+        this.eliteRate = eliteRate;
+    }
+
+    /**
+     * @return {number} The probability for a child to be created by crossover.
+     */
+    getCrossoverRate() {
+        return this.crossoverRate;
+    }
+
+    /**
+     * @param crossoverRate {number}
+     */
+    setCrossoverRate(crossoverRate) {
+        this.crossoverRate = crossoverRate;
+    }
+
+    /**
+     * @return {number} The probability for a child to be mutated.
+     */
+    getMutationRate() {
+        return this.mutationRate;
+    }
+
+    /**
+     * @param mutationRate {number}
+     */
+    setMutationRate(mutationRate) {
+        this.mutationRate = mutationRate;
+    }
+
+    /**
+     * @return {TournamentSelection} The selection of the parents.
+     */
+    getSelection() {
+        return this.selection;
+    }
+
+    /**
+     * @param selection {TournamentSelection}
+     *            The selection of the parents, an object with a select(genomes, random, minimize) method.
+     */
+    setSelection(selection) {
+        this.selection = selection;
+    }
+
+    /**
+     * @return {Crossover} The crossover operator.
+     */
+    getCrossover() {
+        return this.crossover;
+    }
+
+    /**
+     * @param crossover {Crossover}
+     */
+    setCrossover(crossover) {
+        this.crossover = crossover;
+    }
+
+    /**
+     * @return {GaussianMutation} The mutation operator.
+     */
+    getMutation() {
+        return this.mutation;
+    }
+
+    /**
+     * @param mutation {GaussianMutation}
+     *            The mutation operator, an object with a mutate(genes, random) method.
+     */
+    setMutation(mutation) {
+        this.mutation = mutation;
+    }
+}
+
+module.exports = NeuralGeneticAlgorithm;
\ No newline at end of file
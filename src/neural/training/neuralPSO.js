@@ -0,0 +1,303 @@
+const BasicTraining = require(PATHS.TRAINING + 'basic');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+
+const TOPOLOGIES = {
+    /**
+     * Every particle is attracted by the best position of the whole swarm.
+     */
+    GLOBAL: 'GLOBAL',
+    /**
+     * The particles are on a ring, every particle is attracted by the best
+     * position of itself and its two neighbours. The swarm converges slower,
+     * but it is less likely to get stuck in a local optimum.
+     */
+    RING: 'RING'
+};
+
+/**
+ * Trains the weights of a neural network with particle swarm optimization
+ * (PSO). The weights of the flat network are the positions of the particles
+ * and they are scored with a CalculateScore, so no gradient is needed. At
+ * every iteration, the velocity of every particle is updated:
+ *
+ * v = inertia * v + c1 * r1 * (personalBest - x) + c2 * r2 * (neighbourhoodBest - x)
+ *
+ * c1 is the cognitive coefficient, c2 the social coefficient, r1 and r2 are
+ * random numbers between 0 and 1. The velocity is clamped to the maximum
+ * velocity and added to the position. The network holds the best position
+ * found so far.
+ */
+class NeuralPSO extends BasicTraining {
+    /**
+     * @param network {BasicNetwork}
+     *            The network to train, its weights are the position of the first particle.
+     * @param calculateScore {CalculateScore}
+     *            Used to calculate the score of the positions.
+     * @param particleCount {number}
+     *            The number of particles.
+     */
+    constructor(network, calculateScore, particleCount = 30) {
+        super();
+
+        if (particleCount < 1) {
+            throw new EncogError("The swarm must have at least one particle.");
+        }
+
+        this.network = network;
+        this.calculateScore = calculateScore;
+        this.particleCount = particleCount;
+        this.random = RandomFactory.factor();
+
+        this.inertiaWeight = 0.729;
+        this.cognitiveCoefficient = 1.49445;
+        this.socialCoefficient = 1.49445;
+        /**
+         * The largest absolute velocity of a weight, 0 for no clamping.
+         */
+        this.maxVelocity = 2;
+        this.topology = TOPOLOGIES.GLOBAL;
+
+        this.particles = [];
+        this.bestPosition = null;
+        this.bestScore = null;
+        this.iterationCount = 0;
+    }
+
+    /**
+     * @returns {Object} The swarm topologies.
+     */
+    static getTopologies() {
+        return TOPOLOGIES;
+    }
+
+    /**
+     * Move the particles once.
+     */
+    iteration() {
+        EncogLog.info("Performing PSO iteration.");
+
+        this.preIteration();
+
+        if (this.particles.length === 0) {
+            this.createParticles();
+        } else {
+            const neighbourhoodBests = this.particles.map((particle, i) => this.getNeighbourhoodBest(i));
+
+            this.particles.forEach((particle, i) => {
+                this.updateVelocity(particle, neighbourhoodBests[i]);
+                for (let j = 0; j < particle.position.length; j++) {
+                    particle.position[j] += particle.velocity[j];
+                }
+                this.scoreParticle(particle);
+            });
+        }
+
+        this.network.getFlat().decodeNetwork(this.bestPosition);
+        this.error = this.bestScore;
+
+        this.postIteration();
+    }
+
+    /**
+     * Create the swarm. The first particle is at the current weights of the
+     * network, the others are randomized by the network. The velocities are
+     * random, up to the maximum velocity.
+     */
+    createParticles() {
+        const velocityRange = this.maxVelocity > 0 ? this.maxVelocity : 1;
+
+        for (let i = 0; i < this.particleCount; i++) {
+            if (i > 0) {
+                this.network.getRandomizer().randomize(this.network);
+            }
+
+            const position = this.network.getFlat().encodeNetwork().slice();
+            const particle = {
+                position: position,
+                velocity: position.map(() => (this.random.nextDouble() * 2 - 1) * velocityRange),
+                bestPosition: null,
+                bestScore: null
+            };
+
+            this.particles.push(particle);
+            this.scoreParticle(particle);
+        }
+    }
+
+    /**
+     * Score the position of a particle, and update its best position and the
+     * best position of the swarm.
+     *
+     * @param particle {Object}
+     */
+    scoreParticle(particle) {
+        this.network.getFlat().decodeNetwork(particle.position);
+        let score = this.calculateScore.calculateScore(this.network);
+
+        if (!Number.isFinite(score)) {
+            score = this.calculateScore.shouldMinimize() ? Infinity : -Infinity;
+        }
+
+        if (particle.bestScore === null || this.isBetter(score, particle.bestScore)) {
+            particle.bestScore = score;
+            particle.bestPosition = particle.position.slice();
+        }
+
+        if (this.bestScore === null || this.isBetter(score, this.bestScore)) {
+            this.bestScore = score;
+            this.bestPosition = particle.position.slice();
+        }
+    }
+
+    /**
+     * @param particle {Object}
+     * @param neighbourhoodBest {Array}
+     *            The best position of the neighbourhood of the particle.
+     */
+    updateVelocity(particle, neighbourhoodBest) {
+        for (let i = 0; i < particle.velocity.length; i++) {
+            const cognitive = this.cognitiveCoefficient * this.random.nextDouble()
+                * (particle.bestPosition[i] - particle.position[i]);
+            const social = this.socialCoefficient * this.random.nextDouble()
+                * (neighbourhoodBest[i] - particle.position[i]);
+            let velocity = this.inertiaWeight * particle.velocity[i] + cognitive + social;
+
+            if (this.maxVelocity > 0) {
+                velocity = Math.max(-this.maxVelocity, Math.min(this.maxVelocity, velocity));
+            }
+            particle.velocity[i] = velocity;
+        }
+    }
+
+    /**
+     * @param index {number}
+     *            The index of the particle.
+     * @return {Array} The best position of the neighbourhood of the particle.
+     */
+    getNeighbourhoodBest(index) {
+        if (this.topology === TOPOLOGIES.GLOBAL) {
+            return this.bestPosition;
+        }
+
+        let best = this.particles[index];
+        for (let offset of [-1, 1]) {
+            const neighbour = this.particles[(index + offset + this.particles.length) % this.particles.length];
+
+            if (this.isBetter(neighbour.bestScore, best.bestScore)) {
+                best = neighbour;
+            }
+        }
+        return best.bestPosition;
+    }
+
+    /**
+     * @param a {number}
+     * @param b {number}
+     * @return {Boolean} True if the first score is better than the second one.
+     */
+    isBetter(a, b) {
+        if (this.calculateScore.shouldMinimize()) {
+            return a < b;
+        }
+        return a > b;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    canContinue() {
+        return false;
+    }
+
+    /**
+     * @return {Array} The particles: their position, velocity, best position and best score.
+     */
+    getParticles() {
+        return this.particles;
+    }
+
+    /**
+     * @return {Array} The best position found so far.
+     */
+    getBestPosition() {
+        return this.bestPosition;
+    }
+
+    /**
+     * @return {number} The inertia weight.
+     */
+    getInertiaWeight() {
+        return this.inertiaWeight;
+    }
+
+    /**
+     * @param inertiaWeight {number}
+     */
+    setInertiaWeight(inertiaWeight) {
+        this.inertiaWeight = inertiaWeight;
+    }
+
+    /**
+     * @return {number} The cognitive coefficient, the attraction to the best position of the particle.
+     */
+    getCognitiveCoefficient() {
+        return this.cognitiveCoefficient;
+    }
+
+    /**
+     * @param cognitiveCoefficient {number}
+     */
+    setCognitiveCoefficient(cognitiveCoefficient) {
+        this.cognitiveCoefficient = cognitiveCoefficient;
+    }
+
+    /**
+     * @return {number} The social coefficient, the attraction to the best position of the neighbourhood.
+     */
+    getSocialCoefficient() {
+        return this.socialCoefficient;
+    }
+
+    /**
+     * @param socialCoefficient {number}
+     */
+    setSocialCoefficient(socialCoefficient) {
+        this.socialCoefficient = socialCoefficient;
+    }
+
+    /**
+     * @return {number} The largest absolute velocity of a weight, 0 for no clamping.
+     */
+    getMaxVelocity() {
+        return this.maxVelocity;
+    }
+
+    /**
+     * @param maxVelocity {number}
+     */
+    setMaxVelocity(maxVelocity) {
+        this.maxVelocity = maxVelocity;
+    }
+
+    /**
+     * @return {String} The swarm topology, see getTopologies.
+     */
+    getTopology() {
+        return this.topology;
+    }
+
+    /**
+     * @param topology {String}
+     *            The swarm topology, see getTopologies.
+     */
+    setTopology(topology) {
+        if (!TOPOLOGIES.hasOwnProperty(topology)) {
+            throw new EncogError("Unknown swarm topology: " + topology);
+        }
+        this.topology = topology;
+    }
+}
+
+module.exports = NeuralPSO;
\ No newline at end of file
@@ -1,5 +1,6 @@
 const BasicTraining = require(PATHS.TRAINING + 'basic');
-const SimulatedAnnealing = require(PATHS.ML + 'simulatedAnnealing');
+const NeuralSimulatedAnnealingHelper = require(PATHS.TRAINING + 'neuralSimulatedAnnealingHelper');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
 const EncogLog = require(PATHS.UTILS + 'encogLog');
 /**
  * The cutoff for random data.
@@ -43,7 +44,9 @@ class NeuralSimulatedAnnealing extends BasicTraining {
         this.network = network;
         this.scoreAlgorithm = scoreAlgorithm;
 
-        this.anneal = new SimulatedAnnealing();
+        this.random = RandomFactory.factor();
+
+        this.anneal = new NeuralSimulatedAnnealingHelper(this);
         this.anneal.temperature = startTemp;
         this.anneal.startTemperature = startTemp;
         this.anneal.stopTemperature = stopTemp;
@@ -67,7 +70,7 @@ class NeuralSimulatedAnnealing extends BasicTraining {
      * @return A copy of the annealing array.
      */
     getArrayCopy() {
-        return this.network.encodeNetwork();
+        return this.network.getFlat().encodeNetwork().slice();
     }
 
     /**
@@ -78,10 +81,20 @@ class NeuralSimulatedAnnealing extends BasicTraining {
     }
 
     /**
-     * @inheritDoc
+     * Randomize the weights and bias values. The amount of change shrinks with
+     * the temperature.
      */
     randomize() {
-        this.network.randomize();
+        const array = this.getArrayCopy();
+
+        for (let i = 0; i < array.length; i++) {
+            let add = CUT - this.random.nextDouble();
+            add /= this.anneal.startTemperature;
+            add *= this.anneal.temperature;
+            array[i] = array[i] + add;
+        }
+
+        this.putArray(array);
     }
 
     /**
@@ -91,7 +104,7 @@ class NeuralSimulatedAnnealing extends BasicTraining {
      *            The array to be stored.
      */
     putArray(array) {
-        this.network.decodeNetwork(array);
+        this.network.getFlat().decodeNetwork(array);
     }
 }
 
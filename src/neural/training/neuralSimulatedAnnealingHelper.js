@@ -0,0 +1,49 @@
+const SimulatedAnnealing = require(PATHS.ML + 'simulatedAnnealing');
+/**
+ * Simple class used by the neural simulated annealing. This class is a
+ * subclass of the basic SimulatedAnnealing class. The NeuralSimulatedAnnealing
+ * class makes use of this class to perform the annealing, the methods of the
+ * algorithm are delegated back to the owner.
+ */
+class NeuralSimulatedAnnealingHelper extends SimulatedAnnealing {
+    /**
+     * Constructs this object.
+     *
+     * @param owner {NeuralSimulatedAnnealing}
+     *            The owner of this class, that is doing the actual work.
+     */
+    constructor(owner) {
+        super();
+        this.owner = owner;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculateScore() {
+        return this.owner.calculateScore();
+    }
+
+    /**
+     * @inheritDoc
+     */
+    getArrayCopy() {
+        return this.owner.getArrayCopy();
+    }
+
+    /**
+     * @inheritDoc
+     */
+    putArray(array) {
+        this.owner.putArray(array);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    randomize() {
+        this.owner.randomize();
+    }
+}
+
+module.exports = NeuralSimulatedAnnealingHelper;
\ No newline at end of file
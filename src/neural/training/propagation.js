@@ -1,5 +1,7 @@
 const LinearErrorFunction = require(PATHS.ERROR_FUNCTIONS + 'linear');
 const GradientWorker = require(PATHS.TRAINING + 'gradientWorker');
+const GradientWorkerPool = require(PATHS.TRAINING + 'gradientWorkerPool');
+const WorkerPool = require(PATHS.UTILS + 'workerPool');
 const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
 const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
 const BasicTraining = require(PATHS.TRAINING + 'basic');
@@ -31,6 +33,13 @@ class Propagation extends BasicTraining {
 
         this.workers = [];
 
+        /**
+         * The number of worker threads used to calculate the gradients of pure
+         * batch training. One calculates them on the main thread.
+         */
+        this.threadCount = 1;
+        this.threadPool = null;
+
         this.network = network;
         this.currentFlatNetwork = network.getFlat();
 
@@ -66,6 +75,14 @@ class Propagation extends BasicTraining {
      *            The input training set.
      */
     finishTraining(dropoutRate = 0) {
+        if (this.threadPool != null) {
+            this.threadPool.terminate();
+            this.threadPool = null;
+            this.workers = [];
+        }
+
+        super.finishTraining();
+
         if (!this.finalized) {
             const weights = this.currentFlatNetwork.weights;
             if (dropoutRate > 0) {
@@ -107,10 +124,18 @@ class Propagation extends BasicTraining {
         // for batch-sizes that are large enough.
         //
         // Multi-threading cannot be added for pure (size 1)
-        // online training.
-        // if (this.batchSize != 0) {
-        //     this.numThreads = 1;
-        // }
+        // online training. Recurrent networks need the context of the
+        // previous training element, so they are not split either, nor are
+        // the batch normalized networks, which need the statistics of the
+        // whole batch.
+        if (this.threadCount > 1 && this.batchSize === 0 && !this.currentFlatNetwork.hasContext
+            && !this.currentFlatNetwork.hasBatchNormalization()) {
+            if (WorkerPool.isAvailable()) {
+                this.threadPool = new GradientWorkerPool(this, this.threadCount);
+            } else {
+                EncogLog.warn("Worker threads are not available, training with a single thread.");
+            }
+        }
 
         this.workers.push(new GradientWorker(
             this.currentFlatNetwork.clone(),
@@ -123,6 +148,62 @@ class Propagation extends BasicTraining {
             this.ef));
     }
 
+    /**
+     * Set the number of worker threads used to calculate the gradients. The
+     * training set is split across the threads, this is only done for pure
+     * batch training (batch size 0) of networks without context or batch
+     * normalization.
+     *
+     * @param threadCount {number}
+     *            The number of threads, 1 to train on the main thread.
+     */
+    setThreadCount(threadCount) {
+        if (threadCount < 1) {
+            throw new EncogError("The thread count must be at least 1.");
+        }
+
+        if (this.workers.length > 0) {
+            throw new EncogError("The thread count must be set before the first training iteration.");
+        }
+
+        this.threadCount = threadCount;
+    }
+
+    /**
+     * @return {number} The number of worker threads.
+     */
+    getThreadCount() {
+        return this.threadCount;
+    }
+
+    /**
+     * {@inheritDoc}
+     * @param mode {String}
+     */
+    setErrorCalculationMode(mode) {
+        super.setErrorCalculationMode(mode);
+
+        for (let worker of this.workers) {
+            worker.errorCalculation.setMode(this.getErrorCalculationMode());
+        }
+    }
+
+    /**
+     * @return {number} The batch size.
+     */
+    getBatchSize() {
+        return this.batchSize;
+    }
+
+    /**
+     * Set the batch size.
+     *
+     * @param batchSize {number} The batch size, 0 for pure batch training.
+     */
+    setBatchSize(batchSize) {
+        this.batchSize = batchSize;
+    }
+
     /**
      * Apply and learn.
      */
@@ -180,8 +261,6 @@ class Propagation extends BasicTraining {
 
             this.preIteration();
 
-            this.rollIteration();
-
             if (this.batchSize === 0) {
                 this.processPureBatch();
             } else {
@@ -224,14 +303,22 @@ class Propagation extends BasicTraining {
 
         this.totalError = 0;
 
-        if (this.workers.length > 1) {
-
+        if (this.threadPool != null) {
+            this.error = this.threadPool.run();
         } else {
             this.workers[0].run();
+            this.error = this.totalError / this.workers.length;
         }
+    }
 
-        this.error = this.totalError / this.workers.length;
-
+    /**
+     * @return {ErrorCalculation} The errors accumulated by the last gradient calculation.
+     */
+    getErrorCalculation() {
+        if (this.threadPool != null) {
+            return this.threadPool.getErrorCalculation();
+        }
+        return this.workers[0].errorCalculation;
     }
 
     /**
@@ -0,0 +1,99 @@
+const BackPropagation = require('./back');
+const SequenceGradientWorker = require(PATHS.TRAINING + 'sequenceGradientWorker');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+
+/**
+ * Backpropagation through time (BPTT), the backpropagation of recurrent
+ * networks, such as the Elman and Jordan networks. The plain propagation
+ * trainers only see one step: they handle the context neurons as inputs. This
+ * trainer unfolds the network over the steps of every training sequence, so
+ * that the error of a step also trains the weights that produced the context
+ * of the next steps.
+ *
+ * By default the error is propagated back to the beginning of the sequences
+ * (full BPTT). With a window, the sequences are processed in chunks of that
+ * number of steps (truncated BPTT), which is faster and more stable on long
+ * sequences, but can not learn dependencies longer than the window.
+ *
+ * The weights are updated once per iteration, with the gradients of all the
+ * sequences.
+ */
+class BackPropagationThroughTime extends BackPropagation {
+    /**
+     * @param network {BasicNetwork}
+     *            The recurrent network to train.
+     * @param sequences {SequenceDataSet}
+     *            The training sequences.
+     * @param window {number}
+     *            The number of steps the error is propagated back, 0 for whole sequences.
+     * @param theLearnRate {number}
+     *            The rate at which the weight matrix will be adjusted based on learning.
+     * @param theMomentum {number}
+     *            The influence that previous iteration's training deltas will have on the current iteration.
+     */
+    constructor(network, sequences, window = 0, theLearnRate = 0.7, theMomentum = 0.9) {
+        super(network, sequences.getInput(), sequences.getOutput(), theLearnRate, theMomentum);
+
+        this.sequences = sequences;
+        this.batchSize = 0;
+        this.setWindow(window);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    init() {
+        super.init();
+
+        this.workers = [new SequenceGradientWorker(
+            this.currentFlatNetwork.clone(),
+            this,
+            this.sequences,
+            this.window,
+            this.flatSpot,
+            this.ef)];
+    }
+
+    /**
+     * Backpropagation through time only supports pure batch training.
+     *
+     * @param batchSize {number}
+     *            The batch size, it must be 0.
+     */
+    setBatchSize(batchSize) {
+        if (batchSize !== 0) {
+            throw new EncogError("Backpropagation through time only supports pure batch training (batch size 0).");
+        }
+        this.batchSize = batchSize;
+    }
+
+    /**
+     * @return {number} The number of steps the error is propagated back, 0 for whole sequences.
+     */
+    getWindow() {
+        return this.window;
+    }
+
+    /**
+     * @param window {number}
+     *            The number of steps the error is propagated back, 0 for whole sequences.
+     */
+    setWindow(window) {
+        if (window < 0) {
+            throw new EncogError("The window can not be negative.");
+        }
+        if (this.workers.length > 0) {
+            throw new EncogError("The window must be set before the first training iteration.");
+        }
+        this.window = window;
+    }
+
+    /**
+     * @return {SequenceDataSet} The training sequences.
+     */
+    getSequences() {
+        return this.sequences;
+    }
+}
+
+module.exports = BackPropagationThroughTime;
\ No newline at end of file
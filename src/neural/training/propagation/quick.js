@@ -0,0 +1,140 @@
+const Propagation = require('../propagation');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+
+/**
+ * QPROP is an efficient training method that is based on Newton's Method.
+ * QPROP was introduced in a paper:
+ *
+ * "An Empirical Study of Learning Speed in Back-Propagation Networks" (Scott
+ * E. Fahlman, 1988)
+ *
+ * Every weight is moved to the minimum of a parabola fitted through the
+ * current and the previous slope of the error. The step is limited to a
+ * multiple of the previous step (the learning rate), and a linear term is
+ * added while the slope keeps its sign.
+ *
+ * QPROP is a batch method, the whole training set is used in every
+ * iteration by default.
+ */
+class QuickPropagation extends Propagation {
+    /**
+     * @param network {BasicNetwork}
+     *            The network to train.
+     * @param input {Array}
+     *            The input training set.
+     * @param output {Array}
+     *            The ideal output.
+     * @param theLearnRate {number}
+     *            The maximum growth factor of a step, 2 is a good default.
+     */
+    constructor(network, input, output, theLearnRate = 2) {
+        super(network, input, output);
+
+        this.batchSize = 0;
+        this.learningRate = theLearnRate;
+        this.lastDelta = ArrayUtils.newFloatArray(this.currentFlatNetwork.weights.length);
+
+        /**
+         * The weight decay, it keeps the weights small.
+         */
+        this.decay = 0.0001;
+        /**
+         * The learning rate of the linear term, divided by the training set size.
+         */
+        this.outputEpsilon = 0.35;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    updateWeight(gradients, lastGradient, index, dropoutRate = 0) {
+        if (dropoutRate > 0) {
+            return 0;
+        }
+
+        const eps = this.outputEpsilon / Math.max(1, this.input.length);
+        const shrink = this.learningRate / (1 + this.learningRate);
+        const d = this.lastDelta[index];
+        const s = -gradients[index] + this.decay * this.currentFlatNetwork.weights[index];
+        const p = -lastGradient[index];
+        let nextStep = 0;
+
+        // the step must always be in direction opposite to the slope
+        if (d < 0) {
+            // the linear term is added while the slope is still positive
+            if (s > 0) {
+                nextStep -= eps * s;
+            }
+            // the slope did not shrink enough for the parabola, take the maximum step
+            if (s >= shrink * p) {
+                nextStep += this.learningRate * d;
+            } else {
+                nextStep += d * s / (p - s);
+            }
+        } else if (d > 0) {
+            // the linear term is added while the slope is still negative
+            if (s < 0) {
+                nextStep -= eps * s;
+            }
+            if (s <= shrink * p) {
+                nextStep += this.learningRate * d;
+            } else {
+                nextStep += d * s / (p - s);
+            }
+        } else {
+            // the last step was zero, only the linear term is used
+            nextStep -= eps * s;
+        }
+
+        this.lastDelta[index] = nextStep;
+        // keep the slope with its decay term, it is the previous slope of the next step
+        lastGradient[index] = -s;
+
+        return nextStep;
+    }
+
+    /**
+     * @return {number} The maximum growth factor of a step.
+     */
+    getLearningRate() {
+        return this.learningRate;
+    }
+
+    /**
+     * @param rate {number}
+     *            The maximum growth factor of a step.
+     */
+    setLearningRate(rate) {
+        this.learningRate = rate;
+    }
+
+    /**
+     * @return {number} The weight decay.
+     */
+    getDecay() {
+        return this.decay;
+    }
+
+    /**
+     * @param decay {number}
+     */
+    setDecay(decay) {
+        this.decay = decay;
+    }
+
+    /**
+     * @return {number} The learning rate of the linear term.
+     */
+    getOutputEpsilon() {
+        return this.outputEpsilon;
+    }
+
+    /**
+     * @param outputEpsilon {number}
+     */
+    setOutputEpsilon(outputEpsilon) {
+        this.outputEpsilon = outputEpsilon;
+    }
+}
+
+module.exports = QuickPropagation;
\ No newline at end of file
@@ -0,0 +1,266 @@
+const Propagation = require('../propagation');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+
+/**
+ * The starting value of the scale of the Hessian approximation.
+ */
+const FIRST_LAMBDA = 0.000001;
+/**
+ * The size of the step used to approximate the Hessian.
+ */
+const FIRST_SIGMA = 0.0001;
+/**
+ * The scale of the Hessian approximation is kept within this bound.
+ */
+const MAX_LAMBDA = 1e20;
+
+/**
+ * This is a training class that makes use of scaled conjugate gradient methods.
+ * It is a very fast and efficient training algorithm, and it has no parameter
+ * to tune.
+ *
+ * Conjugate gradient methods move along directions that are conjugate to the
+ * previous ones, the size of every step is found from a second order
+ * approximation of the error. Scaled conjugate gradient avoids the line search
+ * of the other conjugate gradient methods: the Hessian is approximated along
+ * the direction with a second gradient calculation, and it is scaled like in
+ * the Levenberg-Marquardt algorithm, so that a step that does not reduce the
+ * error can be retried with a smaller step.
+ *
+ * Martin Fodslette Møller, "A Scaled Conjugate Gradient Algorithm for Fast
+ * Supervised Learning", Neural Networks, Vol. 6, 1993, pp 525-533.
+ *
+ * The sum of squares error of the whole training set is minimized, so only
+ * pure batch training (batch size 0) is supported. The gradients can be
+ * calculated by several threads, see setThreadCount.
+ */
+class ScaledConjugateGradient extends Propagation {
+    /**
+     * @param network {BasicNetwork}
+     *            The network to train.
+     * @param input {Array}
+     *            The input training set.
+     * @param output {Array}
+     *            The ideal output.
+     */
+    constructor(network, input, output) {
+        super(network, input, output);
+
+        this.batchSize = 0;
+
+        const weightCount = this.currentFlatNetwork.weights.length;
+        this.weights = this.currentFlatNetwork.weights.slice();
+        this.p = ArrayUtils.newFloatArray(weightCount);
+        this.r = ArrayUtils.newFloatArray(weightCount);
+
+        this.success = true;
+        this.restart = false;
+        this.delta = 0;
+        this.lambda = FIRST_LAMBDA;
+        this.lambda2 = 0;
+        this.magP = 0;
+        this.k = 0;
+        this.current = null;
+    }
+
+    /**
+     * Scaled conjugate gradient only supports pure batch training.
+     *
+     * @param batchSize {number}
+     *            The batch size, it must be 0.
+     */
+    setBatchSize(batchSize) {
+        if (batchSize !== 0) {
+            throw new EncogError("Scaled conjugate gradient only supports pure batch training (batch size 0).");
+        }
+        this.batchSize = batchSize;
+    }
+
+    /**
+     * Perform the specified number of training iterations.
+     *
+     * @param count {number}
+     *            The number of training iterations.
+     */
+    iteration(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.preIteration();
+
+            if (this.current === null) {
+                this.initSearch();
+            }
+            this.step();
+
+            if (this.reportedException != null) {
+                throw (new EncogError(this.reportedException));
+            }
+
+            this.postIteration();
+
+            EncogLog.info("Training iteration done, error: " + this.error);
+        }
+
+        EncogLog.print();
+    }
+
+    /**
+     * Calculate the first gradient, the first direction is the steepest descent.
+     */
+    initSearch() {
+        this.current = this.evaluate(this.weights);
+        this.k = 1;
+
+        for (let i = 0; i < this.weights.length; i++) {
+            this.r[i] = -this.current.slope[i];
+            this.p[i] = this.r[i];
+        }
+    }
+
+    /**
+     * One step of the scaled conjugate gradient algorithm.
+     */
+    step() {
+        const weightCount = this.weights.length;
+
+        if (this.restart) {
+            this.lambda = FIRST_LAMBDA;
+            this.lambda2 = 0;
+            this.success = true;
+            this.restart = false;
+        }
+
+        // approximate the second order information along the direction
+        if (this.success) {
+            this.magP = ScaledConjugateGradient.dot(this.p, this.p);
+
+            // the gradient is zero, the minimum is reached
+            if (this.magP === 0) {
+                this.error = this.current.error;
+                return;
+            }
+
+            const sigma = FIRST_SIGMA / Math.sqrt(this.magP);
+            const probe = this.evaluate(this.weights.map((w, i) => w + sigma * this.p[i]));
+
+            this.delta = 0;
+            for (let i = 0; i < weightCount; i++) {
+                this.delta += this.p[i] * (probe.slope[i] - this.current.slope[i]) / sigma;
+            }
+        }
+
+        // scale the Hessian approximation, and make it positive definite
+        this.delta += (this.lambda - this.lambda2) * this.magP;
+        if (this.delta <= 0) {
+            this.lambda2 = 2 * (this.lambda - this.delta / this.magP);
+            this.delta = this.lambda * this.magP - this.delta;
+            this.lambda = this.lambda2;
+        }
+
+        const mu = ScaledConjugateGradient.dot(this.p, this.r);
+        const alpha = mu / this.delta;
+        const candidate = this.evaluate(this.weights.map((w, i) => w + alpha * this.p[i]));
+
+        // the comparison parameter, how well the quadratic approximation predicted the error
+        const comparison = 2 * this.delta * (this.current.objective - candidate.objective) / (mu * mu);
+
+        if (comparison >= 0) {
+            // the error was reduced, the step is taken
+            let rsum = 0;
+            for (let i = 0; i < weightCount; i++) {
+                const r = -candidate.slope[i];
+                rsum += r * this.r[i];
+                this.r[i] = r;
+            }
+
+            this.weights = candidate.weights;
+            this.current = candidate;
+            this.lambda2 = 0;
+            this.success = true;
+
+            if (this.k >= weightCount) {
+                // restart with the steepest descent
+                this.restart = true;
+                this.k = 0;
+                ArrayUtils.arrayCopy(this.r, this.p);
+            } else {
+                const beta = (ScaledConjugateGradient.dot(this.r, this.r) - rsum) / mu;
+                for (let i = 0; i < weightCount; i++) {
+                    this.p[i] = this.r[i] + beta * this.p[i];
+                }
+            }
+
+            if (comparison >= 0.75) {
+                this.lambda *= 0.25;
+            }
+        } else {
+            // the error was not reduced, the step is retried with a larger scale
+            this.lambda2 = this.lambda;
+            this.success = false;
+        }
+
+        if (comparison < 0.25) {
+            this.lambda += this.delta * (1 - comparison) / this.magP;
+        }
+        this.lambda = Math.min(MAX_LAMBDA, Math.max(-MAX_LAMBDA, this.lambda));
+        this.k++;
+
+        this.setWeights(this.weights);
+        this.error = this.current.error;
+    }
+
+    /**
+     * Calculate the error and the gradient at the given weights.
+     *
+     * @param weights {Array}
+     * @return {Object} The weights, the sum of squares error that is minimized
+     *         (objective), the error in the error calculation mode of the
+     *         trainer (error) and the derivatives of the objective (slope).
+     */
+    evaluate(weights) {
+        this.setWeights(weights);
+        this.calculateGradients();
+
+        const slope = Array.from(this.gradients, (gradient) => -gradient);
+        ArrayUtils.fill(this.gradients, 0);
+
+        return {
+            weights: weights,
+            objective: this.getErrorCalculation().calculateESS(),
+            error: this.error,
+            slope: slope
+        };
+    }
+
+    /**
+     * Copy the weights to the network and to the workers.
+     *
+     * @param weights {Array}
+     */
+    setWeights(weights) {
+        const flatWeights = this.currentFlatNetwork.weights;
+
+        for (let i = 0; i < weights.length; i++) {
+            flatWeights[i] = weights[i];
+        }
+        for (let worker of this.workers) {
+            ArrayUtils.arrayCopy(flatWeights, 0, worker.weights, 0, flatWeights.length);
+        }
+    }
+
+    /**
+     * @param a {Array}
+     * @param b {Array}
+     * @return {number} The dot product of the two vectors.
+     */
+    static dot(a, b) {
+        let result = 0;
+        for (let i = 0; i < a.length; i++) {
+            result += a[i] * b[i];
+        }
+        return result;
+    }
+}
+
+module.exports = ScaledConjugateGradient;
\ No newline at end of file
@@ -0,0 +1,136 @@
+const BasicTraining = require(PATHS.TRAINING + 'basic');
+const LUDecomposition = require(PATHS.DECOMPOSITION + 'lu');
+const CalculateRegressionError = require(PATHS.ERROR_CALCULATION + 'calculateRegression');
+const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+
+/**
+ * Trains the output weights of a RBF network by least squares. The RBF centers
+ * and widths are not changed, they must be set before training.
+ *
+ * With H the RBF values of the training set (plus a bias column) and Y the
+ * ideal output, the weights W are the solution of the normal equations
+ * (H'H + ridge * I) W = H'Y, solved with a LU decomposition. The small ridge
+ * keeps the system solvable when two RBFs give the same values.
+ *
+ * The solution is exact, a single iteration is needed.
+ */
+class RBFLeastSquaresTraining extends BasicTraining {
+    /**
+     * @param network {RBFNetwork}
+     *            The network to train.
+     * @param input {Array}
+     *            The input training set.
+     * @param output {Array}
+     *            The ideal output.
+     * @param ridge {number}
+     *            The ridge (Tikhonov) regularization.
+     */
+    constructor(network, input, output, ridge = 1e-8) {
+        super();
+
+        this.network = network;
+        this.input = input;
+        this.output = output;
+        this.ridge = ridge;
+        this.iterationCount = 0;
+        this.error = null;
+    }
+
+    /**
+     * Solve the output weights.
+     *
+     * @param count {number}
+     *            The number of iterations, one is enough.
+     */
+    iteration(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.preIteration();
+
+            this.network.setOutputWeights(this.solve());
+            this.setError(CalculateRegressionError.calculateError(this.network, this.input, this.output,
+                this.getErrorCalculationMode()));
+
+            this.postIteration();
+
+            EncogLog.info("Training iteration done, error: " + this.error);
+        }
+
+        EncogLog.print();
+    }
+
+    /**
+     * @return {Array} The least squares output weights.
+     */
+    solve() {
+        const hiddenCount = this.network.getHiddenCount() + 1;
+        const outputCount = this.network.getOutputCount();
+        const hth = [];
+        const hty = [];
+
+        for (let i = 0; i < hiddenCount; i++) {
+            hth.push(new Array(hiddenCount).fill(0));
+            hty.push(new Array(outputCount).fill(0));
+        }
+
+        for (let r = 0; r < this.input.length; r++) {
+            const hidden = this.network.computeHidden(this.input[r]);
+
+            for (let i = 0; i < hiddenCount; i++) {
+                for (let j = 0; j < hiddenCount; j++) {
+                    hth[i][j] += hidden[i] * hidden[j];
+                }
+                for (let j = 0; j < outputCount; j++) {
+                    hty[i][j] += hidden[i] * this.output[r][j];
+                }
+            }
+        }
+
+        for (let i = 0; i < hiddenCount; i++) {
+            hth[i][i] += this.ridge;
+        }
+
+        const lu = new LUDecomposition(hth);
+        if (!lu.isNonSingular()) {
+            throw new NeuralNetworkError("The RBF values are singular, check the RBF centers and widths.");
+        }
+
+        const weights = [];
+        for (let i = 0; i < hiddenCount; i++) {
+            weights.push(new Array(outputCount).fill(0));
+        }
+
+        for (let j = 0; j < outputCount; j++) {
+            const column = lu.Solve(hty.map((row) => row[j]));
+            for (let i = 0; i < hiddenCount; i++) {
+                weights[i][j] = column[i];
+            }
+        }
+
+        return weights;
+    }
+
+    /**
+     * @return {number} The ridge regularization.
+     */
+    getRidge() {
+        return this.ridge;
+    }
+
+    /**
+     * @param ridge {number}
+     *            The ridge regularization.
+     */
+    setRidge(ridge) {
+        this.ridge = ridge;
+    }
+
+    /**
+     * @return {Boolean} False, the training is done in a single iteration.
+     */
+    canContinue() {
+        return false;
+    }
+}
+
+module.exports = RBFLeastSquaresTraining;
\ No newline at end of file
@@ -0,0 +1,202 @@
+const ErrorCalculation = require(PATHS.ERROR_CALCULATION + 'errorCalculation');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+
+/**
+ * Calculates the gradients of a recurrent flat network with backpropagation
+ * through time (BPTT). The network is unfolded over the steps of every
+ * sequence: the error of a step is propagated back to the previous steps
+ * through the context neurons, which hold a copy of the outputs of the layer
+ * that feeds them.
+ *
+ * With a window, the sequences are processed in chunks of that number of
+ * steps (truncated BPTT). The context is carried from one chunk to the next,
+ * but the error is not propagated across chunks.
+ */
+class SequenceGradientWorker {
+    /**
+     * @param theNetwork {FlatNetwork}
+     *            The network to train.
+     * @param theOwner {Propagation}
+     *            The owner that is doing the training.
+     * @param sequences {SequenceDataSet}
+     *            The training sequences.
+     * @param window {number}
+     *            The number of steps the error is propagated back, 0 for whole sequences.
+     * @param flatSpot {Array}
+     *            The flatspot additions for each layer.
+     * @param ef {ErrorFunction}
+     *            Error function.
+     */
+    constructor(theNetwork, theOwner, sequences, window, flatSpot, ef) {
+        this.network = theNetwork;
+        this.owner = theOwner;
+        this.sequences = sequences;
+        this.window = window;
+        this.flatSpot = flatSpot;
+        this.errorFunction = ef;
+
+        this.weights = this.network.weights;
+        this.layerDelta = ArrayUtils.newFloatArray(this.network.layerOutput.length);
+        this.gradients = ArrayUtils.newFloatArray(this.network.weights.length);
+        this.errorCalculation = new ErrorCalculation(theOwner.getErrorCalculationMode());
+
+        this.contextSources = this.findContextSources();
+    }
+
+    /**
+     * @return {Object} The index of the neuron that feeds every context neuron, by context neuron index.
+     */
+    findContextSources() {
+        const network = this.network;
+        const result = {};
+
+        for (let layer = 0; layer < network.layerCounts.length; layer++) {
+            for (let i = 0; i < network.contextTargetSize[layer]; i++) {
+                result[network.contextTargetOffset[layer] + i] = network.layerIndex[layer] + i;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Perform the gradient calculation for all the sequences.
+     */
+    run() {
+        this.errorCalculation.reset();
+
+        for (let sequence of this.sequences.getSequences()) {
+            const length = sequence.input.length;
+            const window = this.window > 0 ? this.window : length;
+
+            this.network.clearContext();
+            for (let start = 0; start < length; start += window) {
+                const steps = [];
+
+                for (let t = start; t < Math.min(length, start + window); t++) {
+                    steps.push(this.forward(sequence.input[t], sequence.output[t]));
+                }
+                this.backward(steps);
+            }
+        }
+
+        this.owner.report(this.gradients, this.errorCalculation.calculate(), null);
+        ArrayUtils.fill(this.gradients, 0);
+    }
+
+    /**
+     * Compute one step and keep what the backward pass needs.
+     *
+     * @param input {Array}
+     * @param ideal {Array}
+     * @return {Object} The step: the activations and the sums of every
+     *         neuron, the actual and the ideal output.
+     */
+    forward(input, ideal) {
+        const context = this.network.layerOutput.slice();
+        const actual = this.network.compute(input);
+        const activations = this.network.layerOutput.slice();
+
+        // the context neurons were used with the values they had before the step
+        for (let index of Object.keys(this.contextSources)) {
+            activations[index] = context[index];
+        }
+
+        this.errorCalculation.updateError(actual, ideal);
+
+        return {
+            activations: activations,
+            sums: this.network.layerSums.slice(),
+            actual: actual,
+            ideal: ideal
+        };
+    }
+
+    /**
+     * Propagate the errors of the steps back, from the last one.
+     *
+     * @param steps {Array}
+     */
+    backward(steps) {
+        const network = this.network;
+        let future = ArrayUtils.newFloatArray(network.layerOutput.length);
+
+        for (let t = steps.length - 1; t >= 0; t--) {
+            const step = steps[t];
+            const outputs = ArrayUtils.newFloatArray(network.layerOutput.length);
+
+            // the error of the output layer, plus the error of the next steps
+            this.errorFunction.calculateError(
+                network.activationFunctions[0], step.sums, step.activations,
+                step.ideal, step.actual, this.layerDelta, this.flatSpot[0]);
+            for (let i = 0; i < network.outputCount; i++) {
+                this.layerDelta[i] += future[i] * this.derivative(0, step, i);
+            }
+
+            for (let level = network.beginTraining; level < network.endTraining; level++) {
+                this.processLevel(level, step, future, outputs);
+            }
+
+            // the error of the context neurons goes to the neurons that fed them in the previous step
+            future = ArrayUtils.newFloatArray(network.layerOutput.length);
+            for (let index of Object.keys(this.contextSources)) {
+                future[this.contextSources[index]] += outputs[index];
+            }
+        }
+    }
+
+    /**
+     * Process one level of one step.
+     *
+     * @param currentLevel {number}
+     *            The level.
+     * @param step {Object}
+     *            The step.
+     * @param future {Array}
+     *            The error of the outputs of the neurons, from the next steps.
+     * @param outputs {Array}
+     *            Receives the error of the outputs of the neurons of the level.
+     */
+    processLevel(currentLevel, step, future, outputs) {
+        const network = this.network;
+        const fromLayerIndex = network.layerIndex[currentLevel + 1];
+        const toLayerIndex = network.layerIndex[currentLevel];
+        const fromLayerSize = network.layerCounts[currentLevel + 1];
+        const toLayerSize = network.layerFeedCounts[currentLevel];
+        const index = network.weightIndex[currentLevel];
+        let yi = fromLayerIndex;
+
+        for (let y = 0; y < fromLayerSize; y++) {
+            let sum = 0;
+            let wi = index + y;
+
+            for (let xi = toLayerIndex; xi < toLayerIndex + toLayerSize; xi++, wi += fromLayerSize) {
+                this.gradients[wi] += step.activations[yi] * this.layerDelta[xi];
+                sum += this.weights[wi] * this.layerDelta[xi];
+            }
+
+            outputs[yi] = sum;
+            this.layerDelta[yi] = (sum + future[yi]) * this.derivative(currentLevel + 1, step, yi);
+            yi++;
+        }
+    }
+
+    /**
+     * @param layer {number}
+     *            The layer of the neuron.
+     * @param step {Object}
+     *            The step.
+     * @param index {number}
+     *            The index of the neuron.
+     * @return {number} The derivative of the activation function of the neuron, with the flat spot.
+     */
+    derivative(layer, step, index) {
+        const activation = this.network.activationFunctions[layer];
+
+        if (activation == null) {
+            return 1;
+        }
+        return activation.derivativeFunction(step.sums[index], step.activations[index]) + this.flatSpot[layer];
+    }
+}
+
+module.exports = SequenceGradientWorker;
\ No newline at end of file
@@ -3,9 +3,26 @@ const ErrorCalculation = require(PATHS.ERROR_CALCULATION + 'errorCalculation');
 const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
 const Adam = require(PATHS.SGD + 'update/adam');
 const CrossEntropyErrorFunction = require(PATHS.ERROR_FUNCTIONS + 'crossEntropy');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
 const EncogLog = require(PATHS.UTILS + 'encogLog');
 
+/**
+ * Stochastic gradient descent. Each iteration processes one mini-batch of the
+ * training set and applies one step of the update rule. The training set is
+ * shuffled at the beginning of every epoch (pass over the training set).
+ */
 class StochasticGradientDescent extends BasicTraining {
+    /**
+     * @param network {BasicNetwork}
+     *            The network to train.
+     * @param input {Array}
+     *            The input training set.
+     * @param output {Array}
+     *            The ideal output.
+     * @param updateRule {UpdateRule}
+     *            The update rule, Adam by default.
+     */
     constructor(network, input, output, updateRule = new Adam()) {
         super();
 
@@ -16,20 +33,29 @@ class StochasticGradientDescent extends BasicTraining {
         this.flat = network.getFlat();
         this.layerDelta = ArrayUtils.newFloatArray(this.flat.getLayerOutput().length);
         this.gradients = ArrayUtils.newFloatArray(this.flat.getWeights().length);
-        this.errorCalculation = new ErrorCalculation();
+        this.errorCalculation = new ErrorCalculation(this.getErrorCalculationMode());
         this.learningRate = 0.001;
         this.momentum = 0.9;
         this.updateRule = updateRule;
         this.errorFunction = new CrossEntropyErrorFunction();
         this.iterationCount = 0;
+
+        /**
+         * The number of training elements per update, 0 to use the whole
+         * training set.
+         */
+        this.batchSize = 0;
+        this.shuffle = true;
+        this.random = RandomFactory.factor();
+        this.epoch = 0;
+        this.order = [];
+        this.batchPosition = 0;
     }
 
     process(input, output) {
         let i;
         let p;
 
-        this.errorCalculation = new ErrorCalculation();
-
         const actual = this.flat.compute(input);
 
         this.errorCalculation.updateError(actual, output);
@@ -65,8 +91,6 @@ class StochasticGradientDescent extends BasicTraining {
         this.updateRule.update(this.gradients, this.flat.getWeights());
         this.setError(this.errorCalculation.calculate());
 
-        this.postIteration();
-
         ArrayUtils.fill(this.gradients, 0);
         this.errorCalculation.reset();
     }
@@ -108,11 +132,45 @@ class StochasticGradientDescent extends BasicTraining {
         }
     }
 
-    iteration() {
+    /**
+     * Start a new epoch, the order of the training elements is shuffled.
+     */
+    beginEpoch() {
+        this.order = [];
         for (let i = 0; i < this.input.length; i++) {
-            this.process(this.input[i], this.output[i]);
+            this.order.push(i);
+        }
+
+        if (this.shuffle) {
+            this.order = ArrayUtils.shuffle(this.order, this.random);
+        }
+
+        this.batchPosition = 0;
+        this.epoch++;
+    }
+
+    /**
+     * Process the next mini-batch and update the weights.
+     */
+    iteration() {
+        if (this.input.length === 0) {
+            throw new EncogError("The training set is empty.");
+        }
+
+        if (this.batchPosition >= this.order.length) {
+            this.beginEpoch();
         }
 
+        let batchEnd = this.order.length;
+        if (this.batchSize > 0) {
+            batchEnd = Math.min(this.batchPosition + this.batchSize, batchEnd);
+        }
+
+        for (let i = this.batchPosition; i < batchEnd; i++) {
+            this.process(this.input[this.order[i]], this.output[this.order[i]]);
+        }
+        this.batchPosition = batchEnd;
+
         if (this.getIteration() === 0) {
             this.updateRule.init(this);
         }
@@ -122,10 +180,59 @@ class StochasticGradientDescent extends BasicTraining {
         this.update();
         this.postIteration();
 
-        EncogLog.info(`Training iteration #${this.getIteration()} done, error: ${this.error}`);
+        EncogLog.info(`Training iteration #${this.getIteration()} (epoch #${this.getEpoch()}) done, error: ${this.error}`);
         EncogLog.print();
     }
 
+    /**
+     * @return {Number} The current epoch, the number of passes over the training set.
+     */
+    getEpoch() {
+        return this.epoch;
+    }
+
+    /**
+     * @return {Number} The number of training elements per update, 0 for the whole training set.
+     */
+    getBatchSize() {
+        return this.batchSize;
+    }
+
+    /**
+     * @param batchSize {Number}
+     *            The number of training elements per update, 0 for the whole training set.
+     */
+    setBatchSize(batchSize) {
+        if (batchSize < 0) {
+            throw new EncogError("The batch size can not be negative.");
+        }
+        this.batchSize = batchSize;
+    }
+
+    /**
+     * {@inheritDoc}
+     * @param mode {String}
+     */
+    setErrorCalculationMode(mode) {
+        super.setErrorCalculationMode(mode);
+        this.errorCalculation.setMode(this.getErrorCalculationMode());
+    }
+
+    /**
+     * @return {Boolean} True if the training set is shuffled at every epoch.
+     */
+    isShuffle() {
+        return this.shuffle;
+    }
+
+    /**
+     * @param shuffle {Boolean}
+     *            True to shuffle the training set at every epoch.
+     */
+    setShuffle(shuffle) {
+        this.shuffle = shuffle;
+    }
+
     getLearningRate() {
         return this.learningRate;
     }
@@ -143,7 +250,7 @@ class StochasticGradientDescent extends BasicTraining {
     }
 
     getL1() {
-        return l1;
+        return this.l1;
     }
 
     setL1(l1) {
@@ -151,7 +258,7 @@ class StochasticGradientDescent extends BasicTraining {
     }
 
     getL2() {
-        return l2;
+        return this.l2;
     }
 
     setL2(l2) {
@@ -188,6 +295,13 @@ class StochasticGradientDescent extends BasicTraining {
         return this.flat;
     }
 
+    /**
+     * @inheritDoc
+     */
+    getMethod() {
+        return this.method;
+    }
+
     getUpdateRule() {
         return this.updateRule;
     }
@@ -26,7 +26,7 @@ class AdaGrad extends UpdateRule {
     }
 
     getEps() {
-        return eps;
+        return this.eps;
     }
 
     setEps(eps) {
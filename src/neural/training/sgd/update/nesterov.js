@@ -22,7 +22,7 @@ class Nesterov extends UpdateRule {
             prevNesterov = this.lastDelta[i];
             this.lastDelta[i] = (this.training.getMomentum() * prevNesterov)
                 + (gradients[i] * this.training.getLearningRate());
-            delta = (this.training.getMomentum() * prevNesterov) - ((1 + this.training.getMomentum()) * this.lastDelta[i]);
+            delta = ((1 + this.training.getMomentum()) * this.lastDelta[i]) - (this.training.getMomentum() * prevNesterov);
             weights[i] += delta;
         }
     }
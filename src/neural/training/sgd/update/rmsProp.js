@@ -18,7 +18,6 @@ class RMSProp extends UpdateRule {
     update(gradients, weights) {
         let delta;
         for (let i = 0; i < weights.length; i++) {
-            this.cache[i] += gradients[i] * gradients[i];
             this.cache[i] = this.decayRate * this.cache[i] + (1 - this.decayRate) * gradients[i] * gradients[i];
             delta = (this.training.getLearningRate() * gradients[i]) / (Math.sqrt(this.cache[i]) + this.eps);
             weights[i] += delta;
@@ -26,7 +25,7 @@ class RMSProp extends UpdateRule {
     }
 
     getEps() {
-        return eps;
+        return this.eps;
     }
 
     setEps(eps) {
@@ -34,7 +33,7 @@ class RMSProp extends UpdateRule {
     }
 
     getDecayRate() {
-        return decayRate;
+        return this.decayRate;
     }
 
     setDecayRate(decayRate) {
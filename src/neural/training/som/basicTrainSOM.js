@@ -0,0 +1,252 @@
+const BasicTraining = require(PATHS.TRAINING + 'basic');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+
+/**
+ * This class implements competitive training, which would be used in a
+ * winner-take-all neural network, such as the self organizing map (SOM). This
+ * is an unsupervised training method, no ideal data is needed.
+ *
+ * For every training element the best matching unit (BMU), the output neuron
+ * whose weights are the closest to the element, is found. The weights of every
+ * output neuron are then moved toward the element by the learning rate times
+ * the neighborhood function, which depends on how close the neuron is to the
+ * BMU on the lattice.
+ *
+ * The learning rate and the radius of the neighborhood can decay
+ * automatically over the planned iterations, see setAutoDecay.
+ *
+ * Output neurons that never win can be forced to win, see setForceWinner. This
+ * keeps every neuron in use, and it is needed by neighborhood functions with
+ * negative values (Mexican hat) which keep pushing away the neurons that
+ * never win.
+ */
+class BasicTrainSOM extends BasicTraining {
+    /**
+     * Create an instance of competitive training.
+     *
+     * @param network {SOMNetwork}
+     *            The network to train.
+     * @param learningRate {number}
+     *            The learning rate, how much to apply per iteration.
+     * @param input {Array}
+     *            The training set (unsupervised).
+     * @param neighborhood {NeighborhoodFunction}
+     *            The neighborhood function to use.
+     */
+    constructor(network, learningRate, input, neighborhood) {
+        super();
+
+        this.network = network;
+        this.learningRate = learningRate;
+        this.input = input;
+        this.neighborhood = neighborhood;
+        this.iterationCount = 0;
+        this.forceWinner = false;
+
+        this.autoDecayEnabled = false;
+        this.autoDecayRate = 0;
+        this.autoDecayRadius = 0;
+        this.endRate = 0;
+        this.endRadius = 0;
+    }
+
+    /**
+     * Perform the specified number of training iterations, each one going
+     * once over the whole training set.
+     *
+     * @param count {number}
+     *            The number of training iterations.
+     */
+    iteration(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.preIteration();
+
+            const won = new Array(this.network.getOutputCount()).fill(0);
+            const distances = [];
+            let worstDistance = 0;
+            for (let record of this.input) {
+                const bmu = this.network.winner(record);
+                const distance = this.network.calculateDistance(bmu, record);
+                won[bmu]++;
+                distances.push(distance);
+                worstDistance = Math.max(worstDistance, distance);
+                this.train(bmu, record);
+            }
+            this.setError(worstDistance);
+
+            if (this.forceWinner) {
+                this.forceWinners(won, distances);
+            }
+
+            if (this.autoDecayEnabled) {
+                this.autoDecay();
+            }
+
+            this.postIteration();
+
+            EncogLog.info("Training iteration done, error: " + this.error);
+        }
+
+        EncogLog.print();
+    }
+
+    /**
+     * Train every output neuron for a training element.
+     *
+     * @param bmu {number}
+     *            The best matching unit of the element.
+     * @param input {Array}
+     *            The training element.
+     */
+    train(bmu, input) {
+        const weights = this.network.getWeights().getData();
+
+        for (let outputNeuron = 0; outputNeuron < this.network.getOutputCount(); outputNeuron++) {
+            const row = weights[outputNeuron];
+            const ratio = this.neighborhood.function(outputNeuron, bmu) * this.learningRate;
+
+            for (let inputNeuron = 0; inputNeuron < row.length; inputNeuron++) {
+                row[inputNeuron] += ratio * (input[inputNeuron] - row[inputNeuron]);
+            }
+        }
+    }
+
+    /**
+     * Move every output neuron that did not win during the iteration onto one
+     * of the training elements the network represents the least, the ones
+     * with the largest distance to their BMU.
+     *
+     * @param won {Array}
+     *            The number of times each output neuron won.
+     * @param distances {Array}
+     *            The distance between every training element and its BMU.
+     */
+    forceWinners(won, distances) {
+        const weights = this.network.getWeights().getData();
+        const leastRepresented = distances
+            .map((distance, index) => index)
+            .sort((a, b) => distances[b] - distances[a]);
+        let next = 0;
+
+        for (let outputNeuron = 0; outputNeuron < won.length && next < leastRepresented.length; outputNeuron++) {
+            if (won[outputNeuron] === 0) {
+                weights[outputNeuron] = Array.from(this.input[leastRepresented[next]]);
+                next++;
+            }
+        }
+    }
+
+    /**
+     * @return {Boolean} True if the output neurons that never win are forced to win.
+     */
+    isForceWinner() {
+        return this.forceWinner;
+    }
+
+    /**
+     * @param forceWinner {Boolean}
+     *            True to force the output neurons that never win during an
+     *            iteration to win, by moving them onto the least represented
+     *            training elements.
+     */
+    setForceWinner(forceWinner) {
+        this.forceWinner = forceWinner;
+    }
+
+    /**
+     * Setup autodecay. The learning rate and the radius linearly decay from
+     * their start to their end values over the planned iterations, they are
+     * updated at the end of every iteration.
+     *
+     * @param plannedIterations {number}
+     *            The number of iterations that are planned for this training.
+     * @param startRate {number}
+     *            The starting learning rate.
+     * @param endRate {number}
+     *            The ending learning rate.
+     * @param startRadius {number}
+     *            The starting radius.
+     * @param endRadius {number}
+     *            The ending radius.
+     */
+    setAutoDecay(plannedIterations, startRate, endRate, startRadius, endRadius) {
+        if (plannedIterations < 1) {
+            throw new EncogError("At least one iteration must be planned.");
+        }
+
+        this.autoDecayEnabled = true;
+        this.endRate = endRate;
+        this.endRadius = endRadius;
+        this.autoDecayRate = (endRate - startRate) / plannedIterations;
+        this.autoDecayRadius = (endRadius - startRadius) / plannedIterations;
+        this.setParams(startRate, startRadius);
+    }
+
+    /**
+     * Move the learning rate and the radius one step toward their end values.
+     */
+    autoDecay() {
+        this.setParams(
+            Math.max(this.endRate, this.learningRate + this.autoDecayRate),
+            Math.max(this.endRadius, this.neighborhood.getRadius() + this.autoDecayRadius));
+    }
+
+    /**
+     * Decay the learning rate and the radius by the specified ratios.
+     *
+     * @param decayRate {number}
+     *            The ratio by which the learning rate decreases, 0.1 to decrease it by 10%.
+     * @param decayRadius {number}
+     *            The ratio by which the radius decreases, the learning rate ratio by default.
+     */
+    decay(decayRate, decayRadius = decayRate) {
+        this.setParams(
+            this.learningRate * (1 - decayRate),
+            this.neighborhood.getRadius() * (1 - decayRadius));
+    }
+
+    /**
+     * Set the learning rate and the radius.
+     *
+     * @param rate {number}
+     *            The learning rate.
+     * @param radius {number}
+     *            The radius.
+     */
+    setParams(rate, radius) {
+        this.learningRate = rate;
+        this.neighborhood.setRadius(radius);
+    }
+
+    /**
+     * @return {number} The learning rate.
+     */
+    getLearningRate() {
+        return this.learningRate;
+    }
+
+    /**
+     * @param rate {number}
+     *            The learning rate.
+     */
+    setLearningRate(rate) {
+        this.learningRate = rate;
+    }
+
+    /**
+     * @return {NeighborhoodFunction} The neighborhood function.
+     */
+    getNeighborhood() {
+        return this.neighborhood;
+    }
+
+    /**
+     * @return {Boolean} False, SOM training can not be paused.
+     */
+    canContinue() {
+        return false;
+    }
+}
+
+module.exports = BasicTrainSOM;
\ No newline at end of file
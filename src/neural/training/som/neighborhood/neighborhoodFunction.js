@@ -0,0 +1,38 @@
+/**
+ * Defines how much the output neurons around the best matching unit (BMU) of a
+ * SOM are trained. The BMU is trained the most, its neighbors less the further
+ * they are from it.
+ */
+class NeighborhoodFunction {
+    /**
+     * Determine how much the current neuron should be affected by training
+     * based on its proximity to the winning neuron.
+     *
+     * @param currentNeuron {number}
+     *            The current neuron being evaluated.
+     * @param bestNeuron {number}
+     *            The winning neuron.
+     * @return {number} The ratio for this neuron's adjustment.
+     */
+    function(currentNeuron, bestNeuron) {
+    }
+
+    /**
+     * @return {number} The radius.
+     */
+    getRadius() {
+        return this.radius;
+    }
+
+    /**
+     * Set the radius.
+     *
+     * @param radius {number}
+     *            The new radius.
+     */
+    setRadius(radius) {
+        this.radius = radius;
+    }
+}
+
+module.exports = NeighborhoodFunction;
\ No newline at end of file
@@ -0,0 +1,104 @@
+const NeighborhoodFunction = require(PATHS.SOM + 'neighborhood/neighborhoodFunction');
+const BasicRBF = require(PATHS.RBF + 'basicRBF');
+const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+
+/**
+ * A neighborhood function for output neurons laid out on a 2D lattice of
+ * width x height neurons, neuron i being at column i % width of row
+ * floor(i / width). The euclidean distance between two neurons is passed to a
+ * radial basis function whose width is the radius.
+ *
+ * On a hexagonal lattice the odd rows are shifted by half a neuron and the
+ * rows are closer to each other, so every neuron is at a distance of 1 from
+ * its 6 neighbors.
+ */
+class NeighborhoodRBF extends NeighborhoodFunction {
+    /**
+     * @param type {String}
+     *            The type of RBF to use, "Gaussian" or "MexicanHat".
+     * @param width {number}
+     *            The number of neurons per row.
+     * @param height {number}
+     *            The number of rows.
+     * @param hexagon {Boolean}
+     *            True for a hexagonal lattice.
+     * @param radius {number}
+     *            The radius.
+     */
+    constructor(type = 'Gaussian', width = 1, height = 1, hexagon = false, radius = 1) {
+        super();
+
+        if (width < 1 || height < 1) {
+            throw new NeuralNetworkError("The lattice must have at least one row and one column.");
+        }
+
+        this.rbf = BasicRBF.fromType(type, 2);
+        this.width = width;
+        this.height = height;
+        this.hexagon = hexagon;
+        this.setRadius(radius);
+    }
+
+    /**
+     * @param neuron {number}
+     * @return {Array} The coordinates of the neuron on the lattice.
+     */
+    translateCoordinates(neuron) {
+        const row = Math.floor(neuron / this.width);
+        const col = neuron % this.width;
+
+        if (this.hexagon) {
+            return [col + (row % 2) / 2, row * Math.sqrt(3) / 2];
+        }
+        return [col, row];
+    }
+
+    /**
+     * @inheritDoc
+     */
+    function(currentNeuron, bestNeuron) {
+        const current = this.translateCoordinates(currentNeuron);
+        const best = this.translateCoordinates(bestNeuron);
+
+        return this.rbf.calculate([current[0] - best[0], current[1] - best[1]]);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    setRadius(radius) {
+        super.setRadius(radius);
+        this.rbf.setWidth(radius);
+    }
+
+    /**
+     * @return {Boolean} True if the lattice is hexagonal.
+     */
+    isHexagon() {
+        return this.hexagon;
+    }
+
+    /**
+     * @param hexagon {Boolean}
+     *            True for a hexagonal lattice.
+     */
+    setHexagon(hexagon) {
+        this.hexagon = hexagon;
+    }
+
+    /**
+     * @return {number} The number of neurons per row.
+     */
+    getWidth() {
+        return this.width;
+    }
+
+    /**
+     * @return {number} The number of rows.
+     */
+    getHeight() {
+        return this.height;
+    }
+}
+
+module.exports = NeighborhoodRBF;
\ No newline at end of file
@@ -0,0 +1,38 @@
+const NeighborhoodFunction = require(PATHS.SOM + 'neighborhood/neighborhoodFunction');
+const BasicRBF = require(PATHS.RBF + 'basicRBF');
+
+/**
+ * A neighborhood function for output neurons laid out on a line. The distance
+ * between two neurons is the difference of their indexes, it is passed to a
+ * radial basis function whose width is the radius.
+ */
+class NeighborhoodRBF1D extends NeighborhoodFunction {
+    /**
+     * @param type {String}
+     *            The type of RBF to use, "Gaussian" or "MexicanHat".
+     * @param radius {number}
+     *            The radius.
+     */
+    constructor(type = 'Gaussian', radius = 1) {
+        super();
+        this.rbf = BasicRBF.fromType(type, 1);
+        this.setRadius(radius);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    function(currentNeuron, bestNeuron) {
+        return this.rbf.calculate([currentNeuron - bestNeuron]);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    setRadius(radius) {
+        super.setRadius(radius);
+        this.rbf.setWidth(radius);
+    }
+}
+
+module.exports = NeighborhoodRBF1D;
\ No newline at end of file
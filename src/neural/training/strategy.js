@@ -28,6 +28,21 @@ class Strategy {
      */
     postIteration() {
     };
+
+    /**
+     * Called when the training is finished.
+     */
+    finishTraining() {
+    };
+
+    /**
+     * Strategies that can end the training override this method.
+     *
+     * @return {Boolean} True if training should stop.
+     */
+    shouldStop() {
+        return false;
+    };
 }
 
 module.exports = Strategy;
\ No newline at end of file
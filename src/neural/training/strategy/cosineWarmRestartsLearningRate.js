@@ -0,0 +1,54 @@
+const LearningRateScheduler = require(PATHS.STRATEGIES + 'learningRateScheduler');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+/**
+ * Cosine annealing with warm restarts (SGDR). The learning rate follows a half
+ * cosine from the initial learning rate down to the minimum learning rate, then
+ * restarts from the initial learning rate. Every period is periodMultiplier
+ * times longer than the previous one.
+ *
+ * References:
+ * Ilya Loshchilov and Frank Hutter, "SGDR: Stochastic Gradient Descent with Warm Restarts", ICLR 2017.
+ */
+class CosineWarmRestartsLearningRate extends LearningRateScheduler {
+    /**
+     * @param period {Number}
+     *            The number of iterations of the first period.
+     * @param periodMultiplier {Number}
+     *            The growth factor of the periods, at least 1.
+     * @param minLearningRate {Number}
+     *            The learning rate at the end of a period.
+     */
+    constructor(period, periodMultiplier = 1, minLearningRate = 0) {
+        super();
+
+        if (period < 1) {
+            throw new EncogError("The period must be at least 1.");
+        }
+
+        if (periodMultiplier < 1) {
+            throw new EncogError("The period multiplier must be at least 1.");
+        }
+
+        this.period = period;
+        this.periodMultiplier = periodMultiplier;
+        this.minLearningRate = minLearningRate;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculateLearningRate(step) {
+        let period = this.period;
+        let position = step;
+
+        while (position >= period) {
+            position -= period;
+            period *= this.periodMultiplier;
+        }
+
+        return this.minLearningRate
+            + (this.initialLearningRate - this.minLearningRate) * (1 + Math.cos(Math.PI * position / period)) / 2;
+    }
+}
+
+module.exports = CosineWarmRestartsLearningRate;
\ No newline at end of file
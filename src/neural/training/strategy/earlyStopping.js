@@ -0,0 +1,147 @@
+const Strategy = require(PATHS.STRATEGIES + '../strategy');
+const CalculateRegressionError = require(PATHS.ERROR_CALCULATION + 'calculateRegression');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+/**
+ * Stop training when the error on a validation set stops improving. The
+ * validation error is calculated after every iteration and the weights of the
+ * best iteration are kept. Once the validation error did not improve for
+ * patience iterations the training is stopped and the network is rolled back
+ * to the best weights. The network is also rolled back by finishTraining, when
+ * the training ended for another reason (maximum iterations, minimum error).
+ *
+ * Training loops must check isTrainingDone on the training algorithm,
+ * NetworkUtil.trainNetwork does it.
+ */
+class EarlyStopping extends Strategy {
+    /**
+     * @param validationInput {Array}
+     *            The validation input.
+     * @param validationOutput {Array}
+     *            The validation ideal output.
+     * @param patience {Number}
+     *            The number of iterations without improvement before stopping.
+     * @param minImprovement {Number}
+     *            The minimum decrease of the validation error that counts as an improvement.
+     */
+    constructor(validationInput, validationOutput, patience = 10, minImprovement = 0) {
+        super();
+
+        if (validationInput.length === 0 || validationInput.length !== validationOutput.length) {
+            throw new EncogError("The validation input and output must have the same, non zero, size.");
+        }
+
+        if (patience < 1) {
+            throw new EncogError("The patience must be at least 1.");
+        }
+
+        this.validationInput = validationInput;
+        this.validationOutput = validationOutput;
+        this.patience = patience;
+        this.minImprovement = minImprovement;
+    }
+
+    /**
+     * Initialize this strategy.
+     *
+     * @param train {BasicTraining}
+     *            The training algorithm.
+     */
+    init(train) {
+        const method = train.getMethod();
+
+        if (method == null || typeof method.getFlat !== 'function') {
+            throw new EncogError("Early stopping requires a method with a flat network.");
+        }
+
+        this.train = train;
+        this.method = method;
+        this.stop = false;
+        this.validationError = null;
+        this.bestError = Infinity;
+        this.bestWeights = null;
+        this.bestIteration = 0;
+        this.badIterations = 0;
+        this.restored = false;
+    }
+
+    /**
+     * Called just after a training iteration.
+     */
+    postIteration() {
+        this.restored = false;
+        this.validationError = CalculateRegressionError.calculateError(this.method, this.validationInput, this.validationOutput,
+            this.train.getErrorCalculationMode());
+
+        if (this.validationError < this.bestError - this.minImprovement) {
+            this.bestError = this.validationError;
+            this.bestWeights = this.method.getFlat().weights.slice();
+            this.bestIteration = this.train.getIteration();
+            this.badIterations = 0;
+        } else {
+            this.badIterations++;
+
+            if (this.badIterations >= this.patience) {
+                EncogLog.debug("Validation error did not improve for " + this.badIterations
+                    + " iterations, restoring the weights of iteration #" + this.bestIteration);
+
+                this.restoreBestWeights();
+                this.stop = true;
+            }
+        }
+    }
+
+    /**
+     * Copy the best weights found so far back into the network, unless they
+     * were already restored since the last iteration.
+     */
+    restoreBestWeights() {
+        if (this.bestWeights == null || this.restored) {
+            return;
+        }
+
+        const weights = this.method.getFlat().weights;
+        for (let i = 0; i < weights.length; i++) {
+            weights[i] = this.bestWeights[i];
+        }
+        this.restored = true;
+    }
+
+    /**
+     * Roll the network back to the best weights when the training ends before
+     * the patience ran out.
+     */
+    finishTraining() {
+        this.restoreBestWeights();
+    }
+
+    /**
+     * @return {Boolean} True if the validation error stopped improving.
+     */
+    shouldStop() {
+        return this.stop;
+    }
+
+    /**
+     * @return {Number} The validation error of the last iteration.
+     */
+    getValidationError() {
+        return this.validationError;
+    }
+
+    /**
+     * @return {Number} The best validation error.
+     */
+    getBestError() {
+        return this.bestError;
+    }
+
+    /**
+     * @return {Number} The iteration that gave the best validation error.
+     */
+    getBestIteration() {
+        return this.bestIteration;
+    }
+}
+
+module.exports = EarlyStopping;
\ No newline at end of file
@@ -0,0 +1,29 @@
+const LearningRateScheduler = require(PATHS.STRATEGIES + 'learningRateScheduler');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+/**
+ * Multiply the learning rate by gamma at every iteration.
+ */
+class ExponentialDecayLearningRate extends LearningRateScheduler {
+    /**
+     * @param gamma {Number}
+     *            The decay factor, between 0 and 1.
+     */
+    constructor(gamma) {
+        super();
+
+        if (gamma <= 0 || gamma > 1) {
+            throw new EncogError("The decay factor must be between 0 and 1.");
+        }
+
+        this.gamma = gamma;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculateLearningRate(step) {
+        return this.initialLearningRate * Math.pow(this.gamma, step);
+    }
+}
+
+module.exports = ExponentialDecayLearningRate;
\ No newline at end of file
@@ -0,0 +1,79 @@
+const Strategy = require(PATHS.STRATEGIES + '../strategy');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+/**
+ * Base class of the strategies that schedule the learning rate of a training
+ * algorithm that supports a learning rate (back propagation, manhattan
+ * propagation, SGD, freeform back propagation...).
+ *
+ * The learning rate is set before every training iteration. The learning rate
+ * of the training algorithm when the strategy is added is the initial
+ * learning rate of the schedule. A step is one training iteration, for SGD
+ * this is one mini-batch.
+ */
+class LearningRateScheduler extends Strategy {
+    /**
+     * Initialize this strategy.
+     *
+     * @param train {BasicTraining}
+     *            The training algorithm.
+     */
+    init(train) {
+        if (typeof train.learningRate !== 'number') {
+            throw new EncogError(train.constructor.name + " does not support a learning rate.");
+        }
+
+        this.train = train;
+        this.initialLearningRate = train.learningRate;
+        this.currentLearningRate = train.learningRate;
+        this.step = 0;
+    }
+
+    /**
+     * Calculate the learning rate of a step.
+     *
+     * @param step {Number}
+     *            The step, starting at 0.
+     * @return {Number} The learning rate.
+     */
+    calculateLearningRate(step) {
+        return this.initialLearningRate;
+    }
+
+    /**
+     * @return {Number} The current learning rate.
+     */
+    getLearningRate() {
+        return this.currentLearningRate;
+    }
+
+    /**
+     * @return {Number} The number of steps done.
+     */
+    getStep() {
+        return this.step;
+    }
+
+    /**
+     * Called just before a training iteration.
+     */
+    preIteration() {
+        const learningRate = this.calculateLearningRate(this.step);
+
+        if (learningRate !== this.currentLearningRate) {
+            EncogLog.debug("Adjusting learning rate to " + learningRate);
+        }
+
+        this.currentLearningRate = learningRate;
+        this.train.learningRate = learningRate;
+    }
+
+    /**
+     * Called just after a training iteration.
+     */
+    postIteration() {
+        this.step++;
+    }
+}
+
+module.exports = LearningRateScheduler;
\ No newline at end of file
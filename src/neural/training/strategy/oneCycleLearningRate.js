@@ -0,0 +1,66 @@
+const LearningRateScheduler = require(PATHS.STRATEGIES + 'learningRateScheduler');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+/**
+ * The one-cycle policy. The learning rate grows linearly from
+ * maxLearningRate / divFactor to maxLearningRate during the first part
+ * (warmUpRatio) of the training, then decreases linearly down to
+ * maxLearningRate / finalDivFactor at the end of the training. It stays
+ * there if the training goes on.
+ *
+ * The learning rate of the training algorithm is not used, the schedule only
+ * depends on maxLearningRate.
+ *
+ * References:
+ * Leslie N. Smith, "A disciplined approach to neural network hyper-parameters", 2018.
+ */
+class OneCycleLearningRate extends LearningRateScheduler {
+    /**
+     * @param maxLearningRate {Number}
+     *            The highest learning rate, reached at the end of the warm up.
+     * @param totalSteps {Number}
+     *            The number of iterations of the cycle.
+     * @param warmUpRatio {Number}
+     *            The part of the cycle spent increasing the learning rate.
+     * @param divFactor {Number}
+     *            The initial learning rate is maxLearningRate / divFactor.
+     * @param finalDivFactor {Number}
+     *            The final learning rate is maxLearningRate / finalDivFactor.
+     */
+    constructor(maxLearningRate, totalSteps, warmUpRatio = 0.3, divFactor = 25, finalDivFactor = 1e4) {
+        super();
+
+        if (totalSteps < 2) {
+            throw new EncogError("The cycle must be at least 2 steps long.");
+        }
+
+        if (warmUpRatio <= 0 || warmUpRatio >= 1) {
+            throw new EncogError("The warm up ratio must be between 0 and 1.");
+        }
+
+        this.maxLearningRate = maxLearningRate;
+        this.totalSteps = totalSteps;
+        this.warmUpSteps = Math.max(1, Math.round(totalSteps * warmUpRatio));
+        this.startLearningRate = maxLearningRate / divFactor;
+        this.finalLearningRate = maxLearningRate / finalDivFactor;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculateLearningRate(step) {
+        if (step < this.warmUpSteps) {
+            return this.startLearningRate
+                + (this.maxLearningRate - this.startLearningRate) * step / this.warmUpSteps;
+        }
+
+        const annealSteps = this.totalSteps - 1 - this.warmUpSteps;
+        if (step - this.warmUpSteps >= annealSteps) {
+            return this.finalLearningRate;
+        }
+
+        return this.maxLearningRate
+            + (this.finalLearningRate - this.maxLearningRate) * (step - this.warmUpSteps) / annealSteps;
+    }
+}
+
+module.exports = OneCycleLearningRate;
\ No newline at end of file
@@ -0,0 +1,84 @@
+const LearningRateScheduler = require(PATHS.STRATEGIES + 'learningRateScheduler');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const EncogLog = require(PATHS.UTILS + 'encogLog');
+/**
+ * Multiply the learning rate by factor when the training error did not improve
+ * for more than patience iterations.
+ */
+class ReduceLearningRateOnPlateau extends LearningRateScheduler {
+    /**
+     * @param factor {Number}
+     *            The factor applied to the learning rate, between 0 and 1.
+     * @param patience {Number}
+     *            The number of iterations without improvement that are tolerated.
+     * @param threshold {Number}
+     *            The minimum relative improvement of the error.
+     * @param cooldown {Number}
+     *            The number of iterations to wait after a reduction before counting again.
+     * @param minLearningRate {Number}
+     *            The learning rate is never reduced below this value.
+     */
+    constructor(factor = 0.1, patience = 10, threshold = 1e-4, cooldown = 0, minLearningRate = 0) {
+        super();
+
+        if (factor <= 0 || factor >= 1) {
+            throw new EncogError("The reduction factor must be between 0 and 1.");
+        }
+
+        this.factor = factor;
+        this.patience = patience;
+        this.threshold = threshold;
+        this.cooldown = cooldown;
+        this.minLearningRate = minLearningRate;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    init(train) {
+        super.init(train);
+
+        this.bestError = Infinity;
+        this.badIterations = 0;
+        this.cooldownCounter = 0;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculateLearningRate(step) {
+        return this.currentLearningRate;
+    }
+
+    /**
+     * Called just after a training iteration.
+     */
+    postIteration() {
+        super.postIteration();
+
+        const error = this.train.error;
+
+        if (error < this.bestError * (1 - this.threshold)) {
+            this.bestError = error;
+            this.badIterations = 0;
+        } else {
+            this.badIterations++;
+        }
+
+        if (this.cooldownCounter > 0) {
+            this.cooldownCounter--;
+            this.badIterations = 0;
+        }
+
+        if (this.badIterations > this.patience) {
+            this.currentLearningRate = Math.max(this.currentLearningRate * this.factor, this.minLearningRate);
+            this.train.learningRate = this.currentLearningRate;
+            this.cooldownCounter = this.cooldown;
+            this.badIterations = 0;
+
+            EncogLog.debug("No improvement, reducing learning rate to " + this.currentLearningRate);
+        }
+    }
+}
+
+module.exports = ReduceLearningRateOnPlateau;
\ No newline at end of file
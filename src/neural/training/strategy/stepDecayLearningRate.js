@@ -0,0 +1,32 @@
+const LearningRateScheduler = require(PATHS.STRATEGIES + 'learningRateScheduler');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+/**
+ * Multiply the learning rate by gamma every stepSize iterations.
+ */
+class StepDecayLearningRate extends LearningRateScheduler {
+    /**
+     * @param stepSize {Number}
+     *            The number of iterations between two decays.
+     * @param gamma {Number}
+     *            The decay factor.
+     */
+    constructor(stepSize, gamma = 0.1) {
+        super();
+
+        if (stepSize < 1) {
+            throw new EncogError("The step size must be at least 1.");
+        }
+
+        this.stepSize = stepSize;
+        this.gamma = gamma;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    calculateLearningRate(step) {
+        return this.initialLearningRate * Math.pow(this.gamma, Math.floor(step / this.stepSize));
+    }
+}
+
+module.exports = StepDecayLearningRate;
\ No newline at end of file
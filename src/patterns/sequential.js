@@ -0,0 +1,254 @@
+const _ = require('lodash');
+const BasicLayer = require(PATHS.LAYERS + 'basic');
+const BasicNetwork = require(PATHS.NETWORKS + 'basic');
+const FreeformNetwork = require(PATHS.FREEFORM + 'network');
+const NeuralNetworkPattern = require(PATHS.PATTERNS + 'neuralNetwork');
+const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+const FreeformNetworkError = require(PATHS.ERROR_HANDLING + 'freeformNetwork');
+const ActivationSigmoid = require(PATHS.ACTIVATION_FUNCTIONS + 'sigmoid');
+const ActivationLinear = require(PATHS.ACTIVATION_FUNCTIONS + 'linear');
+const ActivationSoftmax = require(PATHS.ACTIVATION_FUNCTIONS + 'softmax');
+const NguyenWidrowRandomizer = require(PATHS.RANDOMIZERS + 'nguyenWidrow');
+const RangeRandomizer = require(PATHS.RANDOMIZERS + 'range');
+
+/**
+ * Used to build feedforward neural networks layer by layer. The input layer is
+ * set first, then every dense (fully connected) layer is added in order, the
+ * last one being the output layer:
+ *
+ * const network = new SequentialPattern()
+ *     .input(4)
+ *     .dense(10, {activation: new ActivationTANH(), dropout: 0.2})
+ *     .dense(3, {activation: new ActivationSoftmax()})
+ *     .generate();
+ *
+ * The layers are validated when they are added and when the network is
+ * generated. The weights are initialized with the Nguyen-Widrow randomizer
+ * when the network supports it, otherwise between -1 and 1.
+ */
+class SequentialPattern extends NeuralNetworkPattern {
+    constructor() {
+        super();
+    }
+
+    /**
+     * @inheritDoc
+     */
+    clear() {
+        super.clear();
+        this.layerRandomizer = null;
+    }
+
+    /**
+     * Set the input layer.
+     *
+     * @param neuronsCount {number} The number of input neurons.
+     * @return {SequentialPattern} This pattern.
+     */
+    input(neuronsCount) {
+        this.setInputLayer(neuronsCount, new ActivationLinear());
+        return this;
+    }
+
+    /**
+     * Add a dense layer, every neuron of the previous layer is connected to every
+     * neuron of this layer.
+     *
+     * @param neuronsCount {number} The number of neurons.
+     * @param options {Object} The activation function (sigmoid by default), if the
+     *                neurons get a bias input (true by default), the dropout rate
+     *                (0 by default) and if the sums of the layer are batch normalized
+     *                (false by default).
+     * @return {SequentialPattern} This pattern.
+     */
+    dense(neuronsCount, options = {}) {
+        const layer = _.defaults({neurons: neuronsCount}, options, {
+            activation: new ActivationSigmoid(),
+            bias: true,
+            dropout: 0,
+            batchNormalization: false
+        });
+
+        SequentialPattern.validateNeuronsCount(neuronsCount);
+        SequentialPattern.validateActivation(layer.activation);
+        if (!(layer.dropout >= 0 && layer.dropout < 1)) {
+            throw new NeuralNetworkError("The dropout rate must be in [0, 1): " + layer.dropout);
+        }
+
+        this.hiddenLayers.push({
+            neurons: neuronsCount,
+            activationFunction: layer.activation,
+            bias: layer.bias,
+            dropout: layer.dropout,
+            batchNormalization: layer.batchNormalization
+        });
+        return this;
+    }
+
+    /**
+     * Set the randomizer used to initialize the weights of the basic networks.
+     *
+     * @param randomizer {BasicRandomizer} The randomizer.
+     * @return {SequentialPattern} This pattern.
+     */
+    randomizer(randomizer) {
+        this.layerRandomizer = randomizer;
+        return this;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    setInputLayer(neuronsCount, activationFunc = new ActivationLinear()) {
+        SequentialPattern.validateNeuronsCount(neuronsCount);
+        SequentialPattern.validateActivation(activationFunc);
+        if (activationFunc instanceof ActivationSoftmax) {
+            throw new NeuralNetworkError("The softmax activation function can only be used on the output layer.");
+        }
+        super.setInputLayer(neuronsCount, activationFunc);
+    }
+
+    /**
+     * @inheritDoc
+     */
+    addHiddenLayer(neuronsCount, activationFunc = new ActivationSigmoid()) {
+        this.dense(neuronsCount, {activation: activationFunc});
+    }
+
+    /**
+     * The output layer is the last dense layer.
+     * @inheritDoc
+     */
+    setOutputLayer(neuronsCount, activationFunc = new ActivationSigmoid()) {
+        this.dense(neuronsCount, {activation: activationFunc});
+    }
+
+    /**
+     * @param neuronsCount {number}
+     */
+    static validateNeuronsCount(neuronsCount) {
+        if (!Number.isInteger(neuronsCount) || neuronsCount < 1) {
+            throw new NeuralNetworkError("A layer must have at least one neuron: " + neuronsCount);
+        }
+    }
+
+    /**
+     * @param activationFunc {ActivationFunction}
+     */
+    static validateActivation(activationFunc) {
+        if (activationFunc == null || typeof activationFunc.activationFunction !== 'function') {
+            throw new NeuralNetworkError("Invalid activation function: " + activationFunc);
+        }
+    }
+
+    /**
+     * Validate the whole network, before it is generated.
+     */
+    validate() {
+        if (this.inputLayer == null) {
+            throw new NeuralNetworkError("The input layer must be set before the network is generated.");
+        }
+        if (this.hiddenLayers.length === 0) {
+            throw new NeuralNetworkError("At least one dense layer, the output layer, is required.");
+        }
+
+        const outputLayer = _.last(this.hiddenLayers);
+        for (let layer of _.initial(this.hiddenLayers)) {
+            if (layer.activationFunction instanceof ActivationSoftmax) {
+                throw new NeuralNetworkError("The softmax activation function can only be used on the output layer.");
+            }
+        }
+        if (outputLayer.dropout > 0) {
+            throw new NeuralNetworkError("Dropout can not be used on the output layer.");
+        }
+    }
+
+    /**
+     * @return {Boolean} True if the weights can be initialized with the Nguyen-Widrow
+     *         randomizer: the network has a hidden layer and the activation functions
+     *         of all the layers are bounded (TANH, sigmoid or Elliott).
+     */
+    isNguyenWidrowSupported() {
+        return this.hiddenLayers.length > 1
+            && _.every(this.hiddenLayers, (layer) => NguyenWidrowRandomizer.isSupported(layer.activationFunction));
+    }
+
+    /**
+     * @return {BasicRandomizer} The randomizer used to initialize the weights.
+     */
+    getRandomizer() {
+        if (this.layerRandomizer == null) {
+            return this.isNguyenWidrowSupported() ? new NguyenWidrowRandomizer() : new RangeRandomizer(-1, 1);
+        }
+
+        if (this.layerRandomizer instanceof NguyenWidrowRandomizer && !this.isNguyenWidrowSupported()) {
+            throw new NeuralNetworkError(
+                "The Nguyen-Widrow randomizer needs a hidden layer and TANH, sigmoid or Elliott activation functions.");
+        }
+        return this.layerRandomizer;
+    }
+
+    /**
+     * @inheritDoc
+     */
+    generate() {
+        this.validate();
+
+        const randomizer = this.getRandomizer();
+        const network = new BasicNetwork();
+        const layers = this.hiddenLayers;
+
+        // the bias of a layer feeds the next layer
+        network.addLayer(new BasicLayer(this.inputLayer.activationFunction, layers[0].bias, this.inputLayer.neurons));
+        layers.forEach((layer, i) => {
+            const hasBias = i < layers.length - 1 && layers[i + 1].bias;
+            network.addLayer(new BasicLayer(
+                layer.activationFunction, hasBias, layer.neurons, layer.dropout, layer.batchNormalization));
+        });
+
+        network.structure.finalizeStructure(_.some(layers, (layer) => layer.dropout > 0));
+        randomizer.randomize(network);
+
+        return network;
+    }
+
+    /**
+     * The weights of a freeform network are initialized between -1 and 1.
+     * @inheritDoc
+     */
+    generateFreeformNetwork() {
+        this.validate();
+
+        for (let layer of this.hiddenLayers) {
+            if (layer.dropout > 0) {
+                throw new FreeformNetworkError("Dropout is not supported by freeform networks.");
+            }
+            if (layer.batchNormalization) {
+                throw new FreeformNetworkError("Batch normalization is not supported by freeform networks.");
+            }
+            if (layer.activationFunction instanceof ActivationSoftmax) {
+                throw new FreeformNetworkError("The softmax activation function is not supported by freeform networks.");
+            }
+        }
+
+        const network = new FreeformNetwork();
+        let lastLayer = network.createInputLayer(this.inputLayer.neurons);
+
+        this.hiddenLayers.forEach((layer, i) => {
+            let currentLayer;
+            if (i === this.hiddenLayers.length - 1) {
+                currentLayer = network.createOutputLayer(layer.neurons);
+            } else {
+                currentLayer = network.createLayer(layer.neurons);
+            }
+
+            network.connectLayers(lastLayer, currentLayer, layer.activationFunction, layer.bias ? 1.0 : 0.0);
+            lastLayer = currentLayer;
+        });
+
+        network.randomize();
+        return network;
+    }
+}
+
+module.exports = SequentialPattern;
\ No newline at end of file
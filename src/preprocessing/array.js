@@ -1,4 +1,5 @@
 const _ = require('lodash');
+const RandomFactory = require(PATHS.GENERATORS + 'randomFactory');
 module.exports = class ArrayUtils {
     /**
      * Fill an array with a specific value.
@@ -63,12 +64,32 @@ module.exports = class ArrayUtils {
         if (arguments.length == 2) {
             ArrayUtils.arrayCopy(arguments[0], 0, arguments[1], 0, arguments[0].length);
         } else if (sourcePos >= 0 && targetPos >= 0) {
-            for (let index = 0; index < sourcePos + length; index++) {
-                target[targetPos + index] = source[index];
+            for (let index = 0; index < length; index++) {
+                target[targetPos + index] = source[sourcePos + index];
             }
         }
     }
 
+    /**
+     * Create a shuffled copy of an array (Fisher-Yates).
+     *
+     * @param arr {Array}
+     *            The array to shuffle.
+     * @param random {MersenneTwisterGenerateRandom}
+     *            The random number generator, one is created by the RandomFactory if none is given.
+     * @return {Array} The shuffled copy.
+     */
+    static shuffle(arr, random = RandomFactory.factor()) {
+        const result = arr.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = random.nextInt(i + 1);
+            const tmp = result[i];
+            result[i] = result[j];
+            result[j] = tmp;
+        }
+        return result;
+    }
+
     /**
      * @param arr {Array}
      * @param rowSize {Number}
@@ -3,6 +3,7 @@ const _ = require('lodash');
 const fs = require('fs');
 const csv = require('fast-csv');
 const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
 const EncogLog = require(PATHS.UTILS + 'encogLog');
 
 class DataToolbox {
@@ -14,12 +15,17 @@ class DataToolbox {
     /**
      * @param dataset {Array}
      * @param testSize {Number}
+     * @param shuffle {Boolean} Shuffle the dataset before splitting it, using the RandomFactory.
      */
-    static trainTestSplit(dataset, testSize = 0.2) {
+    static trainTestSplit(dataset, testSize = 0.2, shuffle = false) {
         if (testSize >= 1 || testSize <= 0) {
             throw new NeuralNetworkError('Test size should be between 0 and 1');
         }
 
+        if (shuffle) {
+            dataset = ArrayUtils.shuffle(dataset);
+        }
+
         //split the dataset in train and test dataset
         return {
             train: dataset.slice(0, dataset.length * (1 - testSize)),
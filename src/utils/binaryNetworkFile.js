@@ -0,0 +1,183 @@
+const zlib = require('zlib');
+const os = require('os');
+const BasicNetwork = require(PATHS.NETWORKS + 'basic');
+const NetworkFile = require(PATHS.UTILS + 'networkFile');
+const PersistError = require(PATHS.ERROR_HANDLING + 'persist');
+const _ = require('lodash');
+
+/**
+ * The first bytes of a binary network file.
+ */
+const MAGIC = 'ENCB';
+
+/**
+ * The size of the magic bytes and of the header length.
+ */
+const PREAMBLE_SIZE = 8;
+
+/**
+ * The header is padded so the weights start on a multiple of this many bytes,
+ * which lets a typed array view them without copying.
+ */
+const ALIGNMENT = 8;
+
+/**
+ * The typed arrays holding the weights, by weight type.
+ */
+const WEIGHT_TYPES = {
+    float64: Float64Array,
+    float32: Float32Array
+};
+
+/**
+ * A compact file format for the basic networks:
+ *
+ *     "ENCB" | header length (uint32 LE) | JSON header | padding | raw weights
+ *
+ * The JSON header is the envelope of NetworkFile, holding the network without
+ * its weights. The weights follow as Float64 or Float32 values, the whole file
+ * can be gzipped. When the file is loaded, the weights of the FlatNetwork are a
+ * typed array viewing the file buffer, they are not copied.
+ */
+class BinaryNetworkFile {
+
+    /**
+     * @param network {BasicNetwork}
+     * @param options {Object}
+     *            weightType: 'float64' (default) or 'float32' to halve the size of the weights,
+     *            gzip: true to compress the file, metadata: the user metadata saved with the network.
+     * @return {Buffer} The content of the binary network file.
+     */
+    static toBuffer(network, options = {}) {
+        const settings = _.defaults({}, options, {weightType: 'float64', gzip: false, metadata: {}});
+
+        if (!(network instanceof BasicNetwork)) {
+            throw new PersistError('Only the basic networks can be saved in the binary format.');
+        }
+
+        if (!_.has(WEIGHT_TYPES, settings.weightType)) {
+            throw new PersistError('Unknown weight type: ' + settings.weightType + ', float64 or float32 expected.');
+        }
+
+        const weights = WEIGHT_TYPES[settings.weightType].from(network.getFlat().getWeights());
+        const envelope = NetworkFile.createEnvelope(_.omit(network.toJSON(), 'weights'), settings.metadata);
+        envelope.weightType = settings.weightType;
+        envelope.weightCount = weights.length;
+        envelope.endianness = os.endianness();
+
+        const header = Buffer.from(JSON.stringify(envelope), 'utf8');
+        const weightOffset = BinaryNetworkFile.getWeightOffset(header.length);
+        const buffer = Buffer.alloc(weightOffset + weights.byteLength);
+
+        buffer.write(MAGIC, 0, 'latin1');
+        buffer.writeUInt32LE(header.length, MAGIC.length);
+        header.copy(buffer, PREAMBLE_SIZE);
+        Buffer.from(weights.buffer, weights.byteOffset, weights.byteLength).copy(buffer, weightOffset);
+
+        if (settings.gzip) {
+            return zlib.gzipSync(buffer);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * @param buffer {Buffer}
+     *            The content of the binary network file, gzipped or not.
+     * @return {Object} The envelope of the file, with the restored network.
+     */
+    static parse(buffer) {
+        let content = buffer;
+        if (content.length >= 2 && content[0] === 0x1f && content[1] === 0x8b) {
+            content = zlib.gunzipSync(content);
+        }
+
+        if (content.length < PREAMBLE_SIZE || content.toString('latin1', 0, MAGIC.length) !== MAGIC) {
+            throw new PersistError('Not a binary network file.');
+        }
+
+        const headerLength = content.readUInt32LE(MAGIC.length);
+        if (PREAMBLE_SIZE + headerLength > content.length) {
+            throw new PersistError('The header of the binary network file is truncated.');
+        }
+
+        let header;
+        try {
+            header = JSON.parse(content.toString('utf8', PREAMBLE_SIZE, PREAMBLE_SIZE + headerLength));
+        } catch (e) {
+            throw new PersistError('The header of the binary network file is not valid JSON: ' + e.message);
+        }
+
+        const ArrayType = WEIGHT_TYPES[header.weightType];
+        if (ArrayType == null) {
+            throw new PersistError('Unknown weight type: ' + header.weightType + ', float64 or float32 expected.');
+        }
+
+        if (!_.isInteger(header.weightCount) || header.weightCount < 0) {
+            throw new PersistError('Invalid weight count: ' + header.weightCount);
+        }
+
+        const weightOffset = BinaryNetworkFile.getWeightOffset(headerLength);
+        if (weightOffset + (header.weightCount * ArrayType.BYTES_PER_ELEMENT) > content.length) {
+            throw new PersistError('The weights of the binary network file are truncated, '
+                + header.weightCount + ' weights expected.');
+        }
+
+        const weights = BinaryNetworkFile.readWeights(content, weightOffset, ArrayType, header.weightCount, header.endianness);
+        const envelope = NetworkFile.migrate(header);
+
+        return {
+            formatVersion: envelope.formatVersion,
+            libraryVersion: envelope.libraryVersion,
+            created: envelope.created,
+            metadata: envelope.metadata || {},
+            weightType: header.weightType,
+            network: NetworkFile.createNetwork(_.assign({}, envelope.network, {weights: weights}))
+        };
+    }
+
+    /**
+     * @param headerLength {Number}
+     * @return {Number} The position of the weights in the file.
+     */
+    static getWeightOffset(headerLength) {
+        return Math.ceil((PREAMBLE_SIZE + headerLength) / ALIGNMENT) * ALIGNMENT;
+    }
+
+    /**
+     * The weights are a view of the buffer, unless they are not aligned in memory
+     * or were written with another byte order, then they are copied.
+     *
+     * @param content {Buffer}
+     * @param offset {Number}
+     * @param ArrayType {Function}
+     *            Float64Array or Float32Array.
+     * @param count {Number}
+     * @param endianness {String}
+     *            The byte order of the weights, 'LE' or 'BE'.
+     * @return {Float64Array | Float32Array}
+     */
+    static readWeights(content, offset, ArrayType, count, endianness) {
+        const byteOffset = content.byteOffset + offset;
+
+        if (endianness === os.endianness() && byteOffset % ArrayType.BYTES_PER_ELEMENT === 0) {
+            return new ArrayType(content.buffer, byteOffset, count);
+        }
+
+        const weights = new ArrayType(count);
+        const view = new DataView(content.buffer, byteOffset, count * ArrayType.BYTES_PER_ELEMENT);
+        const littleEndian = endianness !== 'BE';
+
+        for (let i = 0; i < count; i++) {
+            if (ArrayType === Float64Array) {
+                weights[i] = view.getFloat64(i * ArrayType.BYTES_PER_ELEMENT, littleEndian);
+            } else {
+                weights[i] = view.getFloat32(i * ArrayType.BYTES_PER_ELEMENT, littleEndian);
+            }
+        }
+
+        return weights;
+    }
+}
+
+module.exports = BinaryNetworkFile;
\ No newline at end of file
@@ -1,4 +1,3 @@
-const _ = require('lodash');
 const DataToolbox = require(PATHS.PREPROCESSING + 'dataToolbox');
 const DataEncoder = require('data-encoder');
 const DataMappers = require('data-encoder/data-mappers');
@@ -50,8 +49,7 @@ class DataSets {
      */
     static getNormalizedIrisDataSet() {
         let irisDataset = DataSets.getIrisDataSet();
-        irisDataset = _.shuffle(irisDataset);
-        irisDataset = DataToolbox.trainTestSplit(irisDataset);
+        irisDataset = DataToolbox.trainTestSplit(irisDataset, 0.2, true);
         const dataEncoder = new DataEncoder();
         const mappings = {
             'Sepal.Length': new MinMaxScaller(),
@@ -77,7 +75,6 @@ class DataSets {
         const dataset = await DataToolbox.readTrainingCSV(
             PATHS.DATA_FOLDER + 'data_banknote_authentication.csv'
         );
-        const shuffledDataset = _.shuffle(dataset);
 
         const dataEncoder = new DataEncoder();
         const mappings = {
@@ -88,7 +85,7 @@ class DataSets {
             'class': new IntegerParser()
         };
 
-        const splittedDataset = DataToolbox.trainTestSplit(shuffledDataset);
+        const splittedDataset = DataToolbox.trainTestSplit(dataset, 0.2, true);
 
         const trainData = dataEncoder.fitTransform(splittedDataset.train, mappings);
         const testData = dataEncoder.transform(splittedDataset.test, mappings);
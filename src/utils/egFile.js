@@ -0,0 +1,516 @@
+const BasicNetwork = require(PATHS.NETWORKS + 'basic');
+const FlatNetwork = require(PATHS.NETWORKS + 'flat');
+const HopfieldNetwork = require(PATHS.NETWORKS + 'hopfield');
+const BAMNetwork = require(PATHS.NETWORKS + 'bam');
+const Matrix = require(PATHS.MATRICES + 'matrix');
+const ActivationFunction = require(PATHS.SRC + 'activation/activationFunction');
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const PersistError = require(PATHS.ERROR_HANDLING + 'persist');
+const _ = require('lodash');
+
+/**
+ * The version of the EG file format, the Java implementation refuses the files with a newer version.
+ */
+const FILE_VERSION = 1;
+
+/**
+ * The arrays with this many values or more are written as large arrays, on several lines.
+ */
+const LARGE_ARRAY_SIZE = 2048;
+
+/**
+ * The activation functions named differently by the Java implementation.
+ */
+const JAVA_ACTIVATION_TYPES = {
+    ActivationSoftmax: 'ActivationSoftMax'
+};
+
+/**
+ * Builds the lines of an EG file.
+ */
+class EGWriter {
+    constructor() {
+        this.lines = [];
+        this.section = null;
+        this.largeArrayNumber = 0;
+    }
+
+    /**
+     * @param type {String}
+     *            The type of the persisted network, as named by the Java implementation.
+     */
+    writeHeader(type) {
+        const packageJson = require(PATHS.BASE + '/package.json');
+
+        this.lines.push(['encog', type, 'js', packageJson.version, FILE_VERSION, (new Date()).getTime()].join(','));
+    }
+
+    /**
+     * @param name {String}
+     */
+    addSection(name) {
+        this.section = name;
+        this.lines.push('[' + name + ']');
+    }
+
+    /**
+     * @param name {String}
+     */
+    addSubSection(name) {
+        this.lines.push('[' + this.section + ':' + name + ']');
+    }
+
+    /**
+     * @param name {String}
+     * @param value {Number | Boolean | Array | Matrix}
+     */
+    writeProperty(name, value) {
+        if (value instanceof Matrix) {
+            this.lines.push(name + '=' + [value.getRows(), value.getCols()].concat(_.flatten(value.getData())).join(','));
+        } else if (_.isArray(value) || ArrayBuffer.isView(value)) {
+            this.writeArray(name, value);
+        } else if (_.isBoolean(value)) {
+            this.lines.push(name + '=' + (value ? 't' : 'f'));
+        } else {
+            this.lines.push(name + '=' + EGFile.formatNumber(value));
+        }
+    }
+
+    /**
+     * @param name {String}
+     * @param values {Array}
+     */
+    writeArray(name, values) {
+        const formatted = _.map(values, EGFile.formatNumber);
+
+        if (formatted.length < LARGE_ARRAY_SIZE) {
+            this.lines.push(name + '=' + formatted.join(','));
+            return;
+        }
+
+        this.lines.push(name + '=##' + this.largeArrayNumber);
+        this.lines.push('##double#' + formatted.length);
+        _.each(_.chunk(formatted, LARGE_ARRAY_SIZE), (chunk) => {
+            this.lines.push(chunk.join(','));
+        });
+        this.lines.push('##end');
+        this.largeArrayNumber++;
+    }
+
+    /**
+     * @param columns {Array}
+     */
+    writeColumns(columns) {
+        this.lines.push(columns.join(','));
+    }
+
+    /**
+     * @return {String}
+     */
+    toString() {
+        return this.lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Reads and writes the EG files of the Java implementation of Encog, a text
+ * format made of sections of "name=value" properties. The basic networks
+ * (activation functions included), the Hopfield networks and the BAM networks
+ * can move both ways between the two implementations.
+ */
+class EGFile {
+
+    /**
+     * @param network {BasicNetwork | HopfieldNetwork | BAMNetwork}
+     * @return {String} The content of the EG file.
+     */
+    static write(network) {
+        const writer = new EGWriter();
+
+        if (network instanceof BasicNetwork) {
+            EGFile.writeBasicNetwork(writer, network);
+        } else if (network instanceof HopfieldNetwork) {
+            EGFile.writeHopfieldNetwork(writer, network);
+        } else if (network instanceof BAMNetwork) {
+            EGFile.writeBAMNetwork(writer, network);
+        } else {
+            throw new PersistError('Only the basic, Hopfield and BAM networks can be saved as EG files.');
+        }
+
+        return writer.toString();
+    }
+
+    /**
+     * @param content {String}
+     *            The content of the EG file.
+     * @return {BasicNetwork | HopfieldNetwork | BAMNetwork}
+     */
+    static read(content) {
+        const lines = _.map(_.toString(content).split('\n'), _.trim);
+        const header = lines[0].split(',');
+
+        if (header[0] !== 'encog' || header.length < 5) {
+            throw new PersistError('Not a valid EG file.');
+        }
+
+        if (parseInt(header[4], 10) > FILE_VERSION) {
+            throw new PersistError('The EG file version ' + header[4] + ' is not supported.');
+        }
+
+        const sections = EGFile.readSections(_.tail(lines));
+
+        switch (header[1]) {
+            case 'BasicNetwork':
+                return EGFile.readBasicNetwork(sections);
+            case 'HopfieldNetwork':
+                return EGFile.readHopfieldNetwork(sections);
+            case 'BAM':
+                return EGFile.readBAMNetwork(sections);
+            default:
+                throw new PersistError('Unsupported EG network type: ' + header[1]);
+        }
+    }
+
+    /**
+     * @param writer {EGWriter}
+     * @param network {BasicNetwork}
+     */
+    static writeBasicNetwork(writer, network) {
+        const flat = network.getFlat();
+
+        if (flat.hasBatchNormalization()) {
+            throw new PersistError('The batch normalized networks can not be saved as EG files.');
+        }
+
+        writer.writeHeader('BasicNetwork');
+        writer.addSection('BASIC');
+        writer.addSubSection('PARAMS');
+        writer.addSubSection('NETWORK');
+        writer.writeProperty('beginTraining', flat.beginTraining);
+        writer.writeProperty('connectionLimit', flat.connectionLimit || 0);
+        writer.writeProperty('contextTargetOffset', flat.contextTargetOffset);
+        writer.writeProperty('contextTargetSize', flat.contextTargetSize);
+        writer.writeProperty('endTraining', flat.endTraining);
+        writer.writeProperty('hasContext', !!flat.hasContext);
+        writer.writeProperty('inputCount', flat.inputCount);
+        writer.writeProperty('layerCounts', flat.layerCounts);
+        writer.writeProperty('layerFeedCounts', flat.layerFeedCounts);
+        writer.writeProperty('layerContextCount', flat.layerContextCount);
+        writer.writeProperty('layerIndex', flat.layerIndex);
+        writer.writeProperty('output', flat.layerOutput);
+        writer.writeProperty('outputCount', flat.outputCount);
+        writer.writeProperty('weightIndex', flat.weightIndex);
+        writer.writeProperty('weights', flat.weights);
+        writer.writeProperty('biasActivation', flat.biasActivation);
+        if (!_.isEmpty(flat.layerDropoutRates)) {
+            writer.writeProperty('layerDropoutRates', flat.layerDropoutRates);
+        }
+
+        writer.addSubSection('ACTIVATION');
+        _.each(flat.activationFunctions, (activation) => {
+            const type = JAVA_ACTIVATION_TYPES[activation.type] || activation.type;
+            const params = _.map(activation.getParamNames(), (name) => EGFile.formatNumber(activation[name]));
+
+            writer.writeColumns(['"' + type + '"'].concat(params));
+        });
+    }
+
+    /**
+     * @param sections {Object}
+     * @return {BasicNetwork}
+     */
+    static readBasicNetwork(sections) {
+        const params = EGFile.readProperties(EGFile.getSection(sections, 'BASIC:NETWORK'));
+        const flat = new FlatNetwork();
+
+        flat.beginTraining = EGFile.parseInt(params, 'beginTraining');
+        flat.connectionLimit = EGFile.parseDouble(params, 'connectionLimit');
+        flat.isLimited = Math.abs(flat.connectionLimit) > PATHS.CONSTANTS.DEFAULT_DOUBLE_EQUAL;
+        flat.contextTargetOffset = EGFile.parseIntArray(params, 'contextTargetOffset');
+        flat.contextTargetSize = EGFile.parseIntArray(params, 'contextTargetSize');
+        flat.endTraining = EGFile.parseInt(params, 'endTraining');
+        flat.hasContext = EGFile.parseBoolean(params, 'hasContext');
+        flat.inputCount = EGFile.parseInt(params, 'inputCount');
+        flat.layerCounts = EGFile.parseIntArray(params, 'layerCounts');
+        flat.layerFeedCounts = EGFile.parseIntArray(params, 'layerFeedCounts');
+        flat.layerContextCount = EGFile.parseIntArray(params, 'layerContextCount');
+        flat.layerIndex = EGFile.parseIntArray(params, 'layerIndex');
+        flat.layerOutput = EGFile.parseDoubleArray(params, 'output');
+        flat.outputCount = EGFile.parseInt(params, 'outputCount');
+        flat.weightIndex = EGFile.parseIntArray(params, 'weightIndex');
+        flat.weights = EGFile.parseDoubleArray(params, 'weights');
+        flat.biasActivation = EGFile.parseDoubleArray(params, 'biasActivation');
+        flat.layerDropoutRates = ArrayUtils.newFloatArray(0);
+        if (_.has(params, 'layerDropoutRates')) {
+            flat.layerDropoutRates = EGFile.parseDoubleArray(params, 'layerDropoutRates');
+        }
+
+        const layerCount = flat.layerCounts.length;
+        flat.layerSums = ArrayUtils.newFloatArray(flat.layerOutput.length);
+        flat.layerBatchNormalization = ArrayUtils.newBooleanArray(layerCount);
+        flat.batchNormalizationIndex = ArrayUtils.newIntArray(layerCount);
+        flat.training = false;
+
+        flat.activationFunctions = _.map(EGFile.getSection(sections, 'BASIC:ACTIVATION'), EGFile.readActivationFunction);
+        if (flat.activationFunctions.length !== layerCount) {
+            throw new PersistError('The EG file has ' + flat.activationFunctions.length
+                + ' activation functions for ' + layerCount + ' layers.');
+        }
+
+        const network = new BasicNetwork();
+        network.structure.flat = flat;
+
+        return network;
+    }
+
+    /**
+     * @param line {String}
+     *            The activation function class name, followed by its parameters.
+     * @return {ActivationFunction}
+     */
+    static readActivationFunction(line) {
+        const columns = _.map(line.split(','), (column) => _.trim(column, '" '));
+        const javaType = _.last(columns[0].split('.'));
+        const activation = ActivationFunction.fromType(_.invert(JAVA_ACTIVATION_TYPES)[javaType] || javaType);
+
+        _.each(activation.getParamNames(), (name, i) => {
+            if (i + 1 < columns.length) {
+                activation[name] = Number(columns[i + 1]);
+            }
+        });
+
+        return activation;
+    }
+
+    /**
+     * @param writer {EGWriter}
+     * @param network {HopfieldNetwork}
+     */
+    static writeHopfieldNetwork(writer, network) {
+        writer.writeHeader('HopfieldNetwork');
+        writer.addSection('HOPFIELD');
+        writer.addSubSection('PARAMS');
+        writer.addSubSection('NETWORK');
+        writer.writeProperty('weights', network.getWeights());
+        writer.writeProperty('output', network.getCurrentState().getData());
+        writer.writeProperty('neurons', network.getNeuronCount());
+    }
+
+    /**
+     * @param sections {Object}
+     * @return {HopfieldNetwork}
+     */
+    static readHopfieldNetwork(sections) {
+        const params = EGFile.readProperties(EGFile.getSection(sections, 'HOPFIELD:NETWORK'));
+        const neuronCount = EGFile.parseInt(params, 'neurons');
+        const network = new HopfieldNetwork(neuronCount);
+
+        network.init(neuronCount, EGFile.parseDoubleArray(params, 'weights'), EGFile.parseDoubleArray(params, 'output'));
+
+        return network;
+    }
+
+    /**
+     * @param writer {EGWriter}
+     * @param network {BAMNetwork}
+     */
+    static writeBAMNetwork(writer, network) {
+        writer.writeHeader('BAM');
+        writer.addSection('BAM');
+        writer.addSubSection('PARAMS');
+        writer.addSubSection('NETWORK');
+        writer.writeProperty('f1Count', network.f1Count);
+        writer.writeProperty('f2Count', network.f2Count);
+        writer.writeProperty('weightsF1F2', network.weightsF1toF2);
+        writer.writeProperty('weightsF2F1', network.weightsF2toF1);
+    }
+
+    /**
+     * @param sections {Object}
+     * @return {BAMNetwork}
+     */
+    static readBAMNetwork(sections) {
+        const params = EGFile.readProperties(EGFile.getSection(sections, 'BAM:NETWORK'));
+        const network = new BAMNetwork(EGFile.parseInt(params, 'f1Count'), EGFile.parseInt(params, 'f2Count'));
+
+        network.weightsF1toF2 = EGFile.parseMatrix(params, 'weightsF1F2');
+        network.weightsF2toF1 = EGFile.parseMatrix(params, 'weightsF2F1');
+
+        return network;
+    }
+
+    /**
+     * Split the lines of an EG file, the header excluded, into sections.
+     *
+     * @param lines {Array}
+     * @return {Object} The lines of each section, by "SECTION:SUBSECTION" name.
+     */
+    static readSections(lines) {
+        const sections = {};
+        let current = null;
+
+        _.each(lines, (line) => {
+            const match = line.match(/^\[(.+)]$/);
+
+            if (match) {
+                current = [];
+                sections[match[1]] = current;
+            } else if (line !== '' && current !== null) {
+                current.push(line);
+            }
+        });
+
+        return sections;
+    }
+
+    /**
+     * @param sections {Object}
+     * @param name {String}
+     * @return {Array} The lines of the section.
+     */
+    static getSection(sections, name) {
+        if (!_.has(sections, name)) {
+            throw new PersistError('The EG file has no [' + name + '] section.');
+        }
+
+        return sections[name];
+    }
+
+    /**
+     * Read the "name=value" properties of a section. The values of the large
+     * arrays, on the lines between "##double#count" and "##end", are joined.
+     *
+     * @param lines {Array}
+     * @return {Object} The values, as strings, by property name.
+     */
+    static readProperties(lines) {
+        const properties = {};
+        let i = 0;
+
+        while (i < lines.length) {
+            const separator = lines[i].indexOf('=');
+
+            if (separator === -1) {
+                throw new PersistError('Invalid EG property: ' + lines[i]);
+            }
+
+            const name = lines[i].substring(0, separator);
+            let value = lines[i].substring(separator + 1);
+            i++;
+
+            if (_.startsWith(value, '##')) {
+                const values = [];
+
+                for (i++; i < lines.length && lines[i] !== '##end'; i++) {
+                    values.push(lines[i]);
+                }
+                i++;
+                value = values.join(',');
+            }
+
+            properties[name] = value;
+        }
+
+        return properties;
+    }
+
+    /**
+     * @param properties {Object}
+     * @param name {String}
+     * @return {String}
+     */
+    static getProperty(properties, name) {
+        if (!_.has(properties, name)) {
+            throw new PersistError('The EG file has no ' + name + ' property.');
+        }
+
+        return properties[name];
+    }
+
+    /**
+     * @param properties {Object}
+     * @param name {String}
+     * @return {Number}
+     */
+    static parseInt(properties, name) {
+        return parseInt(EGFile.getProperty(properties, name), 10);
+    }
+
+    /**
+     * @param properties {Object}
+     * @param name {String}
+     * @return {Number}
+     */
+    static parseDouble(properties, name) {
+        return Number(EGFile.getProperty(properties, name));
+    }
+
+    /**
+     * @param properties {Object}
+     * @param name {String}
+     * @return {Boolean}
+     */
+    static parseBoolean(properties, name) {
+        return _.includes(['t', 'true'], _.toLower(EGFile.getProperty(properties, name)));
+    }
+
+    /**
+     * @param properties {Object}
+     * @param name {String}
+     * @return {Array}
+     */
+    static parseIntArray(properties, name) {
+        return _.map(EGFile.splitValues(EGFile.getProperty(properties, name)), (value) => parseInt(value, 10));
+    }
+
+    /**
+     * @param properties {Object}
+     * @param name {String}
+     * @return {Array}
+     */
+    static parseDoubleArray(properties, name) {
+        return _.map(EGFile.splitValues(EGFile.getProperty(properties, name)), Number);
+    }
+
+    /**
+     * A matrix is written as its row count, its column count and its values, row by row.
+     *
+     * @param properties {Object}
+     * @param name {String}
+     * @return {Matrix}
+     */
+    static parseMatrix(properties, name) {
+        const values = EGFile.parseDoubleArray(properties, name);
+        const rows = values[0];
+        const cols = values[1];
+
+        if (values.length !== 2 + (rows * cols)) {
+            throw new PersistError('The ' + name + ' matrix of the EG file has ' + (values.length - 2)
+                + ' values for ' + rows + 'x' + cols + ' cells.');
+        }
+
+        return new Matrix(_.chunk(_.drop(values, 2), cols));
+    }
+
+    /**
+     * @param value {String}
+     * @return {Array}
+     */
+    static splitValues(value) {
+        if (_.trim(value) === '') {
+            return [];
+        }
+
+        return value.split(',');
+    }
+
+    /**
+     * @param value {Number | Boolean}
+     * @return {String} The value, with the full precision of the number.
+     */
+    static formatNumber(value) {
+        return String(Number(value));
+    }
+}
+
+module.exports = EGFile;
\ No newline at end of file
@@ -5,10 +5,12 @@ class ErrorUtils {
      * @param network {BasicNetwork | FreeformNetwork}
      * @param input {Array}
      * @param output {Array}
+     * @param mode {String}
+     *            The error calculation mode, the default mode if none is given.
      * @returns {Number}
      */
-    static calculateRegressionError(network, input, output) {
-        const errorCalculation = new ErrorCalculation();
+    static calculateRegressionError(network, input, output, mode = ErrorCalculation.getDefaultMode()) {
+        const errorCalculation = new ErrorCalculation(mode);
 //     if( method instanceof MLContext )
 // ((MLContext)method).clearContext();
         let actual;
@@ -5,10 +5,12 @@ class CalculateRegressionError {
      * @param method {BasicNetwork}
      * @param input {Array}
      * @param output {Array}
+     * @param mode {String}
+     *            The error calculation mode, the default mode if none is given.
      * @returns {number}
      * */
-    static calculateError(method, input, output) {
-        let errorCalculation = new ErrorCalculation();
+    static calculateError(method, input, output, mode = ErrorCalculation.getDefaultMode()) {
+        let errorCalculation = new ErrorCalculation(mode);
 
         // clear context
         method.clearContext();
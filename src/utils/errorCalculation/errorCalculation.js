@@ -1,41 +1,109 @@
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+
 const ERROR_CALCULATION_MODES = {
     /**
      * Root mean square error.
      */
     RMS: 'RMS',
+    /**
+     * Mean square error.
+     */
+    MSE: 'MSE',
+    /**
+     * Sum of Squares error.
+     */
+    ESS: 'ESS',
+    /**
+     * Log loss (one-hot encoding/one-of-n encoding), the mean over the records of
+     * -log(p), p being the output of the ideal class. Use for classifiers.
+     */
+    HOT_LOGLOSS: 'HOT_LOGLOSS',
+    /**
+     * Log loss (binary cross entropy), the mean over every output of
+     * -(y * log(p) + (1 - y) * log(1 - p)). Use for outputs that are independent probabilities.
+     */
+    LOGLOSS: 'LOGLOSS',
+    /**
+     * Root mean square error normalized by the mean of the ideal values.
+     */
+    NRMSE_MEAN: 'NRMSE_MEAN',
+    /**
+     * Root mean square error normalized by the range (max - min) of the ideal values.
+     */
+    NRMSE_RANGE: 'NRMSE_RANGE'
+};
 
-        /**
-         * Mean square error.
-         */
-        MSE: 'MSE',
+/**
+ * The probabilities are clipped to [EPSILON, 1 - EPSILON] to keep the log loss finite.
+ */
+const LOGLOSS_EPSILON = 1e-15;
 
-        /**
-         * Sum of Squares error.
-         */
-        ESS: 'ESS',
-        /**
-         * Log loss (one-hot encoding/one-of-n encoding) Use for neural networks.
-         */
-        HOT_LOGLOSS: 'HOT_LOGLOSS',
-        /**
-         * Log loss (one-hot encoding/one-of-n encoding) Use for models other than neural networks.
-         */
-        LOGLOSS: 'LOGLOSS',
-        NRMSE_MEAN: 'NRMSE_MEAN',
-        NRMSE_RANGE: 'NRMSE_RANGE'
-};
+let defaultMode = ERROR_CALCULATION_MODES.MSE;
 
 /**
- * Calculate the error of a neural network. Encog currently supports three error
- * calculation modes. See ErrorCalculationMode for more info.
+ * Calculate the error of a neural network. Encog supports several error
+ * calculation modes, see getErrorCalculationModes. The values needed by every
+ * mode are accumulated, the mode is only used when the error is calculated.
  */
 class ErrorCalculation {
-    constructor() {
-        this.mode = ERROR_CALCULATION_MODES.MSE;
+    /**
+     * @param mode {String}
+     *            The error calculation mode, the default mode if none is given.
+     */
+    constructor(mode = defaultMode) {
+        this.setMode(mode);
 
         this.reset();
     }
 
+    /**
+     * @returns {Object} The error calculation modes.
+     */
+    static getErrorCalculationModes() {
+        return ERROR_CALCULATION_MODES;
+    }
+
+    /**
+     * @return {String} The mode used by the error calculations created without a mode.
+     */
+    static getDefaultMode() {
+        return defaultMode;
+    }
+
+    /**
+     * @param mode {String}
+     *            The mode used by the error calculations created without a mode.
+     */
+    static setDefaultMode(mode) {
+        ErrorCalculation.validateMode(mode);
+        defaultMode = mode;
+    }
+
+    /**
+     * @param mode {String}
+     */
+    static validateMode(mode) {
+        if (!ERROR_CALCULATION_MODES.hasOwnProperty(mode)) {
+            throw new EncogError("Unknown error calculation mode: " + mode);
+        }
+    }
+
+    /**
+     * @return {String} The error calculation mode.
+     */
+    getMode() {
+        return this.mode;
+    }
+
+    /**
+     * @param mode {String}
+     *            The error calculation mode.
+     */
+    setMode(mode) {
+        ErrorCalculation.validateMode(mode);
+        this.mode = mode;
+    }
+
     /**
      * Reset the error accumulation to zero.
      */
@@ -48,8 +116,16 @@ class ErrorCalculation {
          * The size of a set.
          */
         this.setSize = 0;
+        /**
+         * The number of records.
+         */
+        this.recordCount = 0;
 
         this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+        this.logLoss = 0;
+        this.hotLogLoss = 0;
     }
 
     /**
@@ -64,25 +140,61 @@ class ErrorCalculation {
      */
     updateError(actual, ideal, significance = 1.0) {
         let delta;
+        let p;
+        let hotIndex = 0;
+
         for (let j = 0; j < ideal.length; j += 1) {
             delta = (ideal[j] - actual[j]) * significance;
 
             this.sum += ideal[j];
+            this.min = Math.min(ideal[j], this.min);
+            this.max = Math.max(ideal[j], this.max);
+            this.globalError += delta * delta;
+
+            p = ErrorCalculation.clipProbability(actual[j]);
+            this.logLoss -= (ideal[j] * Math.log(p) + (1 - ideal[j]) * Math.log(1 - p)) * significance;
 
-            if (this.setSize === 0) {
-                this.min = this.max = actual[j];
-            } else {
-                this.min = Math.min(actual[j], this.min);
-                this.max = Math.max(actual[j], this.max);
+            if (ideal[j] > ideal[hotIndex]) {
+                hotIndex = j;
             }
-            this.globalError += delta * delta;
+        }
+
+        if (ideal.length > 0) {
+            this.hotLogLoss -= Math.log(ErrorCalculation.clipProbability(actual[hotIndex])) * significance;
         }
 
         this.setSize += ideal.length;
+        this.recordCount++;
+    }
+
+    /**
+     * @param p {number}
+     * @return {number} The probability, clipped to keep its log finite.
+     */
+    static clipProbability(p) {
+        return Math.min(Math.max(p, LOGLOSS_EPSILON), 1 - LOGLOSS_EPSILON);
     }
 
     /**
-     * Returns the root mean square error for a complete training set.
+     * Add the errors accumulated by another error calculation. This is used to
+     * combine the errors calculated by several workers.
+     *
+     * @param other {ErrorCalculation}
+     */
+    add(other) {
+        this.globalError += other.globalError;
+        this.setSize += other.setSize;
+        this.recordCount += other.recordCount;
+        this.sum += other.sum;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        this.logLoss += other.logLoss;
+        this.hotLogLoss += other.hotLogLoss;
+    }
+
+    /**
+     * Returns the error for a complete training set, using the mode of this
+     * error calculation.
      *
      * @return {number} The current error for the neural network.
      */
@@ -98,13 +210,14 @@ class ErrorCalculation {
                 return this.calculateMSE();
             case ERROR_CALCULATION_MODES.ESS:
                 return this.calculateESS();
-            // case ERROR_CALCULATION_MODES.LOGLOSS:
-            // case ERROR_CALCULATION_MODES.HOT_LOGLOSS:
-            //     return this.calculateLogLoss();
-            // case ERROR_CALCULATION_MODES.NRMSE_MEAN:
-            //     return this.calculateMeanNRMSE();
-            // case ERROR_CALCULATION_MODES.NRMSE_RANGE:
-            //     return this.calculateRangeNRMSE();
+            case ERROR_CALCULATION_MODES.LOGLOSS:
+                return this.calculateLogLoss();
+            case ERROR_CALCULATION_MODES.HOT_LOGLOSS:
+                return this.calculateHotLogLoss();
+            case ERROR_CALCULATION_MODES.NRMSE_MEAN:
+                return this.calculateMeanNRMSE();
+            case ERROR_CALCULATION_MODES.NRMSE_RANGE:
+                return this.calculateRangeNRMSE();
 
             default:
                 return this.calculateMSE();
@@ -135,13 +248,29 @@ class ErrorCalculation {
         return this.globalError / 2;
     }
 
-    // calculateMeanNRMSE() {
-    //     return this.calculateRMS() / (this.sum / this.setSize);
-    // }
-    //
-    // calculateRangeNRMSE() {
-    //     return this.calculateRMS() / (this.max - this.min);
-    // }
+    /**
+     * Calculate the error with RMS, normalized by the mean of the ideal values.
+     *
+     * @return {number} The current error for the neural network.
+     */
+    calculateMeanNRMSE() {
+        if (this.setSize === 0) {
+            return 0;
+        }
+        return this.calculateRMS() / (this.sum / this.setSize);
+    }
+
+    /**
+     * Calculate the error with RMS, normalized by the range of the ideal values.
+     *
+     * @return {number} The current error for the neural network.
+     */
+    calculateRangeNRMSE() {
+        if (this.setSize === 0) {
+            return 0;
+        }
+        return this.calculateRMS() / (this.max - this.min);
+    }
 
     /**
      * Calculate the error with RMS.
@@ -155,9 +284,29 @@ class ErrorCalculation {
         return Math.sqrt(this.globalError / this.setSize);
     }
 
-    // calculateLogLoss() {
-    //     return this.globalError * (-1.0 / this.setSize);
-    // }
+    /**
+     * Calculate the error with log loss (binary cross entropy of every output).
+     *
+     * @return {number} The current error for the neural network.
+     */
+    calculateLogLoss() {
+        if (this.setSize === 0) {
+            return 0;
+        }
+        return this.logLoss / this.setSize;
+    }
+
+    /**
+     * Calculate the error with one-hot log loss (cross entropy of every record).
+     *
+     * @return {number} The current error for the neural network.
+     */
+    calculateHotLogLoss() {
+        if (this.recordCount === 0) {
+            return 0;
+        }
+        return this.hotLogLoss / this.recordCount;
+    }
 }
 
 module.exports = ErrorCalculation;
\ No newline at end of file
@@ -0,0 +1,15 @@
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+/**
+ * Used by the persistence classes to indicate an error while a network is
+ * saved or loaded.
+ */
+class PersistError extends EncogError {
+    /**
+     * @inheritDoc
+     */
+    constructor(message) {
+        super(message);
+    }
+}
+
+module.exports = PersistError;
\ No newline at end of file
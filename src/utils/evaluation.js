@@ -0,0 +1,306 @@
+const ArrayUtils = require(PATHS.PREPROCESSING + 'array');
+const EncogMath = require(PATHS.MATH_UTILS + 'encogMath');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+
+/**
+ * Evaluate a classifier on a test set. Any model with a compute method can be
+ * evaluated, both one-hot (one output per class, the class is the output with
+ * the highest value) and single output (two classes, the class is 1 when the
+ * output is above the threshold) models are supported.
+ *
+ * The rows of the confusion matrix are the ideal classes, the columns the
+ * predicted classes.
+ */
+class Evaluation {
+    /**
+     * @param classCount {number}
+     *            The number of classes.
+     */
+    constructor(classCount) {
+        if (classCount < 2) {
+            throw new EncogError("An evaluation needs at least 2 classes.");
+        }
+
+        this.classCount = classCount;
+        this.confusionMatrix = [];
+        for (let i = 0; i < classCount; i++) {
+            this.confusionMatrix.push(ArrayUtils.newIntArray(classCount));
+        }
+
+        /**
+         * The ideal class of every record.
+         */
+        this.labels = [];
+        /**
+         * The score of every class, for every record.
+         */
+        this.scores = [];
+    }
+
+    /**
+     * Evaluate a model on a test set.
+     *
+     * @param model {BasicNetwork|FreeformNetwork|SVM}
+     *            The model to evaluate.
+     * @param input {Array}
+     *            The test input.
+     * @param output {Array}
+     *            The ideal output, one-hot encoded or a single value per record.
+     * @param threshold {number}
+     *            The threshold of the single output models, ignored for one-hot models.
+     * @return {Evaluation}
+     */
+    static evaluate(model, input, output, threshold = 0.5) {
+        if (input.length === 0 || input.length !== output.length) {
+            throw new EncogError("The input and ideal output must have the same, non zero, length.");
+        }
+
+        const outputCount = output[0].length;
+        const evaluation = new Evaluation(Math.max(2, outputCount));
+
+        for (let i = 0; i < input.length; i++) {
+            const actual = model.compute(input[i]);
+
+            if (outputCount === 1) {
+                evaluation.add(output[i][0] > threshold ? 1 : 0, [1 - actual[0], actual[0]],
+                    actual[0] > threshold ? 1 : 0);
+            } else {
+                evaluation.add(EncogMath.maxIndex(output[i]), actual);
+            }
+        }
+
+        return evaluation;
+    }
+
+    /**
+     * Add a record.
+     *
+     * @param label {number}
+     *            The ideal class.
+     * @param scores {Array}
+     *            The score of every class.
+     * @param predicted {number}
+     *            The predicted class, the class with the highest score by default.
+     */
+    add(label, scores, predicted = EncogMath.maxIndex(scores)) {
+        if (scores.length !== this.classCount) {
+            throw new EncogError("Expected " + this.classCount + " scores, got " + scores.length + ".");
+        }
+
+        this.confusionMatrix[label][predicted]++;
+        this.labels.push(label);
+        this.scores.push(Array.from(scores));
+    }
+
+    /**
+     * @return {number} The number of classes.
+     */
+    getClassCount() {
+        return this.classCount;
+    }
+
+    /**
+     * @return {Array} The confusion matrix, rows are ideal classes and columns predicted classes.
+     */
+    getConfusionMatrix() {
+        return this.confusionMatrix;
+    }
+
+    /**
+     * @return {number} The number of evaluated records.
+     */
+    getCount() {
+        return this.labels.length;
+    }
+
+    /**
+     * @return {number} The ratio of correctly classified records.
+     */
+    getAccuracy() {
+        let correct = 0;
+        for (let i = 0; i < this.classCount; i++) {
+            correct += this.confusionMatrix[i][i];
+        }
+        return Evaluation.ratio(correct, this.getCount());
+    }
+
+    /**
+     * @param classIndex {number}
+     * @return {number} The records of the class that were predicted as the class.
+     */
+    getTruePositives(classIndex) {
+        return this.confusionMatrix[classIndex][classIndex];
+    }
+
+    /**
+     * @param classIndex {number}
+     * @return {number} The records of other classes that were predicted as the class.
+     */
+    getFalsePositives(classIndex) {
+        let count = 0;
+        for (let i = 0; i < this.classCount; i++) {
+            count += this.confusionMatrix[i][classIndex];
+        }
+        return count - this.getTruePositives(classIndex);
+    }
+
+    /**
+     * @param classIndex {number}
+     * @return {number} The records of the class that were predicted as another class.
+     */
+    getFalseNegatives(classIndex) {
+        let count = 0;
+        for (let i = 0; i < this.classCount; i++) {
+            count += this.confusionMatrix[classIndex][i];
+        }
+        return count - this.getTruePositives(classIndex);
+    }
+
+    /**
+     * @param classIndex {number}
+     * @return {number} The precision of the class, 0 if the class was never predicted.
+     */
+    getPrecision(classIndex) {
+        const truePositives = this.getTruePositives(classIndex);
+        return Evaluation.ratio(truePositives, truePositives + this.getFalsePositives(classIndex));
+    }
+
+    /**
+     * @param classIndex {number}
+     * @return {number} The recall of the class, 0 if the class has no records.
+     */
+    getRecall(classIndex) {
+        const truePositives = this.getTruePositives(classIndex);
+        return Evaluation.ratio(truePositives, truePositives + this.getFalseNegatives(classIndex));
+    }
+
+    /**
+     * @param classIndex {number}
+     * @return {number} The F1 score of the class.
+     */
+    getF1(classIndex) {
+        return Evaluation.f1(this.getPrecision(classIndex), this.getRecall(classIndex));
+    }
+
+    /**
+     * The macro averages are the means of the metrics of every class.
+     *
+     * @return {Object} The macro averaged precision, recall and f1.
+     */
+    getMacroAverage() {
+        const average = {precision: 0, recall: 0, f1: 0};
+
+        for (let i = 0; i < this.classCount; i++) {
+            average.precision += this.getPrecision(i) / this.classCount;
+            average.recall += this.getRecall(i) / this.classCount;
+            average.f1 += this.getF1(i) / this.classCount;
+        }
+
+        return average;
+    }
+
+    /**
+     * The micro averages are calculated from the true positives, false
+     * positives and false negatives of all the classes.
+     *
+     * @return {Object} The micro averaged precision, recall and f1.
+     */
+    getMicroAverage() {
+        let truePositives = 0;
+        let falsePositives = 0;
+        let falseNegatives = 0;
+
+        for (let i = 0; i < this.classCount; i++) {
+            truePositives += this.getTruePositives(i);
+            falsePositives += this.getFalsePositives(i);
+            falseNegatives += this.getFalseNegatives(i);
+        }
+
+        const precision = Evaluation.ratio(truePositives, truePositives + falsePositives);
+        const recall = Evaluation.ratio(truePositives, truePositives + falseNegatives);
+
+        return {precision: precision, recall: recall, f1: Evaluation.f1(precision, recall)};
+    }
+
+    /**
+     * Calculate the ROC curve of a class against all the others, using the
+     * scores of the class as the decision values.
+     *
+     * @param positiveClass {number}
+     *            The positive class, 1 by default (the positive class of binary models).
+     * @return {Array} The points of the curve, from (0, 0) to (1, 1), each
+     *         with a falsePositiveRate, a truePositiveRate and a threshold.
+     */
+    getRocCurve(positiveClass = 1) {
+        const records = this.scores.map((scores, i) => {
+            return {score: scores[positiveClass], positive: this.labels[i] === positiveClass};
+        });
+        const positives = records.filter((record) => record.positive).length;
+        const negatives = records.length - positives;
+
+        if (positives === 0 || negatives === 0) {
+            throw new EncogError("A ROC curve needs records of the positive class and of the other classes.");
+        }
+
+        records.sort((a, b) => b.score - a.score);
+
+        const curve = [{falsePositiveRate: 0, truePositiveRate: 0, threshold: Infinity}];
+        let truePositives = 0;
+        let falsePositives = 0;
+
+        for (let i = 0; i < records.length; i++) {
+            if (records[i].positive) {
+                truePositives++;
+            } else {
+                falsePositives++;
+            }
+
+            if (i === records.length - 1 || records[i + 1].score !== records[i].score) {
+                curve.push({
+                    falsePositiveRate: falsePositives / negatives,
+                    truePositiveRate: truePositives / positives,
+                    threshold: records[i].score
+                });
+            }
+        }
+
+        return curve;
+    }
+
+    /**
+     * @param positiveClass {number}
+     *            The positive class, 1 by default (the positive class of binary models).
+     * @return {number} The area under the ROC curve of the class.
+     */
+    getAUC(positiveClass = 1) {
+        const curve = this.getRocCurve(positiveClass);
+        let area = 0;
+
+        for (let i = 1; i < curve.length; i++) {
+            area += (curve[i].falsePositiveRate - curve[i - 1].falsePositiveRate)
+                * (curve[i].truePositiveRate + curve[i - 1].truePositiveRate) / 2;
+        }
+
+        return area;
+    }
+
+    /**
+     * @param value {number}
+     * @param total {number}
+     * @return {number} value / total, 0 if the total is 0.
+     */
+    static ratio(value, total) {
+        return total === 0 ? 0 : value / total;
+    }
+
+    /**
+     * @param precision {number}
+     * @param recall {number}
+     * @return {number} The harmonic mean of the precision and the recall.
+     */
+    static f1(precision, recall) {
+        return Evaluation.ratio(2 * precision * recall, precision + recall);
+    }
+}
+
+module.exports = Evaluation;
\ No newline at end of file
@@ -1,7 +1,8 @@
 const fs = require("fs");
-const Networks = require('require-all')(PATHS.NETWORKS);
-const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
-const _ = require('lodash');
+const NetworkFile = require(PATHS.UTILS + 'networkFile');
+const EGFile = require(PATHS.UTILS + 'egFile');
+const BinaryNetworkFile = require(PATHS.UTILS + 'binaryNetworkFile');
+const OnnxExporter = require(PATHS.UTILS + 'onnxExporter');
 
 class FileUtils {
     constructor() {
@@ -9,36 +10,89 @@ class FileUtils {
     }
 
     /**
-     * @param network {BasicNetwork | HopfieldNetwork}
+     * Save a network as a JSON file, in the versioned envelope of NetworkFile.
+     *
+     * @param network {BasicNetwork | HopfieldNetwork | SOMNetwork | RBFNetwork | FreeformNetwork}
      * @param filename {String}
+     * @param metadata {Object}
+     *            The user metadata saved with the network.
      */
-    static saveNetwork(network, filename) {
-        const networkData = JSON.stringify(network);
-
-        fs.writeFileSync(filename, networkData);
+    static saveNetwork(network, filename, metadata = {}) {
+        fs.writeFileSync(filename, NetworkFile.stringify(network, metadata));
     }
 
     /**
      * @param filename {String}
-     * @returns {BasicNetwork | HopfieldNetwork}
+     * @returns {BasicNetwork | HopfieldNetwork | SOMNetwork | RBFNetwork | FreeformNetwork}
      */
     static loadNetwork(filename) {
-        const fileContent = fs.readFileSync(filename);
-        console.log(fileContent);
-        const networkData = JSON.parse(fileContent);
-        let newBasicNetwork;
-        const validNetworkTypes = ['BasicNetwork', 'HopfieldNetwork'];
+        return FileUtils.loadNetworkFile(filename).network;
+    }
 
-        if (!networkData.type || validNetworkTypes.indexOf(networkData.type) === -1) {
-            throw new EncogError('Not a valid network type');
-        }
+    /**
+     * Load a network file, the files of the older format versions are migrated.
+     *
+     * @param filename {String}
+     * @returns {Object} The format version, library version, creation date and user metadata of the file,
+     * with the restored network.
+     */
+    static loadNetworkFile(filename) {
+        return NetworkFile.parse(fs.readFileSync(filename, 'utf8'));
+    }
 
-        const networkType = _.toLower(_.trim(networkData.type, 'Network'));
+    /**
+     * Save a basic network in the compact binary format of BinaryNetworkFile.
+     *
+     * @param network {BasicNetwork}
+     * @param filename {String}
+     * @param options {Object}
+     *            weightType: 'float64' (default) or 'float32', gzip: true to compress the file,
+     *            metadata: the user metadata saved with the network.
+     */
+    static saveBinaryNetwork(network, filename, options = {}) {
+        fs.writeFileSync(filename, BinaryNetworkFile.toBuffer(network, options));
+    }
 
-        newBasicNetwork = new Networks[networkType]();
-        newBasicNetwork.fromJSON(networkData);
+    /**
+     * Load a basic network saved in the binary format, the weights of its FlatNetwork view the file content.
+     *
+     * @param filename {String}
+     * @returns {BasicNetwork}
+     */
+    static loadBinaryNetwork(filename) {
+        return BinaryNetworkFile.parse(fs.readFileSync(filename)).network;
+    }
 
-        return newBasicNetwork;
+    /**
+     * Save a network as an EG file, the format of the Java implementation of Encog.
+     *
+     * @param network {BasicNetwork | HopfieldNetwork | BAMNetwork}
+     * @param filename {String}
+     */
+    static saveEGNetwork(network, filename) {
+        fs.writeFileSync(filename, EGFile.write(network));
+    }
+
+    /**
+     * Load a network from an EG file, the format of the Java implementation of Encog.
+     *
+     * @param filename {String}
+     * @returns {BasicNetwork | HopfieldNetwork | BAMNetwork}
+     */
+    static loadEGNetwork(filename) {
+        return EGFile.read(fs.readFileSync(filename, 'utf8'));
+    }
+
+    /**
+     * Export a feedforward basic network as an ONNX model.
+     *
+     * @param network {BasicNetwork}
+     * @param filename {String}
+     * @param options {Object}
+     *            The options of OnnxExporter.toBuffer.
+     */
+    static saveONNXNetwork(network, filename, options = {}) {
+        fs.writeFileSync(filename, OnnxExporter.toBuffer(network, options));
     }
 }
 
@@ -37,14 +37,16 @@ class NetworkUtil {
     }
 
     /**
+     * @param batchNormalization {Boolean}
+     *            True to batch normalize the hidden layers.
      * @return {BasicNetwork}
      */
-    static createBankNoteAuthenticationNetwork() {
+    static createBankNoteAuthenticationNetwork(batchNormalization = false) {
         const network = new BasicNetwork();
         network.addLayer(new BasicLayer(null, true, 4));
-        network.addLayer(new BasicLayer(new ActivationSigmoid(), true, 40));
-        network.addLayer(new BasicLayer(new ActivationSigmoid(), true, 40));
-        network.addLayer(new BasicLayer(new ActivationSigmoid(), true, 40));
+        network.addLayer(new BasicLayer(new ActivationSigmoid(), true, 40, 0, batchNormalization));
+        network.addLayer(new BasicLayer(new ActivationSigmoid(), true, 40, 0, batchNormalization));
+        network.addLayer(new BasicLayer(new ActivationSigmoid(), true, 40, 0, batchNormalization));
         network.addLayer(new BasicLayer(new ActivationSigmoid(), false, 1));
         network.randomize();
 
@@ -64,6 +66,10 @@ class NetworkUtil {
             train.iteration();
             EncogLog.debug("Epoch #" + epoch + " Error:" + train.error);
 
+            if (train.isTrainingDone()) {
+                break;
+            }
+
             if ((train.error < options.minError && options.minIterations == null) ||
                 (train.error < options.minError && options.minIterations != null && epoch >= options.minIterations)) {
                 break;
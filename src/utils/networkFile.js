@@ -0,0 +1,390 @@
+const BasicNetwork = require(PATHS.NETWORKS + 'basic');
+const HopfieldNetwork = require(PATHS.NETWORKS + 'hopfield');
+const SOMNetwork = require(PATHS.NETWORKS + 'som');
+const RBFNetwork = require(PATHS.NETWORKS + 'rbf');
+const FreeformNetwork = require(PATHS.FREEFORM + 'network');
+const ActivationFunction = require(PATHS.SRC + 'activation/activationFunction');
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+const PersistError = require(PATHS.ERROR_HANDLING + 'persist');
+const _ = require('lodash');
+
+/**
+ * The version of the network file format. The version 1 files hold the
+ * network alone, without the envelope.
+ */
+const FORMAT_VERSION = 2;
+
+/**
+ * The migrations of the older files, by format version. A migration receives
+ * the content of a file of its version and returns the content of the next version.
+ */
+const migrations = {
+    1: (content) => ({
+        formatVersion: 2,
+        libraryVersion: content.version || null,
+        created: content.timestamp ? new Date(content.timestamp).toISOString() : null,
+        metadata: {},
+        network: content
+    })
+};
+
+/**
+ * The network types that can be loaded, with the function creating the network
+ * restored by fromJSON and the function validating the JSON of the network.
+ */
+const NETWORK_TYPES = {
+    BasicNetwork: {
+        create: () => new BasicNetwork(),
+        validate: (data) => NetworkFile.validateBasicNetwork(data)
+    },
+    HopfieldNetwork: {
+        create: (data) => new HopfieldNetwork(data.neuronCount),
+        validate: (data) => NetworkFile.validateHopfieldNetwork(data)
+    },
+    SOMNetwork: {
+        create: () => new SOMNetwork(),
+        validate: (data) => NetworkFile.validateSOMNetwork(data)
+    },
+    RBFNetwork: {
+        create: () => new RBFNetwork(),
+        validate: (data) => NetworkFile.validateRBFNetwork(data)
+    },
+    FreeformNetwork: {
+        create: () => new FreeformNetwork(),
+        validate: (data) => NetworkFile.validateFreeformNetwork(data)
+    }
+};
+
+/**
+ * The JSON network file format. The network is saved in a versioned envelope:
+ *
+ *     {formatVersion, libraryVersion, created, metadata, network}
+ *
+ * When a file is loaded, its content is migrated to the current format version
+ * and the network is validated before it is restored, so a corrupt file raises
+ * a PersistError describing the problem.
+ */
+class NetworkFile {
+
+    /**
+     * @return {Number} The version of the network file format written.
+     */
+    static getFormatVersion() {
+        return FORMAT_VERSION;
+    }
+
+    /**
+     * Register the migration of the files of a format version to the next version.
+     *
+     * @param version {Number}
+     *            The format version migrated.
+     * @param migration {Function}
+     *            Receives the content of a file of this version, returns the content of the next version.
+     */
+    static registerMigration(version, migration) {
+        migrations[version] = migration;
+    }
+
+    /**
+     * @param network {BasicNetwork | HopfieldNetwork | SOMNetwork | RBFNetwork | FreeformNetwork}
+     * @param metadata {Object}
+     *            The user metadata saved with the network.
+     * @return {String} The content of the network file.
+     */
+    static stringify(network, metadata = {}) {
+        return JSON.stringify(NetworkFile.createEnvelope(network, metadata));
+    }
+
+    /**
+     * @param network {Object}
+     *            The network, or its JSON.
+     * @param metadata {Object}
+     *            The user metadata saved with the network.
+     * @return {Object} The envelope of the network, in the current format version.
+     */
+    static createEnvelope(network, metadata = {}) {
+        const packageJson = require(PATHS.BASE + '/package.json');
+
+        return {
+            formatVersion: FORMAT_VERSION,
+            libraryVersion: packageJson.version,
+            created: (new Date()).toISOString(),
+            metadata: metadata,
+            network: network
+        };
+    }
+
+    /**
+     * @param content {String}
+     *            The content of the network file.
+     * @return {Object} The envelope of the file, with the restored network.
+     */
+    static parse(content) {
+        let data;
+
+        try {
+            data = JSON.parse(content);
+        } catch (e) {
+            throw new PersistError('The network file is not valid JSON: ' + e.message);
+        }
+
+        if (!_.isPlainObject(data)) {
+            throw new PersistError('The network file does not hold a network.');
+        }
+
+        const envelope = NetworkFile.migrate(data);
+
+        return {
+            formatVersion: envelope.formatVersion,
+            libraryVersion: envelope.libraryVersion,
+            created: envelope.created,
+            metadata: envelope.metadata || {},
+            network: NetworkFile.createNetwork(envelope.network)
+        };
+    }
+
+    /**
+     * Migrate the content of a network file to the current format version.
+     *
+     * @param data {Object}
+     * @return {Object} The envelope, in the current format version.
+     */
+    static migrate(data) {
+        let version = 1;
+        if (_.has(data, 'formatVersion')) {
+            version = data.formatVersion;
+        }
+
+        if (!_.isInteger(version) || version < 1) {
+            throw new PersistError('Invalid network file format version: ' + version);
+        }
+
+        if (version > FORMAT_VERSION) {
+            throw new PersistError('The network file format version ' + version
+                + ' is newer than the supported version ' + FORMAT_VERSION + '.');
+        }
+
+        let result = data;
+        for (; version < FORMAT_VERSION; version++) {
+            if (!_.has(migrations, version)) {
+                throw new PersistError('There is no migration for the network file format version ' + version + '.');
+            }
+            result = migrations[version](result);
+        }
+
+        return result;
+    }
+
+    /**
+     * @param data {Object}
+     *            The JSON of the network.
+     * @return {BasicNetwork | HopfieldNetwork | SOMNetwork | RBFNetwork | FreeformNetwork}
+     */
+    static createNetwork(data) {
+        if (!_.isPlainObject(data) || !_.has(NETWORK_TYPES, data.type)) {
+            throw new PersistError('Not a valid network type: ' + _.get(data, 'type'));
+        }
+
+        const networkType = NETWORK_TYPES[data.type];
+        networkType.validate(data);
+
+        const network = networkType.create(data);
+        try {
+            network.fromJSON(data);
+        } catch (e) {
+            if (e instanceof EncogError) {
+                throw e;
+            }
+            throw new PersistError('The ' + data.type + ' could not be restored: ' + e.message);
+        }
+
+        return network;
+    }
+
+    /**
+     * @param data {Object}
+     */
+    static validateBasicNetwork(data) {
+        const layerCounts = NetworkFile.requireCounts(data, 'layerCounts');
+        const layerCount = layerCounts.length;
+        const neuronCount = _.sum(layerCounts);
+
+        if (layerCount < 2) {
+            throw new PersistError('The BasicNetwork has ' + layerCount + ' layers, at least 2 expected.');
+        }
+
+        const layerFeedCounts = NetworkFile.requireCounts(data, 'layerFeedCounts', layerCount);
+        _.each(['layerContextCount', 'layerIndex', 'weightIndex', 'biasActivation', 'contextTargetOffset',
+            'contextTargetSize', 'activationFunctions'], (name) => {
+            NetworkFile.requireArray(data, name, layerCount);
+        });
+        NetworkFile.requireArray(data, 'layerOutput', neuronCount);
+        NetworkFile.requireArray(data, 'layerSums', neuronCount);
+
+        let weightCount = 0;
+        for (let i = 0; i < layerCount - 1; i++) {
+            weightCount += layerFeedCounts[i] * layerCounts[i + 1];
+        }
+
+        if (_.has(data, 'layerBatchNormalization')) {
+            const layerBatchNormalization = NetworkFile.requireArray(data, 'layerBatchNormalization', layerCount);
+            NetworkFile.requireArray(data, 'batchNormalizationIndex', layerCount);
+            NetworkFile.requireArray(data, 'runningMean', neuronCount);
+            NetworkFile.requireArray(data, 'runningVariance', neuronCount);
+
+            for (let i = 0; i < layerCount; i++) {
+                if (layerBatchNormalization[i]) {
+                    weightCount += 2 * layerFeedCounts[i];
+                }
+            }
+        }
+
+        NetworkFile.requireArray(data, 'weights', weightCount);
+        _.each(data.activationFunctions, (type) => {
+            ActivationFunction.fromType(type);
+        });
+    }
+
+    /**
+     * @param data {Object}
+     */
+    static validateHopfieldNetwork(data) {
+        const neuronCount = NetworkFile.requireCount(data, 'neuronCount');
+
+        NetworkFile.requireArray(data, 'weights', neuronCount * neuronCount);
+        NetworkFile.requireArray(data, 'currentState', neuronCount);
+    }
+
+    /**
+     * @param data {Object}
+     */
+    static validateSOMNetwork(data) {
+        const inputCount = NetworkFile.requireCount(data, 'inputCount');
+        const outputCount = NetworkFile.requireCount(data, 'outputCount');
+
+        NetworkFile.requireMatrix(data, 'weights', outputCount, inputCount);
+    }
+
+    /**
+     * @param data {Object}
+     */
+    static validateRBFNetwork(data) {
+        const inputCount = NetworkFile.requireCount(data, 'inputCount');
+        const outputCount = NetworkFile.requireCount(data, 'outputCount');
+        const rbfs = NetworkFile.requireArray(data, 'rbfs');
+
+        _.each(rbfs, (rbf, i) => {
+            NetworkFile.requireArray(rbf, 'centers', inputCount, 'RBF #' + i + ' of the RBFNetwork');
+        });
+        NetworkFile.requireMatrix(data, 'outputWeights', rbfs.length + 1, outputCount);
+    }
+
+    /**
+     * @param data {Object}
+     */
+    static validateFreeformNetwork(data) {
+        const neuronCount = NetworkFile.requireArray(data, 'neurons').length;
+        const requireNeuron = (index, description) => {
+            if (!_.isInteger(index) || index < 0 || index >= neuronCount) {
+                throw new PersistError('The ' + description + ' of the FreeformNetwork refers to the neuron '
+                    + index + ', the network has ' + neuronCount + ' neurons.');
+            }
+        };
+
+        _.each(data.neurons, (neuron, i) => {
+            if (neuron.contextSource != null) {
+                requireNeuron(neuron.contextSource, 'context source of the neuron #' + i);
+            }
+        });
+        _.each(NetworkFile.requireArray(data, 'connections'), (connection, i) => {
+            requireNeuron(connection.source, 'source of the connection #' + i);
+            requireNeuron(connection.target, 'target of the connection #' + i);
+            if (connection.gate != null) {
+                requireNeuron(connection.gate, 'gate of the connection #' + i);
+            }
+        });
+        _.each(['inputLayer', 'outputLayer'], (name) => {
+            _.each(NetworkFile.requireArray(data, name), (index) => {
+                requireNeuron(index, name);
+            });
+        });
+    }
+
+    /**
+     * @param data {Object}
+     * @param name {String}
+     * @param length {Number}
+     *            The expected length, null for any length.
+     * @param description {String}
+     *            The description of the object holding the array.
+     * @return {Array}
+     */
+    static requireArray(data, name, length = null, description = 'The ' + data.type) {
+        const value = data[name];
+
+        if (!_.isArray(value) && !ArrayBuffer.isView(value)) {
+            throw new PersistError(description + ' has no ' + name + ' array.');
+        }
+
+        if (length !== null && value.length !== length) {
+            throw new PersistError(description + ' has ' + value.length + ' ' + name + ' elements, '
+                + length + ' expected.');
+        }
+
+        return value;
+    }
+
+    /**
+     * @param data {Object}
+     * @param name {String}
+     * @param length {Number}
+     *            The expected length, null for any length.
+     * @return {Array} An array of non-negative integers.
+     */
+    static requireCounts(data, name, length = null) {
+        const value = NetworkFile.requireArray(data, name, length);
+
+        if (!_.every(value, (count) => _.isInteger(count) && count >= 0)) {
+            throw new PersistError('The ' + data.type + ' ' + name + ' array must hold non-negative integers.');
+        }
+
+        return value;
+    }
+
+    /**
+     * @param data {Object}
+     * @param name {String}
+     * @return {Number} A non-negative integer.
+     */
+    static requireCount(data, name) {
+        const value = data[name];
+
+        if (!_.isInteger(value) || value < 0) {
+            throw new PersistError('The ' + data.type + ' ' + name + ' must be a non-negative integer, got ' + value + '.');
+        }
+
+        return value;
+    }
+
+    /**
+     * @param data {Object}
+     * @param name {String}
+     * @param rows {Number}
+     * @param cols {Number}
+     * @return {Array} The rows of the matrix.
+     */
+    static requireMatrix(data, name, rows, cols) {
+        const value = NetworkFile.requireArray(data, name, rows);
+
+        _.each(value, (row, i) => {
+            if (!_.isArray(row) || row.length !== cols) {
+                throw new PersistError('The row ' + i + ' of the ' + data.type + ' ' + name + ' matrix must have '
+                    + cols + ' elements.');
+            }
+        });
+
+        return value;
+    }
+}
+
+module.exports = NetworkFile;
\ No newline at end of file
@@ -0,0 +1,454 @@
+const BasicNetwork = require(PATHS.NETWORKS + 'basic');
+const PersistError = require(PATHS.ERROR_HANDLING + 'persist');
+const _ = require('lodash');
+
+/**
+ * The ONNX IR version and the version of the default operator set used by the graphs.
+ */
+const IR_VERSION = 7;
+const OPSET_VERSION = 13;
+
+/**
+ * The ONNX data types and attribute types used by the graphs.
+ */
+const TENSOR_FLOAT = 1;
+const ATTRIBUTE_FLOAT = 1;
+const ATTRIBUTE_INT = 2;
+
+/**
+ * The protobuf wire types.
+ */
+const WIRE_VARINT = 0;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+/**
+ * Encodes the fields of a protobuf message.
+ */
+class ProtobufWriter {
+    constructor() {
+        this.chunks = [];
+    }
+
+    /**
+     * @param value {Number} A non-negative integer.
+     */
+    writeVarint(value) {
+        const bytes = [];
+        let remaining = value;
+
+        while (remaining >= 0x80) {
+            bytes.push((remaining % 0x80) | 0x80);
+            remaining = Math.floor(remaining / 0x80);
+        }
+        bytes.push(remaining);
+
+        this.chunks.push(Buffer.from(bytes));
+    }
+
+    /**
+     * @param field {Number}
+     * @param wireType {Number}
+     */
+    writeTag(field, wireType) {
+        this.writeVarint((field * 8) + wireType);
+    }
+
+    /**
+     * @param field {Number}
+     * @param value {Number} A non-negative integer.
+     */
+    writeInt(field, value) {
+        this.writeTag(field, WIRE_VARINT);
+        this.writeVarint(value);
+    }
+
+    /**
+     * @param field {Number}
+     * @param value {Number}
+     */
+    writeFloat(field, value) {
+        const buffer = Buffer.alloc(4);
+        buffer.writeFloatLE(value, 0);
+
+        this.writeTag(field, WIRE_FIXED32);
+        this.chunks.push(buffer);
+    }
+
+    /**
+     * @param field {Number}
+     * @param buffer {Buffer}
+     */
+    writeBytes(field, buffer) {
+        this.writeTag(field, WIRE_LENGTH_DELIMITED);
+        this.writeVarint(buffer.length);
+        this.chunks.push(buffer);
+    }
+
+    /**
+     * @param field {Number}
+     * @param value {String}
+     */
+    writeString(field, value) {
+        this.writeBytes(field, Buffer.from(value, 'utf8'));
+    }
+
+    /**
+     * @param field {Number}
+     * @param message {ProtobufWriter}
+     */
+    writeMessage(field, message) {
+        this.writeBytes(field, message.toBuffer());
+    }
+
+    /**
+     * @return {Buffer}
+     */
+    toBuffer() {
+        return Buffer.concat(this.chunks);
+    }
+}
+
+/**
+ * The nodes and the initializers of an ONNX graph being built.
+ */
+class OnnxGraph {
+    constructor() {
+        this.nodes = [];
+        this.initializers = [];
+    }
+
+    /**
+     * @param opType {String}
+     * @param inputs {Array}
+     * @param output {String}
+     * @param attributes {Object}
+     *            The attributes of the node, {name: {type, value}}.
+     * @return {String} The output of the node.
+     */
+    addNode(opType, inputs, output, attributes = {}) {
+        this.nodes.push({opType, inputs, output, attributes});
+        return output;
+    }
+
+    /**
+     * @param name {String}
+     * @param dims {Array}
+     * @param values {Array}
+     * @return {String} The name of the initializer.
+     */
+    addInitializer(name, dims, values) {
+        this.initializers.push({name, dims, values});
+        return name;
+    }
+}
+
+/**
+ * Exports the feedforward basic networks as ONNX models, so they can be served
+ * by the ONNX runtimes. Each layer becomes a Gemm node (the weights and the
+ * bias are initializers built from the weightIndex and the layerCounts of the
+ * FlatNetwork), a BatchNormalization node when the layer is batch normalized,
+ * then the nodes of its activation function. The activation functions without
+ * an ONNX operator, like Elliott, are written as expressions of the basic operators.
+ *
+ * The model has one input, "input" [N, inputCount], and one output, "output"
+ * [N, outputCount]. The weights are exported as 32 bits floats.
+ */
+class OnnxExporter {
+
+    /**
+     * @param network {BasicNetwork}
+     * @param options {Object}
+     *            graphName: the name of the graph ('encog' by default),
+     *            producerVersion: the version of the producer (the version of the library by default).
+     * @return {Buffer} The ONNX model, serialized as a ModelProto.
+     */
+    static toBuffer(network, options = {}) {
+        const packageJson = require(PATHS.BASE + '/package.json');
+        const settings = _.defaults({}, options, {graphName: 'encog', producerVersion: packageJson.version});
+
+        if (!(network instanceof BasicNetwork)) {
+            throw new PersistError('Only the basic networks can be exported to ONNX.');
+        }
+
+        const flat = network.getFlat();
+        if (flat.hasContext || _.some(flat.layerContextCount)) {
+            throw new PersistError('Only the feedforward networks can be exported to ONNX, this network has context layers.');
+        }
+
+        const graph = OnnxExporter.buildGraph(flat);
+        const model = new ProtobufWriter();
+        const opset = new ProtobufWriter();
+
+        opset.writeInt(2, OPSET_VERSION);
+
+        model.writeInt(1, IR_VERSION);
+        model.writeString(2, 'encog');
+        model.writeString(3, settings.producerVersion);
+        model.writeMessage(7, OnnxExporter.encodeGraph(graph, settings.graphName, flat.getInputCount(), flat.getOutputCount()));
+        model.writeMessage(8, opset);
+
+        return model.toBuffer();
+    }
+
+    /**
+     * @param flat {FlatNetwork}
+     * @return {OnnxGraph}
+     */
+    static buildGraph(flat) {
+        const graph = new OnnxGraph();
+        const layerCount = flat.layerCounts.length;
+        let input = 'input';
+
+        for (let layer = 1; layer < layerCount; layer++) {
+            const target = layerCount - 1 - layer;
+            const source = target + 1;
+            const prefix = 'layer' + layer;
+            const targetCount = flat.layerFeedCounts[target];
+            const sourceCount = flat.layerFeedCounts[source];
+            const hasBias = flat.layerCounts[source] > sourceCount;
+            const weights = [];
+            const bias = [];
+
+            for (let j = 0; j < targetCount; j++) {
+                const rowIndex = flat.weightIndex[target] + (j * flat.layerCounts[source]);
+
+                for (let i = 0; i < sourceCount; i++) {
+                    weights.push(flat.weights[rowIndex + i]);
+                }
+                if (hasBias) {
+                    bias.push(flat.weights[rowIndex + sourceCount] * flat.biasActivation[source]);
+                }
+            }
+
+            const gemmInputs = [input, graph.addInitializer(prefix + '_weights', [targetCount, sourceCount], weights)];
+            if (hasBias) {
+                gemmInputs.push(graph.addInitializer(prefix + '_bias', [targetCount], bias));
+            }
+            let sums = graph.addNode('Gemm', gemmInputs, prefix + '_sums', {transB: {type: ATTRIBUTE_INT, value: 1}});
+
+            if (flat.layerBatchNormalization[target]) {
+                sums = OnnxExporter.addBatchNormalization(graph, flat, target, sums, prefix);
+            }
+
+            let output = prefix + '_output';
+            if (target === 0) {
+                output = 'output';
+            }
+            OnnxExporter.addActivation(graph, flat.activationFunctions[target], sums, output, prefix);
+            input = output;
+        }
+
+        return graph;
+    }
+
+    /**
+     * @param graph {OnnxGraph}
+     * @param flat {FlatNetwork}
+     * @param layer {Number}
+     * @param input {String}
+     * @param prefix {String}
+     * @return {String} The output of the BatchNormalization node.
+     */
+    static addBatchNormalization(graph, flat, layer, input, prefix) {
+        const count = flat.layerFeedCounts[layer];
+        const start = flat.layerIndex[layer];
+        const gammaIndex = flat.batchNormalizationIndex[layer];
+        const inputs = [
+            input,
+            graph.addInitializer(prefix + '_gamma', [count], _.slice(flat.weights, gammaIndex, gammaIndex + count)),
+            graph.addInitializer(prefix + '_beta', [count], _.slice(flat.weights, gammaIndex + count, gammaIndex + (2 * count))),
+            graph.addInitializer(prefix + '_mean', [count], _.slice(flat.runningMean, start, start + count)),
+            graph.addInitializer(prefix + '_variance', [count], _.slice(flat.runningVariance, start, start + count))
+        ];
+
+        return graph.addNode('BatchNormalization', inputs, prefix + '_normalized', {
+            epsilon: {type: ATTRIBUTE_FLOAT, value: PATHS.CONSTANTS.BATCH_NORMALIZATION_EPSILON}
+        });
+    }
+
+    /**
+     * Add the nodes calculating an activation function.
+     *
+     * @param graph {OnnxGraph}
+     * @param activation {ActivationFunction}
+     * @param input {String}
+     * @param output {String}
+     * @param prefix {String}
+     */
+    static addActivation(graph, activation, input, output, prefix) {
+        const constant = (name, value) => graph.addInitializer(prefix + '_' + name, [], [value]);
+        const step = (name) => prefix + '_' + name;
+        let scaled;
+        let squared;
+        let denominator;
+        let ratio;
+        let half;
+
+        switch (activation.type) {
+            case 'ActivationLinear':
+                graph.addNode('Identity', [input], output);
+                break;
+            case 'ActivationSigmoid':
+                graph.addNode('Sigmoid', [input], output);
+                break;
+            case 'ActivationTANH':
+                graph.addNode('Tanh', [input], output);
+                break;
+            case 'ActivationSoftmax':
+                graph.addNode('Softmax', [input], output, {axis: {type: ATTRIBUTE_INT, value: 1}});
+                break;
+            case 'ActivationSteepenedSigmoid':
+                scaled = graph.addNode('Mul', [input, constant('steepness', 4.9)], step('scaled'));
+                graph.addNode('Sigmoid', [scaled], output);
+                break;
+            case 'ActivationGaussian':
+                scaled = graph.addNode('Mul', [input, constant('width', 2.5)], step('scaled'));
+                squared = graph.addNode('Mul', [scaled, scaled], step('squared'));
+                graph.addNode('Exp', [graph.addNode('Neg', [squared], step('negated'))], output);
+                break;
+            case 'ActivationReLU':
+                if (activation.lowThreshold === 0 && activation.low === 0) {
+                    graph.addNode('Relu', [input], output);
+                } else {
+                    graph.addNode('Where', [
+                        graph.addNode('Greater', [input, constant('low_threshold', activation.lowThreshold)], step('active')),
+                        input,
+                        constant('low', activation.low)
+                    ], output);
+                }
+                break;
+            case 'ActivationRamp':
+                graph.addNode('Where', [
+                    graph.addNode('Less', [input, constant('low_threshold', activation.lowThreshold)], step('below')),
+                    constant('low', activation.low),
+                    graph.addNode('Where', [
+                        graph.addNode('Greater', [input, constant('high_threshold', activation.highThreshold)], step('above')),
+                        constant('high', activation.high),
+                        graph.addNode('Mul', [input, constant('slope', (activation.highThreshold - activation.lowThreshold)
+                            / (activation.high - activation.low))], step('scaled'))
+                    ], step('clipped'))
+                ], output);
+                break;
+            case 'ActivationElliott':
+            case 'ActivationElliottSymmetric':
+                scaled = graph.addNode('Mul', [input, constant('slope', activation.slope)], step('scaled'));
+                denominator = graph.addNode('Add', [graph.addNode('Abs', [scaled], step('absolute')), constant('one', 1)],
+                    step('denominator'));
+
+                if (activation.type === 'ActivationElliottSymmetric') {
+                    graph.addNode('Div', [scaled, denominator], output);
+                } else {
+                    half = constant('half', 0.5);
+                    ratio = graph.addNode('Div', [scaled, denominator], step('ratio'));
+                    graph.addNode('Add', [graph.addNode('Mul', [ratio, half], step('halved')), half], output);
+                }
+                break;
+            default:
+                throw new PersistError('The activation function ' + activation.type + ' can not be exported to ONNX.');
+        }
+    }
+
+    /**
+     * @param graph {OnnxGraph}
+     * @param name {String}
+     * @param inputCount {Number}
+     * @param outputCount {Number}
+     * @return {ProtobufWriter} The GraphProto.
+     */
+    static encodeGraph(graph, name, inputCount, outputCount) {
+        const message = new ProtobufWriter();
+
+        _.each(graph.nodes, (node) => {
+            message.writeMessage(1, OnnxExporter.encodeNode(node));
+        });
+        message.writeString(2, name);
+        _.each(graph.initializers, (initializer) => {
+            message.writeMessage(5, OnnxExporter.encodeTensor(initializer));
+        });
+        message.writeMessage(11, OnnxExporter.encodeValueInfo('input', inputCount));
+        message.writeMessage(12, OnnxExporter.encodeValueInfo('output', outputCount));
+
+        return message;
+    }
+
+    /**
+     * @param node {Object}
+     * @return {ProtobufWriter} The NodeProto.
+     */
+    static encodeNode(node) {
+        const message = new ProtobufWriter();
+
+        _.each(node.inputs, (input) => {
+            message.writeString(1, input);
+        });
+        message.writeString(2, node.output);
+        message.writeString(3, node.output);
+        message.writeString(4, node.opType);
+        _.each(node.attributes, (attribute, name) => {
+            const attributeMessage = new ProtobufWriter();
+
+            attributeMessage.writeString(1, name);
+            if (attribute.type === ATTRIBUTE_FLOAT) {
+                attributeMessage.writeFloat(2, attribute.value);
+            } else {
+                attributeMessage.writeInt(3, attribute.value);
+            }
+            attributeMessage.writeInt(20, attribute.type);
+
+            message.writeMessage(5, attributeMessage);
+        });
+
+        return message;
+    }
+
+    /**
+     * @param tensor {Object}
+     * @return {ProtobufWriter} The TensorProto, its values are the little endian raw data.
+     */
+    static encodeTensor(tensor) {
+        const message = new ProtobufWriter();
+        const data = Buffer.alloc(4 * tensor.values.length);
+
+        _.each(tensor.values, (value, i) => {
+            data.writeFloatLE(value, 4 * i);
+        });
+
+        _.each(tensor.dims, (dim) => {
+            message.writeInt(1, dim);
+        });
+        message.writeInt(2, TENSOR_FLOAT);
+        message.writeString(8, tensor.name);
+        message.writeBytes(9, data);
+
+        return message;
+    }
+
+    /**
+     * @param name {String}
+     * @param count {Number}
+     * @return {ProtobufWriter} The ValueInfoProto of a [N, count] float tensor.
+     */
+    static encodeValueInfo(name, count) {
+        const batchDimension = new ProtobufWriter();
+        const countDimension = new ProtobufWriter();
+        const shape = new ProtobufWriter();
+        const tensorType = new ProtobufWriter();
+        const type = new ProtobufWriter();
+        const message = new ProtobufWriter();
+
+        batchDimension.writeString(2, 'N');
+        countDimension.writeInt(1, count);
+        shape.writeMessage(1, batchDimension);
+        shape.writeMessage(1, countDimension);
+        tensorType.writeInt(1, TENSOR_FLOAT);
+        tensorType.writeMessage(2, shape);
+        type.writeMessage(1, tensorType);
+        message.writeString(1, name);
+        message.writeMessage(2, type);
+
+        return message;
+    }
+}
+
+module.exports = OnnxExporter;
\ No newline at end of file
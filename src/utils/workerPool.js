@@ -0,0 +1,264 @@
+const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+
+let workerThreads = null;
+try {
+    workerThreads = require('worker_threads');
+} catch (ex) {
+    // worker threads are not available on this version of Node
+    workerThreads = null;
+}
+
+/**
+ * Layout of the shared control array.
+ */
+const GENERATION = 0;
+const COMMAND = 1;
+const DONE = 2;
+const FAILED = 3;
+const EXITED = 4;
+
+const COMMAND_RUN = 0;
+const COMMAND_STOP = 1;
+
+/**
+ * Size (in bytes) of the shared buffer used to report a failure message.
+ */
+const MESSAGE_SIZE = 1024;
+
+/**
+ * A pool of worker threads that run the same task on different slices of the
+ * data. The pool is driven synchronously: run() wakes every worker up and
+ * blocks (using Atomics) until all of them are done, so it can be used from
+ * inside a regular training iteration. The workers exchange their data with
+ * the owner through SharedArrayBuffers that are passed in the worker data.
+ *
+ * A worker script loads its data from workerData and then calls
+ * WorkerPool.serve(task). Worker scripts are usually also required on the main
+ * thread, WorkerPool.isWorker(name) tells them when they are running inside a
+ * worker of the pool.
+ */
+class WorkerPool {
+    /**
+     * Start the workers.
+     *
+     * @param name {String}
+     *            The name of the task, see isWorker.
+     * @param script {String}
+     *            The path of the worker script.
+     * @param workerData {Array}
+     *            The data for each worker, one worker is started per element.
+     */
+    constructor(name, script, workerData) {
+        if (!WorkerPool.isAvailable()) {
+            throw new EncogError("Worker threads are not supported by this version of Node.");
+        }
+
+        this.control = new Int32Array(new SharedArrayBuffer(5 * 4));
+        this.message = new Uint8Array(new SharedArrayBuffer(MESSAGE_SIZE));
+        this.workers = workerData.map((data) => {
+            const worker = new workerThreads.Worker(script, {
+                workerData: Object.assign({
+                    encogWorkerPool: name,
+                    control: this.control.buffer,
+                    message: this.message.buffer
+                }, data)
+            });
+
+            // report the workers that die while the main thread is not blocked in run()
+            worker.on('error', (ex) => {
+                WorkerPool.reportExit(this.control, this.message, ex && ex.message ? ex.message : ex);
+            });
+            worker.on('exit', (code) => {
+                if (Atomics.load(this.control, COMMAND) !== COMMAND_STOP) {
+                    WorkerPool.reportExit(this.control, this.message, "The worker thread exited with code " + code + ".");
+                }
+            });
+
+            // do not keep the process alive because of idle workers
+            worker.unref();
+            return worker;
+        });
+    }
+
+    /**
+     * @return {boolean} True if worker threads, SharedArrayBuffer and Atomics are available.
+     */
+    static isAvailable() {
+        return workerThreads != null && typeof SharedArrayBuffer !== 'undefined' && typeof Atomics !== 'undefined';
+    }
+
+    /**
+     * @param name {String} The name of the task.
+     * @return {boolean} True if the calling code runs inside a worker of a pool for the named task.
+     */
+    static isWorker(name) {
+        return workerThreads != null
+            && !workerThreads.isMainThread
+            && workerThreads.workerData != null
+            && workerThreads.workerData.encogWorkerPool === name;
+    }
+
+    /**
+     * @return {Object} The data of the current worker.
+     */
+    static getWorkerData() {
+        return workerThreads.workerData;
+    }
+
+    /**
+     * Allocate a Float64Array backed by a SharedArrayBuffer.
+     *
+     * @param length {number}
+     * @return {Float64Array}
+     */
+    static newSharedFloatArray(length) {
+        return new Float64Array(new SharedArrayBuffer(8 * Math.max(length, 1)));
+    }
+
+    /**
+     * @return {number} The number of workers.
+     */
+    size() {
+        return this.workers.length;
+    }
+
+    /**
+     * Run the task on every worker, and wait for all of them to finish. Throws
+     * if the task failed on a worker or if a worker is gone.
+     */
+    run() {
+        if (this.workers == null) {
+            throw new EncogError("The worker pool has been terminated.");
+        }
+
+        Atomics.store(this.control, DONE, 0);
+        Atomics.store(this.control, FAILED, 0);
+
+        // a worker that exits sets EXITED before it increments DONE, so one that
+        // dies during the run wakes the loop up and one that died before is seen here
+        if (Atomics.load(this.control, EXITED) === 0) {
+            Atomics.store(this.control, COMMAND, COMMAND_RUN);
+            Atomics.add(this.control, GENERATION, 1);
+            Atomics.notify(this.control, GENERATION);
+
+            let done = Atomics.load(this.control, DONE);
+            while (done < this.workers.length && Atomics.load(this.control, EXITED) === 0) {
+                Atomics.wait(this.control, DONE, done);
+                done = Atomics.load(this.control, DONE);
+            }
+        }
+
+        if (Atomics.load(this.control, FAILED) !== 0 || Atomics.load(this.control, EXITED) !== 0) {
+            let length = this.message.indexOf(0);
+            if (length < 0) {
+                length = MESSAGE_SIZE;
+            }
+            throw new EncogError("A worker thread failed: " + Buffer.from(this.message.slice(0, length)).toString());
+        }
+    }
+
+    /**
+     * Stop all the workers.
+     */
+    terminate() {
+        if (this.workers == null) {
+            return;
+        }
+
+        Atomics.store(this.control, COMMAND, COMMAND_STOP);
+        Atomics.add(this.control, GENERATION, 1);
+        Atomics.notify(this.control, GENERATION);
+
+        for (let worker of this.workers) {
+            worker.terminate();
+        }
+        this.workers = null;
+    }
+
+    /**
+     * Called from a worker script, runs the task every time the pool is run,
+     * until the pool is terminated. Errors thrown by the task are reported
+     * to the owner of the pool.
+     *
+     * @param task {Function} The task to run, or an error that happened while
+     *             the worker was set up.
+     */
+    static serve(task) {
+        const control = new Int32Array(workerThreads.workerData.control);
+        const message = new Uint8Array(workerThreads.workerData.message);
+        let generation = 0;
+
+        do {
+            Atomics.wait(control, GENERATION, generation);
+            const current = Atomics.load(control, GENERATION);
+
+            if (current !== generation) {
+                generation = current;
+
+                if (Atomics.load(control, COMMAND) === COMMAND_STOP) {
+                    break;
+                }
+
+                try {
+                    if (task instanceof Error) {
+                        throw task;
+                    }
+                    task();
+                } catch (ex) {
+                    if (Atomics.compareExchange(control, FAILED, 0, 1) === 0) {
+                        WorkerPool.writeMessage(message, ex && ex.message ? ex.message : ex);
+                    }
+                }
+
+                Atomics.add(control, DONE, 1);
+                Atomics.notify(control, DONE);
+            }
+        } while (true);
+    }
+
+    /**
+     * Report that a worker is gone. The pool is marked as failed, and DONE is
+     * incremented so that a run waiting for the worker returns.
+     *
+     * @param control {Int32Array} The shared control array.
+     * @param message {Uint8Array} The shared failure message.
+     * @param text {String} The reason the worker is gone.
+     */
+    static reportExit(control, message, text) {
+        if (Atomics.compareExchange(control, EXITED, 0, 1) === 0) {
+            Atomics.store(control, FAILED, 1);
+            WorkerPool.writeMessage(message, text);
+        }
+        Atomics.add(control, DONE, 1);
+        Atomics.notify(control, DONE);
+    }
+
+    /**
+     * Write a failure message to the shared message buffer.
+     *
+     * @param message {Uint8Array} The shared failure message.
+     * @param text {String}
+     */
+    static writeMessage(message, text) {
+        const bytes = Buffer.from(String(text)).slice(0, MESSAGE_SIZE - 1);
+        message.fill(0);
+        message.set(bytes);
+    }
+}
+
+// worker events are not delivered while the main thread is blocked in run(),
+// so a worker of a pool also reports its own exit, synchronously
+if (WorkerPool.isAvailable()
+    && !workerThreads.isMainThread
+    && workerThreads.workerData != null
+    && workerThreads.workerData.encogWorkerPool != null) {
+    process.on('exit', (code) => {
+        const control = new Int32Array(workerThreads.workerData.control);
+        if (Atomics.load(control, COMMAND) !== COMMAND_STOP) {
+            WorkerPool.reportExit(control, new Uint8Array(workerThreads.workerData.message),
+                "The worker thread exited with code " + code + ".");
+        }
+    });
+}
+
+module.exports = WorkerPool;
\ No newline at end of file
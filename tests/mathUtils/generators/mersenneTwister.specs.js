@@ -0,0 +1,53 @@
+describe('MersenneTwisterGenerateRandom', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const MersenneTwisterGenerateRandom = require(PATHS.GENERATORS + 'mersenneTwister');
+
+    test('should generate the reference MT19937 sequence', function () {
+        const random = new MersenneTwisterGenerateRandom(5489);
+        expect(random.nextInt()).toBe(3499211612);
+        expect(random.nextInt()).toBe(581869302);
+        expect(random.nextInt()).toBe(3890346734);
+
+        expect(new MersenneTwisterGenerateRandom(0).nextInt()).toBe(2357136044);
+    });
+
+    test('should generate the same numbers for the same seed', function () {
+        const random1 = new MersenneTwisterGenerateRandom(42);
+        const random2 = new MersenneTwisterGenerateRandom(42);
+
+        for (let i = 0; i < 1000; i++) {
+            expect(random1.nextDouble()).toBe(random2.nextDouble());
+        }
+    });
+
+    test('should generate numbers in range', function () {
+        const random = new MersenneTwisterGenerateRandom(42);
+
+        for (let i = 0; i < 1000; i++) {
+            const d = random.nextDouble();
+            expect(d).toBeGreaterThanOrEqual(0);
+            expect(d).toBeLessThan(1);
+
+            const n = random.nextInt(10);
+            expect(Number.isInteger(n)).toBeTruthy();
+            expect(n).toBeGreaterThanOrEqual(0);
+            expect(n).toBeLessThan(10);
+        }
+    });
+
+    test('should generate normally distributed numbers', function () {
+        const random = new MersenneTwisterGenerateRandom(42);
+        const values = [];
+
+        for (let i = 0; i < 10000; i++) {
+            values.push(random.nextGaussian());
+        }
+
+        const mean = values.reduce((a, b) => a + b, 0) / values.length;
+        const variance = values.reduce((a, b) => a + (b - mean) * (b - mean), 0) / values.length;
+        expect(Math.abs(mean)).toBeLessThan(0.05);
+        expect(Math.abs(variance - 1)).toBeLessThan(0.05);
+    });
+});
\ No newline at end of file
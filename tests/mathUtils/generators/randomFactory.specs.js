@@ -0,0 +1,84 @@
+describe('RandomFactory', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    const ResilientPropagation = Encog.Training.Propagation.Resilient;
+    const NeuralSimulatedAnnealing = Encog.Training.NeuralSimulatedAnnealing;
+    const TrainingSetScore = require(PATHS.SCORE + 'trainingSet');
+    const DataToolbox = Encog.Preprocessing.DataToolbox;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('should create the same generators for the same seed', function () {
+        RandomFactory.setSeed(42);
+        const values = [RandomFactory.factor().nextDouble(), RandomFactory.factor().nextDouble()];
+
+        RandomFactory.setSeed(42);
+        expect([RandomFactory.factor().nextDouble(), RandomFactory.factor().nextDouble()]).toEqual(values);
+        expect(RandomFactory.getSeed()).toBe(42);
+        expect(values[0]).not.toBe(values[1]);
+    });
+
+    test('should randomize networks with the same weights for the same seed', function () {
+        RandomFactory.setSeed(1234);
+        const network1 = NetworkUtil.createIrisNetwork();
+        network1.getFlat().randomize();
+        const weights = network1.getFlat().weights.slice();
+
+        RandomFactory.setSeed(1234);
+        const network2 = NetworkUtil.createIrisNetwork();
+        network2.getFlat().randomize();
+
+        expect(network2.getFlat().weights).toEqual(weights);
+    });
+
+    test('should train networks with the same weights for the same seed', function () {
+        const train = () => {
+            RandomFactory.setSeed(99);
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const network = NetworkUtil.createIrisNetwork();
+            network.getFlat().layerDropoutRates = [0, 0.2, 0];
+
+            const propagation = new ResilientPropagation(network, irisDataset.train.input, irisDataset.train.output);
+            NetworkUtil.trainNetwork(propagation, {minError: 0, maxIterations: 5});
+
+            return network.getFlat().weights.slice();
+        };
+
+        expect(train()).toEqual(train());
+    });
+
+    test('should anneal networks with the same weights for the same seed', function () {
+        const train = () => {
+            RandomFactory.setSeed(7);
+            const dataset = Datasets.getXORDataSet();
+            const network = NetworkUtil.createXORNetwork();
+            const score = new TrainingSetScore(dataset.input, dataset.output);
+            const anneal = new NeuralSimulatedAnnealing(network, score, 10, 2, 20);
+
+            NetworkUtil.trainNetwork(anneal, {minError: 0, maxIterations: 3});
+
+            return network.getFlat().weights.slice();
+        };
+
+        expect(train()).toEqual(train());
+    });
+
+    test('should split datasets the same way for the same seed', function () {
+        const dataset = Datasets.getIrisDataSet();
+
+        RandomFactory.setSeed(5);
+        const split1 = DataToolbox.trainTestSplit(dataset, 0.2, true);
+        RandomFactory.setSeed(5);
+        const split2 = DataToolbox.trainTestSplit(dataset, 0.2, true);
+
+        expect(split2).toEqual(split1);
+        expect(split1.train).not.toEqual(dataset.slice(0, split1.train.length));
+        expect(split1.train.length + split1.test.length).toBe(dataset.length);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+describe('HessianCR', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const HessianCR = require(PATHS.HESSIAN + 'hessianCR');
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+
+    [3, 7].forEach((threadCount) => {
+        test('Hessian calculated by ' + threadCount + ' threads matches a single thread', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const network = NetworkUtil.createIrisNetwork();
+
+            const hessian = new HessianCR();
+            hessian.init(network, irisDataset.train.input, irisDataset.train.output);
+            hessian.compute();
+
+            const threaded = new HessianCR();
+            threaded.setThreadCount(threadCount);
+            threaded.init(network, irisDataset.train.input, irisDataset.train.output);
+            threaded.compute();
+            threaded.terminate();
+
+            expect(threaded.threadPool).toBeNull();
+            expect(threaded.sse).toBeCloseTo(hessian.sse, 8);
+            hessian.gradients.forEach((gradient, i) => {
+                expect(threaded.gradients[i]).toBeCloseTo(gradient, 8);
+            });
+
+            const expected = hessian.hessianMatrix.getData();
+            const actual = threaded.hessianMatrix.getData();
+            for (let i = 0; i < expected.length; i++) {
+                for (let j = 0; j < expected[i].length; j++) {
+                    expect(actual[i][j]).toBeCloseTo(expected[i][j], 8);
+                }
+            }
+        });
+    });
+
+    test('Invalid thread count', function () {
+        const hessian = new HessianCR();
+
+        expect(() => hessian.setThreadCount(0)).toThrow();
+        expect(hessian.getThreadCount()).toBe(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,174 @@
+describe('SVM', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const SVM = Encog.ML.SVM;
+    const SVMTrain = Encog.Training.SVMTrain;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+    const EncogMath = Encog.MathUtils.EncogMath;
+    const SVMTypes = SVM.getSVMTypes();
+    const KernelTypes = SVM.getKernelTypes();
+
+    describe('Classification', function () {
+        test('XOR Dataset using C-SVC', function () {
+            const dataset = Datasets.getXORDataSet();
+            const svm = new SVM(2, 1, SVMTypes.C_SVC, KernelTypes.RBF);
+            const train = new SVMTrain(svm, dataset.input, dataset.output);
+            train.setC(10);
+            train.setGamma(1);
+            train.iteration();
+
+            expect(train.isTrainingDone()).toBe(true);
+            expect(train.getError()).toBe(0);
+            expect(NetworkUtil.validateNetwork(svm, dataset.input, dataset.output)).toBe(100);
+        });
+
+        test('XOR Dataset using nu-SVC', function () {
+            const dataset = Datasets.getXORDataSet();
+            const svm = new SVM(2, 1, SVMTypes.NU_SVC, KernelTypes.RBF);
+            const train = new SVMTrain(svm, dataset.input, dataset.output);
+            train.setGamma(1);
+            train.iteration();
+
+            expect(dataset.input.map((input) => svm.classify(input))).toEqual([0, 1, 1, 0]);
+        });
+
+        test('Iris Flower Dataset using one SVM per output', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const svm = new SVM(4, 3);
+            const train = new SVMTrain(svm, irisDataset.train.input, irisDataset.train.output);
+            train.iteration();
+
+            expect(svm.getModels().length).toBe(3);
+
+            let correct = 0;
+            irisDataset.test.input.forEach((input, i) => {
+                if (svm.classify(input) === EncogMath.maxIndex(irisDataset.test.output[i])) {
+                    correct++;
+                }
+            });
+
+            expect(correct / irisDataset.test.input.length).toBeGreaterThan(0.85);
+        });
+
+        test('Iris Flower Dataset using a multi-class (one-vs-one) SVM', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const labels = irisDataset.train.output.map((row) => [EncogMath.maxIndex(row)]);
+            const svm = new SVM(4, 1, SVMTypes.C_SVC, KernelTypes.LINEAR);
+            const train = new SVMTrain(svm, irisDataset.train.input, labels);
+            train.iteration();
+
+            expect(svm.getModels()[0].labels).toEqual([0, 1, 2]);
+
+            let correct = 0;
+            irisDataset.test.input.forEach((input, i) => {
+                if (svm.classify(input) === EncogMath.maxIndex(irisDataset.test.output[i])) {
+                    correct++;
+                }
+            });
+
+            expect(correct / irisDataset.test.input.length).toBeGreaterThan(0.75);
+        });
+    });
+
+    describe('Regression', function () {
+        test('Sine wave using epsilon-SVR', function () {
+            const input = [];
+            const output = [];
+            for (let i = 0; i < 50; i++) {
+                const x = i / 50 * Math.PI * 2;
+                input.push([x]);
+                output.push([Math.sin(x)]);
+            }
+
+            const svm = new SVM(1, 1, SVMTypes.EPSILON_SVR, KernelTypes.RBF);
+            const train = new SVMTrain(svm, input, output);
+            train.setC(10);
+            train.iteration();
+
+            expect(train.getError()).toBeLessThan(0.02);
+            expect(svm.compute([Math.PI / 2])[0]).toBeCloseTo(1, 0);
+        });
+    });
+
+    test('Kernels', function () {
+        const svm = new SVM(2, 1, SVMTypes.C_SVC, KernelTypes.LINEAR);
+        expect(svm.kernel([1, 2], [3, 4])).toBe(11);
+
+        svm.getParams().kernelType = KernelTypes.POLY;
+        svm.getParams().gamma = 1;
+        svm.getParams().coef0 = 1;
+        svm.getParams().degree = 2;
+        expect(svm.kernel([1, 2], [3, 4])).toBe(144);
+
+        svm.getParams().kernelType = KernelTypes.RBF;
+        expect(svm.kernel([1, 2], [1, 2])).toBe(1);
+        expect(svm.kernel([0, 0], [1, 1])).toBeCloseTo(Math.exp(-2), 10);
+
+        svm.getParams().kernelType = KernelTypes.SIGMOID;
+        expect(svm.kernel([1, 0], [1, 0])).toBeCloseTo(Math.tanh(2), 10);
+    });
+
+    test('Untrained SVM', function () {
+        const svm = new SVM(2, 1);
+        expect(() => svm.compute([0, 1])).toThrow();
+        expect(() => new SVM(2, 1, 'unknown')).toThrow();
+    });
+
+    describe('SVMSearchTrain', function () {
+        const SVMSearchTrain = Encog.Training.SVMSearchTrain;
+
+        test('Search C and gamma using cross validation', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const svm = new SVM(4, 3);
+            const train = new SVMSearchTrain(svm, irisDataset.train.input, irisDataset.train.output, 3);
+            train.setConstRange(-1, 5, 2);
+            train.setGammaRange(-3, 1, 2);
+
+            expect(train.getGridSize()).toBe(12);
+
+            let iterations = 0;
+            while (!train.isTrainingDone()) {
+                train.iteration();
+                iterations++;
+            }
+
+            expect(iterations).toBe(12);
+            expect([0.5, 2, 8, 32]).toContain(train.getBestC());
+            expect([0.125, 0.5, 2]).toContain(train.getBestGamma());
+            expect(svm.getParams().C).toBe(train.getBestC());
+            expect(svm.getParams().gamma).toBe(train.getBestGamma());
+
+            let correct = 0;
+            irisDataset.test.input.forEach((input, i) => {
+                if (svm.classify(input) === EncogMath.maxIndex(irisDataset.test.output[i])) {
+                    correct++;
+                }
+            });
+
+            expect(correct / irisDataset.test.input.length).toBeGreaterThan(0.85);
+        });
+
+        test('finishTraining uses the best pair found so far', function () {
+            const dataset = Datasets.getXORDataSet();
+            const svm = new SVM(2, 1);
+            const train = new SVMSearchTrain(svm, dataset.input, dataset.output, 2);
+
+            expect(() => train.finishTraining()).toThrow();
+
+            train.iteration();
+            train.finishTraining();
+
+            expect(train.isTrainingDone()).toBe(true);
+            expect(svm.getParams().C).toBe(Math.pow(2, -5));
+            expect(svm.getModels()[0]).not.toBeNull();
+        });
+
+        test('Invalid folds', function () {
+            const dataset = Datasets.getXORDataSet();
+            expect(() => new SVMSearchTrain(new SVM(2, 1), dataset.input, dataset.output, 1)).toThrow();
+            expect(() => new SVMSearchTrain(new SVM(2, 1), dataset.input, dataset.output, 5)).toThrow();
+        });
+    });
+});
@@ -15,20 +15,21 @@ describe('Freeform Network', function () {
     beforeEach(function () {
     });
 
-    describe('constructor', function () {
-        function createXORNetwork() {
-            const network = new FreeformNetwork();
-            let inputLayer = network.createInputLayer(2);
-            let hiddenLayer1 = network.createLayer(3);
-            let outputLayer = network.createOutputLayer(1);
+    function createXORNetwork() {
+        const network = new FreeformNetwork();
+        let inputLayer = network.createInputLayer(2);
+        let hiddenLayer1 = network.createLayer(3);
+        let outputLayer = network.createOutputLayer(1);
 
-            network.connectLayers(inputLayer, hiddenLayer1, new ActivationSigmoid(), 1.0, false);
-            network.connectLayers(hiddenLayer1, outputLayer, new ActivationSigmoid(), 1.0, false);
+        network.connectLayers(inputLayer, hiddenLayer1, new ActivationSigmoid(), 1.0, false);
+        network.connectLayers(hiddenLayer1, outputLayer, new ActivationSigmoid(), 1.0, false);
 
-            network.randomize();
+        network.randomize();
 
-            return network;
-        }
+        return network;
+    }
+
+    describe('constructor', function () {
 
          test('should create a free form network based on a basic network', function () {
             // create a neural network
@@ -70,4 +71,55 @@ describe('Freeform Network', function () {
             expect(Math.abs(untrainedError - trainedError)).toBeLessThan(0.01);
         });
     });
+
+    describe('toJSON and fromJSON methods', function () {
+        const computeSequence = function (network, input) {
+            network.clearContext();
+            return input.map((step) => network.compute(step));
+        };
+
+        test('should save and restore a network with a context layer', function () {
+            const XORDataset = Datasets.getXORDataSet();
+            const network = new FreeformNetwork();
+            const inputLayer = network.createInputLayer(2);
+            const hiddenLayer = network.createLayer(3);
+            const outputLayer = network.createOutputLayer(1);
+
+            network.connectLayers(inputLayer, hiddenLayer, new ActivationSigmoid(), 1.0, false);
+            network.connectLayers(hiddenLayer, outputLayer, new Encog.ActivationFunctions.Elliott(2), 0.5, false);
+            network.createContext(hiddenLayer, hiddenLayer);
+            network.randomize();
+
+            const networkJSON = JSON.parse(JSON.stringify(network));
+            expect(networkJSON.type).toBe('FreeformNetwork');
+            expect(networkJSON.inputLayer.length).toBe(3);
+            expect(networkJSON.outputLayer.length).toBe(1);
+
+            const newNetwork = new FreeformNetwork();
+            newNetwork.fromJSON(networkJSON);
+
+            const encoded = ArrayUtils.newFloatArray(network.encodedArrayLength());
+            const newEncoded = ArrayUtils.newFloatArray(newNetwork.encodedArrayLength());
+            network.encodeToArray(encoded);
+            newNetwork.encodeToArray(newEncoded);
+
+            expect(newEncoded).toEqual(encoded);
+            expect(newNetwork.getOutputLayer().getNeurons()[0].getInputSummation().getActivationFunction().slope).toBe(2);
+            expect(computeSequence(newNetwork, XORDataset.input)).toEqual(computeSequence(network, XORDataset.input));
+        });
+
+        test('should be saved and loaded by FileUtils', function () {
+            const path = require('path');
+            const filename = path.join(createTempDir(), 'freeform.json');
+            const XORDataset = Datasets.getXORDataSet();
+            const network = createXORNetwork();
+
+            Encog.Utils.File.saveNetwork(network, filename);
+            const loaded = Encog.Utils.File.loadNetwork(filename);
+
+            expect(loaded).toBeInstanceOf(FreeformNetwork);
+            expect(loaded.calculateError(XORDataset.input, XORDataset.output))
+                .toBe(network.calculateError(XORDataset.input, XORDataset.output));
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,127 @@
+describe('Freeform gated recurrent layers', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const _ = require('lodash');
+    const FreeformNetwork = Encog.Freeform.Network;
+    const FreeformBackPropagation = Encog.FreeformPropagation.Back;
+    const FreeformResilientPropagation = Encog.FreeformPropagation.Resilient;
+    const FreeformLSTMNeuron = Encog.Freeform.Recurrent.LstmNeuron;
+    const SequenceDataSet = Encog.Neural.SequenceDataSet;
+    const ErrorCalculation = require(PATHS.ERROR_CALCULATION + 'errorCalculation');
+    const ActivationSigmoid = Encog.ActivationFunctions.Sigmoid;
+    const Datasets = Encog.Utils.Datasets;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+
+    const createNetwork = function (type, inputCount, hiddenCount) {
+        const network = new FreeformNetwork();
+        const inputLayer = network.createInputLayer(inputCount);
+        const hiddenLayer = network['create' + type + 'Layer'](hiddenCount);
+        const outputLayer = network.createOutputLayer(1);
+
+        network.connectLayers(inputLayer, hiddenLayer, new ActivationSigmoid());
+        network.connectLayers(hiddenLayer, outputLayer, new ActivationSigmoid());
+        network.randomize();
+
+        return network;
+    };
+
+    const computeSequence = function (network, input) {
+        return input.map((step) => network.compute(step)[0]);
+    };
+
+    const sumOfSquares = function (network, sequences) {
+        let result = 0;
+        for (let sequence of sequences.getSequences()) {
+            network.clearContext();
+            computeSequence(network, sequence.input).forEach((actual, t) => {
+                result += 0.5 * Math.pow(sequence.output[t][0] - actual, 2);
+            });
+        }
+        return result;
+    };
+
+    beforeEach(function () {
+        RandomFactory.setSeed(2018);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    ['LSTM', 'GRU'].forEach((type) => {
+        test(type + ' networks are saved and restored', function () {
+            const dataset = Datasets.getXORThroughTimeDataSet();
+            const network = createNetwork(type, 1, 3);
+            const newNetwork = new FreeformNetwork();
+
+            newNetwork.fromJSON(JSON.parse(JSON.stringify(network)));
+            network.clearContext();
+            newNetwork.clearContext();
+
+            expect(newNetwork.encodedArrayLength()).toBe(network.encodedArrayLength());
+            expect(computeSequence(newNetwork, dataset.input)).toEqual(computeSequence(network, dataset.input));
+        });
+
+        test(type + ' layers are connected with one connection per gate', function () {
+            const network = createNetwork(type, 2, 3);
+            const gateCount = type === 'LSTM' ? 4 : 3;
+
+            // input and bias, recurrent outputs, hidden and bias to output
+            expect(network.encodedArrayLength()).toBe((3 * 3 + 3 * 3) * gateCount + 4);
+        });
+
+        test(type + ' gradients match finite differences', function () {
+            const network = createNetwork(type, 2, 3);
+            const sequences = new SequenceDataSet();
+            sequences.addSequence([[1, 0], [0, 1], [1, 1], [0, 0], [1, 0]], [[1], [0], [1], [0], [0]]);
+            sequences.addSequence([[0, 1], [1, 1], [0, 0]], [[1], [1], [0]]);
+
+            const train = new FreeformBackPropagation(network, sequences, null, 0.1, 0.9);
+            train.setFixFlatSopt(false);
+            const errorCalc = new ErrorCalculation();
+            for (let sequence of sequences.getSequences()) {
+                train.processSequence(sequence, errorCalc);
+            }
+
+            network.performConnectionTask((connection) => {
+                const weight = connection.getWeight();
+                connection.setWeight(weight + 1e-6);
+                const above = sumOfSquares(network, sequences);
+                connection.setWeight(weight - 1e-6);
+                const below = sumOfSquares(network, sequences);
+                connection.setWeight(weight);
+
+                // the gradients point downhill
+                expect(connection.getTempTraining(0)).toBeCloseTo(-(above - below) / 2e-6, 6);
+            });
+        });
+
+        test(type + ' XOR through time Dataset', function () {
+            const dataset = Datasets.getXORThroughTimeDataSet();
+            const network = createNetwork(type, 1, 4);
+            const train = new FreeformResilientPropagation(network, new SequenceDataSet(dataset.input, dataset.output));
+
+            Encog.Utils.Network.trainNetwork(train, {minError: 0.01, maxIterations: 500});
+            network.clearContext();
+            const actual = computeSequence(network, dataset.input);
+
+            expect(actual.map(Math.round)).toEqual(_.flatten(dataset.output));
+        });
+    });
+
+    test('The cell state is reset by clearContext', function () {
+        const network = createNetwork('LSTM', 1, 2);
+        const input = [[1], [1], [0], [1]];
+        const cell = _.find(network.getOutputLayer().getNeurons()[0].getInputSummation().list()
+            .map((connection) => connection.getSource()), (neuron) => neuron instanceof FreeformLSTMNeuron);
+
+        const first = computeSequence(network, input);
+        expect(cell.getCellState()).not.toBe(0);
+        expect(computeSequence(network, input)).not.toEqual(first);
+
+        network.clearContext();
+        expect(cell.getCellState()).toBe(0);
+        expect(computeSequence(network, input)).toEqual(first);
+    });
+});
\ No newline at end of file
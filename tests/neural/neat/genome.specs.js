@@ -0,0 +1,132 @@
+describe('NEAT Genome', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+    const _ = require('lodash');
+
+    const Neat = Encog.Neural.Neat;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    const NEURON_TYPES = Neat.NeuronGene.getNeuronTypes();
+    let random;
+    let population;
+
+    beforeEach(function () {
+        RandomFactory.setSeed(42);
+        random = RandomFactory.factor();
+        population = new Neat.Population(2, 1, 10);
+        population.reset(random);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('Initial genomes', function () {
+        const genome = population.getGenomes()[0];
+
+        expect(population.getGenomes().length).toBe(10);
+        expect(genome.getNeurons().map((neuron) => neuron.getNeuronType()))
+            .toEqual([NEURON_TYPES.INPUT, NEURON_TYPES.INPUT, NEURON_TYPES.BIAS, NEURON_TYPES.OUTPUT]);
+        expect(genome.getLinks().map((link) => link.getInnovationId())).toEqual([0, 1, 2]);
+        expect(population.getGenomes()[9].getLinks().map((link) => link.getInnovationId())).toEqual([0, 1, 2]);
+    });
+
+    test('Network of a genome', function () {
+        const genome = population.getGenomes()[0];
+        const weights = genome.getLinks().map((link) => link.getWeight());
+        const network = new Neat.Network(genome, new Encog.ActivationFunctions.Linear());
+
+        expect(network.compute([2, 3])[0]).toBeCloseTo(2 * weights[0] + 3 * weights[1] + weights[2], 10);
+
+        genome.getLinks()[1].setEnabled(false);
+        expect(new Neat.Network(genome, new Encog.ActivationFunctions.Linear()).compute([2, 3])[0])
+            .toBeCloseTo(2 * weights[0] + weights[2], 10);
+    });
+
+    test('Add node mutation', function () {
+        const addNode = new Neat.Mutate.AddNode();
+        const genome = population.getGenomes()[0];
+        const other = population.getGenomes()[1];
+        const input = [0.3, -0.7];
+        const linear = new Encog.ActivationFunctions.Linear();
+        const before = new Neat.Network(genome, linear).compute(input)[0];
+
+        expect(addNode.mutate(random, genome, population)).toBe(true);
+        expect(genome.getNeurons().length).toBe(5);
+        expect(genome.getNeurons()[4].getNeuronType()).toBe(NEURON_TYPES.HIDDEN);
+        expect(genome.getLinks().filter((link) => link.isEnabled()).length).toBe(4);
+        expect(new Neat.Network(genome, linear).compute(input)[0]).toBeCloseTo(before, 10);
+
+        // the same split gets the same innovations in another genome
+        const split = genome.getLinks().find((link) => !link.isEnabled());
+        other.getLinks().forEach((link) => link.setEnabled(link.getInnovationId() === split.getInnovationId()));
+        addNode.mutate(random, other, population);
+        expect(other.getLinks().map((link) => link.getInnovationId()))
+            .toEqual(genome.getLinks().map((link) => link.getInnovationId()));
+        expect(population.getInnovations().getInnovationCount()).toBe(5);
+    });
+
+    test('Add link mutation', function () {
+        const addLink = new Neat.Mutate.AddLink();
+        const genome = population.getGenomes()[0];
+
+        // fully connected without hidden neuron
+        expect(addLink.mutate(random, genome, population)).toBe(false);
+
+        new Neat.Mutate.AddNode().mutate(random, genome, population);
+        new Neat.Mutate.AddNode().mutate(random, genome, population);
+        for (let i = 0; i < 20; i++) {
+            addLink.mutate(random, genome, population);
+        }
+
+        for (let link of genome.getLinks()) {
+            expect(genome.findNeuron(link.getToNeuronId()).getNeuronType()).not.toBe(NEURON_TYPES.INPUT);
+            expect(genome.findNeuron(link.getFromNeuronId()).getNeuronType()).not.toBe(NEURON_TYPES.OUTPUT);
+            expect(genome.createsCycle(link.getFromNeuronId(), link.getToNeuronId())).toBe(false);
+        }
+        expect(_.uniqBy(genome.getLinks(), (link) => link.getInnovationId()).length).toBe(genome.getLinks().length);
+    });
+
+    test('Weight mutation', function () {
+        const genome = population.getGenomes()[0];
+        const weights = genome.getLinks().map((link) => link.getWeight());
+
+        new Neat.Mutate.Weights(100, 0).mutate(random, genome, population);
+        genome.getLinks().forEach((link, i) => {
+            expect(link.getWeight()).not.toBe(weights[i]);
+            expect(Math.abs(link.getWeight())).toBeLessThanOrEqual(population.weightRange);
+        });
+    });
+
+    test('Crossover', function () {
+        const fitter = population.getGenomes()[0];
+        const other = population.getGenomes()[1];
+        new Neat.Mutate.AddNode().mutate(random, fitter, population);
+        new Neat.Mutate.AddNode().mutate(random, other, population);
+
+        const child = new Neat.Crossover().crossover(fitter, other, random);
+        const otherWeights = {};
+        other.getLinks().forEach((link) => otherWeights[link.getInnovationId()] = link.getWeight());
+
+        expect(child.getLinks().map((link) => link.getInnovationId()))
+            .toEqual(fitter.getLinks().map((link) => link.getInnovationId()));
+        expect(child.getNeurons().map((neuron) => neuron.getId()))
+            .toEqual(fitter.getNeurons().map((neuron) => neuron.getId()));
+        child.getLinks().forEach((link, i) => {
+            expect([fitter.getLinks()[i].getWeight(), otherWeights[link.getInnovationId()]]).toContain(link.getWeight());
+        });
+    });
+
+    test('Compatibility distance', function () {
+        const speciation = new Neat.Speciation(population);
+        const genome = population.getGenomes()[0];
+        const clone = genome.clone();
+
+        expect(speciation.getCompatibilityScore(genome, clone)).toBe(0);
+
+        clone.getLinks()[0].setWeight(clone.getLinks()[0].getWeight() + 3);
+        expect(speciation.getCompatibilityScore(genome, clone)).toBeCloseTo(population.matchedCoefficient, 10);
+
+        new Neat.Mutate.AddNode().mutate(random, clone, population);
+        expect(speciation.getCompatibilityScore(genome, clone)).toBeGreaterThan(2 + population.matchedCoefficient - 1e-10);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+describe('NEAT Training', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const TrainNEAT = Encog.Training.NEAT;
+    const NEATPopulation = Encog.Neural.Neat.Population;
+    const TrainingSetScore = require(PATHS.SCORE + 'trainingSet');
+    const CalculateScore = require(PATHS.SCORE + 'calculate');
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    const Datasets = Encog.Utils.Datasets;
+
+    beforeEach(function () {
+        RandomFactory.setSeed(2018);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('XOR Dataset', function () {
+        const dataset = Datasets.getXORDataSet();
+        const population = new NEATPopulation(2, 1, 150);
+        const train = new TrainNEAT(population, new TrainingSetScore(dataset.input, dataset.output));
+
+        do {
+            train.iteration();
+        } while (train.getError() > 0.01 && train.getIteration() < 300);
+
+        const network = train.getMethod();
+        expect(train.getError()).toBeLessThan(0.01);
+        expect(population.getGenomes().length).toBe(150);
+        expect(network.getGenome().getNeurons().length).toBeGreaterThan(4);
+        dataset.input.forEach((input, i) => {
+            expect(Math.round(network.compute(input)[0])).toBe(dataset.output[i][0]);
+        });
+    });
+
+    test('The species of the best genome is kept when it stagnates', function () {
+        const dataset = Datasets.getXORDataSet();
+        const population = new NEATPopulation(2, 1, 50);
+        const train = new TrainNEAT(population, new TrainingSetScore(dataset.input, dataset.output));
+
+        for (let i = 0; i < 8; i++) {
+            train.iteration();
+        }
+
+        const species = population.getSpecies();
+        const bestSpecies = species.find((s) => s.getLeader().getScore() === train.getError());
+
+        // the best genome is carried over as a clone, so no species holds the genome itself
+        expect(bestSpecies.getMembers()).not.toContain(train.getBestGenome());
+        expect(species.length).toBeGreaterThan(1);
+
+        species.forEach((s) => {
+            s.gensNoImprovement = s === bestSpecies ? population.maxGensNoImprovement + 1 : 0;
+        });
+        const calculateOffspringCounts = jest.spyOn(train, 'calculateOffspringCounts');
+        train.breed();
+
+        expect(calculateOffspringCounts.mock.calls[0][0]).toContain(bestSpecies);
+        expect(calculateOffspringCounts.mock.calls[0][0].length).toBe(species.length);
+    });
+
+    test('Custom score', function () {
+        class OutputScore extends CalculateScore {
+            calculateScore(network) {
+                return network.compute([1])[0];
+            }
+
+            shouldMinimize() {
+                return false;
+            }
+        }
+
+        const population = new NEATPopulation(1, 1, 50);
+        const train = new TrainNEAT(population, new OutputScore());
+
+        train.iteration();
+        const first = train.getError();
+        for (let i = 0; i < 20; i++) {
+            train.iteration();
+        }
+
+        expect(train.getError()).toBeGreaterThanOrEqual(first);
+        expect(train.getError()).toBeGreaterThan(0.99);
+        expect(train.getMethod().compute([1])[0]).toBe(train.getError());
+    });
+});
\ No newline at end of file
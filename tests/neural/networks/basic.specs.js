@@ -48,6 +48,23 @@ describe('Basic Network', function () {
             newBasicNetwork.fromJSON(networkJSON);
 
             expect(newBasicNetwork.getFlat().weights).toEqual(network.getFlat().weights);
-        })
+        });
+
+         test('should save and restore the statistics of a batch normalized network', function () {
+            network = NetworkUtil.createBankNoteAuthenticationNetwork(true);
+            const flat = network.getFlat();
+            const input = [[0, 0.2, 0.4, 0.6], [1, 0.8, 0.6, 0.4], [0.5, 0.5, 0, 1]];
+
+            flat.setTraining(true);
+            flat.computeBatch(input);
+            flat.setTraining(false);
+
+            const newBasicNetwork = new BasicNetwork();
+            newBasicNetwork.fromJSON(JSON.parse(JSON.stringify(network)));
+
+            expect(newBasicNetwork.getFlat().runningMean).toEqual(flat.runningMean);
+            expect(newBasicNetwork.getFlat().runningVariance).toEqual(flat.runningVariance);
+            expect(newBasicNetwork.compute(input[0])).toEqual(network.compute(input[0]));
+        });
     });
 });
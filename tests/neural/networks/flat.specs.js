@@ -0,0 +1,130 @@
+describe('Flat Network', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const _ = require('lodash');
+    const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+    const BasicNetwork = Encog.Networks.Basic;
+    const FlatNetwork = Encog.Networks.Flat;
+    const BasicLayer = Encog.Layers.Basic;
+    const FlatLayer = Encog.Layers.Flat;
+    const ActivationSigmoid = Encog.ActivationFunctions.Sigmoid;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+
+    const input = [[0, 1, 2], [1, 0, -1], [0.5, 0.3, 0.1], [2, -1, 0], [0, 0, 1], [1, 1, 1]];
+    const ideal = [[0, 1], [1, 0], [1, 1], [0, 0], [0, 1], [1, 0]];
+
+    const createNetwork = function () {
+        const network = new BasicNetwork();
+        network.addLayer(new BasicLayer(null, true, 3));
+        network.addLayer(new BasicLayer(new ActivationSigmoid(), true, 5, 0, true));
+        network.addLayer(new BasicLayer(new ActivationSigmoid(), true, 4, 0, true));
+        network.addLayer(new BasicLayer(new ActivationSigmoid(), false, 2, 0, true));
+        network.randomize();
+        return network;
+    };
+
+    beforeEach(function () {
+        RandomFactory.setSeed(2018);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    describe('Batch normalization', function () {
+        test('The gamma and the beta of the normalized layers follow the weights', function () {
+            const flat = NetworkUtil.createBankNoteAuthenticationNetwork(true).getFlat();
+            const weightCount = (5 * 40) + (41 * 40) + (41 * 40) + 41;
+
+            flat.randomize();
+
+            expect(flat.hasBatchNormalization()).toBe(true);
+            expect(flat.getConnectionWeightCount()).toBe(weightCount);
+            expect(flat.weights.length).toBe(weightCount + (3 * 2 * 40));
+            for (let i = weightCount; i < flat.weights.length; i += 80) {
+                expect(_.uniq(flat.weights.slice(i, i + 40))).toEqual([1]);
+                expect(_.uniq(flat.weights.slice(i + 40, i + 80))).toEqual([0]);
+            }
+            expect(NetworkUtil.createBankNoteAuthenticationNetwork().getFlat().hasBatchNormalization()).toBe(false);
+        });
+
+        test('Gradients match finite differences', function () {
+            const network = createNetwork();
+            const flat = network.getFlat();
+            const weights = flat.weights;
+            const train = new Encog.Training.Propagation.Back(network, input, ideal);
+            const sumOfSquares = function () {
+                flat.setTraining(true);
+                const actual = flat.computeBatch(input);
+                flat.setTraining(false);
+                return _.sum(actual.map((output, i) => _.sum(output.map((value, j) => 0.5 * Math.pow(ideal[i][j] - value, 2)))));
+            };
+
+            train.calculateGradients();
+
+            for (let i = 0; i < weights.length; i++) {
+                const weight = weights[i];
+                weights[i] = weight + 1e-6;
+                const above = sumOfSquares();
+                weights[i] = weight - 1e-6;
+                const below = sumOfSquares();
+                weights[i] = weight;
+
+                // the gradients point downhill
+                expect(train.gradients[i]).toBeCloseTo(-(above - below) / 2e-6, 6);
+            }
+        });
+
+        test('The inference mode uses the running statistics', function () {
+            const flat = createNetwork().getFlat();
+
+            flat.setTraining(true);
+            const batchOutput = flat.computeBatch(input);
+            expect(flat.compute(input[2])).toEqual(batchOutput[2]);
+
+            flat.setTraining(false);
+            expect(flat.isTraining()).toBe(false);
+            expect(flat.compute(input[2])[0]).not.toBeCloseTo(batchOutput[2][0], 6);
+
+            flat.setTraining(true);
+            for (let i = 0; i < 200; i++) {
+                flat.computeBatch(input);
+            }
+            flat.setTraining(false);
+            expect(flat.compute(input[2])[0]).toBeCloseTo(batchOutput[2][0], 4);
+        });
+
+        test('Deep Iris Flower Dataset network', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const network = new Encog.Patterns.Sequential()
+                .input(4)
+                .dense(40, {batchNormalization: true})
+                .dense(40, {batchNormalization: true})
+                .dense(40, {batchNormalization: true})
+                .dense(3)
+                .generate();
+            const train = new Encog.Training.Propagation.Resilient(network, irisDataset.train.input, irisDataset.train.output);
+            train.setBatchSize(0);
+
+            NetworkUtil.trainNetwork(train, {minError: 0.01, minIterations: 5, maxIterations: 30});
+
+            expect(network.getFlat().isTraining()).toBe(false);
+            expect(NetworkUtil.validateNetwork(network, irisDataset.test.input, irisDataset.test.output)).toBeGreaterThan(85);
+        });
+
+        test('The input layer and the networks with context can not be normalized', function () {
+            const sigmoid = new ActivationSigmoid();
+            expect(() => new FlatNetwork([new FlatLayer(sigmoid, 2, 1, 0, true), new FlatLayer(sigmoid, 1)]))
+                .toThrow(NeuralNetworkError);
+
+            const inputLayer = new FlatLayer(sigmoid, 2, 1);
+            const hiddenLayer = new FlatLayer(sigmoid, 3, 1, 0, true);
+            inputLayer.contextFedBy = hiddenLayer;
+            expect(() => new FlatNetwork([inputLayer, hiddenLayer, new FlatLayer(sigmoid, 1)]))
+                .toThrow(NeuralNetworkError);
+        });
+    });
+});
\ No newline at end of file
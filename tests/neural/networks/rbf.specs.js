@@ -0,0 +1,104 @@
+describe('RBF Network', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const RBFNetwork = Encog.Networks.Rbf;
+    const RBFLeastSquares = Encog.Training.RBFLeastSquares;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    const NetworkUtil = Encog.Utils.Network;
+    const ErrorUtil = Encog.Utils.Error;
+
+    const sinDataset = function () {
+        const input = [];
+        const output = [];
+        for (let i = 0; i < 50; i++) {
+            const x = -1 + 2 * i / 49;
+            input.push([x]);
+            output.push([Math.sin(3 * x)]);
+        }
+        return {input: input, output: output};
+    };
+
+    beforeEach(function () {
+        RandomFactory.setSeed(42);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('Radial basis functions', function () {
+        const BasicRBF = Encog.MathUtils.Rbf.BasicRBF;
+        const x = [3, 4];
+
+        expect(BasicRBF.fromType('Gaussian', 2).calculate(x)).toBeCloseTo(Math.exp(-12.5), 10);
+        expect(BasicRBF.fromType('Multiquadric', 2).calculate(x)).toBeCloseTo(Math.sqrt(26), 10);
+        expect(BasicRBF.fromType('InverseMultiquadric', 2).calculate(x)).toBeCloseTo(1 / Math.sqrt(26), 10);
+        expect(() => BasicRBF.fromType('Cubic')).toThrow();
+    });
+
+    ['Gaussian', 'Multiquadric', 'InverseMultiquadric'].forEach((type) => {
+        test('Approximate a sine with ' + type + ' RBFs on a grid', function () {
+            const dataset = sinDataset();
+            const network = new RBFNetwork(1, 10, 1, type);
+            network.setRBFCentersAndWidthsEqualSpacing(-1, 1);
+
+            const train = new RBFLeastSquares(network, dataset.input, dataset.output);
+            train.iteration();
+
+            expect(network.getRBFs()[9].getCenter(0)).toBeCloseTo(1, 10);
+            expect(train.getError()).toBeLessThan(0.001);
+            expect(ErrorUtil.calculateRegressionError(network, dataset.input, dataset.output)).toBeCloseTo(train.getError(), 10);
+        });
+    });
+
+    test('XOR with one RBF per corner', function () {
+        const dataset = Encog.Utils.Datasets.getXORDataSet();
+        const network = new RBFNetwork(2, 4, 1);
+        network.setRBFCentersAndWidthsEqualSpacing(0, 1);
+
+        new RBFLeastSquares(network, dataset.input, dataset.output).iteration();
+
+        expect(NetworkUtil.validateNetwork(network, dataset.input, dataset.output)).toBe(100);
+        expect(() => new RBFNetwork(2, 5, 1).setRBFCentersAndWidthsEqualSpacing())
+            .toThrow('The RBF count must be a perfect power of the input count, points per dimension ^ 2, but 5 is not.');
+    });
+
+    test('Iris Flower Dataset with k-means centers', function () {
+        const irisDataset = Encog.Utils.Datasets.getNormalizedIrisDataSet();
+        const network = new RBFNetwork(4, 12, 3);
+        network.setRBFCentersByKMeans(irisDataset.train.input);
+
+        new RBFLeastSquares(network, irisDataset.train.input, irisDataset.train.output).iteration();
+
+        expect(NetworkUtil.validateNetwork(network, irisDataset.test.input, irisDataset.test.output)).toBeGreaterThan(80);
+    });
+
+    test('Iris Flower Dataset with random centers', function () {
+        const irisDataset = Encog.Utils.Datasets.getNormalizedIrisDataSet();
+        const network = new RBFNetwork(4, 16, 3);
+        network.randomizeRBFCentersAndWidths(-1, 1);
+
+        new RBFLeastSquares(network, irisDataset.train.input, irisDataset.train.output).iteration();
+
+        expect(NetworkUtil.validateNetwork(network, irisDataset.test.input, irisDataset.test.output)).toBeGreaterThan(70);
+    });
+
+    describe('toJSON and fromJSON methods', function () {
+        test('should save and restore a network', function () {
+            const dataset = sinDataset();
+            const network = new RBFNetwork(1, 5, 1, 'InverseMultiquadric');
+            network.setRBFCentersByKMeans(dataset.input);
+            new RBFLeastSquares(network, dataset.input, dataset.output).iteration();
+
+            const networkJSON = JSON.parse(JSON.stringify(network));
+            expect(networkJSON.type).toBe('RBFNetwork');
+
+            const newNetwork = new RBFNetwork();
+            newNetwork.fromJSON(networkJSON);
+
+            expect(newNetwork.getHiddenCount()).toBe(5);
+            expect(newNetwork.compute([0.3])[0]).toBeCloseTo(network.compute([0.3])[0], 10);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,58 @@
+describe('SOM Network', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const SOMNetwork = Encog.Networks.Som;
+    const FileUtils = Encog.Utils.File;
+    const Matrix = Encog.MathUtils.Matrices.Matrix;
+    let network;
+
+    beforeEach(function () {
+        network = new SOMNetwork(2, 3);
+        network.setWeights(new Matrix([[0, 0], [1, 1], [-1, 1]]));
+    });
+
+    test('winner and compute', function () {
+        expect(network.winner([0.9, 0.8])).toBe(1);
+        expect(network.classify([-0.7, 0.6])).toBe(2);
+        expect(network.compute([0, 0])[1]).toBeCloseTo(Math.SQRT2, 10);
+        expect(network.calculateError([[0, 0], [1, 0]])).toBeCloseTo(1, 10);
+        expect(() => network.compute([1])).toThrow();
+    });
+
+    test('reset randomizes the weights', function () {
+        network.reset();
+
+        expect(network.getWeights().getRows()).toBe(3);
+        network.getWeights().getData().forEach((row) => {
+            row.forEach((weight) => {
+                expect(Math.abs(weight)).toBeLessThanOrEqual(1);
+            });
+        });
+    });
+
+    describe('toJSON and fromJSON methods', function () {
+        test('should save and restore a network', function () {
+            const networkJSON = network.toJSON();
+            expect(networkJSON.type).toBe('SOMNetwork');
+
+            const newNetwork = new SOMNetwork();
+            newNetwork.fromJSON(JSON.parse(JSON.stringify(networkJSON)));
+
+            expect(newNetwork.getInputCount()).toBe(2);
+            expect(newNetwork.getOutputCount()).toBe(3);
+            expect(newNetwork.getWeights().getData()).toEqual(network.getWeights().getData());
+        });
+
+        test('should be saved and loaded by FileUtils', function () {
+            const path = require('path');
+            const filename = path.join(createTempDir(), 'som.json');
+
+            FileUtils.saveNetwork(network, filename);
+            const loaded = FileUtils.loadNetwork(filename);
+
+            expect(loaded).toBeInstanceOf(SOMNetwork);
+            expect(loaded.winner([0.9, 0.8])).toBe(1);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,36 @@
+describe('SequenceDataSet', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const SequenceDataSet = Encog.Neural.SequenceDataSet;
+
+    test('Sequences', function () {
+        const dataset = new SequenceDataSet([[1], [2]], [[2], [3]]);
+        dataset.addSequence([[5]], [[6]]);
+
+        expect(dataset.getSequenceCount()).toBe(2);
+        expect(dataset.getRecordCount()).toBe(3);
+        expect(dataset.getSequence(1)).toEqual({input: [[5]], output: [[6]]});
+        expect(dataset.getInput()).toEqual([[1], [2], [5]]);
+        expect(dataset.getOutput()).toEqual([[2], [3], [6]]);
+    });
+
+    test('Series cut into sequences', function () {
+        const input = [[0], [1], [2], [3], [4]];
+        const output = [[1], [2], [3], [4], [5]];
+        const dataset = SequenceDataSet.fromSeries(input, output, 2);
+
+        expect(dataset.getSequences().map((sequence) => sequence.input.length)).toEqual([2, 2, 1]);
+        expect(dataset.getInput()).toEqual(input);
+        expect(dataset.getOutput()).toEqual(output);
+        expect(() => SequenceDataSet.fromSeries(input, output, 0)).toThrow();
+    });
+
+    test('Invalid sequences', function () {
+        const dataset = new SequenceDataSet();
+
+        expect(() => dataset.addSequence([[1], [2]], [[1]])).toThrow();
+        expect(() => dataset.addSequence([], [])).toThrow();
+        expect(() => dataset.addSequence([[1]])).toThrow();
+    });
+});
\ No newline at end of file
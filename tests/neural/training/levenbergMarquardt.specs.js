@@ -5,6 +5,7 @@ describe('Levenberg Marquardt Training', function () {
     const LevenbergMarquardt = Encog.Training.LevenbergMarquardt;
     const NetworkUtil = Encog.Utils.Network;
     const Datasets = Encog.Utils.Datasets;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
 
     test('Iris Flower Dataset', function () {
         // train the neural network
@@ -18,4 +19,38 @@ describe('Levenberg Marquardt Training', function () {
 
         expect(accuracy >= 0).toBeTruthy(); //TODO: Fix me
     });
+
+    test('Iris Flower Dataset with 2 threads matches a single thread', function () {
+        const irisDataset = Datasets.getNormalizedIrisDataSet();
+        const trainIris = function (threadCount) {
+            RandomFactory.setSeed(2018);
+            const network = NetworkUtil.createIrisNetwork();
+            const train = new LevenbergMarquardt(network, irisDataset.train.input, irisDataset.train.output);
+            const errors = [];
+
+            train.setThreadCount(threadCount);
+            for (let i = 0; i < 10; i++) {
+                train.iteration();
+                errors.push(train.error);
+                if (threadCount > 1) {
+                    expect(train.hessian.threadPool).not.toBeNull();
+                }
+            }
+            train.finishTraining();
+            RandomFactory.setSeed(null);
+
+            expect(train.hessian.threadPool).toBeNull();
+            return {network, errors};
+        };
+
+        const single = trainIris(1);
+        const threaded = trainIris(2);
+
+        threaded.errors.forEach((error, i) => {
+            expect(error).toBeCloseTo(single.errors[i], 8);
+        });
+        single.network.getFlat().weights.forEach((weight, i) => {
+            expect(threaded.network.getFlat().weights[i]).toBeCloseTo(weight, 6);
+        });
+    });
 });
\ No newline at end of file
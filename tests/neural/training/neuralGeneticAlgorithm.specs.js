@@ -0,0 +1,149 @@
+describe('Neural Genetic Algorithm Training', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const NeuralGeneticAlgorithm = Encog.Training.NeuralGeneticAlgorithm;
+    const Genetic = Encog.Training.Genetic;
+    const NetworkUtil = Encog.Utils.Network;
+    const TrainingSetScore = require(PATHS.SCORE + 'trainingSet');
+    const CalculateScore = require(PATHS.SCORE + 'calculate');
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    const Datasets = Encog.Utils.Datasets;
+
+    beforeEach(function () {
+        RandomFactory.setSeed(2018);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    ['Blend', 'SinglePoint', 'TwoPoint', 'Uniform'].forEach((type) => {
+        test('XOR Dataset with ' + type + ' crossover', function () {
+            const dataset = Datasets.getXORDataSet();
+            const network = NetworkUtil.createXORNetwork();
+            const train = new NeuralGeneticAlgorithm(network, new TrainingSetScore(dataset.input, dataset.output), 50);
+            let previousError = Infinity;
+
+            train.setCrossover(new Genetic.Crossover[type]());
+            do {
+                train.iteration();
+                // the elite keeps the best genome
+                expect(train.getError()).toBeLessThanOrEqual(previousError);
+                previousError = train.getError();
+            } while (train.getError() > 0.01 && train.getIteration() < 500);
+
+            expect(train.getError()).toBeLessThan(0.01);
+            expect(train.getPopulation().length).toBe(50);
+            expect(NetworkUtil.validateNetwork(network, dataset.input, dataset.output)).toBe(100);
+        });
+    });
+
+    test('Crossover operators', function () {
+        const random = RandomFactory.factor();
+        const mother = [0, 0, 0, 0, 0, 0];
+        const father = [1, 1, 1, 1, 1, 1];
+
+        for (let i = 0; i < 20; i++) {
+            const singlePoint = new Genetic.Crossover.SinglePoint().crossover(mother, father, random);
+            expect(singlePoint.join('')).toMatch(/^0*1*$/);
+
+            const twoPoint = new Genetic.Crossover.TwoPoint().crossover(mother, father, random);
+            expect(twoPoint.join('')).toMatch(/^0*1*0*$/);
+
+            const uniform = new Genetic.Crossover.Uniform().crossover(mother, father, random);
+            uniform.forEach((gene) => expect([0, 1]).toContain(gene));
+
+            const blend = new Genetic.Crossover.Blend(0.5).crossover(mother, father, random);
+            blend.forEach((gene) => {
+                expect(gene).toBeGreaterThanOrEqual(-0.5);
+                expect(gene).toBeLessThanOrEqual(1.5);
+            });
+        }
+        expect(new Genetic.Crossover.Blend(0).crossover([2], [2], random)).toEqual([2]);
+    });
+
+    test('Crossover operators with typed arrays', function () {
+        const random = RandomFactory.factor();
+        const mother = new Float64Array(6);
+        const father = new Float32Array([1, 1, 1, 1, 1, 1]);
+
+        ['Blend', 'SinglePoint', 'TwoPoint', 'Uniform'].forEach((type) => {
+            for (let i = 0; i < 20; i++) {
+                const child = new Genetic.Crossover[type]().crossover(mother, father, random);
+
+                expect(child).toBeInstanceOf(Float64Array);
+                expect(child.length).toBe(mother.length);
+                expect(mother.every((gene) => gene === 0)).toBe(true);
+            }
+        });
+        expect(Array.from(new Genetic.Crossover.SinglePoint().crossover(mother, father, {nextInt: () => 2})))
+            .toEqual([0, 0, 1, 1, 1, 1]);
+        const cuts = [4, 2];
+        expect(Array.from(new Genetic.Crossover.TwoPoint().crossover(mother, father, {nextInt: () => cuts.shift()})))
+            .toEqual([0, 0, 1, 1, 0, 0]);
+    });
+
+    test('Tournament selection', function () {
+        const random = RandomFactory.factor();
+        const genomes = [{score: 3}, {score: 1}, {score: 2}];
+
+        expect(new Genetic.TournamentSelection(100).select(genomes, random, true).score).toBe(1);
+        expect(new Genetic.TournamentSelection(100).select(genomes, random, false).score).toBe(3);
+    });
+
+    test('Custom score', function () {
+        class OutputScore extends CalculateScore {
+            calculateScore(network) {
+                return network.compute([1, 1])[0];
+            }
+
+            shouldMinimize() {
+                return false;
+            }
+        }
+
+        const network = NetworkUtil.createXORNetwork();
+        const train = new NeuralGeneticAlgorithm(network, new OutputScore(), 20);
+        train.setEliteRate(0.2);
+        train.setMutation(new Genetic.GaussianMutation(0.5));
+
+        for (let i = 0; i < 30; i++) {
+            train.iteration();
+        }
+
+        expect(train.getError()).toBeGreaterThan(0.95);
+        expect(network.compute([1, 1])[0]).toBe(train.getError());
+        expect(() => new NeuralGeneticAlgorithm(network, new OutputScore(), 1)).toThrow();
+    });
+
+    test('Scores that are not numbers', function () {
+        class NaNScore extends CalculateScore {
+            calculateScore(network) {
+                const output = network.compute([1, 0])[0];
+                return output > 0.5 ? NaN : output;
+            }
+
+            shouldMinimize() {
+                return true;
+            }
+        }
+
+        const network = NetworkUtil.createXORNetwork();
+        const train = new NeuralGeneticAlgorithm(network, new NaNScore(), 20);
+
+        for (let i = 0; i < 10; i++) {
+            train.iteration();
+
+            const scores = train.getPopulation().map((genome) => genome.score);
+            expect(scores[0]).toBeLessThan(0.5);
+            scores.slice(1).forEach((score, j) => {
+                expect(score).toBeGreaterThanOrEqual(scores[j]);
+            });
+        }
+        expect(train.getError()).toBe(network.compute([1, 0])[0]);
+
+        const genomes = [{score: Infinity}, {score: 2}, {score: Infinity}, {score: 1}, {score: -Infinity}];
+        expect(train.sortGenomes(genomes).map((genome) => genome.score)).toEqual([-Infinity, 1, 2, Infinity, Infinity]);
+    });
+});
\ No newline at end of file
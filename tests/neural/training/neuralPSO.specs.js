@@ -0,0 +1,77 @@
+describe('Neural PSO Training', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const NeuralPSO = Encog.Training.NeuralPSO;
+    const NetworkUtil = Encog.Utils.Network;
+    const TrainingSetScore = require(PATHS.SCORE + 'trainingSet');
+    const CalculateScore = require(PATHS.SCORE + 'calculate');
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    const Datasets = Encog.Utils.Datasets;
+
+    beforeEach(function () {
+        RandomFactory.setSeed(2018);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    Object.keys(NeuralPSO.getTopologies()).forEach((topology) => {
+        test('XOR Dataset with ' + topology + ' topology', function () {
+            const dataset = Datasets.getXORDataSet();
+            const network = NetworkUtil.createXORNetwork();
+            const train = new NeuralPSO(network, new TrainingSetScore(dataset.input, dataset.output), 30);
+            let previousError = Infinity;
+
+            train.setTopology(topology);
+            train.setMaxVelocity(0.5);
+            do {
+                train.iteration();
+                expect(train.getError()).toBeLessThanOrEqual(previousError);
+                previousError = train.getError();
+
+                for (let particle of train.getParticles()) {
+                    for (let velocity of particle.velocity) {
+                        expect(Math.abs(velocity)).toBeLessThanOrEqual(0.5);
+                    }
+                }
+            } while (train.getError() > 0.01 && train.getIteration() < 500);
+
+            expect(train.getError()).toBeLessThan(0.01);
+            expect(train.getParticles().length).toBe(30);
+            expect(network.getFlat().encodeNetwork()).toEqual(train.getBestPosition());
+            expect(NetworkUtil.validateNetwork(network, dataset.input, dataset.output)).toBe(100);
+        });
+    });
+
+    test('Custom score', function () {
+        class OutputScore extends CalculateScore {
+            calculateScore(network) {
+                return network.compute([1, 1])[0];
+            }
+
+            shouldMinimize() {
+                return false;
+            }
+        }
+
+        const network = NetworkUtil.createXORNetwork();
+        const train = new NeuralPSO(network, new OutputScore(), 10);
+
+        for (let i = 0; i < 30; i++) {
+            train.iteration();
+        }
+
+        expect(train.getError()).toBeGreaterThan(0.95);
+        expect(network.compute([1, 1])[0]).toBe(train.getError());
+    });
+
+    test('Invalid parameters', function () {
+        const network = NetworkUtil.createXORNetwork();
+        const score = new TrainingSetScore([[0, 0]], [[0]]);
+
+        expect(() => new NeuralPSO(network, score, 0)).toThrow();
+        expect(() => new NeuralPSO(network, score).setTopology('STAR')).toThrow();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+describe('Propagation', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const ResilientPropagation = Encog.Training.Propagation.Resilient;
+    const BackPropagation = Encog.Training.Propagation.Back;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+
+    describe('Worker threads', function () {
+        test('Gradients calculated by several threads match a single thread', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const network = NetworkUtil.createIrisNetwork();
+            const threaded = NetworkUtil.createIrisNetwork();
+            threaded.getFlat().weights = network.getFlat().weights.slice();
+
+            const train = new BackPropagation(network, irisDataset.train.input, irisDataset.train.output);
+            train.setBatchSize(0);
+            train.calculateGradients();
+
+            const threadedTrain = new BackPropagation(threaded, irisDataset.train.input, irisDataset.train.output);
+            threadedTrain.setBatchSize(0);
+            threadedTrain.setThreadCount(3);
+            threadedTrain.calculateGradients();
+            threadedTrain.finishTraining();
+
+            expect(threadedTrain.getThreadCount()).toBe(3);
+            expect(threadedTrain.error).toBeCloseTo(train.error, 10);
+            train.gradients.forEach((gradient, i) => {
+                expect(threadedTrain.gradients[i]).toBeCloseTo(gradient, 10);
+            });
+        });
+
+        test('Errors calculated by several threads match a single thread in every mode', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const network = NetworkUtil.createIrisNetwork();
+            const modes = Encog.ErrorCalculation.ErrorCalculation.getErrorCalculationModes();
+
+            const train = new BackPropagation(network, irisDataset.train.input, irisDataset.train.output);
+            train.setBatchSize(0);
+
+            const threadedTrain = new BackPropagation(network, irisDataset.train.input, irisDataset.train.output);
+            threadedTrain.setBatchSize(0);
+            threadedTrain.setThreadCount(3);
+
+            for (let mode of Object.values(modes)) {
+                train.setErrorCalculationMode(mode);
+                threadedTrain.setErrorCalculationMode(mode);
+                train.calculateGradients();
+                threadedTrain.calculateGradients();
+
+                expect(threadedTrain.getError()).toBeCloseTo(train.getError(), 10);
+            }
+            threadedTrain.finishTraining();
+        });
+
+        test('Iris Flower Dataset using RPROP with 2 threads matches a single thread', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const trainIris = function (threadCount) {
+                RandomFactory.setSeed(2018);
+                const network = NetworkUtil.createIrisNetwork();
+                const train = new ResilientPropagation(network, irisDataset.train.input, irisDataset.train.output);
+                const errors = [];
+
+                train.setBatchSize(0);
+                train.setThreadCount(threadCount);
+                for (let i = 0; i < 20; i++) {
+                    train.iteration();
+                    errors.push(train.error);
+                    if (threadCount > 1) {
+                        expect(train.threadPool).not.toBeNull();
+                    }
+                }
+                train.finishTraining();
+                RandomFactory.setSeed(null);
+
+                expect(train.threadPool).toBeNull();
+                return {network, train, errors};
+            };
+
+            const single = trainIris(1);
+            const threaded = trainIris(2);
+
+            threaded.errors.forEach((error, i) => {
+                expect(error).toBeCloseTo(single.errors[i], 10);
+            });
+            single.train.gradients.forEach((gradient, i) => {
+                expect(threaded.train.gradients[i]).toBeCloseTo(gradient, 10);
+            });
+            single.network.getFlat().weights.forEach((weight, i) => {
+                expect(threaded.network.getFlat().weights[i]).toBeCloseTo(weight, 8);
+            });
+        });
+
+        test('Invalid thread count', function () {
+            const dataset = Datasets.getXORDataSet();
+            const train = new ResilientPropagation(NetworkUtil.createXORNetwork(), dataset.input, dataset.output);
+
+            expect(() => train.setThreadCount(0)).toThrow();
+
+            train.iteration();
+            expect(() => train.setThreadCount(2)).toThrow();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,103 @@
+describe('BackPropagationThroughTime', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const BackPropagationThroughTime = Encog.Training.Propagation.BackThroughTime;
+    const SequenceDataSet = Encog.Neural.SequenceDataSet;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+
+    const createNetwork = function (patternName, hiddenCount) {
+        const pattern = new Encog.Patterns[patternName]();
+        pattern.setInputLayer(1);
+        pattern.addHiddenLayer(hiddenCount);
+        pattern.setOutputLayer(1, new Encog.ActivationFunctions.Sigmoid());
+        return pattern.generate();
+    };
+
+    const sumOfSquares = function (network, sequences) {
+        let result = 0;
+        for (let sequence of sequences.getSequences()) {
+            network.clearContext();
+            sequence.input.forEach((input, t) => {
+                const actual = network.compute(input);
+                result += 0.5 * Math.pow(sequence.output[t][0] - actual[0], 2);
+            });
+        }
+        return result;
+    };
+
+    beforeEach(function () {
+        RandomFactory.setSeed(2018);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    ['Elman', 'Jordan'].forEach((patternName) => {
+        test('Gradients of a ' + patternName + ' network match finite differences', function () {
+            const dataset = Datasets.getXORThroughTimeDataSet();
+            const sequences = SequenceDataSet.fromSeries(dataset.input, dataset.output, 6);
+            const network = createNetwork(patternName, 3);
+            const weights = network.getFlat().weights;
+            const train = new BackPropagationThroughTime(network, sequences);
+
+            train.calculateGradients();
+
+            for (let i = 0; i < weights.length; i++) {
+                const weight = weights[i];
+                weights[i] = weight + 1e-6;
+                const above = sumOfSquares(network, sequences);
+                weights[i] = weight - 1e-6;
+                const below = sumOfSquares(network, sequences);
+                weights[i] = weight;
+
+                // the gradients point downhill
+                expect(train.gradients[i]).toBeCloseTo(-(above - below) / 2e-6, 6);
+            }
+        });
+    });
+
+    test('A window covering the whole sequence matches full propagation through time', function () {
+        const dataset = Datasets.getXORThroughTimeDataSet();
+        const sequences = new SequenceDataSet(dataset.input, dataset.output);
+        const network = createNetwork('Elman', 3);
+        const full = new BackPropagationThroughTime(network, sequences);
+        const truncated = new BackPropagationThroughTime(network, sequences, dataset.input.length);
+
+        full.calculateGradients();
+        truncated.calculateGradients();
+
+        expect(truncated.getError()).toBeCloseTo(full.getError(), 10);
+        full.gradients.forEach((gradient, i) => {
+            expect(truncated.gradients[i]).toBeCloseTo(gradient, 10);
+        });
+    });
+
+    [0, 4].forEach((window) => {
+        test('XOR through time Dataset with window ' + window, function () {
+            const dataset = Datasets.getXORThroughTimeDataSet();
+            const network = createNetwork('Elman', 6);
+            const train = new BackPropagationThroughTime(network, new SequenceDataSet(dataset.input, dataset.output), window);
+
+            NetworkUtil.trainNetwork(train, {minError: 0.01, maxIterations: 5000});
+            network.clearContext();
+            const accuracy = NetworkUtil.validateNetwork(network, dataset.input, dataset.output);
+
+            expect(train.getWindow()).toBe(window);
+            expect(accuracy).toBe(100);
+        });
+    });
+
+    test('Invalid parameters', function () {
+        const dataset = Datasets.getXORThroughTimeDataSet();
+        const train = new BackPropagationThroughTime(createNetwork('Elman', 2), new SequenceDataSet(dataset.input, dataset.output));
+
+        expect(() => train.setBatchSize(1)).toThrow();
+        expect(() => train.setWindow(-1)).toThrow();
+        train.iteration();
+        expect(() => train.setWindow(2)).toThrow();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+describe('QuickPropagation', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const QuickPropagation = Encog.Training.Propagation.Quick;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+
+    beforeEach(function () {
+        RandomFactory.setSeed(2018);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('XOR Dataset', function () {
+        const dataset = Datasets.getXORDataSet();
+        const network = NetworkUtil.createXORNetwork();
+        const train = new QuickPropagation(network, dataset.input, dataset.output);
+
+        expect(train.getBatchSize()).toBe(0);
+        NetworkUtil.trainNetwork(train, {minError: 0.01, maxIterations: 500});
+        const accuracy = NetworkUtil.validateNetwork(network, dataset.input, dataset.output);
+
+        expect(train.getError()).toBeLessThan(0.01);
+        expect(accuracy).toBe(100);
+    });
+
+    test('Iris Flower Dataset using normalized data', function () {
+        const irisDataset = Datasets.getNormalizedIrisDataSet();
+        const network = NetworkUtil.createIrisNetwork();
+        const train = new QuickPropagation(network, irisDataset.train.input, irisDataset.train.output);
+
+        NetworkUtil.trainNetwork(train, {minError: 0.01, minIterations: 5, maxIterations: 500});
+        const accuracy = NetworkUtil.validateNetwork(network, irisDataset.test.input, irisDataset.test.output);
+
+        expect(accuracy).toBeGreaterThan(75);
+    });
+
+    test('The previous slope includes the weight decay', function () {
+        const dataset = Datasets.getXORDataSet();
+        const train = new QuickPropagation(NetworkUtil.createXORNetwork(), dataset.input, dataset.output);
+        const eps = train.getOutputEpsilon() / dataset.input.length;
+        const lastGradient = [0];
+
+        train.setDecay(0.1);
+        train.currentFlatNetwork.weights[0] = 1;
+
+        // slope = -gradient + decay * weight
+        const first = train.updateWeight([-1], lastGradient, 0);
+        expect(first).toBeCloseTo(-eps * 1.1, 10);
+        expect(lastGradient[0]).toBeCloseTo(-1.1, 10);
+
+        const second = train.updateWeight([-0.5], lastGradient, 0);
+        expect(second).toBeCloseTo(-eps * 0.6 + first * 0.6 / (1.1 - 0.6), 10);
+    });
+});
\ No newline at end of file
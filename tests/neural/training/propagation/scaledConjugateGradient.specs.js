@@ -0,0 +1,91 @@
+describe('ScaledConjugateGradient', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const ScaledConjugateGradient = Encog.Training.Propagation.ScaledConjugateGradient;
+    const BackPropagation = Encog.Training.Propagation.Back;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+
+    const sinDataset = function () {
+        const input = [];
+        const output = [];
+        for (let i = 0; i < 40; i++) {
+            const x = -1 + 2 * i / 39;
+            input.push([x]);
+            output.push([0.5 + 0.4 * Math.sin(3 * x)]);
+        }
+        return {input: input, output: output};
+    };
+
+    const createSinNetwork = function () {
+        const network = new Encog.Networks.Basic();
+        network.addLayer(new Encog.Layers.Basic(null, true, 1));
+        network.addLayer(new Encog.Layers.Basic(new Encog.ActivationFunctions.Sigmoid(), true, 8));
+        network.addLayer(new Encog.Layers.Basic(new Encog.ActivationFunctions.Sigmoid(), false, 1));
+        network.randomize();
+        return network;
+    };
+
+    beforeEach(function () {
+        RandomFactory.setSeed(2018);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('XOR Dataset', function () {
+        const dataset = Datasets.getXORDataSet();
+        const network = NetworkUtil.createXORNetwork();
+        const train = new ScaledConjugateGradient(network, dataset.input, dataset.output);
+        let previousError = Infinity;
+
+        do {
+            train.iteration();
+            // a step is only taken when it reduces the error
+            expect(train.getError()).toBeLessThanOrEqual(previousError);
+            previousError = train.getError();
+        } while (train.getError() > 0.01 && train.getIteration() < 500);
+
+        expect(train.getError()).toBeLessThan(0.01);
+        expect(NetworkUtil.validateNetwork(network, dataset.input, dataset.output)).toBe(100);
+    });
+
+    test('Regression converges faster than back propagation', function () {
+        const dataset = sinDataset();
+        const network = createSinNetwork();
+        const backNetwork = createSinNetwork();
+        backNetwork.getFlat().weights = network.getFlat().weights.slice();
+        const train = new ScaledConjugateGradient(network, dataset.input, dataset.output);
+        const back = new BackPropagation(backNetwork, dataset.input, dataset.output, 0.7, 0.3);
+        back.setBatchSize(0);
+
+        train.iteration(100);
+        back.iteration(100);
+
+        expect(train.getError()).toBeLessThan(0.001);
+        expect(train.getError()).toBeLessThan(back.getError());
+    });
+
+    test('Iris Flower Dataset with 2 threads', function () {
+        const irisDataset = Datasets.getNormalizedIrisDataSet();
+        const network = NetworkUtil.createIrisNetwork();
+        const train = new ScaledConjugateGradient(network, irisDataset.train.input, irisDataset.train.output);
+
+        train.setThreadCount(2);
+        NetworkUtil.trainNetwork(train, {minError: 0.01, minIterations: 5, maxIterations: 300});
+        const accuracy = NetworkUtil.validateNetwork(network, irisDataset.test.input, irisDataset.test.output);
+
+        expect(accuracy).toBeGreaterThan(75);
+    });
+
+    test('Only pure batch training is supported', function () {
+        const dataset = Datasets.getXORDataSet();
+        const train = new ScaledConjugateGradient(NetworkUtil.createXORNetwork(), dataset.input, dataset.output);
+
+        expect(train.getBatchSize()).toBe(0);
+        expect(() => train.setBatchSize(1)).toThrow();
+    });
+});
\ No newline at end of file
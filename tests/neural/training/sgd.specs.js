@@ -85,4 +85,70 @@ describe('Stochastic Gradient Descent', function () {
             expect(accuracy).toBeGreaterThan(40);
         }));
     });
+
+    describe('Mini-batches', () => {
+        const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+
+        afterEach(function () {
+            RandomFactory.setSeed(null);
+        });
+
+        test('Iris Flower Dataset using Adam update with mini-batches', function () {
+            RandomFactory.setSeed(2018);
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            network = NetworkUtil.createIrisNetwork();
+
+            train = new StochasticGradientDescent(network, irisDataset.train.input, irisDataset.train.output, new AdamUpdate());
+            train.setBatchSize(10);
+            train.setLearningRate(0.01);
+
+            NetworkUtil.trainNetwork(train, {minError: 0.01, minIterations: 100, maxIterations: 500});
+            const accuracy = NetworkUtil.validateNetwork(network, irisDataset.test.input, irisDataset.test.output);
+
+            expect(accuracy).toBeGreaterThan(80);
+        });
+
+        test('One update per mini-batch', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const batchCount = Math.ceil(irisDataset.train.input.length / 16);
+            network = NetworkUtil.createIrisNetwork();
+
+            train = new StochasticGradientDescent(network, irisDataset.train.input, irisDataset.train.output, new MomentumUpdate());
+            train.setBatchSize(16);
+            expect(train.getEpoch()).toBe(0);
+
+            for (let i = 0; i < batchCount; i++) {
+                train.iteration();
+            }
+            expect(train.getIteration()).toBe(batchCount);
+            expect(train.getEpoch()).toBe(1);
+
+            train.iteration();
+            expect(train.getIteration()).toBe(batchCount + 1);
+            expect(train.getEpoch()).toBe(2);
+        });
+
+        test('Same weights for the same seed', function () {
+            const irisDataset = Datasets.getNormalizedIrisDataSet();
+            const trainWithSeed = () => {
+                RandomFactory.setSeed(7);
+                network = NetworkUtil.createIrisNetwork();
+
+                train = new StochasticGradientDescent(network, irisDataset.train.input, irisDataset.train.output, new RmsPropUpdate());
+                train.setBatchSize(8);
+                NetworkUtil.trainNetwork(train, {minError: 0, maxIterations: 40});
+
+                return network.getFlat().weights.slice();
+            };
+
+            expect(trainWithSeed()).toEqual(trainWithSeed());
+        });
+
+        test('Invalid batch size', function () {
+            const dataset = Datasets.getXORDataSet();
+            train = new StochasticGradientDescent(NetworkUtil.createXORNetwork(), dataset.input, dataset.output);
+
+            expect(() => train.setBatchSize(-1)).toThrow();
+        });
+    });
 });
\ No newline at end of file
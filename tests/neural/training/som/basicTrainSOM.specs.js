@@ -0,0 +1,124 @@
+describe('BasicTrainSOM', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const SOMNetwork = Encog.Networks.Som;
+    const BasicTrainSOM = Encog.Training.SOM.BasicTrainSOM;
+    const NeighborhoodRBF = Encog.Training.SOM.Neighborhood.NeighborhoodRBF;
+    const NeighborhoodRBF1D = Encog.Training.SOM.Neighborhood.NeighborhoodRBF1D;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    const Matrix = Encog.MathUtils.Matrices.Matrix;
+
+    const clusters = [[-1, -1], [1, 1], [-1, 1], [1, -1]];
+
+    const createDataset = function () {
+        const random = RandomFactory.factor();
+        const input = [];
+        for (let i = 0; i < 80; i++) {
+            const center = clusters[i % clusters.length];
+            input.push(center.map((value) => value + (random.nextDouble() - 0.5) / 5));
+        }
+        return input;
+    };
+
+    const trainAndCheck = function (neighborhood, outputCount, forceWinner = false) {
+        const input = createDataset();
+        const network = new SOMNetwork(2, outputCount);
+        network.reset();
+
+        const train = new BasicTrainSOM(network, 0.7, input, neighborhood);
+        train.setForceWinner(forceWinner);
+        train.setAutoDecay(50, 0.7, 0.01, 3, 0.3);
+        train.iteration(50);
+
+        const winners = clusters.map((center) => network.winner(center));
+        expect(new Set(winners).size).toBe(clusters.length);
+        input.forEach((record, i) => {
+            const center = clusters[i % clusters.length];
+            expect(network.calculateDistance(network.winner(record), center)).toBeLessThan(0.5);
+        });
+        expect(train.getError()).toBeLessThan(0.5);
+        expect(train.getIteration()).toBe(50);
+    };
+
+    beforeEach(function () {
+        RandomFactory.setSeed(1234);
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('Gaussian neighborhood on a 1D lattice', function () {
+        trainAndCheck(new NeighborhoodRBF1D('Gaussian'), 6);
+    });
+
+    test('Gaussian neighborhood on a 2D lattice', function () {
+        trainAndCheck(new NeighborhoodRBF('Gaussian', 3, 3), 9);
+    });
+
+    test('Mexican hat neighborhood on a hexagonal lattice', function () {
+        trainAndCheck(new NeighborhoodRBF('MexicanHat', 3, 3, true), 9, true);
+    });
+
+    test('Force the neurons that never win to win', function () {
+        const input = createDataset();
+        const network = new SOMNetwork(2, 4);
+        network.reset();
+        network.getWeights().getData()[3] = [50, 50];
+
+        const train = new BasicTrainSOM(network, 0.5, input, new NeighborhoodRBF1D('Gaussian', 0.1));
+        train.setForceWinner(true);
+        train.iteration();
+
+        expect(train.isForceWinner()).toBe(true);
+        expect(input).toContainEqual(network.getWeights().getData()[3]);
+    });
+
+    test('Training sets larger than the maximum number of arguments of a call', function () {
+        const input = [];
+        for (let i = 0; i < 200000; i++) {
+            input.push([i % 2 === 0 ? -1 : 1]);
+        }
+        const network = new SOMNetwork(1, 2);
+        network.setWeights(new Matrix([[-0.5], [0.5]]));
+
+        const train = new BasicTrainSOM(network, 0.5, input, new NeighborhoodRBF1D('Gaussian', 0.1));
+        train.iteration();
+
+        expect(train.getError()).toBeCloseTo(0.5, 10);
+    });
+
+    test('Neighborhood functions', function () {
+        const square = new NeighborhoodRBF('Gaussian', 4, 4);
+        const hexagon = new NeighborhoodRBF('Gaussian', 4, 4, true);
+        const line = new NeighborhoodRBF1D('MexicanHat', 2);
+
+        expect(square.function(5, 5)).toBe(1);
+        expect(square.function(4, 5)).toBeCloseTo(square.function(1, 5), 10);
+        expect(square.function(0, 5)).toBeLessThan(square.function(1, 5));
+        expect(hexagon.function(4, 5)).toBeCloseTo(hexagon.function(1, 5), 10);
+        expect(hexagon.function(2, 5)).toBeCloseTo(hexagon.function(6, 5), 10);
+        expect(line.function(0, 0)).toBe(1);
+        expect(line.function(3, 0)).toBeLessThan(0);
+        expect(() => new NeighborhoodRBF('Linear', 2, 2)).toThrow();
+    });
+
+    test('Auto decay of the learning rate and the radius', function () {
+        const neighborhood = new NeighborhoodRBF1D('Gaussian');
+        const train = new BasicTrainSOM(new SOMNetwork(2, 4), 0.5, createDataset(), neighborhood);
+        train.setAutoDecay(10, 0.8, 0.1, 2, 1);
+
+        train.iteration(5);
+        expect(train.getLearningRate()).toBeCloseTo(0.45, 10);
+        expect(neighborhood.getRadius()).toBeCloseTo(1.5, 10);
+
+        train.iteration(10);
+        expect(train.getLearningRate()).toBeCloseTo(0.1, 10);
+        expect(neighborhood.getRadius()).toBeCloseTo(1, 10);
+
+        train.decay(0.5);
+        expect(train.getLearningRate()).toBeCloseTo(0.05, 10);
+        expect(neighborhood.getRadius()).toBeCloseTo(0.5, 10);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+describe('Early Stopping', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const EarlyStopping = Encog.Strategies.EarlyStopping;
+    const ResilientPropagation = Encog.Training.Propagation.Resilient;
+    const StochasticGradientDescent = Encog.Training.SGD.StochasticGradientDescent;
+    const CalculateRegressionError = Encog.ErrorCalculation.CalculateRegression;
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('should stop training and restore the best weights', function () {
+        RandomFactory.setSeed(11);
+        const irisDataset = Datasets.getNormalizedIrisDataSet();
+        const network = NetworkUtil.createIrisNetwork();
+        const train = new ResilientPropagation(network, irisDataset.train.input, irisDataset.train.output);
+        const earlyStopping = new EarlyStopping(irisDataset.test.input, irisDataset.test.output, 20);
+        train.addStrategy(earlyStopping);
+
+        NetworkUtil.trainNetwork(train, {minError: 0, maxIterations: 1000});
+
+        expect(train.isTrainingDone()).toBeTruthy();
+        expect(train.getIteration()).toBeLessThan(1000);
+        expect(train.getIteration()).toBe(earlyStopping.getBestIteration() + 20);
+        expect(CalculateRegressionError.calculateError(network, irisDataset.test.input, irisDataset.test.output))
+            .toBeCloseTo(earlyStopping.getBestError(), 10);
+        expect(NetworkUtil.validateNetwork(network, irisDataset.test.input, irisDataset.test.output)).toBeGreaterThan(70);
+    });
+
+    test('should restore the best weights when the training ends on the maximum iterations', function () {
+        RandomFactory.setSeed(11);
+        const irisDataset = Datasets.getNormalizedIrisDataSet();
+        const network = NetworkUtil.createIrisNetwork();
+        const train = new ResilientPropagation(network, irisDataset.train.input, irisDataset.train.output);
+        const earlyStopping = new EarlyStopping(irisDataset.test.input, irisDataset.test.output, 1000);
+        train.addStrategy(earlyStopping);
+
+        NetworkUtil.trainNetwork(train, {minError: 0, maxIterations: 300});
+
+        expect(train.isTrainingDone()).toBeFalsy();
+        expect(train.getIteration()).toBe(300);
+        expect(earlyStopping.getBestIteration()).toBeLessThan(300);
+        expect(earlyStopping.getValidationError()).toBeGreaterThan(earlyStopping.getBestError());
+        expect(CalculateRegressionError.calculateError(network, irisDataset.test.input, irisDataset.test.output))
+            .toBeCloseTo(earlyStopping.getBestError(), 10);
+    });
+
+    test('should not stop while the validation error improves', function () {
+        RandomFactory.setSeed(11);
+        const irisDataset = Datasets.getNormalizedIrisDataSet();
+        const network = NetworkUtil.createIrisNetwork();
+        const train = new StochasticGradientDescent(network, irisDataset.train.input, irisDataset.train.output);
+        train.addStrategy(new EarlyStopping(irisDataset.test.input, irisDataset.test.output, 5));
+
+        NetworkUtil.trainNetwork(train, {minError: 0, maxIterations: 10});
+
+        expect(train.getIteration()).toBe(10);
+        expect(train.getMethod()).toBe(network);
+        expect(train.isTrainingDone()).toBeFalsy();
+    });
+
+    test('should reject invalid validation sets', function () {
+        expect(() => new EarlyStopping([], [])).toThrow();
+        expect(() => new EarlyStopping([[0, 1]], [[1], [0]])).toThrow();
+        expect(() => new EarlyStopping([[0, 1]], [[1]], 0)).toThrow();
+    });
+});
\ No newline at end of file
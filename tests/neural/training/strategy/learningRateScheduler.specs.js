@@ -0,0 +1,107 @@
+describe('Learning Rate Schedulers', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const Strategies = Encog.Strategies;
+    const BackPropagation = Encog.Training.Propagation.Back;
+    const ManhattanPropagation = Encog.Training.Propagation.Manhattan;
+    const ResilientPropagation = Encog.Training.Propagation.Resilient;
+    const StochasticGradientDescent = Encog.Training.SGD.StochasticGradientDescent;
+    const FreeformNetwork = Encog.Freeform.Network;
+    const FreeformBackPropagation = Encog.FreeformPropagation.Back;
+    const ActivationSigmoid = Encog.ActivationFunctions.Sigmoid;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+    const dataset = Datasets.getXORDataSet();
+
+    function learningRates(train, scheduler, iterations) {
+        const rates = [];
+        train.addStrategy(scheduler);
+
+        for (let i = 0; i < iterations; i++) {
+            train.iteration();
+            rates.push(train.learningRate);
+        }
+
+        return rates;
+    }
+
+    function createFreeformXORNetwork() {
+        const network = new FreeformNetwork();
+        const inputLayer = network.createInputLayer(2);
+        const hiddenLayer = network.createLayer(3);
+        const outputLayer = network.createOutputLayer(1);
+
+        network.connectLayers(inputLayer, hiddenLayer, new ActivationSigmoid(), 1.0, false);
+        network.connectLayers(hiddenLayer, outputLayer, new ActivationSigmoid(), 1.0, false);
+        network.randomize();
+
+        return network;
+    }
+
+    test('Step decay', function () {
+        const train = new BackPropagation(NetworkUtil.createXORNetwork(), dataset.input, dataset.output, 0.8, 0.3);
+        const rates = learningRates(train, new Strategies.StepDecayLearningRate(2, 0.5), 6);
+
+        [0.8, 0.8, 0.4, 0.4, 0.2, 0.2].forEach((rate, i) => expect(rates[i]).toBeCloseTo(rate, 10));
+    });
+
+    test('Exponential decay', function () {
+        const train = new ManhattanPropagation(NetworkUtil.createXORNetwork(), dataset.input, dataset.output, 0.1);
+        const rates = learningRates(train, new Strategies.ExponentialDecayLearningRate(0.5), 4);
+
+        [0.1, 0.05, 0.025, 0.0125].forEach((rate, i) => expect(rates[i]).toBeCloseTo(rate, 10));
+    });
+
+    test('Cosine annealing with warm restarts', function () {
+        const train = new StochasticGradientDescent(NetworkUtil.createXORNetwork(), dataset.input, dataset.output);
+        train.setLearningRate(0.1);
+        const rates = learningRates(train, new Strategies.CosineWarmRestartsLearningRate(2, 2, 0.01), 8);
+
+        [0.1, 0.055, 0.1, 0.086820, 0.055, 0.023180, 0.1, 0.096575].forEach((rate, i) => expect(rates[i]).toBeCloseTo(rate, 5));
+    });
+
+    test('One cycle', function () {
+        const train = new FreeformBackPropagation(createFreeformXORNetwork(), dataset.input, dataset.output, 0.7, 0.3);
+        const rates = learningRates(train, new Strategies.OneCycleLearningRate(1, 10, 0.2, 10, 100), 12);
+
+        expect(rates[0]).toBeCloseTo(0.1, 10);
+        expect(rates[1]).toBeCloseTo(0.55, 10);
+        expect(rates[2]).toBeCloseTo(1, 10);
+        expect(rates[9]).toBeCloseTo(0.01, 10);
+        expect(rates[11]).toBeCloseTo(0.01, 10);
+        for (let i = 3; i < 10; i++) {
+            expect(rates[i]).toBeLessThan(rates[i - 1]);
+        }
+    });
+
+    test('Reduce on plateau', function () {
+        const train = new BackPropagation(NetworkUtil.createXORNetwork(), dataset.input, dataset.output, 0.7, 0.3);
+        const scheduler = new Strategies.ReduceLearningRateOnPlateau(0.5, 2);
+        train.addStrategy(scheduler);
+
+        const errors = [1, 0.5, 0.6, 0.6, 0.6, 0.4, 0.7, 0.7, 0.7];
+        const rates = errors.map((error) => {
+            scheduler.preIteration();
+            train.error = error;
+            scheduler.postIteration();
+            return train.learningRate;
+        });
+
+        expect(rates).toEqual([0.7, 0.7, 0.7, 0.7, 0.35, 0.35, 0.35, 0.35, 0.175]);
+    });
+
+    test('Training algorithm without learning rate', function () {
+        const train = new ResilientPropagation(NetworkUtil.createXORNetwork(), dataset.input, dataset.output);
+
+        expect(() => train.addStrategy(new Strategies.StepDecayLearningRate(10))).toThrow();
+    });
+
+    test('Invalid parameters', function () {
+        expect(() => new Strategies.StepDecayLearningRate(0)).toThrow();
+        expect(() => new Strategies.ExponentialDecayLearningRate(1.5)).toThrow();
+        expect(() => new Strategies.CosineWarmRestartsLearningRate(10, 0.5)).toThrow();
+        expect(() => new Strategies.OneCycleLearningRate(1, 1)).toThrow();
+        expect(() => new Strategies.ReduceLearningRateOnPlateau(2)).toThrow();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+describe('Gradient worker pool', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const BackPropagation = Encog.Training.Propagation.Back;
+    const NetworkUtil = Encog.Utils.Network;
+    const Datasets = Encog.Utils.Datasets;
+    const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+
+    const createTrainers = function (dataset, createNetwork, threadCount) {
+        const network = createNetwork();
+        const threaded = createNetwork();
+        threaded.getFlat().weights = network.getFlat().weights.slice();
+
+        const train = new BackPropagation(network, dataset.input, dataset.output);
+        const threadedTrain = new BackPropagation(threaded, dataset.input, dataset.output);
+        train.setBatchSize(0);
+        threadedTrain.setBatchSize(0);
+        threadedTrain.setThreadCount(threadCount);
+
+        return {network, threaded, train, threadedTrain};
+    };
+
+    test('The gradients match a single thread over several iterations', function () {
+        const irisDataset = Datasets.getNormalizedIrisDataSet();
+        const {network, threaded, train, threadedTrain} = createTrainers(irisDataset.train, NetworkUtil.createIrisNetwork, 4);
+
+        for (let i = 0; i < 5; i++) {
+            train.iteration();
+            threadedTrain.iteration();
+
+            expect(threadedTrain.threadPool).not.toBeNull();
+            expect(threadedTrain.error).toBeCloseTo(train.error, 10);
+            train.gradients.forEach((gradient, j) => {
+                expect(threadedTrain.gradients[j]).toBeCloseTo(gradient, 10);
+            });
+        }
+        threadedTrain.finishTraining();
+
+        expect(threadedTrain.threadPool).toBeNull();
+        network.getFlat().weights.forEach((weight, i) => {
+            expect(threaded.getFlat().weights[i]).toBeCloseTo(weight, 10);
+        });
+    });
+
+    test('There are no more threads than training elements', function () {
+        const {train, threadedTrain} = createTrainers(Datasets.getXORDataSet(), NetworkUtil.createXORNetwork, 8);
+
+        train.calculateGradients();
+        threadedTrain.calculateGradients();
+
+        expect(threadedTrain.threadPool.threadCount).toBe(4);
+        expect(threadedTrain.threadPool.pool.size()).toBe(4);
+        expect(threadedTrain.error).toBeCloseTo(train.error, 10);
+        train.gradients.forEach((gradient, i) => {
+            expect(threadedTrain.gradients[i]).toBeCloseTo(gradient, 10);
+        });
+        threadedTrain.finishTraining();
+    });
+
+    test('A terminated pool can not be run', function () {
+        const {threadedTrain} = createTrainers(Datasets.getXORDataSet(), NetworkUtil.createXORNetwork, 2);
+
+        threadedTrain.calculateGradients();
+        const pool = threadedTrain.threadPool;
+        threadedTrain.finishTraining();
+
+        expect(() => pool.run()).toThrow(new EncogError("The worker pool has been terminated."));
+    });
+});
\ No newline at end of file
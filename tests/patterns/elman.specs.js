@@ -33,4 +33,22 @@ describe('Elman Network', function () {
 
         expect(accuracy).toBeGreaterThan(40);
     });
+
+     test('The context neurons hold the outputs of the hidden layer', function () {
+        ElmanPattern.setInputLayer(2);
+        ElmanPattern.addHiddenLayer(3);
+        ElmanPattern.setOutputLayer(1);
+
+        const network = ElmanPattern.generate();
+        const flat = network.getFlat();
+        const hiddenStart = flat.layerIndex[1];
+        const contextStart = flat.contextTargetOffset[1];
+
+        const first = network.compute([0.5, -0.5]);
+        const hiddenOutput = Array.from(flat.layerOutput).slice(hiddenStart, hiddenStart + 3);
+
+        expect(flat.contextTargetSize[1]).toBe(3);
+        expect(Array.from(flat.layerOutput).slice(contextStart, contextStart + 3)).toEqual(hiddenOutput);
+        expect(network.compute([0.5, -0.5])).not.toEqual(first);
+    });
 });
@@ -34,4 +34,20 @@ describe('Jordan Network', function () {
         //todo: find a better dataset
         expect(accuracy >= 0).toBe(true);
     });
+
+     test('The context neurons hold the outputs of the output layer', function () {
+        JordanPattern.setInputLayer(2);
+        JordanPattern.addHiddenLayer(3);
+        JordanPattern.setOutputLayer(2);
+
+        const network = JordanPattern.generate();
+        const flat = network.getFlat();
+        const contextStart = flat.contextTargetOffset[0];
+
+        const first = Array.from(network.compute([0.5, -0.5]));
+
+        expect(flat.contextTargetSize[0]).toBe(2);
+        expect(Array.from(flat.layerOutput).slice(contextStart, contextStart + 2)).toEqual(first);
+        expect(Array.from(network.compute([0.5, -0.5]))).not.toEqual(first);
+    });
 });
@@ -0,0 +1,124 @@
+describe('Sequential Network', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const NeuralNetworkError = require(PATHS.ERROR_HANDLING + 'neuralNetwork');
+    const FreeformNetworkError = require(PATHS.ERROR_HANDLING + 'freeformNetwork');
+    const ActivationFunctions = Encog.ActivationFunctions;
+    const Datasets = Encog.Utils.Datasets;
+    const NguyenWidrowRandomizer = require(PATHS.RANDOMIZERS + 'nguyenWidrow');
+    const RangeRandomizer = require(PATHS.RANDOMIZERS + 'range');
+    const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+    let Sequential;
+
+    beforeEach(function () {
+        RandomFactory.setSeed(1);
+        Sequential = new Encog.Patterns.Sequential();
+    });
+
+    afterEach(function () {
+        RandomFactory.setSeed(null);
+    });
+
+    test('Iris Flower Dataset', function () {
+        const irisDataset = Datasets.getNormalizedIrisDataSet();
+
+        const network = Sequential
+            .input(4)
+            .dense(10, {activation: new ActivationFunctions.Tanh()})
+            .dense(3, {activation: new ActivationFunctions.Softmax()})
+            .generate();
+
+        const train = new Encog.Training.Propagation.Resilient(network, irisDataset.train.input, irisDataset.train.output);
+
+        Encog.Utils.Network.trainNetwork(train, {minError: 0.01, minIterations: 5, maxIterations: 20});
+        const accuracy = Encog.Utils.Network.validateNetwork(network, irisDataset.test.input, irisDataset.test.output);
+
+        expect(network.getLayerCount()).toBe(3);
+        expect(accuracy).toBeGreaterThan(75);
+    });
+
+    test('The bias of a dense layer feeds its neurons', function () {
+        Sequential.input(4).dense(10).dense(3, {bias: false});
+        const network = Sequential.generate();
+
+        expect(network.isLayerBiased(0)).toBe(true);
+        expect(network.isLayerBiased(1)).toBe(false);
+        expect(network.isLayerBiased(2)).toBe(false);
+        expect(network.encodedArrayLength()).toBe(5 * 10 + 10 * 3);
+
+        let connectionCount = 0;
+        Sequential.generateFreeformNetwork().performConnectionTask(() => connectionCount++);
+        expect(connectionCount).toBe(5 * 10 + 10 * 3);
+    });
+
+    test('Dropout rates', function () {
+        const network = Sequential.input(2).dense(4, {dropout: 0.2}).dense(1).generate();
+
+        expect(network.getFlat().layerDropoutRates).toEqual([0, 0.2, 0]);
+    });
+
+    test('Randomizer', function () {
+        Sequential.input(2).dense(3).dense(1);
+        expect(Sequential.getRandomizer()).toBeInstanceOf(NguyenWidrowRandomizer);
+
+        Sequential.clear();
+        Sequential.input(2).dense(3, {activation: new ActivationFunctions.ReLu()}).dense(1);
+        expect(Sequential.getRandomizer()).toBeInstanceOf(RangeRandomizer);
+
+        Sequential.clear();
+        Sequential.input(2).dense(1);
+        expect(Sequential.getRandomizer()).toBeInstanceOf(RangeRandomizer);
+        Sequential.randomizer(new NguyenWidrowRandomizer());
+        expect(() => Sequential.generate()).toThrow(NeuralNetworkError);
+
+        const randomizer = new RangeRandomizer(-0.1, 0.1);
+        Sequential.randomizer(randomizer);
+        const weights = Sequential.generate().getFlat().weights;
+        expect(Sequential.getRandomizer()).toBe(randomizer);
+        expect(Math.max(...weights.map(Math.abs))).toBeLessThanOrEqual(0.1);
+    });
+
+    test('FreeformNetwork', function () {
+        const XORDataset = Datasets.getXORDataSet();
+        const network = Sequential.input(2).dense(3).dense(1).generateFreeformNetwork();
+
+        const train = new Encog.FreeformPropagation.Resilient(network, XORDataset.input, XORDataset.output);
+        Encog.Utils.Network.trainNetwork(train, {minError: 0.01, maxIterations: 500});
+
+        expect(network.getInputCount()).toBe(2);
+        expect(network.getOutputCount()).toBe(1);
+        expect(Encog.Utils.Network.validateNetwork(network, XORDataset.input, XORDataset.output)).toBe(100);
+    });
+
+    test('Invalid layers', function () {
+        expect(() => Sequential.input(0)).toThrow(NeuralNetworkError);
+        expect(() => Sequential.dense(2.5)).toThrow(NeuralNetworkError);
+        expect(() => Sequential.dense(2, {activation: 'tanh'})).toThrow(NeuralNetworkError);
+        expect(() => Sequential.dense(2, {dropout: 1})).toThrow(NeuralNetworkError);
+        expect(() => Sequential.setInputLayer(2, new ActivationFunctions.Softmax())).toThrow(NeuralNetworkError);
+        expect(() => Sequential.generate()).toThrow(new NeuralNetworkError("The input layer must be set before the network is generated."));
+
+        Sequential.input(2);
+        expect(() => Sequential.generate()).toThrow(NeuralNetworkError);
+    });
+
+    test('Invalid networks', function () {
+        Sequential.input(2).dense(3, {activation: new ActivationFunctions.Softmax()}).dense(1);
+        expect(() => Sequential.generate()).toThrow(new NeuralNetworkError("The softmax activation function can only be used on the output layer."));
+
+        Sequential.clear();
+        Sequential.input(2).dense(3).dense(1, {dropout: 0.5});
+        expect(() => Sequential.generate()).toThrow(new NeuralNetworkError("Dropout can not be used on the output layer."));
+
+        Sequential.clear();
+        Sequential.input(2).dense(3, {dropout: 0.5}).dense(2, {activation: new ActivationFunctions.Softmax()});
+        expect(() => Sequential.generate()).not.toThrow();
+        expect(() => Sequential.generateFreeformNetwork()).toThrow(FreeformNetworkError);
+
+        Sequential.clear();
+        Sequential.input(2).dense(3, {batchNormalization: true}).dense(1);
+        expect(Sequential.generate().getFlat().hasBatchNormalization()).toBe(true);
+        expect(() => Sequential.generateFreeformNetwork()).toThrow(FreeformNetworkError);
+    });
+});
\ No newline at end of file
@@ -46,6 +46,17 @@ describe('ArrayUtils', function () {
                 ArrayUtils.arrayCopy(arr1, -1, arr2, 4, 2);
                 expect(arr2).toEqual([0, 0, 0, 0, 0, 0, 0, 0]);
             });
+
+             test('non-zero sourcePos and targetPos', function () {
+                ArrayUtils.arrayCopy(arr1, 1, arr2, 3, 2);
+                expect(arr2).toEqual([0, 0, 0, 2, 3, 0, 0, 0]);
+            });
+
+             test('copy inside the same array', function () {
+                const arr = [1, 2, 3, 4, 5, 6, 7, 8];
+                ArrayUtils.arrayCopy(arr, 5, arr, 0, 3);
+                expect(arr).toEqual([6, 7, 8, 4, 5, 6, 7, 8]);
+            });
         });
     });
 
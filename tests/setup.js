@@ -0,0 +1,30 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * The temporary folders created by the current test.
+ */
+const tempDirs = [];
+
+/**
+ * Create a temporary folder, it is removed with its files after the test.
+ *
+ * @return {String} The path of the folder.
+ */
+global.createTempDir = function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'encog-'));
+    tempDirs.push(dir);
+    return dir;
+};
+
+afterEach(function () {
+    while (tempDirs.length > 0) {
+        const dir = tempDirs.pop();
+
+        for (let file of fs.readdirSync(dir)) {
+            fs.unlinkSync(path.join(dir, file));
+        }
+        fs.rmdirSync(dir);
+    }
+});
\ No newline at end of file
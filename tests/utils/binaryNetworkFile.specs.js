@@ -0,0 +1,126 @@
+describe('Binary Network File', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const path = require('path');
+    const BinaryNetworkFile = Encog.Utils.BinaryNetworkFile;
+    const NetworkFile = Encog.Utils.NetworkFile;
+    const FileUtils = Encog.Utils.File;
+    const NetworkUtil = Encog.Utils.Network;
+    const PersistError = require(PATHS.ERROR_HANDLING + 'persist');
+    const TrainingSetScore = require(PATHS.SCORE + 'trainingSet');
+    const input = [0.3, -0.2, 0.9, 0.1];
+    let network;
+
+    beforeEach(function () {
+        network = NetworkUtil.createBankNoteAuthenticationNetwork();
+    });
+
+    describe('toBuffer and parse methods', function () {
+        test('should save the Float64 weights and view them when loaded', function () {
+            const buffer = BinaryNetworkFile.toBuffer(network, {metadata: {dataset: 'banknote'}});
+
+            expect(buffer.toString('latin1', 0, 4)).toBe('ENCB');
+            expect(buffer.length).toBeLessThan(JSON.stringify(network).length / 2);
+
+            const file = BinaryNetworkFile.parse(buffer);
+            const weights = file.network.getFlat().getWeights();
+
+            expect(file.metadata).toEqual({dataset: 'banknote'});
+            expect(file.formatVersion).toBe(NetworkFile.getFormatVersion());
+            expect(weights).toBeInstanceOf(Float64Array);
+            expect(weights.buffer).toBe(buffer.buffer);
+            expect(Array.from(weights)).toEqual(network.getFlat().getWeights());
+            expect(file.network.compute(input)).toEqual(network.compute(input));
+        });
+
+        test('should save the weights as Float32', function () {
+            const buffer = BinaryNetworkFile.toBuffer(network, {weightType: 'float32'});
+            const float64Buffer = BinaryNetworkFile.toBuffer(network);
+            const weightCount = network.getFlat().getWeights().length;
+
+            expect(float64Buffer.length - buffer.length).toBeGreaterThanOrEqual(weightCount * 4 - 8);
+
+            const file = BinaryNetworkFile.parse(buffer);
+            const weights = file.network.getFlat().getWeights();
+
+            expect(file.weightType).toBe('float32');
+            expect(weights).toBeInstanceOf(Float32Array);
+            expect(file.network.compute(input)[0]).toBeCloseTo(network.compute(input)[0], 5);
+            expect(JSON.parse(JSON.stringify(file.network)).weights).toEqual(Array.from(weights));
+        });
+
+        test('should gzip the file', function () {
+            const buffer = BinaryNetworkFile.toBuffer(network, {gzip: true});
+
+            expect(buffer[0]).toBe(0x1f);
+            expect(buffer[1]).toBe(0x8b);
+            expect(Array.from(BinaryNetworkFile.parse(buffer).network.getFlat().getWeights()))
+                .toEqual(network.getFlat().getWeights());
+        });
+
+        test('should copy the weights that are not aligned', function () {
+            const buffer = BinaryNetworkFile.toBuffer(network);
+            const shifted = Buffer.alloc(buffer.length + 1);
+            buffer.copy(shifted, 1);
+
+            const weights = BinaryNetworkFile.parse(shifted.subarray(1)).network.getFlat().getWeights();
+            expect(Array.from(weights)).toEqual(network.getFlat().getWeights());
+        });
+
+        test('should save a batch normalized network', function () {
+            network = NetworkUtil.createBankNoteAuthenticationNetwork(true);
+            const newNetwork = BinaryNetworkFile.parse(BinaryNetworkFile.toBuffer(network)).network;
+
+            expect(newNetwork.compute(input)).toEqual(network.compute(input));
+        });
+    });
+
+    describe('errors', function () {
+        test('should throw an error for an invalid file', function () {
+            const buffer = BinaryNetworkFile.toBuffer(network);
+
+            expect(() => BinaryNetworkFile.parse(Buffer.from('{"type": "BasicNetwork"}'))).toThrow(PersistError);
+            expect(() => BinaryNetworkFile.parse(buffer.subarray(0, 100))).toThrow(/truncated/);
+            expect(() => BinaryNetworkFile.parse(buffer.subarray(0, buffer.length - 8))).toThrow(/truncated/);
+        });
+
+        test('should throw an error for an invalid option or network', function () {
+            expect(() => BinaryNetworkFile.toBuffer(network, {weightType: 'float16'})).toThrow(PersistError);
+            expect(() => BinaryNetworkFile.toBuffer(new Encog.Networks.Som(2, 2))).toThrow(PersistError);
+        });
+    });
+
+    describe('FileUtils', function () {
+        test('should save and load a binary network file', function () {
+            const filename = path.join(createTempDir(), 'network.bin');
+
+            FileUtils.saveBinaryNetwork(network, filename, {weightType: 'float32', gzip: true});
+            const newNetwork = FileUtils.loadBinaryNetwork(filename);
+
+            expect(newNetwork.compute(input)[0]).toBeCloseTo(network.compute(input)[0], 5);
+        });
+
+        ['SinglePoint', 'TwoPoint', 'Uniform', 'Blend'].forEach((type) => {
+            test('should train a loaded network with the ' + type + ' crossover', function () {
+                const filename = path.join(createTempDir(), 'xor.bin');
+                const dataset = Encog.Utils.Datasets.getXORDataSet();
+                const score = new TrainingSetScore(dataset.input, dataset.output);
+
+                FileUtils.saveBinaryNetwork(NetworkUtil.createXORNetwork(), filename, {weightType: 'float32'});
+                const loaded = FileUtils.loadBinaryNetwork(filename);
+                const initialError = score.calculateScore(loaded);
+                const train = new Encog.Training.NeuralGeneticAlgorithm(loaded, score, 20);
+
+                expect(loaded.getFlat().getWeights()).toBeInstanceOf(Float32Array);
+                train.setCrossover(new Encog.Training.Genetic.Crossover[type]());
+                for (let i = 0; i < 10; i++) {
+                    train.iteration();
+                }
+
+                expect(train.getError()).toBeLessThanOrEqual(initialError);
+                expect(score.calculateScore(loaded)).toBe(train.getError());
+            });
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,202 @@
+describe('EG File', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const _ = require('lodash');
+    const path = require('path');
+    const EGFile = Encog.Utils.EgFile;
+    const FileUtils = Encog.Utils.File;
+    const BasicNetwork = Encog.Networks.Basic;
+    const BasicLayer = Encog.Layers.Basic;
+    const ActivationFunctions = Encog.ActivationFunctions;
+    const PersistError = require(PATHS.ERROR_HANDLING + 'persist');
+
+    const createNetwork = function () {
+        const network = new BasicNetwork();
+        network.addLayer(new BasicLayer(null, true, 3));
+        network.addLayer(new BasicLayer(new ActivationFunctions.ElliottSymmetric(2), true, 5));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Ramp(0.8, 0.1, 0.9, -0.9), true, 4));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Softmax(), false, 2));
+        network.randomize();
+
+        return network;
+    };
+
+    describe('BasicNetwork', function () {
+        test('should write and read a network', function () {
+            const network = createNetwork();
+            const content = EGFile.write(network);
+
+            expect(content).toMatch(/^encog,BasicNetwork,js,/);
+            expect(content).toContain('[BASIC:NETWORK]');
+            expect(content).toContain('"ActivationSoftMax"');
+            expect(content).toContain('"ActivationRamp",0.8,0.1,0.9,-0.9');
+
+            const newNetwork = EGFile.read(content);
+            const activationFunctions = newNetwork.getFlat().getActivationFunctions();
+
+            expect(newNetwork).toBeInstanceOf(BasicNetwork);
+            expect(newNetwork.getFlat().getWeights()).toEqual(network.getFlat().getWeights());
+            expect(newNetwork.getLayerCount()).toBe(4);
+            expect(activationFunctions[0].type).toBe('ActivationSoftmax');
+            expect(activationFunctions[1].highThreshold).toBe(0.8);
+            expect(activationFunctions[1].low).toBe(-0.9);
+            expect(activationFunctions[2].slope).toBe(2);
+
+            const input = [0.2, -0.5, 0.7];
+            expect(newNetwork.compute(input)).toEqual(network.compute(input));
+        });
+
+        test('should write and read a network with context', function () {
+            const pattern = new Encog.Patterns.Elman();
+            pattern.setInputLayer(2);
+            pattern.addHiddenLayer(3);
+            pattern.setOutputLayer(1);
+            const network = pattern.generate();
+
+            const newNetwork = EGFile.read(EGFile.write(network));
+            expect(newNetwork.getFlat().hasContext).toBe(true);
+
+            _.each([[0, 1], [1, 1], [1, 0]], function (input) {
+                expect(newNetwork.compute(input)).toEqual(network.compute(input));
+            });
+        });
+
+        test('should read a network written by the Java implementation', function () {
+            const content = [
+                'encog,BasicNetwork,java,3.4.0,1,1541008893207',
+                '[BASIC]',
+                '[BASIC:PARAMS]',
+                '[BASIC:NETWORK]',
+                'beginTraining=0',
+                'connectionLimit=0',
+                'contextTargetOffset=0,0,0',
+                'contextTargetSize=0,0,0',
+                'endTraining=2',
+                'hasContext=f',
+                'inputCount=2',
+                'layerCounts=1,3,3',
+                'layerFeedCounts=1,2,2',
+                'layerContextCount=0,0,0',
+                'layerIndex=0,1,4',
+                'output=0.1,0.2,0.3,1,0,0,1',
+                'outputCount=1',
+                'weightIndex=0,3,9',
+                'weights=##0',
+                '##double#9',
+                '1.5,-2.5,0.5',
+                '-1.0E-1,2,3,4,5,6',
+                '##end',
+                'biasActivation=0,1,1',
+                '[BASIC:ACTIVATION]',
+                '"org.encog.engine.network.activation.ActivationSigmoid"',
+                '"ActivationElliott",3',
+                '"ActivationLinear"'
+            ].join('\r\n');
+
+            const network = EGFile.read(content);
+            const flat = network.getFlat();
+
+            expect(flat.getWeights()).toEqual([1.5, -2.5, 0.5, -0.1, 2, 3, 4, 5, 6]);
+            expect(flat.getLayerCounts()).toEqual([1, 3, 3]);
+            expect(flat.getActivationFunctions()[1].slope).toBe(3);
+
+            const elliott = (x) => ((x * 3) / 2) / (1 + Math.abs(x * 3)) + 0.5;
+            const hidden = [elliott(-0.1 * 0.1 + 2 * 0.2 + 3), elliott(4 * 0.1 + 5 * 0.2 + 6)];
+            const sum = 1.5 * hidden[0] - 2.5 * hidden[1] + 0.5;
+
+            expect(network.compute([0.1, 0.2])[0]).toBeCloseTo(1 / (1 + Math.exp(-sum)), 10);
+        });
+
+        test('should write the large arrays on several lines', function () {
+            const network = new BasicNetwork();
+            network.addLayer(new BasicLayer(null, true, 60));
+            network.addLayer(new BasicLayer(new ActivationFunctions.Sigmoid(), false, 40));
+            network.randomize();
+
+            const content = EGFile.write(network);
+            expect(content).toContain('weights=##0\n##double#2440\n');
+
+            const newNetwork = EGFile.read(content);
+            expect(newNetwork.getFlat().getWeights()).toEqual(network.getFlat().getWeights());
+        });
+
+        test('should throw an error for a batch normalized network', function () {
+            const network = new BasicNetwork();
+            network.addLayer(new BasicLayer(null, true, 2));
+            network.addLayer(new BasicLayer(new ActivationFunctions.Sigmoid(), true, 3, 0, true));
+            network.addLayer(new BasicLayer(new ActivationFunctions.Sigmoid(), false, 1));
+            network.randomize();
+
+            expect(() => EGFile.write(network)).toThrow(PersistError);
+        });
+    });
+
+    describe('HopfieldNetwork', function () {
+        test('should write and read a network', function () {
+            const pattern = new Encog.Patterns.Hopfield();
+            pattern.setInputLayer(8);
+            const network = pattern.generate();
+            network.addPattern([0, 0, 1, 0, 1, 1, 0, 1]);
+            network.getCurrentState().setData([1, -1, 1, 1, -1, 1, -1, 1]);
+
+            const content = EGFile.write(network);
+            expect(content).toContain('[HOPFIELD:NETWORK]');
+            expect(content).toContain('neurons=8');
+
+            const newNetwork = EGFile.read(content);
+            expect(newNetwork).toBeInstanceOf(Encog.Networks.Hopfield);
+            expect(newNetwork.getNeuronCount()).toBe(8);
+            expect(newNetwork.getWeights()).toEqual(_.map(network.getWeights(), Number));
+            expect(newNetwork.getCurrentState().getData()).toEqual([1, -1, 1, 1, -1, 1, -1, 1]);
+            expect(newNetwork.compute([0, 0, 1, 0, 1, 1, 0, 0])).toEqual(network.compute([0, 0, 1, 0, 1, 1, 0, 0]));
+        });
+    });
+
+    describe('BAMNetwork', function () {
+        test('should write and read a network', function () {
+            const pattern = new Encog.Patterns.Bam();
+            pattern.setF1Neurons(3);
+            pattern.setF2Neurons(2);
+            const network = pattern.generate();
+            network.addPattern([1, -1, 1], [1, -1]);
+            network.addPattern([-1, -1, 1], [-1, 1]);
+
+            const content = EGFile.write(network);
+            expect(content).toMatch(/^encog,BAM,js,/);
+            expect(content).toContain('weightsF1F2=3,2,');
+
+            const newNetwork = EGFile.read(content);
+            expect(newNetwork).toBeInstanceOf(Encog.Networks.Bam);
+            expect(newNetwork.f1Count).toBe(3);
+            expect(newNetwork.f2Count).toBe(2);
+            expect(newNetwork.weightsF1toF2.getData()).toEqual(network.weightsF1toF2.getData());
+            expect(newNetwork.weightsF2toF1.getData()).toEqual(network.weightsF2toF1.getData());
+        });
+    });
+
+    describe('errors', function () {
+        test('should throw an error for an invalid file', function () {
+            expect(() => EGFile.read('not an EG file')).toThrow(PersistError);
+            expect(() => EGFile.read('encog,BasicNetwork,java,3.4.0,2,0')).toThrow(PersistError);
+            expect(() => EGFile.read('encog,SVM,java,3.4.0,1,0')).toThrow(PersistError);
+            expect(() => EGFile.read('encog,BasicNetwork,java,3.4.0,1,0\n[BASIC]')).toThrow(PersistError);
+        });
+
+        test('should throw an error for an unsupported network', function () {
+            expect(() => EGFile.write(new Encog.Freeform.Network())).toThrow(PersistError);
+        });
+    });
+
+    describe('FileUtils', function () {
+        test('should save and load an EG file', function () {
+            const filename = path.join(createTempDir(), 'network.eg');
+            const network = createNetwork();
+
+            FileUtils.saveEGNetwork(network, filename);
+            const newNetwork = FileUtils.loadEGNetwork(filename);
+
+            expect(newNetwork.getFlat().getWeights()).toEqual(network.getFlat().getWeights());
+        });
+    });
+});
\ No newline at end of file
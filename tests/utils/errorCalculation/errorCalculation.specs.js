@@ -0,0 +1,76 @@
+describe('ErrorCalculation', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const ErrorCalculation = Encog.ErrorCalculation.ErrorCalculation;
+    const MODES = ErrorCalculation.getErrorCalculationModes();
+
+    const calculate = function (mode, actual, ideal) {
+        const errorCalculation = new ErrorCalculation(mode);
+        actual.forEach((row, i) => errorCalculation.updateError(row, ideal[i]));
+        return errorCalculation.calculate();
+    };
+
+    const actual = [[0.7, 0.2], [0.4, 0.9]];
+    const ideal = [[1, 0], [0, 1]];
+
+    test('Squared error modes', function () {
+        expect(calculate(MODES.MSE, actual, ideal)).toBeCloseTo(0.075, 10);
+        expect(calculate(MODES.RMS, actual, ideal)).toBeCloseTo(Math.sqrt(0.075), 10);
+        expect(calculate(MODES.ESS, actual, ideal)).toBeCloseTo(0.15, 10);
+    });
+
+    test('Log loss modes', function () {
+        const logLoss = -(Math.log(0.7) + Math.log(0.8) + Math.log(0.6) + Math.log(0.9)) / 4;
+        const hotLogLoss = -(Math.log(0.7) + Math.log(0.9)) / 2;
+
+        expect(calculate(MODES.LOGLOSS, actual, ideal)).toBeCloseTo(logLoss, 10);
+        expect(calculate(MODES.HOT_LOGLOSS, actual, ideal)).toBeCloseTo(hotLogLoss, 10);
+        expect(calculate(MODES.LOGLOSS, [[0, 1]], [[1, 0]])).toBeLessThan(Infinity);
+    });
+
+    test('Normalized RMS modes', function () {
+        expect(calculate(MODES.NRMSE_MEAN, [[1], [5]], [[2], [4]])).toBeCloseTo(1 / 3, 10);
+        expect(calculate(MODES.NRMSE_RANGE, [[1], [5]], [[2], [4]])).toBeCloseTo(0.5, 10);
+    });
+
+    test('Added calculations match a single calculation', function () {
+        const first = new ErrorCalculation(MODES.NRMSE_RANGE);
+        const second = new ErrorCalculation();
+        first.updateError([1], [2]);
+        second.updateError([5], [4]);
+        first.add(second);
+
+        expect(first.calculate()).toBeCloseTo(0.5, 10);
+        expect(first.recordCount).toBe(2);
+    });
+
+    test('Default and invalid modes', function () {
+        expect(new ErrorCalculation().getMode()).toBe(MODES.MSE);
+        expect(() => new ErrorCalculation('MAE')).toThrow();
+        expect(() => ErrorCalculation.setDefaultMode('MAE')).toThrow();
+
+        ErrorCalculation.setDefaultMode(MODES.RMS);
+        expect(new ErrorCalculation().getMode()).toBe(MODES.RMS);
+        ErrorCalculation.setDefaultMode(MODES.MSE);
+    });
+
+    test('Error calculation mode of a trainer', function () {
+        const NetworkUtil = Encog.Utils.Network;
+        const irisDataset = Encog.Utils.Datasets.getNormalizedIrisDataSet();
+        const network = NetworkUtil.createIrisNetwork();
+        const train = new Encog.Training.Propagation.Back(network, irisDataset.train.input, irisDataset.train.output);
+
+        expect(train.getErrorCalculationMode()).toBe(MODES.MSE);
+        expect(() => train.setErrorCalculationMode('MAE')).toThrow();
+
+        train.setBatchSize(0);
+        train.setErrorCalculationMode(MODES.HOT_LOGLOSS);
+        train.calculateGradients();
+
+        const expected = Encog.Utils.Error.calculateRegressionError(network, irisDataset.train.input,
+            irisDataset.train.output, MODES.HOT_LOGLOSS);
+        expect(train.getErrorCalculationMode()).toBe(MODES.HOT_LOGLOSS);
+        expect(train.getError()).toBeCloseTo(expected, 10);
+    });
+});
\ No newline at end of file
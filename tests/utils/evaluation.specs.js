@@ -0,0 +1,102 @@
+describe('Evaluation', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const Evaluation = Encog.Utils.Evaluation;
+    const identity = {compute: (input) => input};
+
+    describe('Single output', function () {
+        const input = [[0.9], [0.8], [0.4], [0.35], [0.1]];
+        const output = [[1], [1], [0], [1], [0]];
+
+        test('Confusion matrix and metrics', function () {
+            const evaluation = Evaluation.evaluate(identity, input, output);
+
+            expect(evaluation.getConfusionMatrix()).toEqual([[2, 0], [1, 2]]);
+            expect(evaluation.getAccuracy()).toBeCloseTo(0.8, 10);
+            expect(evaluation.getPrecision(1)).toBeCloseTo(1, 10);
+            expect(evaluation.getRecall(1)).toBeCloseTo(2 / 3, 10);
+            expect(evaluation.getF1(1)).toBeCloseTo(0.8, 10);
+            expect(evaluation.getPrecision(0)).toBeCloseTo(2 / 3, 10);
+            expect(evaluation.getRecall(0)).toBeCloseTo(1, 10);
+            expect(evaluation.getMacroAverage().precision).toBeCloseTo(5 / 6, 10);
+            expect(evaluation.getMicroAverage().f1).toBeCloseTo(0.8, 10);
+        });
+
+        test('ROC curve and AUC', function () {
+            const evaluation = Evaluation.evaluate(identity, input, output);
+            const curve = evaluation.getRocCurve();
+
+            expect(curve[0]).toEqual({falsePositiveRate: 0, truePositiveRate: 0, threshold: Infinity});
+            expect(curve[curve.length - 1].falsePositiveRate).toBe(1);
+            expect(curve[curve.length - 1].truePositiveRate).toBe(1);
+            expect(curve[2].threshold).toBe(0.8);
+            expect(evaluation.getAUC()).toBeCloseTo(5 / 6, 10);
+        });
+
+        test('Threshold', function () {
+            const evaluation = Evaluation.evaluate(identity, [[0.3], [-0.2]], [[1], [-1]], 0);
+
+            expect(evaluation.getConfusionMatrix()).toEqual([[1, 0], [0, 1]]);
+            expect(evaluation.getAUC()).toBe(1);
+        });
+    });
+
+    describe('One-hot output', function () {
+        const input = [[0.8, 0.1, 0.1], [0.2, 0.7, 0.1], [0.6, 0.3, 0.1], [0.1, 0.2, 0.7]];
+        const output = [[1, 0, 0], [0, 1, 0], [0, 1, 0], [0, 0, 1]];
+
+        test('Confusion matrix and metrics', function () {
+            const evaluation = Evaluation.evaluate(identity, input, output);
+            const macro = evaluation.getMacroAverage();
+            const micro = evaluation.getMicroAverage();
+
+            expect(evaluation.getClassCount()).toBe(3);
+            expect(evaluation.getConfusionMatrix()).toEqual([[1, 0, 0], [1, 1, 0], [0, 0, 1]]);
+            expect(evaluation.getAccuracy()).toBeCloseTo(0.75, 10);
+            expect(macro.precision).toBeCloseTo(5 / 6, 10);
+            expect(macro.recall).toBeCloseTo(5 / 6, 10);
+            expect(macro.f1).toBeCloseTo(7 / 9, 10);
+            expect(micro.precision).toBeCloseTo(0.75, 10);
+            expect(micro.recall).toBeCloseTo(0.75, 10);
+            expect(evaluation.getAUC(2)).toBe(1);
+        });
+
+        test('Iris Flower Dataset', function () {
+            const RandomFactory = Encog.MathUtils.Generators.RandomFactory;
+            const NetworkUtil = Encog.Utils.Network;
+
+            RandomFactory.setSeed(2018);
+            const irisDataset = Encog.Utils.Datasets.getNormalizedIrisDataSet();
+            const network = NetworkUtil.createIrisNetwork();
+            const train = new Encog.Training.Propagation.Resilient(network, irisDataset.train.input, irisDataset.train.output);
+            NetworkUtil.trainNetwork(train, {minError: 0.01, maxIterations: 200});
+            RandomFactory.setSeed(null);
+
+            const expected = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+            irisDataset.test.input.forEach((input, i) => {
+                const actual = Array.from(network.compute(input));
+                expected[irisDataset.test.output[i].indexOf(1)][actual.indexOf(Math.max(...actual))]++;
+            });
+
+            const evaluation = Evaluation.evaluate(network, irisDataset.test.input, irisDataset.test.output);
+            expect(evaluation.getConfusionMatrix()).toEqual(expected);
+            expect(evaluation.getAccuracy()).toBeGreaterThan(0.9);
+            expect(evaluation.getMicroAverage().f1).toBeCloseTo(evaluation.getAccuracy(), 10);
+
+            for (let c = 0; c < 3; c++) {
+                const precision = expected[c][c] / (expected[0][c] + expected[1][c] + expected[2][c]);
+                const recall = expected[c][c] / (expected[c][0] + expected[c][1] + expected[c][2]);
+
+                expect(evaluation.getPrecision(c)).toBeCloseTo(precision, 10);
+                expect(evaluation.getRecall(c)).toBeCloseTo(recall, 10);
+                expect(evaluation.getF1(c)).toBeCloseTo(2 * precision * recall / (precision + recall), 10);
+            }
+        });
+    });
+
+    test('Invalid data', function () {
+        expect(() => Evaluation.evaluate(identity, [], [])).toThrow();
+        expect(() => Evaluation.evaluate(identity, [[1]], [[1]]).getRocCurve()).toThrow();
+    });
+});
\ No newline at end of file
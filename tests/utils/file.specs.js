@@ -14,10 +14,11 @@ describe('File Utils', function () {
 
         test('', function () {
             const toJSONSpy = jest.spyOn(network, 'toJSON');
-            fs.writeFileSync = jest.fn();
+            const writeFileSyncSpy = jest.spyOn(fs, 'writeFileSync').mockImplementation(() => {});
             FileUtils.saveNetwork(network, 'test.dat');
-            expect(fs.writeFileSync).toHaveBeenCalled();
+            expect(writeFileSyncSpy).toHaveBeenCalled();
             expect(toJSONSpy).toHaveBeenCalled();
+            writeFileSyncSpy.mockRestore();
         });
     });
 });
\ No newline at end of file
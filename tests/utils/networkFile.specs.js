@@ -0,0 +1,107 @@
+describe('Network File', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const _ = require('lodash');
+    const path = require('path');
+    const NetworkFile = Encog.Utils.NetworkFile;
+    const FileUtils = Encog.Utils.File;
+    const NetworkUtil = Encog.Utils.Network;
+    const PersistError = require(PATHS.ERROR_HANDLING + 'persist');
+    const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+    let network;
+
+    beforeEach(function () {
+        network = NetworkUtil.createXORNetwork();
+    });
+
+    describe('stringify and parse methods', function () {
+        test('should save the network in a versioned envelope', function () {
+            const data = JSON.parse(NetworkFile.stringify(network, {dataset: 'XOR'}));
+
+            expect(data.formatVersion).toBe(NetworkFile.getFormatVersion());
+            expect(data.libraryVersion).toBe(require(PATHS.BASE + '/package.json').version);
+            expect(Date.parse(data.created)).not.toBeNaN();
+            expect(data.metadata).toEqual({dataset: 'XOR'});
+            expect(data.network.type).toBe('BasicNetwork');
+
+            const file = NetworkFile.parse(JSON.stringify(data));
+            expect(file.metadata).toEqual({dataset: 'XOR'});
+            expect(file.created).toBe(data.created);
+            expect(file.network.getFlat().getWeights()).toEqual(network.getFlat().getWeights());
+        });
+
+        test('should migrate a file without envelope', function () {
+            const content = JSON.stringify(network);
+            const file = NetworkFile.parse(content);
+
+            expect(file.formatVersion).toBe(NetworkFile.getFormatVersion());
+            expect(file.libraryVersion).toBe(JSON.parse(content).version);
+            expect(file.metadata).toEqual({});
+            expect(file.network.getFlat().getWeights()).toEqual(network.getFlat().getWeights());
+        });
+
+        test('should restore the networks of every type', function () {
+            const hopfieldPattern = new Encog.Patterns.Hopfield();
+            hopfieldPattern.setInputLayer(4);
+            const hopfield = hopfieldPattern.generate();
+            hopfield.addPattern([1, 0, 1, 0]);
+
+            const som = new Encog.Networks.Som(3, 2);
+            som.reset();
+
+            _.each([hopfield, som], function (original) {
+                const restored = NetworkFile.parse(NetworkFile.stringify(original)).network;
+                expect(restored.constructor).toBe(original.constructor);
+                expect(JSON.stringify(restored)).toEqual(JSON.stringify(original));
+            });
+        });
+    });
+
+    describe('errors', function () {
+        const expectError = function (data, message) {
+            expect(() => NetworkFile.parse(JSON.stringify(data))).toThrow(PersistError);
+            expect(() => NetworkFile.parse(JSON.stringify(data))).toThrow(message);
+        };
+
+        test('should throw an error for an invalid file', function () {
+            expect(() => NetworkFile.parse('{"formatVersion": 2,')).toThrow(PersistError);
+            expect(() => NetworkFile.parse('[1, 2]')).toThrow(EncogError);
+            expectError({formatVersion: NetworkFile.getFormatVersion() + 1, network: network}, /newer/);
+            expectError({formatVersion: 'two', network: network}, /version/);
+            expectError({type: 'SVMNetwork'}, /Not a valid network type/);
+        });
+
+        test('should validate the array lengths of a basic network', function () {
+            const data = JSON.parse(JSON.stringify(network));
+
+            expectError(_.assign({}, data, {weights: data.weights.slice(1)}), /weights/);
+            expectError(_.assign({}, data, {layerIndex: [0, 1]}), /layerIndex/);
+            expectError(_.assign({}, data, {layerOutput: data.layerOutput.concat([0])}), /layerOutput/);
+            expectError(_.assign({}, data, {layerCounts: [1, 'five', 3]}), /layerCounts/);
+            expectError(_.omit(data, 'biasActivation'), /biasActivation/);
+        });
+
+        test('should validate the other networks', function () {
+            const som = JSON.parse(JSON.stringify(new Encog.Networks.Som(3, 2)));
+            som.weights[1].pop();
+            expectError(som, /row 1/);
+
+            const hopfield = JSON.parse(JSON.stringify(new Encog.Networks.Hopfield(3)));
+            hopfield.currentState.push(1);
+            expectError(hopfield, /currentState/);
+        });
+    });
+
+    describe('FileUtils', function () {
+        test('should save and load a network file with its metadata', function () {
+            const filename = path.join(createTempDir(), 'network.json');
+
+            FileUtils.saveNetwork(network, filename, {author: 'encog'});
+
+            const file = FileUtils.loadNetworkFile(filename);
+            expect(file.metadata).toEqual({author: 'encog'});
+            expect(FileUtils.loadNetwork(filename).compute([1, 0])).toEqual(network.compute([1, 0]));
+        });
+    });
+});
\ No newline at end of file
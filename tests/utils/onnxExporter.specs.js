@@ -0,0 +1,208 @@
+describe('ONNX Exporter', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const _ = require('lodash');
+    const fs = require('fs');
+    const path = require('path');
+    const OnnxExporter = Encog.Utils.OnnxExporter;
+    const FileUtils = Encog.Utils.File;
+    const BasicNetwork = Encog.Networks.Basic;
+    const BasicLayer = Encog.Layers.Basic;
+    const ActivationFunctions = Encog.ActivationFunctions;
+    const PersistError = require(PATHS.ERROR_HANDLING + 'persist');
+    const GOLDEN_FOLDER = PATHS.TESTS + 'utils/golden/';
+    const options = {producerVersion: 'golden'};
+
+    /**
+     * The weights are set from their index, so the exported models do not depend on the randomizer.
+     */
+    const setWeights = function (network) {
+        const weights = network.getFlat().getWeights();
+
+        for (let i = 0; i < weights.length; i++) {
+            weights[i] = Math.round(Math.sin(i + 1) * 1000) / 1000;
+        }
+
+        return network;
+    };
+
+    const createXORNetwork = function () {
+        const network = new BasicNetwork();
+        network.addLayer(new BasicLayer(null, true, 2));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Sigmoid(), true, 3));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Sigmoid(), false, 1));
+        network.randomize();
+
+        return setWeights(network);
+    };
+
+    const createElliottNetwork = function () {
+        const network = new BasicNetwork();
+        network.addLayer(new BasicLayer(null, true, 3));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Elliott(2), true, 4));
+        network.addLayer(new BasicLayer(new ActivationFunctions.ElliottSymmetric(), true, 4));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Softmax(), false, 2));
+        network.randomize();
+
+        return setWeights(network);
+    };
+
+    const createOtherNetwork = function () {
+        const network = new BasicNetwork();
+        network.addLayer(new BasicLayer(null, true, 3));
+        network.addLayer(new BasicLayer(new ActivationFunctions.ReLu(), true, 4, 0, true));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Ramp(), true, 4));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Gaussian(), true, 4));
+        network.addLayer(new BasicLayer(new ActivationFunctions.SteepenedSigmoid(), true, 4));
+        network.addLayer(new BasicLayer(new ActivationFunctions.Tanh(), false, 1));
+        network.randomize();
+
+        return network;
+    };
+
+    /**
+     * A tiny interpreter of the nodes built by the exporter. The tensors are
+     * numbers (scalars), arrays (vectors) or arrays of rows (matrices).
+     */
+    const evaluateGraph = function (graph, input) {
+        const values = {input};
+        const at = (tensor, i, j) => (typeof tensor === 'number' ? tensor : tensor[i][j]);
+        const map = (tensor, fn) => tensor.map((row, i) => row.map((x, j) => fn(x, i, j)));
+        const operators = {
+            Gemm: (x, w, bias) => x.map((row) => w.map((weights, j) => _.sum(weights.map((weight, k) => weight * row[k]))
+                + (bias ? bias[j] : 0))),
+            BatchNormalization: (x, gamma, beta, mean, variance, attributes) => map(x, (v, i, j) =>
+                ((v - mean[j]) / Math.sqrt(variance[j] + attributes.epsilon.value) * gamma[j]) + beta[j]),
+            Identity: (x) => x,
+            Sigmoid: (x) => map(x, (v) => 1 / (1 + Math.exp(-v))),
+            Tanh: (x) => map(x, Math.tanh),
+            Relu: (x) => map(x, (v) => Math.max(v, 0)),
+            Exp: (x) => map(x, Math.exp),
+            Neg: (x) => map(x, (v) => -v),
+            Abs: (x) => map(x, Math.abs),
+            Softmax: (x) => x.map((row) => {
+                const exps = row.map(Math.exp);
+                return exps.map((v) => v / _.sum(exps));
+            }),
+            Mul: (a, b) => map(a, (v, i, j) => v * at(b, i, j)),
+            Add: (a, b) => map(a, (v, i, j) => v + at(b, i, j)),
+            Div: (a, b) => map(a, (v, i, j) => v / at(b, i, j)),
+            Greater: (a, b) => map(a, (v, i, j) => v > at(b, i, j)),
+            Less: (a, b) => map(a, (v, i, j) => v < at(b, i, j)),
+            Where: (condition, a, b) => map(condition, (v, i, j) => (v ? at(a, i, j) : at(b, i, j)))
+        };
+
+        for (let initializer of graph.initializers) {
+            if (initializer.dims.length === 0) {
+                values[initializer.name] = initializer.values[0];
+            } else if (initializer.dims.length === 1) {
+                values[initializer.name] = Array.from(initializer.values);
+            } else {
+                values[initializer.name] = _.chunk(Array.from(initializer.values), initializer.dims[1]);
+            }
+        }
+
+        for (let node of graph.nodes) {
+            expect(operators[node.opType]).toBeDefined();
+            values[node.output] = operators[node.opType](...node.inputs.map((name) => values[name]), node.attributes);
+        }
+
+        return values.output;
+    };
+
+    const expectGraphToCompute = function (network) {
+        const flat = network.getFlat();
+        const inputs = [[0, 0, 0], [0.5, -1, 2], [-3, 0.25, 1], [1, 1, -0.5]].map((row) => row.slice(0, flat.inputCount));
+        const outputs = evaluateGraph(OnnxExporter.buildGraph(flat), inputs);
+
+        inputs.forEach((input, i) => {
+            const expected = network.compute(input);
+            expect(outputs[i].length).toBe(expected.length);
+            expected.forEach((value, j) => {
+                expect(outputs[i][j]).toBeCloseTo(value, 10);
+            });
+        });
+    };
+
+    describe('buildGraph method', function () {
+        test('should compute the same outputs as the sigmoid network', function () {
+            expectGraphToCompute(createXORNetwork());
+        });
+
+        test('should compute the same outputs as the Elliott network', function () {
+            expectGraphToCompute(createElliottNetwork());
+        });
+
+        test('should compute the same outputs as the other activation functions and the batch normalization', function () {
+            const network = setWeights(createOtherNetwork());
+            const flat = network.getFlat();
+
+            for (let i = 0; i < flat.runningMean.length; i++) {
+                flat.runningMean[i] = Math.cos(i) / 2;
+                flat.runningVariance[i] = 0.5 + (i / 10);
+            }
+
+            expectGraphToCompute(network);
+        });
+
+        test('should compute the same outputs with custom ReLU and ramp thresholds', function () {
+            const network = new BasicNetwork();
+            network.addLayer(new BasicLayer(null, true, 3));
+            network.addLayer(new BasicLayer(new ActivationFunctions.ReLu(0.2, -0.1), true, 4));
+            network.addLayer(new BasicLayer(new ActivationFunctions.Ramp(0.8, 0.1, 0.9, -0.9), true, 4));
+            network.addLayer(new BasicLayer(new ActivationFunctions.Linear(), false, 2));
+            network.randomize();
+
+            expectGraphToCompute(setWeights(network));
+        });
+    });
+
+    describe('toBuffer method', function () {
+        test('should export a sigmoid network', function () {
+            const golden = fs.readFileSync(GOLDEN_FOLDER + 'xor.onnx');
+
+            expect(OnnxExporter.toBuffer(createXORNetwork(), options).equals(golden)).toBe(true);
+        });
+
+        test('should export the Elliott activation functions as expressions', function () {
+            const golden = fs.readFileSync(GOLDEN_FOLDER + 'elliott.onnx');
+            const buffer = OnnxExporter.toBuffer(createElliottNetwork(), options);
+
+            expect(buffer.equals(golden)).toBe(true);
+            expect(buffer.includes('layer1_denominator')).toBe(true);
+            expect(buffer.includes('Softmax')).toBe(true);
+        });
+
+        test('should export the other activation functions and the batch normalization', function () {
+            const buffer = OnnxExporter.toBuffer(createOtherNetwork());
+            for (let opType of ['BatchNormalization', 'Relu', 'Where', 'Exp', 'Tanh']) {
+                expect(buffer.includes(opType)).toBe(true);
+            }
+        });
+    });
+
+    describe('errors', function () {
+        test('should throw an error for a network with context', function () {
+            const pattern = new Encog.Patterns.Elman();
+            pattern.setInputLayer(2);
+            pattern.addHiddenLayer(3);
+            pattern.setOutputLayer(1);
+
+            expect(() => OnnxExporter.toBuffer(pattern.generate())).toThrow(PersistError);
+        });
+
+        test('should throw an error for an unsupported network', function () {
+            expect(() => OnnxExporter.toBuffer(new Encog.Networks.Som(2, 2))).toThrow(PersistError);
+        });
+    });
+
+    describe('FileUtils', function () {
+        test('should save an ONNX file', function () {
+            const filename = path.join(createTempDir(), 'network.onnx');
+
+            FileUtils.saveONNXNetwork(createXORNetwork(), filename, options);
+            expect(fs.readFileSync(filename).equals(fs.readFileSync(GOLDEN_FOLDER + 'xor.onnx'))).toBe(true);
+        });
+    });
+});
\ No newline at end of file
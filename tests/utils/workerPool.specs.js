@@ -0,0 +1,62 @@
+describe('WorkerPool', function () {
+    const Encog = require(PATHS.BASE);
+    Encog.Log.options.logLevel = 'silent';
+
+    const fs = require('fs');
+    const path = require('path');
+    const WorkerPool = require(PATHS.UTILS + 'workerPool');
+    const EncogError = require(PATHS.ERROR_HANDLING + 'encog');
+
+    let pool = null;
+
+    const createPool = function (body, workerData = [{index: 0}, {index: 1}]) {
+        const script = path.join(createTempDir(), 'worker.js');
+        fs.writeFileSync(script, [
+            'global.PATHS = require(' + JSON.stringify(path.join(PATHS.BASE, 'paths.js')) + ');',
+            'const WorkerPool = require(PATHS.UTILS + \'workerPool\');',
+            'const data = WorkerPool.getWorkerData();',
+            body
+        ].join('\n'));
+
+        pool = new WorkerPool('test', script, workerData);
+        return pool;
+    };
+
+    afterEach(function () {
+        if (pool != null) {
+            pool.terminate();
+            pool = null;
+        }
+    });
+
+    test('should run the task on every worker', function () {
+        const shared = WorkerPool.newSharedFloatArray(2);
+        createPool('const values = new Float64Array(data.values);\n'
+            + 'WorkerPool.serve(() => { values[data.index] += data.index + 1; });',
+            [{index: 0, values: shared.buffer}, {index: 1, values: shared.buffer}]);
+
+        pool.run();
+        pool.run();
+
+        expect(Array.from(shared)).toEqual([2, 4]);
+    });
+
+    test('should report a task that throws', function () {
+        createPool('WorkerPool.serve(() => { if (data.index === 1) { throw new Error(\'task failed\'); } });');
+
+        expect(() => pool.run()).toThrow(new EncogError('A worker thread failed: task failed'));
+    });
+
+    test('should not hang when a worker exits during a run', function () {
+        createPool('WorkerPool.serve(() => { if (data.index === 1) { process.exit(3); } });');
+
+        expect(() => pool.run()).toThrow(new EncogError('A worker thread failed: The worker thread exited with code 3.'));
+        expect(() => pool.run()).toThrow(EncogError);
+    });
+
+    test('should not hang when a worker dies before serving', function () {
+        createPool('if (data.index === 1) { throw new Error(\'setup failed\'); }\nWorkerPool.serve(() => {});');
+
+        expect(() => pool.run()).toThrow(new EncogError('A worker thread failed: The worker thread exited with code 1.'));
+    });
+});
\ No newline at end of file